@@ -0,0 +1,53 @@
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+import { getAuth } from 'firebase-admin/auth';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+import { defineString } from 'firebase-functions/params';
+import { logger } from 'firebase-functions';
+import { createMailTransport } from './src/mailTransports.js';
+import { sendWeeklyDigests } from './src/sendWeeklyDigests.js';
+
+/**
+ * Cloud Functions of Sweet Surprises.
+ *
+ * Parameters are read from `functions/.env` (see `.env.example`) or asked for on deploy.
+ * Mail transports other than `console` and `file` are registered in `src/mailTransports.js`.
+ */
+
+initializeApp();
+
+const MAIL_TRANSPORT = defineString('MAIL_TRANSPORT', {
+  default: 'console',
+  description: 'How digests are delivered: console, file, or a transport registered in src/mailTransports.js.',
+});
+const MAIL_FROM = defineString('MAIL_FROM', {
+  default: 'Sweet Surprises <noreply@example.com>',
+  description: 'Sender address of the digest emails.',
+});
+const MAIL_OUTPUT_DIR = defineString('MAIL_OUTPUT_DIR', {
+  default: '.digests',
+  description: 'Directory the file transport writes digests to.',
+});
+const APP_URL = defineString('APP_URL', {
+  default: 'http://localhost:5173',
+  description: 'Base URL of the web app, for links in the digest.',
+});
+
+/**
+ * Emails every subscribed user a digest of their coming week on Monday mornings (UTC).
+ * In the emulator, run it from `npm run shell` with `weeklyDigest()`.
+ */
+export const weeklyDigest = onSchedule(
+  { schedule: 'every monday 07:00', timeZone: 'UTC', timeoutSeconds: 540, memory: '256MiB' },
+  async () => {
+    const transport = createMailTransport(MAIL_TRANSPORT.value(), { outputDir: MAIL_OUTPUT_DIR.value() });
+    await sendWeeklyDigests({
+      db: getFirestore(),
+      auth: getAuth(),
+      transport,
+      from: MAIL_FROM.value(),
+      appUrl: APP_URL.value(),
+      log: (message, details) => logger.info(message, details),
+    });
+  }
+);
@@ -0,0 +1,29 @@
+import { mkdir, copyFile, rm } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * Copies the app modules the functions reuse (dates, recurrence, budget, reminder schema) from
+ * `src/` into `functions/shared/`, keeping their relative layout so their imports resolve.
+ * Only `functions/` is deployed, so the copy is made before every deploy and emulator run.
+ */
+
+const SHARED_MODULES = [
+  'utils/helpers.js',
+  'utils/recurrence.js',
+  'utils/alarms.js',
+  'utils/budget.js',
+  'services/reminderSchema.js',
+];
+
+const functionsDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const sourceDir = path.resolve(functionsDir, '../src');
+const targetDir = path.join(functionsDir, 'shared');
+
+await rm(targetDir, { recursive: true, force: true });
+for (const modulePath of SHARED_MODULES) {
+  const target = path.join(targetDir, modulePath);
+  await mkdir(path.dirname(target), { recursive: true });
+  await copyFile(path.join(sourceDir, modulePath), target);
+}
+console.log(`Copied ${SHARED_MODULES.length} shared modules to ${path.relative(process.cwd(), targetDir) || '.'}`);
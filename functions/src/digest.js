@@ -0,0 +1,176 @@
+import { expandOccurrences, toDateKey } from '../shared/utils/recurrence.js';
+import { summarizeBudget, findBudgetOverruns } from '../shared/utils/budget.js';
+
+/**
+ * Weekly digest contents: what is coming up in the next week, what is overdue and how spending
+ * compares to the budget. Computed from a user's reminders and settings with the same rules as
+ * the app (occurrences in each reminder's own time zone, see `src/utils/recurrence.js` and
+ * `src/utils/budget.js`).
+ */
+
+/**
+ * @typedef {object} DigestSettings
+ * @property {string} timeZone - The zone the digest week and budget month are taken in.
+ * @property {string} currency - The budget currency.
+ * @property {number | null} monthlyBudget - Spending limit per month, or null for none.
+ * @property {number | null} yearlyBudget - Spending limit per year, or null for none.
+ */
+
+/**
+ * An occurrence that is coming up in the digest week.
+ * @typedef {object} DigestEntry
+ * @property {string} reminderId - The reminder.
+ * @property {string} text - The reminder text.
+ * @property {Date} occurrenceDate - The occurrence.
+ * @property {boolean} allDay - Whether the reminder has no time.
+ * @property {string} timeZone - The reminder's zone, for display.
+ * @property {number | null} estimatedCost - Planned spend for the occurrence.
+ * @property {string | null} currency - Currency of `estimatedCost` (null: the budget currency).
+ */
+
+/**
+ * A reminder with occurrences that passed without being marked done or skipped.
+ * @typedef {object} OverdueEntry
+ * @property {string} reminderId - The reminder.
+ * @property {string} text - The reminder text.
+ * @property {Date} occurrenceDate - The most recent missed occurrence.
+ * @property {number} missedCount - How many occurrences were missed in the lookback window.
+ * @property {boolean} allDay - Whether the reminder has no time.
+ * @property {string} timeZone - The reminder's zone, for display.
+ */
+
+/**
+ * @typedef {object} DigestBudget
+ * @property {string} currency - The budget currency.
+ * @property {string} month - The current month ('YYYY-MM').
+ * @property {number} monthPlanned - Planned spend in the current month.
+ * @property {number} monthSpent - Recorded spend in the current month.
+ * @property {number | null} monthlyBudget - The monthly limit.
+ * @property {number} yearPlanned - Planned spend in the current year.
+ * @property {number} yearSpent - Recorded spend in the current year.
+ * @property {number | null} yearlyBudget - The yearly limit.
+ * @property {Array<import("../shared/utils/budget.js").BudgetOverrun>} overruns - Exceeded limits of the current month and year.
+ * @property {number} otherCurrencyCount - Reminders with costs in another currency, which are not included.
+ */
+
+/**
+ * @typedef {object} Digest
+ * @property {Date} periodStart - Start of the digest week (exclusive; the time it was built).
+ * @property {Date} periodEnd - End of the digest week (inclusive).
+ * @property {string} timeZone - The zone of the digest week.
+ * @property {Array<DigestEntry>} upcoming - Occurrences in the week, soonest first.
+ * @property {Array<OverdueEntry>} overdue - Missed reminders, most recent first.
+ * @property {DigestBudget} budget - The budget status.
+ */
+
+/** Length of the digest period. */
+export const DIGEST_PERIOD_DAYS = 7;
+
+/** How far back missed occurrences are reported as overdue. */
+export const OVERDUE_LOOKBACK_DAYS = 30;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * The earliest date a digest built at `now` reads reminders from: the overdue window or the
+ * start of the budget year, whichever is earlier.
+ *
+ * @param {Date} now - When the digest is built.
+ * @returns {Date}
+ */
+export const getDigestReadStart = (now) =>
+  new Date(Math.min(now.getTime() - OVERDUE_LOOKBACK_DAYS * MS_PER_DAY, Date.UTC(now.getUTCFullYear(), 0, 1) - MS_PER_DAY));
+
+// Occurrences of a reminder in a window that were not marked done or skipped
+const getOpenOccurrences = (reminder, rangeStart, rangeEnd) => {
+  if (!reminder.recurrence && reminder.status !== 'pending') {
+    return [];
+  }
+  const closedKeys = new Set((reminder.completions || []).map((entry) => entry.occurrenceKey));
+  try {
+    return expandOccurrences(reminder.date, reminder.recurrence, rangeStart, rangeEnd, {
+      exceptions: reminder.exceptions || [],
+      timeZone: reminder.timeZone,
+    }).filter((occurrence) => !closedKeys.has(toDateKey(occurrence, reminder.timeZone)));
+  } catch (error) {
+    console.warn(`buildDigest: cannot expand reminder ${reminder.id}.`, error.message);
+    return [];
+  }
+};
+
+/**
+ * Builds a user's weekly digest.
+ *
+ * @param {Array<object>} reminders - The user's reminders in the current schema (trashed ones are ignored).
+ *   Must include every reminder still running at `getDigestReadStart(now)`.
+ * @param {DigestSettings} settings - The user's zone and budget.
+ * @param {Date} now - When the digest is built; the week runs from here.
+ * @returns {Digest}
+ */
+export const buildDigest = (reminders, settings, now) => {
+  const periodEnd = new Date(now.getTime() + DIGEST_PERIOD_DAYS * MS_PER_DAY);
+  const overdueStart = new Date(now.getTime() - OVERDUE_LOOKBACK_DAYS * MS_PER_DAY);
+  const active = reminders.filter((reminder) => !reminder.deletedAt);
+
+  const upcoming = [];
+  const overdue = [];
+  active.forEach((reminder) => {
+    const common = {
+      reminderId: reminder.id,
+      text: reminder.text,
+      allDay: reminder.allDay === true,
+      timeZone: reminder.timeZone,
+    };
+    getOpenOccurrences(reminder, now, periodEnd)
+      .filter((occurrence) => occurrence > now)
+      .forEach((occurrenceDate) => {
+        upcoming.push({
+          ...common,
+          occurrenceDate,
+          estimatedCost: reminder.estimatedCost ?? null,
+          currency: reminder.currency ?? null,
+        });
+      });
+
+    const missed = getOpenOccurrences(reminder, overdueStart, now).filter((occurrence) => occurrence < now);
+    if (missed.length > 0) {
+      overdue.push({ ...common, occurrenceDate: missed[missed.length - 1], missedCount: missed.length });
+    }
+  });
+
+  const month = toDateKey(now, settings.timeZone).slice(0, 7);
+  const year = Number(month.slice(0, 4));
+  const summary = summarizeBudget(active, { year, currency: settings.currency });
+  const monthLine = summary.months.find((line) => line.month === month);
+  const limits = { monthlyBudget: settings.monthlyBudget, yearlyBudget: settings.yearlyBudget };
+
+  return {
+    periodStart: now,
+    periodEnd,
+    timeZone: settings.timeZone,
+    upcoming: upcoming.sort((a, b) => a.occurrenceDate - b.occurrenceDate),
+    overdue: overdue.sort((a, b) => b.occurrenceDate - a.occurrenceDate),
+    budget: {
+      currency: settings.currency,
+      month,
+      monthPlanned: monthLine.planned,
+      monthSpent: monthLine.spent,
+      monthlyBudget: settings.monthlyBudget,
+      yearPlanned: summary.planned,
+      yearSpent: summary.spent,
+      yearlyBudget: settings.yearlyBudget,
+      overruns: findBudgetOverruns(summary, limits).filter(
+        (overrun) => overrun.period === 'year' || overrun.key === month
+      ),
+      otherCurrencyCount: summary.otherCurrencyCount,
+    },
+  };
+};
+
+/**
+ * Whether a digest has anything to report (budget figures alone are not worth an email).
+ * @param {Digest} digest - The digest.
+ * @returns {boolean}
+ */
+export const isDigestEmpty = (digest) =>
+  digest.upcoming.length === 0 && digest.overdue.length === 0 && digest.budget.overruns.length === 0;
@@ -0,0 +1,106 @@
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Mail transports deliver rendered digests. The transport is chosen by name (the `MAIL_TRANSPORT`
+ * parameter, see `index.js`); `console` and `file` are built in for local runs and the emulator.
+ * A real mail service is plugged in by registering a factory under a new name, e.g.:
+ *
+ *   registerMailTransport('smtp', () => ({
+ *     name: 'smtp',
+ *     send: (message) => smtpClient.sendMail(message),
+ *   }));
+ */
+
+/**
+ * @typedef {object} MailMessage
+ * @property {string} to - The recipient address.
+ * @property {string} from - The sender address.
+ * @property {string} subject - The subject.
+ * @property {string} text - The plain-text body.
+ * @property {string} html - The HTML body.
+ */
+
+/**
+ * @typedef {object} MailTransport
+ * @property {string} name - The transport name, for logs.
+ * @property {(message: MailMessage) => Promise<void>} send - Delivers a message; rejects if it cannot.
+ */
+
+/**
+ * @typedef {(options: object) => MailTransport} MailTransportFactory
+ */
+
+/** Where the `file` transport writes messages by default, relative to the working directory. */
+export const DEFAULT_MAIL_OUTPUT_DIR = '.digests';
+
+/**
+ * Creates a transport that logs messages (the plain-text body) instead of sending them.
+ *
+ * @param {{ log?: (line: string) => void }} [options] - `log`: Receives the output (default: console.log).
+ * @returns {MailTransport}
+ */
+export const createConsoleTransport = ({ log = console.log } = {}) => ({
+  name: 'console',
+  send: async (message) => {
+    log(`To: ${message.to}\nFrom: ${message.from}\nSubject: ${message.subject}\n\n${message.text}`);
+  },
+});
+
+/**
+ * Creates a transport that writes each message to `outputDir` as an HTML and a text file, for
+ * viewing in a browser.
+ *
+ * @param {{ outputDir?: string }} [options] - `outputDir`: The directory (created if missing).
+ * @returns {MailTransport}
+ */
+export const createFileTransport = ({ outputDir = DEFAULT_MAIL_OUTPUT_DIR } = {}) => ({
+  name: 'file',
+  send: async (message) => {
+    await mkdir(outputDir, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const baseName = path.join(outputDir, `${stamp}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}`);
+    const header = `To: ${message.to}\nFrom: ${message.from}\nSubject: ${message.subject}\n\n`;
+    await writeFile(`${baseName}.txt`, header + message.text, 'utf8');
+    await writeFile(`${baseName}.html`, message.html, 'utf8');
+  },
+});
+
+/** @type {Map<string, MailTransportFactory>} */
+const factories = new Map([
+  ['console', createConsoleTransport],
+  ['file', createFileTransport],
+]);
+
+/**
+ * Makes a transport available under a name (replacing any transport of that name).
+ *
+ * @param {string} name - The name `MAIL_TRANSPORT` selects it by.
+ * @param {MailTransportFactory} factory - Creates the transport from options.
+ * @throws {TypeError} If the name or factory is invalid.
+ */
+export const registerMailTransport = (name, factory) => {
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw new TypeError('name must be a non-empty string.');
+  }
+  if (typeof factory !== 'function') {
+    throw new TypeError('factory must be a function.');
+  }
+  factories.set(name, factory);
+};
+
+/**
+ * Creates the transport registered under a name.
+ *
+ * @param {string} name - The transport name.
+ * @param {object} [options] - Options for the transport's factory.
+ * @returns {MailTransport}
+ * @throws {Error} If no transport is registered under `name`.
+ */
+export const createMailTransport = (name, options = {}) => {
+  const factory = factories.get(name);
+  if (!factory) {
+    throw new Error(`Unknown mail transport "${name}". Available: ${[...factories.keys()].join(', ')}.`);
+  }
+  return factory(options);
+};
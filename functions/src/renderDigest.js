@@ -0,0 +1,212 @@
+import { formatCurrency } from '../shared/utils/helpers.js';
+
+/**
+ * Renders a weekly digest (see `digest.js`) as an email: a subject, a plain-text body and an
+ * HTML body with inline styles (mail clients ignore style sheets).
+ */
+
+/**
+ * @typedef {import("./digest.js").Digest} Digest
+ */
+
+/**
+ * @typedef {object} RenderedDigest
+ * @property {string} subject - The email subject.
+ * @property {string} text - The plain-text body.
+ * @property {string} html - The HTML body.
+ */
+
+const LOCALE = 'en-US';
+const BRAND_COLOR = '#D53F8C'; // pink.500 of the app theme
+
+// e.g. 'Mon, Mar 10'
+const formatDay = (date, timeZone) =>
+  new Intl.DateTimeFormat(LOCALE, { weekday: 'short', month: 'short', day: 'numeric', timeZone }).format(date);
+
+// e.g. 'Mon, Mar 10 · 18:30' or 'Mon, Mar 10 · All day'
+const formatWhen = (entry) =>
+  `${formatDay(entry.occurrenceDate, entry.timeZone)} · ${
+    entry.allDay
+      ? 'All day'
+      : new Intl.DateTimeFormat(LOCALE, {
+          hour: '2-digit',
+          minute: '2-digit',
+          hourCycle: 'h23',
+          timeZone: entry.timeZone,
+        }).format(entry.occurrenceDate)
+  }`;
+
+// e.g. 'March 2031'
+const formatMonth = (month) =>
+  new Intl.DateTimeFormat(LOCALE, { month: 'long', year: 'numeric', timeZone: 'UTC' }).format(
+    new Date(`${month}-01T00:00:00Z`)
+  );
+
+const formatOverdue = (entry) =>
+  entry.missedCount > 1
+    ? `${entry.missedCount} times, last on ${formatWhen(entry)}`
+    : `since ${formatWhen(entry)}`;
+
+const formatAmountLine = (label, planned, spent, limit, currency) =>
+  `${label}: ${formatCurrency(planned, currency)} planned, ${formatCurrency(spent, currency)} spent` +
+  (limit != null ? ` of ${formatCurrency(limit, currency)}` : '');
+
+const describeOverrun = (overrun, currency) =>
+  `${overrun.period === 'month' ? formatMonth(overrun.key) : overrun.key} is over budget: ${formatCurrency(
+    overrun.amount,
+    currency
+  )} of ${formatCurrency(overrun.limit, currency)}`;
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const reminderUrl = (appUrl, reminderId) => `${appUrl}/?reminder=${encodeURIComponent(reminderId)}`;
+
+/**
+ * Builds the email subject, e.g. 'Your week ahead: 3 reminders, 1 overdue'.
+ * @param {Digest} digest - The digest.
+ * @returns {string}
+ */
+const renderSubject = (digest) => {
+  const parts = [`${digest.upcoming.length} reminder${digest.upcoming.length === 1 ? '' : 's'}`];
+  if (digest.overdue.length > 0) {
+    parts.push(`${digest.overdue.length} overdue`);
+  }
+  if (digest.budget.overruns.length > 0) {
+    parts.push('over budget');
+  }
+  return `Your week ahead: ${parts.join(', ')}`;
+};
+
+/**
+ * Renders the plain-text body.
+ * @param {Digest} digest - The digest.
+ * @param {string} appUrl - The app's base URL.
+ * @returns {string}
+ */
+const renderText = (digest, appUrl) => {
+  const { budget } = digest;
+  const lines = [
+    `Your week ahead (${formatDay(digest.periodStart, digest.timeZone)} – ${formatDay(digest.periodEnd, digest.timeZone)})`,
+    '',
+    'COMING UP',
+  ];
+  if (digest.upcoming.length === 0) {
+    lines.push('Nothing planned this week.');
+  }
+  digest.upcoming.forEach((entry) => {
+    const cost = entry.estimatedCost != null ? ` (${formatCurrency(entry.estimatedCost, entry.currency ?? budget.currency)})` : '';
+    lines.push(`- ${formatWhen(entry)}: ${entry.text}${cost}`, `  ${reminderUrl(appUrl, entry.reminderId)}`);
+  });
+
+  if (digest.overdue.length > 0) {
+    lines.push('', 'OVERDUE');
+    digest.overdue.forEach((entry) => {
+      lines.push(`- ${entry.text}: ${formatOverdue(entry)}`, `  ${reminderUrl(appUrl, entry.reminderId)}`);
+    });
+  }
+
+  lines.push(
+    '',
+    'BUDGET',
+    formatAmountLine(formatMonth(budget.month), budget.monthPlanned, budget.monthSpent, budget.monthlyBudget, budget.currency),
+    formatAmountLine(budget.month.slice(0, 4), budget.yearPlanned, budget.yearSpent, budget.yearlyBudget, budget.currency)
+  );
+  budget.overruns.forEach((overrun) => lines.push(`! ${describeOverrun(overrun, budget.currency)}`));
+  if (budget.otherCurrencyCount > 0) {
+    lines.push(`(${budget.otherCurrencyCount} reminder(s) in other currencies are not included.)`);
+  }
+
+  lines.push('', `Open Sweet Surprises: ${appUrl}/`, 'You get this email because you turned on the weekly digest in the app.');
+  return lines.join('\n');
+};
+
+/**
+ * Renders the HTML body.
+ * @param {Digest} digest - The digest.
+ * @param {string} appUrl - The app's base URL.
+ * @returns {string}
+ */
+const renderHtml = (digest, appUrl) => {
+  const { budget } = digest;
+  const heading = (text) =>
+    `<h2 style="font-size:16px;margin:24px 0 8px;color:${BRAND_COLOR};">${escapeHtml(text)}</h2>`;
+  const link = (href, text) => `<a href="${escapeHtml(href)}" style="color:${BRAND_COLOR};">${escapeHtml(text)}</a>`;
+  const list = (items) =>
+    `<ul style="padding-left:20px;margin:0;">${items.map((item) => `<li style="margin:4px 0;">${item}</li>`).join('')}</ul>`;
+
+  const upcoming =
+    digest.upcoming.length === 0
+      ? '<p style="margin:0;color:#718096;">Nothing planned this week.</p>'
+      : list(
+          digest.upcoming.map((entry) => {
+            const cost =
+              entry.estimatedCost != null
+                ? ` <span style="color:#718096;">(${escapeHtml(formatCurrency(entry.estimatedCost, entry.currency ?? budget.currency))})</span>`
+                : '';
+            return `<strong>${escapeHtml(formatWhen(entry))}</strong>: ${link(reminderUrl(appUrl, entry.reminderId), entry.text)}${cost}`;
+          })
+        );
+
+  const overdue =
+    digest.overdue.length === 0
+      ? ''
+      : heading('Overdue') +
+        list(
+          digest.overdue.map(
+            (entry) => `${link(reminderUrl(appUrl, entry.reminderId), entry.text)}: ${escapeHtml(formatOverdue(entry))}`
+          )
+        );
+
+  const budgetLines = [
+    formatAmountLine(formatMonth(budget.month), budget.monthPlanned, budget.monthSpent, budget.monthlyBudget, budget.currency),
+    formatAmountLine(budget.month.slice(0, 4), budget.yearPlanned, budget.yearSpent, budget.yearlyBudget, budget.currency),
+  ].map((line) => `<p style="margin:4px 0;">${escapeHtml(line)}</p>`);
+  budget.overruns.forEach((overrun) =>
+    budgetLines.push(`<p style="margin:4px 0;color:#C53030;"><strong>${escapeHtml(describeOverrun(overrun, budget.currency))}</strong></p>`)
+  );
+  if (budget.otherCurrencyCount > 0) {
+    budgetLines.push(
+      `<p style="margin:4px 0;color:#718096;">${budget.otherCurrencyCount} reminder(s) in other currencies are not included.</p>`
+    );
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>${escapeHtml(renderSubject(digest))}</title></head>
+<body style="margin:0;padding:24px;background:#FFF5F7;font-family:Helvetica,Arial,sans-serif;color:#1A202C;">
+<div style="max-width:560px;margin:0 auto;background:#FFFFFF;border-radius:8px;padding:24px;">
+<h1 style="font-size:20px;margin:0 0 4px;">Your week ahead</h1>
+<p style="margin:0;color:#718096;">${escapeHtml(formatDay(digest.periodStart, digest.timeZone))} – ${escapeHtml(
+    formatDay(digest.periodEnd, digest.timeZone)
+  )}</p>
+${heading('Coming up')}${upcoming}
+${overdue}
+${heading('Budget')}${budgetLines.join('')}
+<p style="margin:24px 0 0;">${link(`${appUrl}/`, 'Open Sweet Surprises')}</p>
+<p style="margin:16px 0 0;font-size:12px;color:#A0AEC0;">You get this email because you turned on the weekly digest in the app.</p>
+</div>
+</body>
+</html>`;
+};
+
+/**
+ * Renders a digest as an email.
+ *
+ * @param {Digest} digest - The digest to render.
+ * @param {{ appUrl: string }} options - `appUrl`: The app's base URL, for links to reminders.
+ * @returns {RenderedDigest}
+ */
+export const renderDigest = (digest, { appUrl }) => {
+  const baseUrl = appUrl.replace(/\/+$/, '');
+  return {
+    subject: renderSubject(digest),
+    text: renderText(digest, baseUrl),
+    html: renderHtml(digest, baseUrl),
+  };
+};
@@ -0,0 +1,136 @@
+import { Timestamp, FieldPath } from 'firebase-admin/firestore';
+import { upgradeReminderRecord } from '../shared/services/reminderSchema.js';
+import { isValidTimeZone, isValidCurrency } from '../shared/utils/helpers.js';
+import { buildDigest, getDigestReadStart, isDigestEmpty } from './digest.js';
+import { renderDigest } from './renderDigest.js';
+
+/**
+ * Sends the weekly digest to every user who turned it on (`weeklyDigest` in
+ * `users/{uid}/settings/general`, see `src/services/settingsService.js`). Data is read with the
+ * Admin SDK; one user's failure is logged and does not stop the others.
+ */
+
+/**
+ * @typedef {import("firebase-admin/firestore").Firestore} Firestore
+ * @typedef {import("firebase-admin/auth").Auth} Auth
+ * @typedef {import("./mailTransports.js").MailTransport} MailTransport
+ */
+
+/**
+ * @typedef {object} DigestRunResult
+ * @property {number} sent - Digests delivered.
+ * @property {number} skipped - Subscribed users without an email address or anything to report.
+ * @property {number} failed - Users whose digest could not be built or delivered.
+ */
+
+// Matches the app's defaults (`DEFAULT_USER_SETTINGS`)
+const DEFAULT_CURRENCY = 'USD';
+const DEFAULT_TIME_ZONE = 'UTC';
+
+const isValidBudget = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+// Recursively converts Firestore Timestamps to JS Dates, as the app's repositories do
+const fromFirestoreValue = (value) => {
+  if (value instanceof Timestamp) {
+    return value.toDate();
+  }
+  if (Array.isArray(value)) {
+    return value.map(fromFirestoreValue);
+  }
+  if (value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, fieldValue]) => [key, fromFirestoreValue(fieldValue)]));
+  }
+  return value;
+};
+
+/**
+ * Reads the digest settings of a user, or null if the user has not turned the digest on.
+ * @param {Firestore} db - The Firestore instance.
+ * @param {string} userId - The user.
+ * @returns {Promise<import("./digest.js").DigestSettings | null>}
+ */
+const getDigestSettings = async (db, userId) => {
+  const snapshot = await db.doc(`users/${userId}/settings/general`).get();
+  const record = snapshot.exists ? snapshot.data() : null;
+  if (record?.weeklyDigest !== true) {
+    return null;
+  }
+  return {
+    timeZone: isValidTimeZone(record.defaultTimeZone) ? record.defaultTimeZone : DEFAULT_TIME_ZONE,
+    currency: isValidCurrency(record.currency) ? record.currency : DEFAULT_CURRENCY,
+    monthlyBudget: isValidBudget(record.monthlyBudget) ? record.monthlyBudget : null,
+    yearlyBudget: isValidBudget(record.yearlyBudget) ? record.yearlyBudget : null,
+  };
+};
+
+/**
+ * Reads a user's reminders that are not in the trash and still run at `from`, upgraded to the
+ * current schema. Unreadable documents are left out. The query matches the app's range query,
+ * so it uses the same composite index (`firestore.indexes.json`).
+ *
+ * @param {Firestore} db - The Firestore instance.
+ * @param {string} userId - The user.
+ * @param {Date} from - Reminders whose last occurrence is before this are left out.
+ * @returns {Promise<Array<object>>}
+ */
+const getActiveReminders = async (db, userId, from) => {
+  const snapshot = await db
+    .collection(`users/${userId}/reminders`)
+    .where('deletedAt', '==', null)
+    .where('endDate', '>=', Timestamp.fromDate(from))
+    .orderBy('date')
+    .orderBy(FieldPath.documentId())
+    .get();
+  return snapshot.docs
+    .map((docSnap) => upgradeReminderRecord({ ...fromFirestoreValue(docSnap.data()), id: docSnap.id }).record)
+    .filter(Boolean);
+};
+
+/**
+ * Builds and sends the weekly digest of every subscribed user.
+ *
+ * @param {object} options - The run's dependencies.
+ * @param {Firestore} options.db - The Admin Firestore instance.
+ * @param {Auth} options.auth - The Admin Auth instance, for the users' email addresses.
+ * @param {MailTransport} options.transport - Delivers the digests.
+ * @param {string} options.from - The sender address.
+ * @param {string} options.appUrl - The app's base URL, for links.
+ * @param {Date} [options.now] - When the digest week starts (default: now).
+ * @param {(message: string, details?: object) => void} [options.log] - Receives progress and errors (default: console.log).
+ * @returns {Promise<DigestRunResult>}
+ */
+export const sendWeeklyDigests = async ({ db, auth, transport, from, appUrl, now = new Date(), log = console.log }) => {
+  const result = { sent: 0, skipped: 0, failed: 0 };
+  // `listDocuments` includes users whose document only holds subcollections
+  const userRefs = await db.collection('users').listDocuments();
+
+  for (const userRef of userRefs) {
+    const userId = userRef.id;
+    try {
+      const settings = await getDigestSettings(db, userId);
+      if (!settings) {
+        continue;
+      }
+      const user = await auth.getUser(userId);
+      if (!user.email || user.disabled) {
+        result.skipped += 1;
+        continue;
+      }
+      const reminders = await getActiveReminders(db, userId, getDigestReadStart(now));
+      const digest = buildDigest(reminders, settings, now);
+      if (isDigestEmpty(digest)) {
+        result.skipped += 1;
+        continue;
+      }
+      const rendered = renderDigest(digest, { appUrl });
+      await transport.send({ to: user.email, from, ...rendered });
+      result.sent += 1;
+    } catch (error) {
+      result.failed += 1;
+      log(`Weekly digest failed for user ${userId}: ${error.message}`, { userId, error: error.stack });
+    }
+  }
+
+  log(`Weekly digest: ${result.sent} sent, ${result.skipped} skipped, ${result.failed} failed (transport: ${transport.name}).`, result);
+  return result;
+};
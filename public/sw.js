@@ -0,0 +1,33 @@
+/**
+ * Service worker for reminder notifications.
+ *
+ * The open app schedules and shows the notifications itself (see src/services/notificationService.js),
+ * so nothing is notified while it is closed; the missed ones follow when it is opened again.
+ * Showing them through this worker's registration keeps them clickable after the tab that
+ * created them is closed. A click focuses an open app window and asks it to show the reminder
+ * (the app routes the message without reloading), or opens a new window at the reminder.
+ */
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const path = event.notification.data?.url || '/';
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windowClients) => {
+      const client = windowClients.find((candidate) => new URL(candidate.url).origin === self.location.origin);
+      if (client) {
+        client.postMessage({ type: 'open-reminder', url: path });
+        return client.focus();
+      }
+      return self.clients.openWindow(new URL(path, self.location.origin).href);
+    })
+  );
+});
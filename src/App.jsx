@@ -1,24 +1,42 @@
 import React from 'react';
-import { Routes, Route, Navigate } from 'react-router-dom';
+import { Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import { Box, Center } from '@chakra-ui/react'; // Added Center for loading spinner positioning
 
 import { useAuth } from '../contexts/AuthContext.jsx'; // Corrected import
 import LoginPage from './pages/LoginPage.jsx'; // Corrected import
 import DashboardPage from './pages/DashboardPage.jsx'; // Corrected import
+import TrashPage from './pages/TrashPage.jsx';
+import IdeasPage from './pages/IdeasPage.jsx';
+import RecipientsPage from './pages/RecipientsPage.jsx';
+import BackupPage from './pages/BackupPage.jsx';
+import SettingsPage from './pages/SettingsPage.jsx';
+import PreferencesPage from './pages/PreferencesPage.jsx';
+import SignUpPage from './pages/SignUpPage.jsx';
+import ResetPasswordPage from './pages/ResetPasswordPage.jsx';
+import EmailLinkSignInPage from './pages/EmailLinkSignInPage.jsx';
 import Navbar from './components/Navbar.jsx'; // Corrected import
+import RequireAuth from './components/RequireAuth.jsx';
 import LoadingSpinner from './components/LoadingSpinner.jsx'; // Corrected import
+import { useReminderNotifications } from './hooks/useReminderNotifications.js';
+import { getSafeReturnPath } from './utils/helpers.js';
 
 /**
  * The main application component that handles routing and layout based on authentication state.
  * It displays a loading indicator during the initial authentication check,
  * directs users to the login page if unauthenticated, and renders the dashboard
- * with a navigation bar for authenticated users.
+ * with a navigation bar for authenticated users. Protected pages go through `RequireAuth`, which
+ * holds users with an unverified email address on a "check your email" screen. While a user is
+ * signed in, due reminders are announced with browser notifications if the user turned them on.
  *
  * @returns {JSX.Element} The rendered App component.
  */
 const App = () => {
   // Consume authentication context to get user state and loading status
   const { currentUser, loading } = useAuth();
+  const location = useLocation();
+
+  // Browser notifications for due reminders, on every page
+  useReminderNotifications();
 
   // Display a loading spinner during the initial authentication check
   if (loading) {
@@ -36,29 +54,112 @@ const App = () => {
       <Route
         path="/login"
         element={
-          // If user is already logged in, redirect to dashboard
+          // If user is already logged in, continue to the page they came from (or the dashboard)
           currentUser ? (
-            <Navigate to="/" replace />
+            <Navigate to={getSafeReturnPath(location.state?.from)} replace />
           ) : (
             <LoginPage />
           )
         }
       />
 
+      {/* Email Link Sign-in Route (the page sign-in links open) */}
+      <Route path="/login/email-link" element={<EmailLinkSignInPage />} />
+
+      {/* Sign-up Route */}
+      <Route path="/signup" element={currentUser ? <Navigate to="/" replace /> : <SignUpPage />} />
+
+      {/* Password Reset Route */}
+      <Route path="/reset-password" element={currentUser ? <Navigate to="/" replace /> : <ResetPasswordPage />} />
+
       {/* Dashboard Route (Protected) */}
       <Route
         path="/"
         element={
-          // If user is logged in, render the authenticated layout
-          currentUser ? (
+          <RequireAuth>
             <Box>
               <Navbar />
               <DashboardPage />
             </Box>
-          ) : (
-            // If user is not logged in, redirect to login page
-            <Navigate to="/login" replace />
-          )
+          </RequireAuth>
+        }
+      />
+
+      {/* Gift Ideas Route (Protected) */}
+      <Route
+        path="/ideas"
+        element={
+          <RequireAuth>
+            <Box>
+              <Navbar />
+              <IdeasPage />
+            </Box>
+          </RequireAuth>
+        }
+      />
+
+      {/* Recipients Route (Protected) */}
+      <Route
+        path="/recipients"
+        element={
+          <RequireAuth>
+            <Box>
+              <Navbar />
+              <RecipientsPage />
+            </Box>
+          </RequireAuth>
+        }
+      />
+
+      {/* Trash Route (Protected) */}
+      <Route
+        path="/trash"
+        element={
+          <RequireAuth>
+            <Box>
+              <Navbar />
+              <TrashPage />
+            </Box>
+          </RequireAuth>
+        }
+      />
+
+      {/* Backup Route (Protected) */}
+      <Route
+        path="/backup"
+        element={
+          <RequireAuth>
+            <Box>
+              <Navbar />
+              <BackupPage />
+            </Box>
+          </RequireAuth>
+        }
+      />
+
+      {/* Account Settings Route (Protected) */}
+      <Route
+        path="/settings"
+        element={
+          <RequireAuth>
+            <Box>
+              <Navbar />
+              <SettingsPage />
+            </Box>
+          </RequireAuth>
+        }
+      />
+
+      {/* Preferences Route (Protected) */}
+      <Route
+        path="/preferences"
+        element={
+          <RequireAuth>
+            <Box>
+              <Navbar />
+              <PreferencesPage />
+            </Box>
+          </RequireAuth>
         }
       />
 
@@ -0,0 +1,195 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  VStack,
+  HStack,
+  FormControl,
+  FormErrorMessage,
+  Select,
+  Input,
+  Button,
+  Wrap,
+  WrapItem,
+  Tag,
+  TagLabel,
+  TagCloseButton,
+  Text,
+} from '@chakra-ui/react';
+import {
+  ALARM_PRESETS,
+  ALARM_UNITS,
+  MAX_ALARMS_PER_REMINDER,
+  MAX_ALARM_MINUTES,
+  describeAlarm,
+} from '../utils/alarms.js';
+
+// Value of the "Custom..." entry of the preset select
+const CUSTOM_OPTION = 'custom';
+
+const sameAlarms = (a, b) => a.length === b.length && a.every((minutes, index) => minutes === b[index]);
+
+/**
+ * Renders the "Alerts" section of the reminder form: the reminder's lead-time alarms as removable
+ * chips, a select of common lead times and a custom amount-and-unit entry. Fully controlled via
+ * `value` / `onChange`; alarms are kept sorted, shortest lead time first.
+ */
+const AlarmEditor = ({ value, onChange, allDay = false, isDisabled = false, defaultAlarms, onSetDefault }) => {
+  const [isCustom, setIsCustom] = useState(false);
+  const [customAmount, setCustomAmount] = useState('');
+  const [customUnit, setCustomUnit] = useState('days');
+  const [customError, setCustomError] = useState(null);
+
+  const isFull = value.length >= MAX_ALARMS_PER_REMINDER;
+  const presets = (allDay ? ALARM_PRESETS.allDay : ALARM_PRESETS.timed).filter((minutes) => !value.includes(minutes));
+
+  const addAlarm = (minutes) => onChange([...new Set([...value, minutes])].sort((a, b) => a - b));
+
+  const handlePresetChange = (event) => {
+    if (event.target.value === CUSTOM_OPTION) {
+      setIsCustom(true);
+    } else if (event.target.value !== '') {
+      addAlarm(Number(event.target.value));
+    }
+  };
+
+  const handleAddCustom = () => {
+    const amount = Number(customAmount);
+    const unit = ALARM_UNITS.find((candidate) => candidate.value === customUnit);
+    const minutes = amount * unit.minutes;
+    if (customAmount.trim() === '' || !Number.isInteger(amount) || amount < 1) {
+      setCustomError('Please enter a whole number.');
+    } else if (minutes > MAX_ALARM_MINUTES) {
+      setCustomError(`Alerts can be at most ${MAX_ALARM_MINUTES / (7 * 24 * 60)} weeks ahead.`);
+    } else {
+      addAlarm(minutes);
+      setIsCustom(false);
+      setCustomAmount('');
+      setCustomError(null);
+    }
+  };
+
+  return (
+    <VStack spacing={2} align="stretch" role="group" aria-labelledby="reminder-alarms-label">
+      <Text id="reminder-alarms-label" fontWeight="medium">
+        Alerts
+      </Text>
+      {value.length > 0 ? (
+        <Wrap spacing={2}>
+          {value.map((minutes) => (
+            <WrapItem key={minutes}>
+              <Tag size="md" colorScheme="pink" variant="subtle" borderRadius="full">
+                <TagLabel>{describeAlarm(minutes, allDay)}</TagLabel>
+                {!isDisabled && (
+                  <TagCloseButton
+                    aria-label={`Remove alert ${describeAlarm(minutes, allDay)}`}
+                    onClick={() => onChange(value.filter((entry) => entry !== minutes))}
+                  />
+                )}
+              </Tag>
+            </WrapItem>
+          ))}
+        </Wrap>
+      ) : (
+        <Text fontSize="sm" color="gray.500">
+          {allDay ? 'Notified on the morning of the day.' : 'Notified at the time.'}
+        </Text>
+      )}
+
+      {!isFull && !isCustom && (
+        <Select
+          aria-label="Add an alert"
+          value=""
+          onChange={handlePresetChange}
+          isDisabled={isDisabled}
+          placeholder="Add an alert..."
+        >
+          {presets.map((minutes) => (
+            <option key={minutes} value={minutes}>
+              {describeAlarm(minutes, allDay)}
+            </option>
+          ))}
+          <option value={CUSTOM_OPTION}>Custom...</option>
+        </Select>
+      )}
+
+      {isCustom && (
+        <FormControl isInvalid={!!customError}>
+          <HStack spacing={2}>
+            <Input
+              type="number"
+              min="1"
+              step="1"
+              inputMode="numeric"
+              aria-label="Alert lead time"
+              value={customAmount}
+              onChange={(e) => setCustomAmount(e.target.value)}
+              isDisabled={isDisabled}
+              w="90px"
+            />
+            <Select
+              aria-label="Alert lead time unit"
+              value={customUnit}
+              onChange={(e) => setCustomUnit(e.target.value)}
+              isDisabled={isDisabled}
+              w="auto"
+            >
+              {ALARM_UNITS.map((unit) => (
+                <option key={unit.value} value={unit.value}>
+                  {unit.label}
+                </option>
+              ))}
+            </Select>
+            <Text fontSize="sm" whiteSpace="nowrap">
+              before
+            </Text>
+            <Button size="sm" colorScheme="pink" onClick={handleAddCustom} isDisabled={isDisabled}>
+              Add
+            </Button>
+            <Button
+              size="sm"
+              variant="ghost"
+              onClick={() => {
+                setIsCustom(false);
+                setCustomError(null);
+              }}
+              isDisabled={isDisabled}
+            >
+              Cancel
+            </Button>
+          </HStack>
+          {customError && <FormErrorMessage>{customError}</FormErrorMessage>}
+        </FormControl>
+      )}
+
+      {defaultAlarms && onSetDefault && !sameAlarms(value, defaultAlarms) && (
+        <Button
+          variant="link"
+          size="sm"
+          colorScheme="pink"
+          alignSelf="flex-start"
+          onClick={() => onSetDefault(value)}
+          isDisabled={isDisabled}
+        >
+          Use these alerts for new reminders
+        </Button>
+      )}
+    </VStack>
+  );
+};
+
+AlarmEditor.propTypes = {
+  /** The alarm offsets in minutes before the occurrence, shortest first (see `utils/alarms.js`). */
+  value: PropTypes.arrayOf(PropTypes.number).isRequired,
+  /** Called with the complete new list of alarms on every change. */
+  onChange: PropTypes.func.isRequired,
+  /** Whether the reminder is all-day, which changes how alarms are described and offered. */
+  allDay: PropTypes.bool,
+  /** Disables all inputs, e.g. while the parent form is submitting. */
+  isDisabled: PropTypes.bool,
+  /** The user's default alarms for new reminders. */
+  defaultAlarms: PropTypes.arrayOf(PropTypes.number),
+  /** Optional function called with the current alarms when the user makes them their default. */
+  onSetDefault: PropTypes.func,
+};
+
+export default AlarmEditor;
@@ -0,0 +1,179 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import {
+  Box,
+  Flex,
+  HStack,
+  VStack,
+  Heading,
+  Text,
+  Button,
+  IconButton,
+  Progress,
+  Alert,
+  AlertIcon,
+} from '@chakra-ui/react';
+import { ChevronLeftIcon, ChevronRightIcon } from '@chakra-ui/icons';
+import { formatCurrency } from '../utils/helpers.js';
+
+// Short month name ('Jan', ...) in the user's locale
+const monthLabel = (monthKey) =>
+  new Date(Number(monthKey.slice(0, 4)), Number(monthKey.slice(5, 7)) - 1, 1).toLocaleString(undefined, {
+    month: 'short',
+  });
+
+/**
+ * Dashboard panel comparing planned and actual gift spending per month of a year with the
+ * user's monthly and yearly budget. Months over budget are highlighted.
+ *
+ * @param {object} props - The component props.
+ * @param {import("../utils/budget.js").BudgetSummary} props.summary - The year's spending summary.
+ * @param {Array<import("../utils/budget.js").BudgetOverrun>} props.overruns - Limits the year exceeds.
+ * @param {{ monthlyBudget: number | null, yearlyBudget: number | null }} props.limits - The budget limits.
+ * @param {function} props.onYearChange - Called with the year to show.
+ * @param {function} props.onEditBudget - Opens the budget settings.
+ * @returns {JSX.Element} The rendered panel.
+ */
+const BudgetPanel = ({ summary, overruns, limits, onYearChange, onEditBudget }) => {
+  const { year, currency, months } = summary;
+  const { monthlyBudget, yearlyBudget } = limits;
+  const overBudgetMonths = new Set(overruns.filter((o) => o.period === 'month').map((o) => o.key));
+  const isYearOverBudget = overruns.some((o) => o.period === 'year');
+  const currentMonth = `${new Date().getFullYear()}-${String(new Date().getMonth() + 1).padStart(2, '0')}`;
+
+  // Bars are relative to the monthly limit, or to the busiest month without one
+  const scale = monthlyBudget ?? Math.max(...months.map((line) => Math.max(line.planned, line.spent)), 0);
+  const format = (amount) => formatCurrency(amount, currency);
+
+  return (
+    <Box borderWidth="1px" borderRadius="lg" p={4}>
+      <Flex justify="space-between" align="center" wrap="wrap" gap={2} mb={3}>
+        <HStack spacing={1}>
+          <IconButton
+            icon={<ChevronLeftIcon />}
+            aria-label="Previous year"
+            size="sm"
+            variant="ghost"
+            onClick={() => onYearChange(year - 1)}
+          />
+          <Heading as="h3" size="md">
+            Budget {year}
+          </Heading>
+          <IconButton
+            icon={<ChevronRightIcon />}
+            aria-label="Next year"
+            size="sm"
+            variant="ghost"
+            onClick={() => onYearChange(year + 1)}
+          />
+        </HStack>
+        <Button size="sm" variant="outline" colorScheme="pink" onClick={onEditBudget}>
+          {monthlyBudget == null && yearlyBudget == null ? 'Set budget' : 'Edit budget'}
+        </Button>
+      </Flex>
+
+      <Text fontSize="sm" color={isYearOverBudget ? 'red.500' : 'gray.600'} mb={3}>
+        Planned {format(summary.planned)} · Spent {format(summary.spent)}
+        {yearlyBudget != null && ` · Yearly budget ${format(yearlyBudget)}`}
+        {monthlyBudget != null && ` · ${format(monthlyBudget)} per month`}
+      </Text>
+
+      {overruns.length > 0 && (
+        <Alert status="warning" borderRadius="md" mb={3} fontSize="sm">
+          <AlertIcon />
+          {isYearOverBudget
+            ? `You are over your ${year} budget.`
+            : `${overBudgetMonths.size} month(s) over budget: ${[...overBudgetMonths].map(monthLabel).join(', ')}.`}
+        </Alert>
+      )}
+
+      {scale === 0 ? (
+        <Text fontSize="sm" color="gray.500" fontStyle="italic">
+          No costs recorded for {year}. Add an estimated cost to a reminder to plan your spending.
+        </Text>
+      ) : (
+        <VStack spacing={1} align="stretch">
+          {months.map((line) => {
+            const isOver = overBudgetMonths.has(line.month);
+            return (
+              <HStack key={line.month} spacing={3} fontSize="sm">
+                <Text w={10} fontWeight={line.month === currentMonth ? 'bold' : 'normal'}>
+                  {monthLabel(line.month)}
+                </Text>
+                <Box flex={1} position="relative">
+                  {/* Planned in the background, spent on top */}
+                  <Progress
+                    value={Math.min(100, (line.planned / scale) * 100)}
+                    size="sm"
+                    borderRadius="full"
+                    colorScheme={isOver ? 'red' : 'pink'}
+                    opacity={0.4}
+                    aria-label={`Planned in ${monthLabel(line.month)}`}
+                  />
+                  <Progress
+                    value={Math.min(100, (line.spent / scale) * 100)}
+                    size="sm"
+                    borderRadius="full"
+                    colorScheme={isOver ? 'red' : 'pink'}
+                    bg="transparent"
+                    position="absolute"
+                    inset={0}
+                    aria-label={`Spent in ${monthLabel(line.month)}`}
+                  />
+                </Box>
+                <Text w={{ base: 28, md: 44 }} textAlign="right" color={isOver ? 'red.500' : 'gray.600'}>
+                  {format(line.spent)} / {format(line.planned)}
+                </Text>
+              </HStack>
+            );
+          })}
+          <Text fontSize="xs" color="gray.500" textAlign="right">
+            Spent / planned
+          </Text>
+        </VStack>
+      )}
+
+      {summary.otherCurrencyCount > 0 && (
+        <Text fontSize="xs" color="gray.500" mt={2}>
+          {summary.otherCurrencyCount} reminder(s) with costs in another currency are not included.
+        </Text>
+      )}
+    </Box>
+  );
+};
+
+BudgetPanel.propTypes = {
+  /** The year's spending summary. */
+  summary: PropTypes.shape({
+    year: PropTypes.number.isRequired,
+    currency: PropTypes.string.isRequired,
+    months: PropTypes.arrayOf(
+      PropTypes.shape({
+        month: PropTypes.string.isRequired,
+        planned: PropTypes.number.isRequired,
+        spent: PropTypes.number.isRequired,
+      })
+    ).isRequired,
+    planned: PropTypes.number.isRequired,
+    spent: PropTypes.number.isRequired,
+    otherCurrencyCount: PropTypes.number.isRequired,
+  }).isRequired,
+  /** Limits the year exceeds. */
+  overruns: PropTypes.arrayOf(
+    PropTypes.shape({
+      period: PropTypes.oneOf(['month', 'year']).isRequired,
+      key: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+  /** The budget limits. */
+  limits: PropTypes.shape({
+    monthlyBudget: PropTypes.number,
+    yearlyBudget: PropTypes.number,
+  }).isRequired,
+  /** Called with the year to show. */
+  onYearChange: PropTypes.func.isRequired,
+  /** Opens the budget settings. */
+  onEditBudget: PropTypes.func.isRequired,
+};
+
+export default BudgetPanel;
@@ -0,0 +1,178 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Modal,
+  ModalOverlay,
+  ModalContent,
+  ModalHeader,
+  ModalCloseButton,
+  ModalBody,
+  ModalFooter,
+  FormControl,
+  FormLabel,
+  FormErrorMessage,
+  FormHelperText,
+  Input,
+  Select,
+  Button,
+  VStack,
+} from '@chakra-ui/react';
+import { useAuth } from '../contexts/AuthContext.jsx';
+import { usePreferredToast } from '../hooks/usePreferredToast.js';
+import { updateUserSettings } from '../services/settingsService.js';
+import { getSupportedCurrencies } from '../utils/helpers.js';
+
+// Converts a limit input to a number, null for an empty input, or NaN if invalid
+const parseLimit = (value) => (value.trim() === '' ? null : Number(value));
+
+/**
+ * Modal for editing the budget: currency and optional monthly and yearly limits.
+ *
+ * @param {object} props - The component props.
+ * @param {boolean} props.isOpen - Whether the modal is shown.
+ * @param {function} props.onClose - Called when the modal is closed (also after saving).
+ * @param {{ currency: string, monthlyBudget: number | null, yearlyBudget: number | null }} props.settings - The current budget settings.
+ * @returns {JSX.Element} The rendered modal.
+ */
+const BudgetSettingsModal = ({ isOpen, onClose, settings }) => {
+  const { currentUser } = useAuth();
+  const toast = usePreferredToast();
+
+  const [currency, setCurrency] = useState(settings.currency);
+  const [monthly, setMonthly] = useState('');
+  const [yearly, setYearly] = useState('');
+  const [errors, setErrors] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Start from the saved settings every time the modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setCurrency(settings.currency);
+      setMonthly(settings.monthlyBudget != null ? String(settings.monthlyBudget) : '');
+      setYearly(settings.yearlyBudget != null ? String(settings.yearlyBudget) : '');
+      setErrors({});
+    }
+  }, [isOpen, settings.currency, settings.monthlyBudget, settings.yearlyBudget]);
+
+  /**
+   * Validates and saves the budget.
+   * @param {React.FormEvent<HTMLFormElement>} event - The form submission event.
+   */
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const monthlyBudget = parseLimit(monthly);
+    const yearlyBudget = parseLimit(yearly);
+    const newErrors = {};
+    if (monthlyBudget !== null && !(monthlyBudget > 0)) {
+      newErrors.monthly = 'Enter an amount greater than zero, or leave empty for no limit.';
+    }
+    if (yearlyBudget !== null && !(yearlyBudget > 0)) {
+      newErrors.yearly = 'Enter an amount greater than zero, or leave empty for no limit.';
+    }
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) {
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      await updateUserSettings(currentUser.uid, { currency, monthlyBudget, yearlyBudget });
+      toast({ title: 'Budget Saved', status: 'success', duration: 3000, isClosable: true });
+      onClose();
+    } catch (err) {
+      console.error('Error saving budget:', err);
+      toast({
+        title: 'Save Failed',
+        description: err.message || 'Could not save your budget.',
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} isCentered>
+      <ModalOverlay />
+      <ModalContent as="form" onSubmit={handleSubmit} mx={{ base: 4, sm: 0 }}>
+        <ModalHeader>Budget</ModalHeader>
+        <ModalCloseButton />
+        <ModalBody>
+          <VStack spacing={4} align="stretch">
+            <FormControl>
+              <FormLabel htmlFor="budget-currency">Currency</FormLabel>
+              <Select
+                id="budget-currency"
+                value={currency}
+                onChange={(e) => setCurrency(e.target.value)}
+                isDisabled={isSaving}
+              >
+                {getSupportedCurrencies().map((code) => (
+                  <option key={code} value={code}>
+                    {code}
+                  </option>
+                ))}
+              </Select>
+              <FormHelperText>Costs in other currencies are not counted towards the budget.</FormHelperText>
+            </FormControl>
+            <FormControl isInvalid={!!errors.monthly}>
+              <FormLabel htmlFor="budget-monthly">Monthly limit</FormLabel>
+              <Input
+                id="budget-monthly"
+                type="number"
+                min="0"
+                step="0.01"
+                inputMode="decimal"
+                placeholder="No limit"
+                value={monthly}
+                onChange={(e) => setMonthly(e.target.value)}
+                isDisabled={isSaving}
+              />
+              {errors.monthly && <FormErrorMessage>{errors.monthly}</FormErrorMessage>}
+            </FormControl>
+            <FormControl isInvalid={!!errors.yearly}>
+              <FormLabel htmlFor="budget-yearly">Yearly limit</FormLabel>
+              <Input
+                id="budget-yearly"
+                type="number"
+                min="0"
+                step="0.01"
+                inputMode="decimal"
+                placeholder="No limit"
+                value={yearly}
+                onChange={(e) => setYearly(e.target.value)}
+                isDisabled={isSaving}
+              />
+              {errors.yearly && <FormErrorMessage>{errors.yearly}</FormErrorMessage>}
+            </FormControl>
+          </VStack>
+        </ModalBody>
+        <ModalFooter>
+          <Button variant="ghost" mr={3} onClick={onClose} isDisabled={isSaving}>
+            Cancel
+          </Button>
+          <Button type="submit" colorScheme="pink" isLoading={isSaving}>
+            Save
+          </Button>
+        </ModalFooter>
+      </ModalContent>
+    </Modal>
+  );
+};
+
+BudgetSettingsModal.propTypes = {
+  /** Whether the modal is shown. */
+  isOpen: PropTypes.bool.isRequired,
+  /** Called when the modal is closed (also after saving). */
+  onClose: PropTypes.func.isRequired,
+  /** The current budget settings. */
+  settings: PropTypes.shape({
+    currency: PropTypes.string.isRequired,
+    monthlyBudget: PropTypes.number,
+    yearlyBudget: PropTypes.number,
+  }).isRequired,
+};
+
+export default BudgetSettingsModal;
@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Modal,
+  ModalOverlay,
+  ModalContent,
+  ModalHeader,
+  ModalCloseButton,
+  ModalBody,
+  ModalFooter,
+  FormControl,
+  FormLabel,
+  FormHelperText,
+  FormErrorMessage,
+  Input,
+  InputGroup,
+  InputRightAddon,
+  Textarea,
+  Text,
+  Button,
+  HStack,
+} from '@chakra-ui/react';
+import { usePreferences } from '../contexts/PreferencesContext.jsx';
+
+/**
+ * Dialog for recording the outcome of a reminder (or of one occurrence of a recurring reminder):
+ * "Mark done" or "Skip", with an optional note about what happened and, when done, what it cost.
+ *
+ * @param {object} props - The component props.
+ * @param {boolean} props.isOpen - Whether the dialog is shown.
+ * @param {function} props.onClose - Called when the dialog is dismissed without saving.
+ * @param {object | null} props.reminder - The reminder being marked (needs `text`).
+ * @param {Date | null} [props.occurrenceDate] - The occurrence being marked, for recurring reminders.
+ * @param {string} [props.currency='USD'] - Currency of the amount spent (the reminder's, or the budget currency).
+ * @param {function} props.onSubmit - Called with `{ status: 'completed' | 'skipped', note: string, actualCost?: number }`;
+ *   `actualCost` is only set when an amount was entered and the reminder is marked done.
+ * @returns {JSX.Element} The rendered dialog.
+ */
+const CompletionDialog = ({ isOpen, onClose, reminder, occurrenceDate = null, currency = 'USD', onSubmit }) => {
+  const { formatDate } = usePreferences();
+  const [note, setNote] = useState('');
+  const [cost, setCost] = useState('');
+  const [costError, setCostError] = useState(null);
+
+  // Start with an empty note (and the one-off reminder's recorded cost) every time the dialog opens
+  useEffect(() => {
+    if (isOpen) {
+      setNote('');
+      setCost(!occurrenceDate && reminder?.actualCost != null ? String(reminder.actualCost) : '');
+      setCostError(null);
+    }
+  }, [isOpen, occurrenceDate, reminder]);
+
+  const handleSubmit = (status) => {
+    const actualCost = cost.trim() === '' ? undefined : Number(cost);
+    if (status === 'completed' && actualCost !== undefined && !(actualCost >= 0)) {
+      setCostError('Please enter a valid amount.');
+      return;
+    }
+    onSubmit(
+      status === 'completed' && actualCost !== undefined
+        ? { status, note: note.trim(), actualCost }
+        : { status, note: note.trim() }
+    );
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} isCentered>
+      <ModalOverlay />
+      <ModalContent mx={{ base: 4, sm: 0 }}>
+        <ModalHeader>Mark as Done</ModalHeader>
+        <ModalCloseButton />
+        <ModalBody>
+          <Text fontWeight="medium" mb={1}>
+            {reminder?.text}
+          </Text>
+          {occurrenceDate && (
+            <Text fontSize="sm" color="gray.500" mb={4}>
+              Occurrence on {formatDate(occurrenceDate)}
+            </Text>
+          )}
+          <FormControl mt={occurrenceDate ? 0 : 4}>
+            <FormLabel htmlFor="completion-note">Note</FormLabel>
+            <Textarea
+              id="completion-note"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="e.g., Brought tulips to breakfast"
+              resize="vertical"
+            />
+            <FormHelperText>Optional. Remember what you did (or why you skipped it).</FormHelperText>
+          </FormControl>
+          <FormControl mt={4} isInvalid={!!costError}>
+            <FormLabel htmlFor="completion-cost">Amount spent</FormLabel>
+            <InputGroup>
+              <Input
+                id="completion-cost"
+                type="number"
+                min="0"
+                step="0.01"
+                inputMode="decimal"
+                placeholder="Optional"
+                value={cost}
+                onChange={(e) => setCost(e.target.value)}
+              />
+              <InputRightAddon>{currency}</InputRightAddon>
+            </InputGroup>
+            {costError ? (
+              <FormErrorMessage>{costError}</FormErrorMessage>
+            ) : (
+              <FormHelperText>Counts towards your budget when marked done.</FormHelperText>
+            )}
+          </FormControl>
+        </ModalBody>
+        <ModalFooter>
+          <HStack spacing={3}>
+            <Button variant="ghost" onClick={onClose}>
+              Cancel
+            </Button>
+            <Button variant="outline" onClick={() => handleSubmit('skipped')}>
+              Skip
+            </Button>
+            <Button colorScheme="pink" onClick={() => handleSubmit('completed')}>
+              Mark done
+            </Button>
+          </HStack>
+        </ModalFooter>
+      </ModalContent>
+    </Modal>
+  );
+};
+
+CompletionDialog.propTypes = {
+  /** Whether the dialog is shown. */
+  isOpen: PropTypes.bool.isRequired,
+  /** Called when the dialog is dismissed without saving. */
+  onClose: PropTypes.func.isRequired,
+  /** The reminder being marked. */
+  reminder: PropTypes.shape({
+    text: PropTypes.string,
+    actualCost: PropTypes.number,
+  }),
+  /** The occurrence being marked, for recurring reminders. */
+  occurrenceDate: PropTypes.instanceOf(Date),
+  /** Currency of the amount spent. */
+  currency: PropTypes.string,
+  /** Receives `{ status, note, actualCost? }` when the user marks the reminder done or skipped. */
+  onSubmit: PropTypes.func.isRequired,
+};
+
+export default CompletionDialog;
@@ -0,0 +1,518 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Modal,
+  ModalOverlay,
+  ModalContent,
+  ModalHeader,
+  ModalCloseButton,
+  ModalBody,
+  ModalFooter,
+  FormControl,
+  FormLabel,
+  FormHelperText,
+  Input,
+  Select,
+  Switch,
+  SimpleGrid,
+  Alert,
+  AlertIcon,
+  Progress,
+  Table,
+  Thead,
+  Tbody,
+  Tr,
+  Th,
+  Td,
+  TableContainer,
+  Badge,
+  Button,
+  HStack,
+  VStack,
+  Text,
+} from '@chakra-ui/react';
+import { useAuth } from '../contexts/AuthContext.jsx';
+import { validateReminderFields } from './ReminderForm.jsx';
+import { importReminders, validateReminderData } from '../services/reminderService.js';
+import { createTag, MAX_TAG_NAME_LENGTH } from '../services/tagService.js';
+import { parseCsv, normalizeCsvDate, normalizeCsvTime, splitCsvList, CSV_DATE_FORMATS } from '../utils/csv.js';
+import { zonedTimeToDate } from '../utils/helpers.js';
+
+// Reminder fields a column can be mapped to, with header names that are mapped automatically
+const FIELDS = [
+  { key: 'text', label: 'Reminder text', isRequired: true, headers: ['text', 'reminder', 'title', 'occasion', 'event', 'name'] },
+  { key: 'date', label: 'Date', isRequired: true, headers: ['date', 'day', 'when'] },
+  { key: 'time', label: 'Time', headers: ['time', 'hour'] },
+  { key: 'tags', label: 'Tags', headers: ['tags', 'tag', 'category', 'categories', 'labels'] },
+  { key: 'notes', label: 'Notes', headers: ['notes', 'note', 'description', 'details', 'comment', 'comments'] },
+];
+
+// Rows shown in the preview table; the counts always cover the whole file
+const MAX_PREVIEW_ROWS = 200;
+
+// Picks the column whose header names the field, or '' if none does
+const guessColumn = (headers, names) => {
+  const index = headers.findIndex((header) => names.includes(header.trim().toLowerCase()));
+  return index === -1 ? '' : String(index);
+};
+
+// Picks the date notation that reads the most values of the column
+const guessDateFormat = (rows, column) => {
+  let best = CSV_DATE_FORMATS[0];
+  let bestCount = -1;
+  CSV_DATE_FORMATS.forEach((format) => {
+    const count = rows.filter((row) => normalizeCsvDate(row[column] ?? '', format)).length;
+    if (count > bestCount) {
+      best = format;
+      bestCount = count;
+    }
+  });
+  return best;
+};
+
+/**
+ * Wizard for importing reminders from a spreadsheet (CSV) file in three steps: choose the file,
+ * map its columns to reminder fields, then review every row before importing. Rows are checked
+ * with the reminder form's rules (`ReminderForm.validateReminderFields`) and the reminder
+ * service's (`reminderService.validateReminderData`); rows with errors are skipped. Tags are
+ * matched to the user's tags by name, and missing tags are created. Valid rows are written with
+ * batched writes (`reminderService.importReminders`), followed by a report.
+ *
+ * @param {object} props - The component props.
+ * @param {boolean} props.isOpen - Whether the wizard is shown.
+ * @param {function} props.onClose - Called when the wizard is dismissed.
+ * @param {Array<{ id: string, name: string }>} props.tags - The user's tags.
+ * @param {string} props.defaultTimeZone - The zone the dates and times in the file are read in.
+ * @param {function} [props.onImported] - Called with the number of reminders created.
+ * @returns {JSX.Element} The rendered wizard.
+ */
+const CsvImportWizard = ({ isOpen, onClose, tags, defaultTimeZone, onImported }) => {
+  const { currentUser } = useAuth();
+
+  const [step, setStep] = useState('file'); // 'file' | 'mapping' | 'preview' | 'report'
+  const [rows, setRows] = useState(null); // Parsed file, header row first
+  const [fileError, setFileError] = useState(null);
+  const [mapping, setMapping] = useState({}); // Field key -> column index as a string, '' for none
+  const [dateFormat, setDateFormat] = useState(CSV_DATE_FORMATS[0]);
+  const [showProblemsOnly, setShowProblemsOnly] = useState(false);
+  const [progress, setProgress] = useState(null); // { written, total } while importing
+  const [importError, setImportError] = useState(null);
+  const [report, setReport] = useState(null);
+
+  // Start over every time the wizard opens
+  useEffect(() => {
+    if (isOpen) {
+      setStep('file');
+      setRows(null);
+      setFileError(null);
+      setShowProblemsOnly(false);
+      setImportError(null);
+      setReport(null);
+    }
+  }, [isOpen]);
+
+  /**
+   * Reads the chosen file and guesses the column mapping from its header row.
+   * @param {React.ChangeEvent<HTMLInputElement>} event - The file input's change event.
+   */
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    setRows(null);
+    setFileError(null);
+    if (!file) {
+      return;
+    }
+    try {
+      const parsedRows = parseCsv(await file.text());
+      if (parsedRows.length < 2) {
+        setFileError('The file needs a header row and at least one row of data.');
+        return;
+      }
+      const [headers, ...dataRows] = parsedRows;
+      const guessedMapping = Object.fromEntries(FIELDS.map(({ key, headers: names }) => [key, guessColumn(headers, names)]));
+      setMapping(guessedMapping);
+      setDateFormat(guessedMapping.date === '' ? CSV_DATE_FORMATS[0] : guessDateFormat(dataRows, Number(guessedMapping.date)));
+      setRows(parsedRows);
+    } catch (err) {
+      console.error('Error reading CSV file:', err);
+      setFileError('Could not read the file. Please try again.');
+    }
+  };
+
+  const headers = rows ? rows[0] : [];
+
+  /**
+   * Every data row as a reminder draft, with the problems that keep it from being imported.
+   * `line` is the row's line in the spreadsheet (the header is line 1).
+   */
+  const parsedRows = useMemo(() => {
+    if (!rows || step === 'file' || step === 'mapping') {
+      return [];
+    }
+    const tagIdsByName = new Map(tags.map((tag) => [tag.name.toLowerCase(), tag.id]));
+    const cell = (row, key) => (mapping[key] === '' ? '' : (row[Number(mapping[key])] ?? '').trim());
+
+    return rows.slice(1).map((row, index) => {
+      const text = cell(row, 'text');
+      const dateValue = cell(row, 'date');
+      const timeValue = cell(row, 'time');
+      const notes = cell(row, 'notes');
+      const tagNames = splitCsvList(cell(row, 'tags'));
+
+      const dateKey = dateValue ? normalizeCsvDate(dateValue, dateFormat) : '';
+      const time = timeValue ? normalizeCsvTime(timeValue) : null;
+      const allDay = !timeValue;
+      const fieldErrors = validateReminderFields({
+        text,
+        date: dateKey ?? '',
+        time: time ?? '',
+        allDay,
+        timeZone: defaultTimeZone,
+        notes,
+      });
+      // The form's messages assume a date and time picker; name the cell value instead
+      if (dateKey === null) {
+        fieldErrors.date = `"${dateValue}" is not a date in the ${dateFormat} format.`;
+      }
+      if (timeValue && time === null) {
+        fieldErrors.time = `"${timeValue}" is not a time.`;
+      }
+      const errors = Object.values(fieldErrors);
+      const longTagName = tagNames.find((name) => name.length > MAX_TAG_NAME_LENGTH);
+      if (longTagName) {
+        errors.push(`The tag "${longTagName}" is longer than ${MAX_TAG_NAME_LENGTH} characters.`);
+      }
+
+      const draft = {
+        text,
+        date: errors.length === 0 ? zonedTimeToDate(dateKey, time, defaultTimeZone) : null,
+        allDay,
+        timeZone: defaultTimeZone,
+        tags: [],
+        notes: notes || null,
+      };
+      if (errors.length === 0) {
+        // Tags that do not exist yet are created on import; their names stand in for the IDs until then
+        const serviceError = validateReminderData({
+          ...draft,
+          tags: tagNames.map((name) => tagIdsByName.get(name.toLowerCase()) ?? `new:${name.toLowerCase()}`),
+        });
+        if (serviceError) {
+          errors.push(serviceError);
+        }
+      }
+      return { line: index + 2, draft, tagNames, dateLabel: dateKey ? `${dateKey}${time ? ` ${time}` : ''}` : dateValue, errors };
+    });
+  }, [rows, step, mapping, dateFormat, tags, defaultTimeZone]);
+
+  const validRows = useMemo(() => parsedRows.filter((row) => row.errors.length === 0), [parsedRows]);
+  const invalidRows = useMemo(() => parsedRows.filter((row) => row.errors.length > 0), [parsedRows]);
+  const newTagNames = useMemo(() => {
+    const existing = new Set(tags.map((tag) => tag.name.toLowerCase()));
+    const names = new Map();
+    validRows.forEach((row) =>
+      row.tagNames.forEach((name) => {
+        if (!existing.has(name.toLowerCase()) && !names.has(name.toLowerCase())) {
+          names.set(name.toLowerCase(), name);
+        }
+      })
+    );
+    return [...names.values()];
+  }, [validRows, tags]);
+
+  const isMappingComplete = FIELDS.every(({ key, isRequired }) => !isRequired || mapping[key] !== '');
+
+  /**
+   * Creates the missing tags, then imports the valid rows.
+   */
+  const handleImport = async () => {
+    setImportError(null);
+    setProgress({ written: 0, total: validRows.length });
+    try {
+      const tagIdsByName = new Map(tags.map((tag) => [tag.name.toLowerCase(), tag.id]));
+      for (const name of newTagNames) {
+        const { id } = await createTag(currentUser.uid, { name });
+        tagIdsByName.set(name.toLowerCase(), id);
+      }
+      const drafts = validRows.map((row) => ({
+        ...row.draft,
+        tags: row.tagNames.map((name) => tagIdsByName.get(name.toLowerCase())),
+      }));
+      const { ids, failed } = await importReminders(currentUser.uid, drafts, {
+        onProgress: (written, total) => setProgress({ written, total }),
+      });
+      setReport({
+        imported: ids.length,
+        tagsCreated: newTagNames.length,
+        skipped: [
+          ...invalidRows.map(({ line, errors }) => ({ line, message: errors.join(' ') })),
+          ...failed.map(({ index, message }) => ({ line: validRows[index].line, message })),
+        ].sort((a, b) => a.line - b.line),
+      });
+      setStep('report');
+      if (ids.length > 0 && onImported) {
+        onImported(ids.length);
+      }
+    } catch (err) {
+      console.error('Error importing CSV rows:', err);
+      setImportError(
+        `${err.message || 'The import failed.'} Reminders imported before the error are kept; check them before importing again.`
+      );
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const isImporting = progress !== null;
+  const previewRows = (showProblemsOnly ? invalidRows : parsedRows).slice(0, MAX_PREVIEW_ROWS);
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      size={step === 'preview' ? '4xl' : 'xl'}
+      scrollBehavior="inside"
+      closeOnOverlayClick={!isImporting}
+      isCentered
+    >
+      <ModalOverlay />
+      <ModalContent mx={{ base: 4, sm: 0 }}>
+        <ModalHeader>Import from Spreadsheet</ModalHeader>
+        <ModalCloseButton isDisabled={isImporting} />
+        <ModalBody>
+          {step === 'file' && (
+            <VStack spacing={4} align="stretch">
+              <FormControl>
+                <FormLabel htmlFor="csv-file">CSV file</FormLabel>
+                <Input id="csv-file" type="file" accept=".csv,text/csv" onChange={handleFileChange} p={1} />
+                <FormHelperText>
+                  Save your spreadsheet as CSV. The first row must name the columns, e.g. Date, Occasion, Tags.
+                </FormHelperText>
+              </FormControl>
+              {fileError && (
+                <Alert status="error" borderRadius="md">
+                  <AlertIcon />
+                  {fileError}
+                </Alert>
+              )}
+              {rows && (
+                <Text fontSize="sm" color="gray.600">
+                  {rows.length - 1} row{rows.length === 2 ? '' : 's'} with {headers.length} column
+                  {headers.length === 1 ? '' : 's'} found.
+                </Text>
+              )}
+            </VStack>
+          )}
+
+          {step === 'mapping' && (
+            <VStack spacing={4} align="stretch">
+              <Text fontSize="sm" color="gray.600">
+                Choose the column for each field. Rows without a time become all-day reminders; dates and times
+                are read in {defaultTimeZone.replace(/_/g, ' ')}.
+              </Text>
+              <SimpleGrid columns={{ base: 1, sm: 2 }} spacing={3}>
+                {FIELDS.map(({ key, label, isRequired }) => (
+                  <FormControl key={key} isRequired={isRequired}>
+                    <FormLabel htmlFor={`csv-field-${key}`}>{label}</FormLabel>
+                    <Select
+                      id={`csv-field-${key}`}
+                      value={mapping[key]}
+                      onChange={(e) => setMapping((current) => ({ ...current, [key]: e.target.value }))}
+                    >
+                      <option value="">{isRequired ? 'Choose a column' : 'Not imported'}</option>
+                      {headers.map((header, index) => (
+                        <option key={index} value={String(index)}>
+                          {header.trim() || `Column ${index + 1}`}
+                        </option>
+                      ))}
+                    </Select>
+                  </FormControl>
+                ))}
+                <FormControl>
+                  <FormLabel htmlFor="csv-date-format">Date format</FormLabel>
+                  <Select id="csv-date-format" value={dateFormat} onChange={(e) => setDateFormat(e.target.value)}>
+                    {CSV_DATE_FORMATS.map((format) => (
+                      <option key={format} value={format}>
+                        {format}
+                      </option>
+                    ))}
+                  </Select>
+                </FormControl>
+              </SimpleGrid>
+            </VStack>
+          )}
+
+          {step === 'preview' && (
+            <VStack spacing={3} align="stretch">
+              <HStack justify="space-between" wrap="wrap" gap={2}>
+                <Text fontSize="sm">
+                  <Text as="span" fontWeight="semibold" color="green.600">
+                    {validRows.length} ready to import
+                  </Text>
+                  {invalidRows.length > 0 && (
+                    <Text as="span" fontWeight="semibold" color="red.600">
+                      {' '}
+                      · {invalidRows.length} with problems (skipped)
+                    </Text>
+                  )}
+                </Text>
+                <FormControl display="flex" alignItems="center" w="auto">
+                  <FormLabel htmlFor="csv-problems-only" mb={0} fontSize="sm">
+                    Only rows with problems
+                  </FormLabel>
+                  <Switch
+                    id="csv-problems-only"
+                    colorScheme="pink"
+                    isChecked={showProblemsOnly}
+                    onChange={(e) => setShowProblemsOnly(e.target.checked)}
+                  />
+                </FormControl>
+              </HStack>
+              {newTagNames.length > 0 && (
+                <Text fontSize="sm" color="gray.600">
+                  New tags will be created: {newTagNames.join(', ')}.
+                </Text>
+              )}
+              {importError && (
+                <Alert status="error" borderRadius="md">
+                  <AlertIcon />
+                  {importError}
+                </Alert>
+              )}
+              {isImporting && (
+                <Progress
+                  value={progress.total > 0 ? (progress.written / progress.total) * 100 : 0}
+                  colorScheme="pink"
+                  size="sm"
+                  borderRadius="md"
+                  hasStripe
+                  isAnimated
+                />
+              )}
+              <TableContainer whiteSpace="normal">
+                <Table size="sm">
+                  <Thead>
+                    <Tr>
+                      <Th isNumeric>Row</Th>
+                      <Th>Reminder</Th>
+                      <Th>Date</Th>
+                      <Th>Tags</Th>
+                      <Th>Status</Th>
+                    </Tr>
+                  </Thead>
+                  <Tbody>
+                    {previewRows.map((row) => (
+                      <Tr key={row.line}>
+                        <Td isNumeric>{row.line}</Td>
+                        <Td wordBreak="break-word">{row.draft.text}</Td>
+                        <Td whiteSpace="nowrap">{row.dateLabel}</Td>
+                        <Td>{row.tagNames.join(', ')}</Td>
+                        <Td>
+                          {row.errors.length === 0 ? (
+                            <Badge colorScheme="green">OK</Badge>
+                          ) : (
+                            row.errors.map((error) => (
+                              <Text key={error} fontSize="xs" color="red.600">
+                                {error}
+                              </Text>
+                            ))
+                          )}
+                        </Td>
+                      </Tr>
+                    ))}
+                  </Tbody>
+                </Table>
+              </TableContainer>
+              {(showProblemsOnly ? invalidRows : parsedRows).length > MAX_PREVIEW_ROWS && (
+                <Text fontSize="sm" color="gray.500">
+                  Showing the first {MAX_PREVIEW_ROWS} rows.
+                </Text>
+              )}
+            </VStack>
+          )}
+
+          {step === 'report' && report && (
+            <VStack spacing={3} align="stretch">
+              <Alert status={report.skipped.length === 0 ? 'success' : 'warning'} borderRadius="md">
+                <AlertIcon />
+                {report.imported} reminder{report.imported === 1 ? '' : 's'} imported
+                {report.tagsCreated > 0 && `, ${report.tagsCreated} tag${report.tagsCreated === 1 ? '' : 's'} created`}
+                {report.skipped.length > 0 && `, ${report.skipped.length} row${report.skipped.length === 1 ? '' : 's'} skipped`}.
+              </Alert>
+              {report.skipped.map(({ line, message }) => (
+                <Text key={line} fontSize="sm">
+                  <Text as="span" fontWeight="semibold">
+                    Row {line}:
+                  </Text>{' '}
+                  {message}
+                </Text>
+              ))}
+            </VStack>
+          )}
+        </ModalBody>
+        <ModalFooter>
+          {step === 'report' ? (
+            <Button colorScheme="pink" onClick={onClose}>
+              Done
+            </Button>
+          ) : (
+            <HStack spacing={3}>
+              {step !== 'file' && (
+                <Button
+                  variant="ghost"
+                  onClick={() => setStep(step === 'preview' ? 'mapping' : 'file')}
+                  isDisabled={isImporting}
+                >
+                  Back
+                </Button>
+              )}
+              <Button variant="ghost" onClick={onClose} isDisabled={isImporting}>
+                Cancel
+              </Button>
+              {step === 'file' && (
+                <Button colorScheme="pink" onClick={() => setStep('mapping')} isDisabled={!rows}>
+                  Next
+                </Button>
+              )}
+              {step === 'mapping' && (
+                <Button colorScheme="pink" onClick={() => setStep('preview')} isDisabled={!isMappingComplete}>
+                  Preview
+                </Button>
+              )}
+              {step === 'preview' && (
+                <Button
+                  colorScheme="pink"
+                  onClick={handleImport}
+                  isLoading={isImporting}
+                  isDisabled={validRows.length === 0}
+                >
+                  Import {validRows.length} Reminder{validRows.length === 1 ? '' : 's'}
+                </Button>
+              )}
+            </HStack>
+          )}
+        </ModalFooter>
+      </ModalContent>
+    </Modal>
+  );
+};
+
+CsvImportWizard.propTypes = {
+  /** Whether the wizard is shown. */
+  isOpen: PropTypes.bool.isRequired,
+  /** Called when the wizard is dismissed. */
+  onClose: PropTypes.func.isRequired,
+  /** The user's tags, for matching tag names. */
+  tags: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+  /** The zone the dates and times in the file are read in. */
+  defaultTimeZone: PropTypes.string.isRequired,
+  /** Called with the number of reminders created. */
+  onImported: PropTypes.func,
+};
+
+export default CsvImportWizard;
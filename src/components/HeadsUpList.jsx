@@ -0,0 +1,95 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Box, VStack, HStack, Heading, Text, Button } from '@chakra-ui/react';
+import { BellIcon } from '@chakra-ui/icons';
+import { formatDateForDisplay, formatTimeForDisplay } from '../utils/helpers.js';
+import { usePreferences } from '../contexts/PreferencesContext.jsx';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// How far away an occurrence is, e.g. 'in 3 days', 'tomorrow' or 'in 2 hours'
+const describeTimeUntil = (occurrenceDate, now, timeZone) => {
+  const untilMs = occurrenceDate - now;
+  const dayDifference = Math.round(
+    (Date.parse(formatDateForDisplay(occurrenceDate, timeZone)) - Date.parse(formatDateForDisplay(now, timeZone))) /
+      DAY_MS
+  );
+  if (dayDifference > 1) {
+    return `in ${dayDifference} days`;
+  }
+  if (dayDifference === 1) {
+    return 'tomorrow';
+  }
+  const hours = Math.floor(untilMs / (60 * MINUTE_MS));
+  if (hours >= 1) {
+    return `in ${hours} hour${hours === 1 ? '' : 's'}`;
+  }
+  const minutes = Math.max(1, Math.ceil(untilMs / MINUTE_MS));
+  return `in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+/**
+ * Lists the "heads-up" entries of the dashboard: upcoming reminders whose lead-time alarm
+ * (e.g., "3 days before") has been reached, so there is still time to prepare.
+ *
+ * @param {object} props - The component props.
+ * @param {Array<{ reminder: object, occurrenceDate: Date }>} props.entries - The reminders to show with
+ *   the occurrence that is coming up, soonest first.
+ * @param {Date} props.now - The current time, for "in 3 days" labels.
+ * @param {function} props.onOpen - Called with the reminder's `id` to open it.
+ * @returns {JSX.Element | null} The rendered list, or nothing without entries.
+ */
+const HeadsUpList = ({ entries, now, onOpen }) => {
+  const { formatDate } = usePreferences();
+  if (entries.length === 0) {
+    return null;
+  }
+  return (
+    <Box borderWidth="1px" borderColor="pink.200" bg="pink.50" borderRadius="md" p={4}>
+      <HStack spacing={2} mb={3}>
+        <BellIcon color="pink.500" />
+        <Heading as="h3" size="sm">
+          Heads-up
+        </Heading>
+      </HStack>
+      <VStack spacing={2} align="stretch">
+        {entries.map(({ reminder, occurrenceDate }) => (
+          <HStack key={`${reminder.id}:${occurrenceDate.getTime()}`} justify="space-between" spacing={3}>
+            <Box minW={0}>
+              <Text fontWeight="medium" noOfLines={1}>
+                {reminder.text}
+              </Text>
+              <Text fontSize="sm" color="gray.600">
+                {describeTimeUntil(occurrenceDate, now, reminder.timeZone)} ·{' '}
+                {formatDate(occurrenceDate, reminder.timeZone)}
+                {!reminder.allDay && ` ${formatTimeForDisplay(occurrenceDate, reminder.timeZone)}`}
+              </Text>
+            </Box>
+            <Button size="sm" variant="outline" colorScheme="pink" flexShrink={0} onClick={() => onOpen(reminder.id)}>
+              Open
+            </Button>
+          </HStack>
+        ))}
+      </VStack>
+    </Box>
+  );
+};
+
+HeadsUpList.propTypes = {
+  entries: PropTypes.arrayOf(
+    PropTypes.shape({
+      reminder: PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        text: PropTypes.string.isRequired,
+        allDay: PropTypes.bool,
+        timeZone: PropTypes.string,
+      }).isRequired,
+      occurrenceDate: PropTypes.instanceOf(Date).isRequired,
+    })
+  ).isRequired,
+  now: PropTypes.instanceOf(Date).isRequired,
+  onOpen: PropTypes.func.isRequired,
+};
+
+export default HeadsUpList;
@@ -0,0 +1,277 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Modal,
+  ModalOverlay,
+  ModalContent,
+  ModalHeader,
+  ModalCloseButton,
+  ModalBody,
+  ModalFooter,
+  FormControl,
+  FormLabel,
+  FormHelperText,
+  Input,
+  Checkbox,
+  Alert,
+  AlertIcon,
+  Badge,
+  Box,
+  Button,
+  HStack,
+  VStack,
+  Text,
+} from '@chakra-ui/react';
+import { useAuth } from '../contexts/AuthContext.jsx';
+import { usePreferences } from '../contexts/PreferencesContext.jsx';
+import { addReminder, getReminders } from '../services/reminderService.js';
+import { parseICalendarEvents, findDuplicateReminder } from '../utils/icalendar.js';
+import { describeRecurrence } from '../utils/recurrence.js';
+import { usePreferredToast } from '../hooks/usePreferredToast.js';
+
+// e.g. '2031-03-05' or '2031-03-05 at 09:00' in the event's zone, with the day formatted by `formatDate`
+const formatEventDate = ({ date, allDay, timeZone }, formatDate) => {
+  const day = formatDate(date, timeZone);
+  if (allDay) {
+    return day;
+  }
+  const time = new Intl.DateTimeFormat(undefined, { timeZone, hour: '2-digit', minute: '2-digit' }).format(date);
+  return `${day} at ${time}`;
+};
+
+/**
+ * Dialog for importing reminders from an iCalendar (.ics) file. The events in the file are listed
+ * for review first: events that cannot be imported are shown with the reason, and events that
+ * look like an existing reminder (see `icalendar.findDuplicateReminder`) start unselected.
+ * Event categories are matched to the user's tags by name.
+ *
+ * @param {object} props - The component props.
+ * @param {boolean} props.isOpen - Whether the dialog is shown.
+ * @param {function} props.onClose - Called when the dialog is dismissed.
+ * @param {Array<{ id: string, name: string }>} props.tags - The user's tags.
+ * @param {string} props.defaultTimeZone - The zone of dates and floating times in the file.
+ * @param {function} [props.onImported] - Called with the number of reminders created.
+ * @returns {JSX.Element} The rendered dialog.
+ */
+const IcsImportDialog = ({ isOpen, onClose, tags, defaultTimeZone, onImported }) => {
+  const { currentUser } = useAuth();
+  const toast = usePreferredToast();
+  const { formatDate } = usePreferences();
+
+  // null until a file is read; then the file's events with `duplicate` and `selected`
+  const [events, setEvents] = useState(null);
+  const [fileError, setFileError] = useState(null);
+  const [isReading, setIsReading] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+
+  // Start over every time the dialog opens
+  useEffect(() => {
+    if (isOpen) {
+      setEvents(null);
+      setFileError(null);
+    }
+  }, [isOpen]);
+
+  /**
+   * Reads the chosen file and prepares the preview.
+   * @param {React.ChangeEvent<HTMLInputElement>} event - The file input's change event.
+   */
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) {
+      return;
+    }
+    setIsReading(true);
+    setEvents(null);
+    setFileError(null);
+    try {
+      const parsedEvents = parseICalendarEvents(await file.text(), { defaultTimeZone });
+      if (parsedEvents.length === 0) {
+        setFileError('The file does not contain any events.');
+        return;
+      }
+      const { reminders } = await getReminders(currentUser.uid);
+      const tagIdsByName = new Map(tags.map((tag) => [tag.name.toLowerCase(), tag.id]));
+      setEvents(
+        parsedEvents.map((parsedEvent) => {
+          const duplicate = findDuplicateReminder(parsedEvent, reminders);
+          const tagIds = parsedEvent.categories
+            .map((category) => tagIdsByName.get(category.toLowerCase()))
+            .filter(Boolean);
+          return {
+            ...parsedEvent,
+            draft: parsedEvent.draft && { ...parsedEvent.draft, tags: [...new Set(tagIds)] },
+            duplicate,
+            selected: !!parsedEvent.draft && !duplicate,
+          };
+        })
+      );
+    } catch (err) {
+      console.error('Error reading calendar file:', err);
+      setFileError(err instanceof TypeError ? err.message : 'Could not read the file. Please try again.');
+    } finally {
+      setIsReading(false);
+    }
+  };
+
+  const toggleEvent = (index) => {
+    setEvents((current) =>
+      current.map((event, i) => (i === index ? { ...event, selected: !event.selected } : event))
+    );
+  };
+
+  const selectedEvents = events ? events.filter((event) => event.selected) : [];
+
+  /**
+   * Creates a reminder for every selected event.
+   */
+  const handleImport = async () => {
+    setIsImporting(true);
+    let imported = 0;
+    // One at a time, so a failing event does not stop the others
+    for (const event of selectedEvents) {
+      try {
+        await addReminder(currentUser.uid, event.draft);
+        imported += 1;
+      } catch (err) {
+        console.error(`Error importing event "${event.draft.text}":`, err);
+      }
+    }
+    setIsImporting(false);
+
+    const failed = selectedEvents.length - imported;
+    toast({
+      title: failed === 0 ? 'Import Complete' : 'Import Incomplete',
+      description:
+        `${imported} reminder${imported === 1 ? '' : 's'} imported.` +
+        (failed > 0 ? ` ${failed} could not be imported.` : ''),
+      status: failed === 0 ? 'success' : 'warning',
+      duration: 5000,
+      isClosable: true,
+    });
+    if (imported > 0 && onImported) {
+      onImported(imported);
+    }
+    onClose();
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} size="xl" scrollBehavior="inside" isCentered>
+      <ModalOverlay />
+      <ModalContent mx={{ base: 4, sm: 0 }}>
+        <ModalHeader>Import from Calendar</ModalHeader>
+        <ModalCloseButton isDisabled={isImporting} />
+        <ModalBody>
+          <VStack spacing={4} align="stretch">
+            <FormControl>
+              <FormLabel htmlFor="ics-file">Calendar file</FormLabel>
+              <Input
+                id="ics-file"
+                type="file"
+                accept=".ics,text/calendar"
+                onChange={handleFileChange}
+                isDisabled={isReading || isImporting}
+                p={1}
+              />
+              <FormHelperText>An .ics file exported from this app or another calendar.</FormHelperText>
+            </FormControl>
+
+            {fileError && (
+              <Alert status="error" borderRadius="md">
+                <AlertIcon />
+                {fileError}
+              </Alert>
+            )}
+
+            {events && (
+              <VStack spacing={2} align="stretch">
+                <Text fontSize="sm" color="gray.600">
+                  {events.length} event{events.length === 1 ? '' : 's'} found. Possible duplicates are not
+                  selected.
+                </Text>
+                {events.map((event, index) => (
+                  <Box key={`${event.uid}-${index}`} p={3} borderWidth="1px" borderRadius="md">
+                    <Checkbox
+                      colorScheme="pink"
+                      isChecked={event.selected}
+                      onChange={() => toggleEvent(index)}
+                      isDisabled={!event.draft || isImporting}
+                      alignItems="flex-start"
+                    >
+                      <VStack spacing={0} align="stretch" ml={1}>
+                        <HStack spacing={2} wrap="wrap">
+                          <Text fontWeight="semibold" wordBreak="break-word">
+                            {event.draft?.text || 'Untitled event'}
+                          </Text>
+                          {event.duplicate && <Badge colorScheme="orange">Duplicate</Badge>}
+                          {event.error && <Badge colorScheme="red">Cannot import</Badge>}
+                        </HStack>
+                        {event.draft && (
+                          <Text fontSize="sm" color="gray.600">
+                            {formatEventDate(event.draft, formatDate)}
+                            {event.draft.recurrence &&
+                              ` · ${describeRecurrence(event.draft.recurrence, { timeZone: event.draft.timeZone })}`}
+                          </Text>
+                        )}
+                        {event.duplicate && (
+                          <Text fontSize="sm" color="orange.600">
+                            Looks like &quot;{event.duplicate.text}&quot; on{' '}
+                            {formatDate(event.duplicate.date, event.duplicate.timeZone)}.
+                          </Text>
+                        )}
+                        {event.error && (
+                          <Text fontSize="sm" color="red.600">
+                            {event.error}
+                          </Text>
+                        )}
+                        {event.warnings.map((warning) => (
+                          <Text key={warning} fontSize="xs" color="gray.500">
+                            {warning}
+                          </Text>
+                        ))}
+                      </VStack>
+                    </Checkbox>
+                  </Box>
+                ))}
+              </VStack>
+            )}
+          </VStack>
+        </ModalBody>
+        <ModalFooter>
+          <Button variant="ghost" mr={3} onClick={onClose} isDisabled={isImporting}>
+            Cancel
+          </Button>
+          <Button
+            colorScheme="pink"
+            onClick={handleImport}
+            isLoading={isImporting}
+            isDisabled={selectedEvents.length === 0 || isReading}
+          >
+            Import {selectedEvents.length > 0 ? selectedEvents.length : ''} Reminder
+            {selectedEvents.length === 1 ? '' : 's'}
+          </Button>
+        </ModalFooter>
+      </ModalContent>
+    </Modal>
+  );
+};
+
+IcsImportDialog.propTypes = {
+  /** Whether the dialog is shown. */
+  isOpen: PropTypes.bool.isRequired,
+  /** Called when the dialog is dismissed. */
+  onClose: PropTypes.func.isRequired,
+  /** The user's tags, for matching event categories by name. */
+  tags: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+  /** The zone of dates and floating times in the file. */
+  defaultTimeZone: PropTypes.string.isRequired,
+  /** Called with the number of reminders created. */
+  onImported: PropTypes.func,
+};
+
+export default IcsImportDialog;
@@ -0,0 +1,226 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import {
+  VStack,
+  HStack,
+  FormControl,
+  FormLabel,
+  FormErrorMessage,
+  FormHelperText,
+  Input,
+  Textarea,
+  Select,
+  Button,
+} from '@chakra-ui/react';
+import TagPicker from './TagPicker.jsx';
+import { MAX_TAGS_PER_REMINDER } from '../services/reminderService.js';
+import { MAX_IDEA_TITLE_LENGTH, MAX_IDEA_LINKS, isValidIdeaLink } from '../services/ideaService.js';
+import { getSupportedCurrencies } from '../utils/helpers.js';
+
+// Links are edited one per line
+const parseLinks = (value) =>
+  value
+    .split('\n')
+    .map((line) => line.trim())
+    .filter((line) => line !== '');
+
+/**
+ * Form for editing the details of a gift idea: title, notes, links, estimated price and tags.
+ *
+ * @param {object} props - The component props.
+ * @param {import("../services/ideaService.js").Idea} props.initialData - The idea being edited.
+ * @param {function} props.onSubmit - Called with `{ title, notes, links, estimatedPrice, currency, tags }`.
+ * @param {function} props.onCancel - Called when the user cancels.
+ * @param {boolean} [props.isSubmitting=false] - Disables the form while saving.
+ * @param {Array<{ id: string, name: string, color: string }>} [props.tags=[]] - The user's tags.
+ * @param {string} [props.currency='USD'] - Currency preselected for ideas without one (the budget currency).
+ * @returns {JSX.Element} The rendered form.
+ */
+const IdeaForm = ({ initialData, onSubmit, onCancel, isSubmitting = false, tags = [], currency = 'USD' }) => {
+  const [title, setTitle] = useState('');
+  const [notes, setNotes] = useState('');
+  const [links, setLinks] = useState(''); // One URL per line
+  const [price, setPrice] = useState('');
+  const [priceCurrency, setPriceCurrency] = useState(currency);
+  const [selectedTags, setSelectedTags] = useState([]);
+  const [errors, setErrors] = useState({});
+
+  // Populate the form whenever another idea is edited
+  useEffect(() => {
+    setTitle(initialData.title);
+    setNotes(initialData.notes || '');
+    setLinks(initialData.links.join('\n'));
+    setPrice(initialData.estimatedPrice != null ? String(initialData.estimatedPrice) : '');
+    setPriceCurrency(initialData.currency || currency);
+    setSelectedTags(initialData.tags);
+    setErrors({});
+  }, [initialData, currency]);
+
+  /**
+   * Validates the input and passes the idea details to `onSubmit`.
+   * @param {React.FormEvent<HTMLFormElement>} event - The form submission event.
+   */
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const newErrors = {};
+    const trimmedTitle = title.trim();
+    if (!trimmedTitle) {
+      newErrors.title = 'Please describe the idea.';
+    } else if (trimmedTitle.length > MAX_IDEA_TITLE_LENGTH) {
+      newErrors.title = `Keep it under ${MAX_IDEA_TITLE_LENGTH} characters.`;
+    }
+    const parsedLinks = parseLinks(links);
+    const invalidLink = parsedLinks.find((link) => !isValidIdeaLink(link));
+    if (invalidLink) {
+      newErrors.links = `"${invalidLink}" is not a web address (it should start with https://).`;
+    } else if (new Set(parsedLinks).size > MAX_IDEA_LINKS) {
+      newErrors.links = `Add at most ${MAX_IDEA_LINKS} links.`;
+    }
+    const estimatedPrice = price.trim() === '' ? null : Number(price);
+    if (estimatedPrice !== null && !(estimatedPrice >= 0)) {
+      newErrors.price = 'Please enter a valid amount.';
+    }
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) {
+      return;
+    }
+
+    onSubmit({
+      title: trimmedTitle,
+      notes: notes.trim() || null,
+      links: parsedLinks,
+      estimatedPrice,
+      // Only a price needs a currency
+      currency: estimatedPrice !== null ? priceCurrency : null,
+      tags: selectedTags,
+    });
+  };
+
+  return (
+    <VStack as="form" onSubmit={handleSubmit} spacing={4} align="stretch" noValidate>
+      <FormControl isRequired isInvalid={!!errors.title}>
+        <FormLabel htmlFor="idea-title">Idea</FormLabel>
+        <Input
+          id="idea-title"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          maxLength={MAX_IDEA_TITLE_LENGTH}
+          isDisabled={isSubmitting}
+        />
+        {errors.title && <FormErrorMessage>{errors.title}</FormErrorMessage>}
+      </FormControl>
+
+      <FormControl>
+        <FormLabel htmlFor="idea-notes">Notes</FormLabel>
+        <Textarea
+          id="idea-notes"
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          placeholder="Sizes, colors, where to buy..."
+          isDisabled={isSubmitting}
+        />
+      </FormControl>
+
+      <FormControl isInvalid={!!errors.links}>
+        <FormLabel htmlFor="idea-links">Links</FormLabel>
+        <Textarea
+          id="idea-links"
+          value={links}
+          onChange={(e) => setLinks(e.target.value)}
+          placeholder="https://..."
+          rows={2}
+          isDisabled={isSubmitting}
+        />
+        {errors.links ? (
+          <FormErrorMessage>{errors.links}</FormErrorMessage>
+        ) : (
+          <FormHelperText>One web address per line.</FormHelperText>
+        )}
+      </FormControl>
+
+      <HStack spacing={3} align="flex-start">
+        <FormControl isInvalid={!!errors.price}>
+          <FormLabel htmlFor="idea-price">Estimated price</FormLabel>
+          <Input
+            id="idea-price"
+            type="number"
+            min="0"
+            step="0.01"
+            inputMode="decimal"
+            placeholder="Optional"
+            value={price}
+            onChange={(e) => setPrice(e.target.value)}
+            isDisabled={isSubmitting}
+          />
+          {errors.price && <FormErrorMessage>{errors.price}</FormErrorMessage>}
+        </FormControl>
+        <FormControl w="110px" flexShrink={0}>
+          <FormLabel htmlFor="idea-currency">Currency</FormLabel>
+          <Select
+            id="idea-currency"
+            value={priceCurrency}
+            onChange={(e) => setPriceCurrency(e.target.value)}
+            isDisabled={isSubmitting}
+          >
+            {getSupportedCurrencies().map((code) => (
+              <option key={code} value={code}>
+                {code}
+              </option>
+            ))}
+          </Select>
+        </FormControl>
+      </HStack>
+
+      <FormControl>
+        <FormLabel>Tags</FormLabel>
+        <TagPicker
+          tags={tags}
+          value={selectedTags}
+          onChange={setSelectedTags}
+          isDisabled={isSubmitting}
+          maxSelected={MAX_TAGS_PER_REMINDER}
+          emptyMessage="No tags yet. Create some with Manage tags on the dashboard."
+        />
+      </FormControl>
+
+      <HStack justify="flex-end" spacing={3}>
+        <Button variant="ghost" onClick={onCancel} isDisabled={isSubmitting}>
+          Cancel
+        </Button>
+        <Button type="submit" colorScheme="pink" isLoading={isSubmitting}>
+          Save Idea
+        </Button>
+      </HStack>
+    </VStack>
+  );
+};
+
+IdeaForm.propTypes = {
+  /** The idea being edited. */
+  initialData: PropTypes.shape({
+    title: PropTypes.string.isRequired,
+    notes: PropTypes.string,
+    links: PropTypes.arrayOf(PropTypes.string).isRequired,
+    estimatedPrice: PropTypes.number,
+    currency: PropTypes.string,
+    tags: PropTypes.arrayOf(PropTypes.string).isRequired,
+  }).isRequired,
+  /** Receives `{ title, notes, links, estimatedPrice, currency, tags }`. */
+  onSubmit: PropTypes.func.isRequired,
+  /** Called when the user cancels. */
+  onCancel: PropTypes.func.isRequired,
+  /** Disables the form while saving. */
+  isSubmitting: PropTypes.bool,
+  /** The user's tags. */
+  tags: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      color: PropTypes.string.isRequired,
+    })
+  ),
+  /** Currency preselected for ideas without one. */
+  currency: PropTypes.string,
+};
+
+export default IdeaForm;
@@ -6,18 +6,52 @@ import {
   Button,
   Text,
   Spacer,
+  Badge,
+  HStack,
+  IconButton,
+  Tooltip,
   useTheme, // Import useTheme to access theme values
 } from '@chakra-ui/react';
+import { BellIcon, EmailIcon } from '@chakra-ui/icons';
+import { Link as RouterLink, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext.jsx'; // Corrected relative path
+import { isEmulatorMode } from '../config/firebase.js';
+import { useMutationQueue } from '../hooks/useMutationQueue.js';
+import { useNotificationSettings } from '../hooks/useNotificationSettings.js';
+import { useUserSettings } from '../hooks/useUserSettings.js';
+import { usePreferredToast } from '../hooks/usePreferredToast.js';
+import { updateUserSettings } from '../services/settingsService.js';
+
+// Pages reachable from the navigation bar
+const NAV_LINKS = [
+  { to: '/', label: 'Reminders' },
+  { to: '/ideas', label: 'Ideas' },
+  { to: '/recipients', label: 'Recipients' },
+  { to: '/trash', label: 'Trash' },
+  { to: '/backup', label: 'Backup' },
+  { to: '/preferences', label: 'Preferences' },
+  { to: '/settings', label: 'Settings' },
+];
 
 /**
  * Navbar component displays the application title and user authentication status.
- * It provides a logout button for authenticated users.
+ * It provides navigation links and a logout button for authenticated users, and a sync
+ * badge while reminder changes are waiting in the offline mutation queue, a bell that turns
+ * browser notifications for due reminders on or off, and an envelope that subscribes to the
+ * weekly email digest. An "EMULATOR" badge marks builds connected to the local Firebase emulators.
  */
 const Navbar = () => {
   const { currentUser, logout } = useAuth(); // Consume the AuthContext
   const [isLoggingOut, setIsLoggingOut] = useState(false); // Local loading state for logout action
   const theme = useTheme(); // Access the theme object
+  const { pending, isOnline } = useMutationQueue(); // Pending-writes indicator state
+  const location = useLocation();
+  const pendingCount = pending.length;
+  const notifications = useNotificationSettings();
+  const [isChangingNotifications, setIsChangingNotifications] = useState(false);
+  const { settings, loading: settingsLoading } = useUserSettings();
+  const [isChangingDigest, setIsChangingDigest] = useState(false);
+  const toast = usePreferredToast();
 
   /**
    * Handles the logout button click event.
@@ -38,6 +72,74 @@ const Navbar = () => {
     }
   }, [logout]); // Dependency array includes the stable logout function from context
 
+  /**
+   * Turns reminder notifications on (asking for the browser permission) or off.
+   */
+  const handleToggleNotifications = useCallback(async () => {
+    const enable = !notifications.enabled;
+    setIsChangingNotifications(true);
+    try {
+      await notifications.setEnabled(enable);
+      toast({
+        title: enable ? 'Notifications On' : 'Notifications Off',
+        description: enable
+          ? 'You will be notified when reminders are due while the app is open in a tab. Reminders that fall due while it is closed are shown when you open it again.'
+          : 'You will no longer be notified about due reminders on this device.',
+        status: 'success',
+        duration: 4000,
+        isClosable: true,
+      });
+    } catch (error) {
+      console.error('Changing notifications failed in Navbar:', error);
+      toast({
+        title: 'Notifications Unavailable',
+        description: error.message || 'Could not turn on notifications.',
+        status: 'error',
+        duration: 6000,
+        isClosable: true,
+      });
+    } finally {
+      setIsChangingNotifications(false);
+    }
+  }, [notifications, toast]);
+
+  const notificationLabel = notifications.enabled
+    ? 'Turn off reminder notifications'
+    : 'Turn on reminder notifications (shown while the app is open)';
+
+  /**
+   * Subscribes to or unsubscribes from the weekly email digest.
+   */
+  const handleToggleDigest = useCallback(async () => {
+    const enable = !settings.weeklyDigest;
+    setIsChangingDigest(true);
+    try {
+      await updateUserSettings(currentUser.uid, { weeklyDigest: enable });
+      toast({
+        title: enable ? 'Weekly Digest On' : 'Weekly Digest Off',
+        description: enable
+          ? `A summary of the coming week will be emailed to ${currentUser.email} every Monday.`
+          : 'You will no longer receive the weekly email digest.',
+        status: 'success',
+        duration: 4000,
+        isClosable: true,
+      });
+    } catch (error) {
+      console.error('Changing the weekly digest failed in Navbar:', error);
+      toast({
+        title: 'Save Failed',
+        description: error.message || 'Could not change the weekly digest.',
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setIsChangingDigest(false);
+    }
+  }, [settings.weeklyDigest, currentUser, toast]);
+
+  const digestLabel = settings.weeklyDigest ? 'Unsubscribe from the weekly email digest' : 'Get a weekly email digest';
+
   return (
     <Flex
       as="nav"
@@ -60,11 +162,89 @@ const Navbar = () => {
         Sweet Surprises
       </Heading>
 
+      {/* Emulator mode - make sure nobody mistakes local data for production */}
+      {isEmulatorMode && (
+        <Badge
+          colorScheme="red"
+          variant="solid"
+          ml={3}
+          fontSize="0.8em"
+          title="Connected to the local Firebase emulators, not production"
+        >
+          Emulator
+        </Badge>
+      )}
+
+      {/* Page Navigation - Render only if user is logged in */}
+      {currentUser && (
+        <HStack as="ul" listStyleType="none" spacing={1} ml={{ base: 0, md: 6 }}>
+          {NAV_LINKS.map(({ to, label }) => (
+            <li key={to}>
+              <Button
+                as={RouterLink}
+                to={to}
+                size="sm"
+                variant={location.pathname === to ? 'solid' : 'ghost'}
+                colorScheme="pink"
+                aria-current={location.pathname === to ? 'page' : undefined}
+              >
+                {label}
+              </Button>
+            </li>
+          ))}
+        </HStack>
+      )}
+
       <Spacer /> {/* Pushes user info/logout to the right */}
 
       {/* User Information and Logout Button - Render only if user is logged in */}
       {currentUser && (
         <Flex align="center">
+          {/* Sync Status - offline or changes not yet confirmed by storage */}
+          {(!isOnline || pendingCount > 0) && (
+            <Badge
+              colorScheme={isOnline ? 'yellow' : 'orange'}
+              mr={4}
+              variant="subtle"
+              title={isOnline ? 'Saving your changes' : 'Changes will sync when you reconnect'}
+            >
+              {isOnline ? 'Syncing' : 'Offline'}
+              {pendingCount > 0 && ` · ${pendingCount} pending`}
+            </Badge>
+          )}
+          {/* Notification toggle - only where the browser can show notifications */}
+          {notifications.supported && (
+            <Tooltip label={notificationLabel}>
+              <IconButton
+                icon={<BellIcon />}
+                aria-label={notificationLabel}
+                aria-pressed={notifications.enabled}
+                size="sm"
+                mr={4}
+                colorScheme="pink"
+                variant={notifications.enabled ? 'solid' : 'ghost'}
+                onClick={handleToggleNotifications}
+                isLoading={isChangingNotifications}
+              />
+            </Tooltip>
+          )}
+          {/* Weekly digest subscription - the digest is sent to the account's email */}
+          {currentUser.email && (
+            <Tooltip label={digestLabel}>
+              <IconButton
+                icon={<EmailIcon />}
+                aria-label={digestLabel}
+                aria-pressed={settings.weeklyDigest}
+                size="sm"
+                mr={4}
+                colorScheme="pink"
+                variant={settings.weeklyDigest ? 'solid' : 'ghost'}
+                onClick={handleToggleDigest}
+                isLoading={isChangingDigest}
+                isDisabled={settingsLoading}
+              />
+            </Tooltip>
+          )}
           {/* Defensive check for currentUser and email before rendering */}
           {currentUser.email && (
             <Text fontSize="sm" mr={4} display={{ base: 'none', md: 'block' }}> {/* Hide email on smaller screens */}
@@ -0,0 +1,239 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Modal,
+  ModalOverlay,
+  ModalContent,
+  ModalHeader,
+  ModalCloseButton,
+  ModalBody,
+  ModalFooter,
+  FormControl,
+  FormLabel,
+  Input,
+  Button,
+  VStack,
+  Text,
+  Alert,
+  AlertIcon,
+} from '@chakra-ui/react';
+import { useLocation } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext.jsx';
+import { isLocalMode } from '../config/storage.js';
+
+/**
+ * Modal that asks the user to confirm their identity (password or Google, depending on the
+ * account's sign-in methods, or a link emailed to them) and then runs a sensitive action, such
+ * as changing the password or deleting the account. In local mode there is nothing to confirm,
+ * so it only asks to proceed.
+ *
+ * The emailed link can be pasted into the modal. Opened from the email instead, it leads back
+ * to the current page, which confirms the identity with it (`reauthenticate({ emailLink })`)
+ * and then opens the modal with `isConfirmed`.
+ *
+ * @param {object} props - The component props.
+ * @param {boolean} props.isOpen - Whether the modal is shown.
+ * @param {function} props.onClose - Called when the modal is closed (also after the action succeeded).
+ * @param {string} props.title - The modal title, e.g. 'Change Password'.
+ * @param {string} props.confirmLabel - Label of the confirm button, e.g. 'Delete My Account'.
+ * @param {string} [props.confirmColorScheme='pink'] - Color scheme of the confirm button.
+ * @param {() => Promise<string | null>} props.onConfirmed - Runs the action after the identity is confirmed;
+ *   resolves with an error message to show, or null on success.
+ * @param {boolean} [props.isConfirmed=false] - The user just confirmed their identity, so only ask to proceed.
+ * @param {React.ReactNode} [props.children] - Shown above the identity check, e.g. a warning or progress.
+ * @returns {JSX.Element} The rendered modal.
+ */
+const ReauthenticateModal = ({
+  isOpen,
+  onClose,
+  title,
+  confirmLabel,
+  confirmColorScheme = 'pink',
+  onConfirmed,
+  isConfirmed = false,
+  children,
+}) => {
+  const { currentUser, reauthenticate, sendConfirmationLink, signInProviders } = useAuth();
+  const location = useLocation();
+  const [password, setPassword] = useState('');
+  const [emailLink, setEmailLink] = useState('');
+  const [isLinkSent, setIsLinkSent] = useState(false);
+  const [error, setError] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+
+  const needsIdentity = !isLocalMode && !isConfirmed;
+  const hasPassword = signInProviders.includes('password');
+  const hasGoogle = signInProviders.includes('google.com');
+
+  // Start empty every time the modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setPassword('');
+      setEmailLink('');
+      setIsLinkSent(false);
+      setError(null);
+    }
+  }, [isOpen]);
+
+  /**
+   * Emails a confirmation link that leads back to this page.
+   */
+  const handleSendLink = async () => {
+    setIsWorking(true);
+    setError(null);
+    const errorMessage = await sendConfirmationLink(location.pathname);
+    setIsWorking(false);
+    if (errorMessage) {
+      setError(errorMessage);
+      return;
+    }
+    setIsLinkSent(true);
+  };
+
+  /**
+   * Confirms the identity with `method`, then runs the action.
+   * @param {{ password: string } | { provider: 'google' } | { emailLink: string } | null} method - null when
+   *   there is nothing to confirm.
+   */
+  const confirmAndRun = async (method) => {
+    setIsWorking(true);
+    setError(null);
+    const reauthError = method ? await reauthenticate(method) : null;
+    const actionError = reauthError ?? (await onConfirmed());
+    setIsWorking(false);
+    if (actionError) {
+      setError(actionError);
+      return;
+    }
+    onClose();
+  };
+
+  /**
+   * Submits the password or pasted link (or just proceeds when there is nothing to confirm).
+   * @param {React.FormEvent<HTMLFormElement>} event - The form submission event.
+   */
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (!needsIdentity) {
+      confirmAndRun(null);
+      return;
+    }
+    if (isLinkSent && emailLink.trim()) {
+      confirmAndRun({ emailLink: emailLink.trim() });
+      return;
+    }
+    if (isLinkSent && !hasPassword) {
+      setError('Please paste the link from the email.');
+      return;
+    }
+    if (!password) {
+      setError('Please enter your current password.');
+      return;
+    }
+    confirmAndRun({ password });
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={isWorking ? () => {} : onClose} isCentered closeOnOverlayClick={!isWorking}>
+      <ModalOverlay />
+      <ModalContent as="form" onSubmit={handleSubmit} mx={{ base: 4, sm: 0 }}>
+        <ModalHeader>{title}</ModalHeader>
+        {!isWorking && <ModalCloseButton />}
+        <ModalBody>
+          <VStack spacing={4} align="stretch">
+            {children}
+
+            {error && (
+              <Alert status="error" borderRadius="md">
+                <AlertIcon />
+                {error}
+              </Alert>
+            )}
+
+            {needsIdentity && (
+              <Text fontSize="sm" color="gray.600">
+                For your security, please confirm it&apos;s you.
+              </Text>
+            )}
+
+            {!isLocalMode && isConfirmed && (
+              <Text fontSize="sm" color="gray.600">
+                You confirmed it&apos;s you with the link from your email.
+              </Text>
+            )}
+
+            {needsIdentity && hasPassword && (
+              <FormControl isRequired>
+                <FormLabel htmlFor="reauth-password">Current password</FormLabel>
+                <Input
+                  id="reauth-password"
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  autoComplete="current-password"
+                  isDisabled={isWorking}
+                />
+              </FormControl>
+            )}
+
+            {needsIdentity && hasGoogle && (
+              <Button
+                variant="outline"
+                onClick={() => confirmAndRun({ provider: 'google' })}
+                isDisabled={isWorking}
+              >
+                {hasPassword ? 'Or confirm with Google' : 'Confirm with Google'}
+              </Button>
+            )}
+
+            {needsIdentity && currentUser?.email && !isLinkSent && (
+              <Button variant="outline" onClick={handleSendLink} isDisabled={isWorking}>
+                {hasPassword || hasGoogle ? 'Or email me a confirmation link' : 'Email me a confirmation link'}
+              </Button>
+            )}
+
+            {needsIdentity && isLinkSent && (
+              <FormControl>
+                <FormLabel htmlFor="reauth-email-link">Link from the email</FormLabel>
+                <Input
+                  id="reauth-email-link"
+                  type="url"
+                  value={emailLink}
+                  onChange={(e) => setEmailLink(e.target.value)}
+                  autoComplete="off"
+                  isDisabled={isWorking}
+                />
+                <Text fontSize="xs" color="gray.500" mt={1}>
+                  We sent a link to {currentUser.email}. Open it in this browser, or copy it and paste it here.
+                </Text>
+              </FormControl>
+            )}
+          </VStack>
+        </ModalBody>
+        <ModalFooter>
+          <Button variant="ghost" mr={3} onClick={onClose} isDisabled={isWorking}>
+            Cancel
+          </Button>
+          {(!needsIdentity || hasPassword || isLinkSent) && (
+            <Button type="submit" colorScheme={confirmColorScheme} isLoading={isWorking}>
+              {confirmLabel}
+            </Button>
+          )}
+        </ModalFooter>
+      </ModalContent>
+    </Modal>
+  );
+};
+
+ReauthenticateModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  title: PropTypes.string.isRequired,
+  confirmLabel: PropTypes.string.isRequired,
+  confirmColorScheme: PropTypes.string,
+  onConfirmed: PropTypes.func.isRequired,
+  isConfirmed: PropTypes.bool,
+  children: PropTypes.node,
+};
+
+export default ReauthenticateModal;
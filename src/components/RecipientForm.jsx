@@ -0,0 +1,238 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import {
+  VStack,
+  HStack,
+  Stack,
+  FormControl,
+  FormLabel,
+  FormErrorMessage,
+  FormHelperText,
+  Input,
+  Textarea,
+  Button,
+  Text,
+} from '@chakra-ui/react';
+import {
+  MAX_RECIPIENT_NAME_LENGTH,
+  MAX_RECIPIENT_LIST_ITEMS,
+  RECIPIENT_KEY_DATE_LABELS,
+} from '../services/recipientService.js';
+import { RECIPIENT_KEY_DATES } from '../services/reminderService.js';
+import { parseDateString } from '../utils/helpers.js';
+
+// Favorites are edited one per line, sizes as 'Label: value' lines
+const parseLines = (value) =>
+  value
+    .split('\n')
+    .map((line) => line.trim())
+    .filter((line) => line !== '');
+
+const formatSizes = (sizes) => sizes.map(({ label, value }) => `${label}: ${value}`).join('\n');
+
+/**
+ * Form for adding or editing a recipient: name, relationship, key dates, favorites, sizes and notes.
+ *
+ * @param {object} props - The component props.
+ * @param {import("../services/recipientService.js").Recipient | null} [props.initialData=null] - The recipient
+ *   being edited, or null for a new one.
+ * @param {function} props.onSubmit - Called with `{ name, relationship, birthday, anniversary, relationshipStart,
+ *   favorites, sizes, notes }`.
+ * @param {function} props.onCancel - Called when the user cancels.
+ * @param {boolean} [props.isSubmitting=false] - Disables the form while saving.
+ * @returns {JSX.Element} The rendered form.
+ */
+const RecipientForm = ({ initialData = null, onSubmit, onCancel, isSubmitting = false }) => {
+  const [name, setName] = useState('');
+  const [relationship, setRelationship] = useState('');
+  const [keyDates, setKeyDates] = useState({}); // 'YYYY-MM-DD' per key date, '' when unset
+  const [favorites, setFavorites] = useState(''); // One per line
+  const [sizes, setSizes] = useState(''); // 'Label: value' per line
+  const [notes, setNotes] = useState('');
+  const [errors, setErrors] = useState({});
+
+  // Populate the form whenever another recipient is edited
+  useEffect(() => {
+    setName(initialData?.name || '');
+    setRelationship(initialData?.relationship || '');
+    setKeyDates(Object.fromEntries(RECIPIENT_KEY_DATES.map((keyDate) => [keyDate, initialData?.[keyDate] || ''])));
+    setFavorites(initialData ? initialData.favorites.join('\n') : '');
+    setSizes(initialData ? formatSizes(initialData.sizes) : '');
+    setNotes(initialData?.notes || '');
+    setErrors({});
+  }, [initialData]);
+
+  /**
+   * Validates the input and passes the recipient details to `onSubmit`.
+   * @param {React.FormEvent<HTMLFormElement>} event - The form submission event.
+   */
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const newErrors = {};
+    const trimmedName = name.trim();
+    if (!trimmedName) {
+      newErrors.name = 'Please enter a name.';
+    }
+    RECIPIENT_KEY_DATES.forEach((keyDate) => {
+      if (keyDates[keyDate] && !parseDateString(keyDates[keyDate])) {
+        newErrors[keyDate] = 'Please enter a valid date.';
+      }
+    });
+    const parsedFavorites = [...new Set(parseLines(favorites))];
+    if (parsedFavorites.length > MAX_RECIPIENT_LIST_ITEMS) {
+      newErrors.favorites = `Add at most ${MAX_RECIPIENT_LIST_ITEMS} favorites.`;
+    }
+    const sizeLines = parseLines(sizes);
+    const parsedSizes = sizeLines.map((line) => {
+      const separator = line.indexOf(':');
+      return { label: line.slice(0, separator).trim(), value: line.slice(separator + 1).trim() };
+    });
+    const invalidSize = sizeLines.find((line, index) => !parsedSizes[index].label || !parsedSizes[index].value);
+    if (invalidSize) {
+      newErrors.sizes = `"${invalidSize}" should look like "Shoes: 39".`;
+    } else if (parsedSizes.length > MAX_RECIPIENT_LIST_ITEMS) {
+      newErrors.sizes = `Add at most ${MAX_RECIPIENT_LIST_ITEMS} sizes.`;
+    }
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) {
+      return;
+    }
+
+    onSubmit({
+      name: trimmedName,
+      relationship: relationship.trim() || null,
+      ...Object.fromEntries(RECIPIENT_KEY_DATES.map((keyDate) => [keyDate, keyDates[keyDate] || null])),
+      favorites: parsedFavorites,
+      sizes: parsedSizes,
+      notes: notes.trim() || null,
+    });
+  };
+
+  return (
+    <VStack as="form" onSubmit={handleSubmit} spacing={4} align="stretch" noValidate>
+      <Stack direction={{ base: 'column', sm: 'row' }} spacing={3} align="flex-start">
+        <FormControl isRequired isInvalid={!!errors.name}>
+          <FormLabel htmlFor="recipient-name">Name</FormLabel>
+          <Input
+            id="recipient-name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            maxLength={MAX_RECIPIENT_NAME_LENGTH}
+            isDisabled={isSubmitting}
+          />
+          {errors.name && <FormErrorMessage>{errors.name}</FormErrorMessage>}
+        </FormControl>
+        <FormControl>
+          <FormLabel htmlFor="recipient-relationship">Relationship</FormLabel>
+          <Input
+            id="recipient-relationship"
+            value={relationship}
+            onChange={(e) => setRelationship(e.target.value)}
+            placeholder="e.g. Sister, Partner"
+            maxLength={MAX_RECIPIENT_NAME_LENGTH}
+            isDisabled={isSubmitting}
+          />
+        </FormControl>
+      </Stack>
+
+      <Stack direction={{ base: 'column', sm: 'row' }} spacing={3} align="flex-start">
+        {RECIPIENT_KEY_DATES.map((keyDate) => (
+          <FormControl key={keyDate} isInvalid={!!errors[keyDate]}>
+            <FormLabel htmlFor={`recipient-${keyDate}`}>{RECIPIENT_KEY_DATE_LABELS[keyDate]}</FormLabel>
+            <Input
+              id={`recipient-${keyDate}`}
+              type="date"
+              value={keyDates[keyDate] || ''}
+              onChange={(e) => setKeyDates((current) => ({ ...current, [keyDate]: e.target.value }))}
+              isDisabled={isSubmitting}
+            />
+            {errors[keyDate] && <FormErrorMessage>{errors[keyDate]}</FormErrorMessage>}
+          </FormControl>
+        ))}
+      </Stack>
+      <Text fontSize="sm" color="gray.600" mt={-2}>
+        A yearly reminder is created for every date you enter.
+      </Text>
+
+      <FormControl isInvalid={!!errors.favorites}>
+        <FormLabel htmlFor="recipient-favorites">Favorite things</FormLabel>
+        <Textarea
+          id="recipient-favorites"
+          value={favorites}
+          onChange={(e) => setFavorites(e.target.value)}
+          placeholder="Green tea&#10;Jazz records"
+          rows={3}
+          isDisabled={isSubmitting}
+        />
+        {errors.favorites ? (
+          <FormErrorMessage>{errors.favorites}</FormErrorMessage>
+        ) : (
+          <FormHelperText>One per line.</FormHelperText>
+        )}
+      </FormControl>
+
+      <FormControl isInvalid={!!errors.sizes}>
+        <FormLabel htmlFor="recipient-sizes">Sizes</FormLabel>
+        <Textarea
+          id="recipient-sizes"
+          value={sizes}
+          onChange={(e) => setSizes(e.target.value)}
+          placeholder="Shoes: 39&#10;Shirt: M"
+          rows={3}
+          isDisabled={isSubmitting}
+        />
+        {errors.sizes ? (
+          <FormErrorMessage>{errors.sizes}</FormErrorMessage>
+        ) : (
+          <FormHelperText>One per line, as &quot;What: size&quot;.</FormHelperText>
+        )}
+      </FormControl>
+
+      <FormControl>
+        <FormLabel htmlFor="recipient-notes">Notes</FormLabel>
+        <Textarea
+          id="recipient-notes"
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          isDisabled={isSubmitting}
+        />
+      </FormControl>
+
+      <HStack justify="flex-end" spacing={3}>
+        <Button variant="ghost" onClick={onCancel} isDisabled={isSubmitting}>
+          Cancel
+        </Button>
+        <Button type="submit" colorScheme="pink" isLoading={isSubmitting}>
+          {initialData ? 'Save Recipient' : 'Add Recipient'}
+        </Button>
+      </HStack>
+    </VStack>
+  );
+};
+
+RecipientForm.propTypes = {
+  /** The recipient being edited, or null for a new one. */
+  initialData: PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    relationship: PropTypes.string,
+    birthday: PropTypes.string,
+    anniversary: PropTypes.string,
+    relationshipStart: PropTypes.string,
+    favorites: PropTypes.arrayOf(PropTypes.string).isRequired,
+    sizes: PropTypes.arrayOf(
+      PropTypes.shape({
+        label: PropTypes.string.isRequired,
+        value: PropTypes.string.isRequired,
+      })
+    ).isRequired,
+    notes: PropTypes.string,
+  }),
+  /** Receives `{ name, relationship, birthday, anniversary, relationshipStart, favorites, sizes, notes }`. */
+  onSubmit: PropTypes.func.isRequired,
+  /** Called when the user cancels. */
+  onCancel: PropTypes.func.isRequired,
+  /** Disables the form while saving. */
+  isSubmitting: PropTypes.bool,
+};
+
+export default RecipientForm;
@@ -0,0 +1,307 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import {
+  VStack,
+  HStack,
+  FormControl,
+  FormLabel,
+  FormErrorMessage,
+  Select,
+  Input,
+  Text,
+  Checkbox,
+  CheckboxGroup,
+  Radio,
+  RadioGroup,
+  Stack,
+} from '@chakra-ui/react';
+import {
+  WEEKDAY_LABELS,
+  getNthWeekdayOfDate,
+  describeRecurrence,
+} from '../utils/recurrence.js';
+import { parseDateString, formatDateForDisplay, zonedTimeToDate } from '../utils/helpers.js';
+
+const ORDINALS = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth' };
+const UNIT_LABELS = { DAILY: 'day(s)', WEEKLY: 'week(s)', MONTHLY: 'month(s)', YEARLY: 'year(s)' };
+
+/**
+ * Editor state for a "does not repeat" reminder.
+ * `freq` is '' when the reminder does not repeat; numeric fields are kept as strings for the inputs.
+ */
+export const EMPTY_RECURRENCE_STATE = {
+  freq: '',
+  interval: '1',
+  byDay: [],
+  monthlyMode: 'dayOfMonth', // 'dayOfMonth' | 'nthWeekday' | 'lastWeekday'
+  endMode: 'never', // 'never' | 'until' | 'count'
+  until: '',
+  count: '',
+};
+
+/**
+ * Converts a stored recurrence rule into editor state.
+ * @param {object | null | undefined} rule - The recurrence rule.
+ * @param {(date: Date) => string} formatDate - Formats a Date as 'YYYY-MM-DD'.
+ * @returns {object} Editor state.
+ */
+export const recurrenceToFormState = (rule, formatDate) => {
+  if (!rule) {
+    return EMPTY_RECURRENCE_STATE;
+  }
+  let monthlyMode = 'dayOfMonth';
+  if (rule.nthWeekday) {
+    monthlyMode = rule.nthWeekday.nth === -1 ? 'lastWeekday' : 'nthWeekday';
+  }
+  let endMode = 'never';
+  if (rule.count != null) {
+    endMode = 'count';
+  } else if (rule.until) {
+    endMode = 'until';
+  }
+  return {
+    freq: rule.freq,
+    interval: String(rule.interval || 1),
+    byDay: (rule.byDay || []).map(String),
+    monthlyMode,
+    endMode,
+    until: rule.until ? formatDate(rule.until) : '',
+    count: rule.count != null ? String(rule.count) : '',
+  };
+};
+
+/**
+ * Validates editor state.
+ * @param {object} state - Editor state.
+ * @param {string} startDate - The reminder's (first occurrence) date as 'YYYY-MM-DD'.
+ * @returns {object} Map of field name to error message; empty when valid.
+ */
+export const validateRecurrenceState = (state, startDate) => {
+  const errors = {};
+  if (!state.freq) {
+    return errors;
+  }
+  const interval = Number(state.interval);
+  if (!Number.isInteger(interval) || interval < 1) {
+    errors.interval = 'Repeat interval must be a whole number of at least 1.';
+  }
+  if (state.endMode === 'until') {
+    if (!parseDateString(state.until)) {
+      errors.until = 'Please select an end date.';
+    } else if (startDate && state.until < startDate) {
+      errors.until = 'End date cannot be before the reminder date.';
+    }
+  }
+  if (state.endMode === 'count') {
+    const count = Number(state.count);
+    if (!Number.isInteger(count) || count < 1) {
+      errors.count = 'Number of occurrences must be a whole number of at least 1.';
+    }
+  }
+  return errors;
+};
+
+/**
+ * Converts valid editor state into a recurrence rule for the reminder service.
+ * `until` is set to the end of the selected day so that day's occurrence is included.
+ * @param {object} state - Editor state (already validated).
+ * @param {string} startDate - The reminder's date as 'YYYY-MM-DD', used for monthly weekday modes.
+ * @param {string} [timeZone] - The reminder's IANA time zone; the end day is taken in it (device zone if omitted).
+ * @returns {object | null} The recurrence rule, or null when the reminder does not repeat.
+ */
+export const formStateToRecurrence = (state, startDate, timeZone) => {
+  if (!state.freq) {
+    return null;
+  }
+  const start = parseDateString(startDate);
+
+  let nthWeekday = null;
+  if ((state.freq === 'MONTHLY' || state.freq === 'YEARLY') && start && state.monthlyMode !== 'dayOfMonth') {
+    const { nth, weekday } = getNthWeekdayOfDate(start);
+    nthWeekday = { nth: state.monthlyMode === 'lastWeekday' ? -1 : Math.min(nth, 4), weekday };
+  }
+
+  let until = null;
+  if (state.endMode === 'until') {
+    until = parseDateString(state.until);
+    if (until && timeZone) {
+      // The moment before the next day starts in the reminder's zone
+      until.setDate(until.getDate() + 1);
+      until = new Date(zonedTimeToDate(formatDateForDisplay(until), null, timeZone).getTime() - 1);
+    } else {
+      until?.setHours(23, 59, 59, 999);
+    }
+  }
+
+  return {
+    freq: state.freq,
+    interval: Number(state.interval) || 1,
+    byDay: state.freq === 'WEEKLY' && state.byDay.length > 0 ? state.byDay.map(Number) : null,
+    nthWeekday,
+    until,
+    count: state.endMode === 'count' ? Number(state.count) : null,
+  };
+};
+
+/**
+ * Renders the "Repeat" section of the reminder form: frequency, interval,
+ * weekdays (weekly), day-of-month vs nth weekday (monthly/yearly) and end condition.
+ * Fully controlled via `value` / `onChange`.
+ */
+const RecurrenceEditor = ({ value, onChange, startDate = '', errors = {}, isDisabled = false, weekStartsOn = 0 }) => {
+  const start = parseDateString(startDate);
+  // Weekday numbers (0 = Sunday) in the order the user's week runs
+  const orderedWeekdays = WEEKDAY_LABELS.map((_, index) => (weekStartsOn + index) % 7);
+  const nthInfo = start ? getNthWeekdayOfDate(start) : null;
+
+  // Merges a partial update into the current editor state
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  const summary = value.freq
+    ? describeRecurrence(formStateToRecurrence({ ...value, interval: value.interval || '1' }, startDate))
+    : '';
+
+  return (
+    <VStack spacing={3} align="stretch">
+      <FormControl>
+        <FormLabel htmlFor="reminder-repeat">Repeat</FormLabel>
+        <Select
+          id="reminder-repeat"
+          value={value.freq}
+          onChange={(e) => update({ freq: e.target.value })}
+          isDisabled={isDisabled}
+        >
+          <option value="">Does not repeat</option>
+          <option value="DAILY">Daily</option>
+          <option value="WEEKLY">Weekly</option>
+          <option value="MONTHLY">Monthly</option>
+          <option value="YEARLY">Yearly</option>
+        </Select>
+      </FormControl>
+
+      {value.freq && (
+        <>
+          <FormControl isInvalid={!!errors.interval}>
+            <HStack>
+              <Text>Every</Text>
+              <Input
+                type="number"
+                min={1}
+                width="80px"
+                aria-label="Repeat interval"
+                value={value.interval}
+                onChange={(e) => update({ interval: e.target.value })}
+                isDisabled={isDisabled}
+              />
+              <Text>{UNIT_LABELS[value.freq]}</Text>
+            </HStack>
+            {errors.interval && <FormErrorMessage>{errors.interval}</FormErrorMessage>}
+          </FormControl>
+
+          {value.freq === 'WEEKLY' && (
+            <FormControl>
+              <FormLabel>On</FormLabel>
+              <CheckboxGroup value={value.byDay} onChange={(byDay) => update({ byDay })} isDisabled={isDisabled}>
+                <Stack direction="row" wrap="wrap" spacing={3}>
+                  {orderedWeekdays.map((weekday) => (
+                    <Checkbox key={weekday} value={String(weekday)}>
+                      {WEEKDAY_LABELS[weekday].slice(0, 3)}
+                    </Checkbox>
+                  ))}
+                </Stack>
+              </CheckboxGroup>
+            </FormControl>
+          )}
+
+          {(value.freq === 'MONTHLY' || value.freq === 'YEARLY') && nthInfo && (
+            <RadioGroup
+              value={value.monthlyMode}
+              onChange={(monthlyMode) => update({ monthlyMode })}
+              isDisabled={isDisabled}
+            >
+              <Stack spacing={1}>
+                <Radio value="dayOfMonth">On day {start.getDate()}</Radio>
+                {nthInfo.nth <= 4 && (
+                  <Radio value="nthWeekday">
+                    On the {ORDINALS[nthInfo.nth]} {WEEKDAY_LABELS[nthInfo.weekday]}
+                  </Radio>
+                )}
+                {nthInfo.isLast && (
+                  <Radio value="lastWeekday">On the last {WEEKDAY_LABELS[nthInfo.weekday]}</Radio>
+                )}
+              </Stack>
+            </RadioGroup>
+          )}
+
+          <FormControl isInvalid={!!errors.until || !!errors.count}>
+            <FormLabel>Ends</FormLabel>
+            <RadioGroup value={value.endMode} onChange={(endMode) => update({ endMode })} isDisabled={isDisabled}>
+              <Stack spacing={2}>
+                <Radio value="never">Never</Radio>
+                <HStack>
+                  <Radio value="until">On</Radio>
+                  <Input
+                    type="date"
+                    size="sm"
+                    aria-label="Repeat until"
+                    value={value.until}
+                    min={startDate || undefined}
+                    onChange={(e) => update({ until: e.target.value, endMode: 'until' })}
+                    isDisabled={isDisabled}
+                  />
+                </HStack>
+                <HStack>
+                  <Radio value="count">After</Radio>
+                  <Input
+                    type="number"
+                    size="sm"
+                    min={1}
+                    width="80px"
+                    aria-label="Number of occurrences"
+                    value={value.count}
+                    onChange={(e) => update({ count: e.target.value, endMode: 'count' })}
+                    isDisabled={isDisabled}
+                  />
+                  <Text>occurrences</Text>
+                </HStack>
+              </Stack>
+            </RadioGroup>
+            {errors.until && <FormErrorMessage>{errors.until}</FormErrorMessage>}
+            {errors.count && <FormErrorMessage>{errors.count}</FormErrorMessage>}
+          </FormControl>
+
+          {summary && (
+            <Text fontSize="sm" color="gray.500">
+              {summary}
+            </Text>
+          )}
+        </>
+      )}
+    </VStack>
+  );
+};
+
+RecurrenceEditor.propTypes = {
+  /** Current editor state (see `EMPTY_RECURRENCE_STATE`). */
+  value: PropTypes.shape({
+    freq: PropTypes.string.isRequired,
+    interval: PropTypes.string.isRequired,
+    byDay: PropTypes.arrayOf(PropTypes.string).isRequired,
+    monthlyMode: PropTypes.oneOf(['dayOfMonth', 'nthWeekday', 'lastWeekday']).isRequired,
+    endMode: PropTypes.oneOf(['never', 'until', 'count']).isRequired,
+    until: PropTypes.string.isRequired,
+    count: PropTypes.string.isRequired,
+  }).isRequired,
+  /** Called with the complete new editor state on every change. */
+  onChange: PropTypes.func.isRequired,
+  /** The reminder's date as 'YYYY-MM-DD'; drives the monthly weekday options. */
+  startDate: PropTypes.string,
+  /** Validation errors keyed by field (`interval`, `until`, `count`). */
+  errors: PropTypes.object,
+  /** Disables all inputs, e.g. while the parent form is submitting. */
+  isDisabled: PropTypes.bool,
+  /** First day of the week (0 = Sunday); the weekly weekday checkboxes start with it. */
+  weekStartsOn: PropTypes.number,
+};
+
+export default RecurrenceEditor;
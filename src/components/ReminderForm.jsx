@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import PropTypes from 'prop-types';
 import {
   Box,
@@ -10,71 +10,203 @@ import {
   FormErrorMessage,
   HStack,
   Button,
+  Radio,
+  RadioGroup,
+  Stack,
+  FormHelperText,
+  Select,
+  Switch,
+  Alert,
+  AlertIcon,
+  Text,
   useTheme,
 } from '@chakra-ui/react';
+import RecurrenceEditor, {
+  EMPTY_RECURRENCE_STATE,
+  recurrenceToFormState,
+  validateRecurrenceState,
+  formStateToRecurrence,
+} from './RecurrenceEditor.jsx';
+import TagPicker from './TagPicker.jsx';
+import AlarmEditor from './AlarmEditor.jsx';
+import { MAX_TAGS_PER_REMINDER, MAX_REMINDER_NOTES_LENGTH, MAX_REMINDER_TEXT_LENGTH } from '../services/reminderService.js';
+import {
+  formatDateForDisplay,
+  formatTimeForDisplay,
+  formatCurrency,
+  getDeviceTimeZone,
+  getSupportedTimeZones,
+  getSupportedCurrencies,
+  zonedTimeToDate,
+} from '../utils/helpers.js';
+
+// Time preselected when a reminder is switched from all-day to a specific time, unless the user chose another
+const DEFAULT_TIME = '09:00';
+
+// Converts a cost input to a number, null for an empty input, or NaN if invalid
+const parseCost = (value) => (value.trim() === '' ? null : Number(value));
+
+// Readable name of a budget period, e.g. 'Mar 2031' or '2031'
+const describeBudgetPeriod = ({ period, key }) =>
+  period === 'year'
+    ? `your ${key} budget`
+    : `your budget for ${new Date(Number(key.slice(0, 4)), Number(key.slice(5, 7)) - 1, 1).toLocaleString(undefined, {
+        month: 'short',
+        year: 'numeric',
+      })}`;
 
 /**
- * Helper function to format a JavaScript Date object into 'YYYY-MM-DD' string.
- * Returns an empty string if the input is not a valid Date.
- * @param {Date | null | undefined} dateObject - The Date object to format.
- * @returns {string} The date formatted as 'YYYY-MM-DD' or an empty string.
+ * Validates the reminder details entered as text (in this form, or in a CSV import row).
+ * Recurrence is validated separately (see `RecurrenceEditor.validateRecurrenceState`).
+ *
+ * @param {{ text: string, date: string, time: string, allDay: boolean, timeZone: string, estimatedCost?: string, actualCost?: string, notes?: string }} fields -
+ *   `date` as 'YYYY-MM-DD', `time` as 'HH:mm' (ignored for all-day reminders), costs as entered ('' for none).
+ * @returns {Record<string, string>} Error messages keyed by field; empty if the details are valid.
  */
-const formatDateToYYYYMMDD = (dateObject) => {
-  if (!(dateObject instanceof Date) || isNaN(dateObject.getTime())) {
-    return '';
+export const validateReminderFields = ({ text, date, time, allDay, timeZone, estimatedCost = '', actualCost = '', notes = '' }) => {
+  const newErrors = {};
+  if (!text.trim()) {
+    newErrors.text = 'Reminder text cannot be empty.';
+  } else if (text.trim().length > MAX_REMINDER_TEXT_LENGTH) {
+    newErrors.text = `Reminder text can be at most ${MAX_REMINDER_TEXT_LENGTH} characters long.`;
   }
-  const year = dateObject.getFullYear();
-  const month = (dateObject.getMonth() + 1).toString().padStart(2, '0'); // Months are 0-indexed
-  const day = dateObject.getDate().toString().padStart(2, '0');
-  return `${year}-${month}-${day}`;
+  if (!date) {
+    newErrors.date = 'Please select a date.';
+  } else {
+    // Basic check if date string matches YYYY-MM-DD format (Input type="date" helps)
+    // More complex validation (e.g., ensuring it's not a past date) could go here
+    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+    if (!dateRegex.test(date)) {
+        newErrors.date = 'Invalid date format selected.';
+    }
+    // Optional: Prevent past dates (uncomment if needed)
+    // const today = new Date();
+    // today.setHours(0, 0, 0, 0); // Set to midnight
+    // const selectedDate = new Date(date + 'T00:00:00'); // Ensure correct timezone comparison
+    // if (selectedDate < today) {
+    //   newErrors.date = 'Selected date cannot be in the past.';
+    // }
+  }
+
+  if (!allDay && !/^\d{2}:\d{2}$/.test(time)) {
+    newErrors.time = 'Please select a time.';
+  } else if (!newErrors.date && date && !zonedTimeToDate(date, allDay ? null : time, timeZone)) {
+    newErrors.timeZone = 'Please select a valid time zone.';
+  }
+
+  if (Number.isNaN(parseCost(estimatedCost)) || parseCost(estimatedCost) < 0) {
+    newErrors.estimatedCost = 'Please enter a valid amount.';
+  }
+  if (Number.isNaN(parseCost(actualCost)) || parseCost(actualCost) < 0) {
+    newErrors.actualCost = 'Please enter a valid amount.';
+  }
+  if (notes.trim().length > MAX_REMINDER_NOTES_LENGTH) {
+    newErrors.notes = `Notes can be at most ${MAX_REMINDER_NOTES_LENGTH} characters long.`;
+  }
+  return newErrors;
+};
+
+// The list is long and never changes, so it is built once on first use
+let timeZoneOptions = null;
+const getTimeZoneOptions = () => {
+  timeZoneOptions = timeZoneOptions ?? getSupportedTimeZones();
+  return timeZoneOptions;
 };
 
 /**
  * Renders a form for creating or editing reminders.
- * Handles text and date input, validation, and submission delegation.
+ * Handles text, date, time, time zone, recurrence, alert, tag, cost, recipient and notes input, validation, and submission delegation.
+ * Optionally warns when the estimated cost would exceed the user's budget (`getBudgetOverruns`).
+ * Dates and times are entered as wall-clock values in the selected time zone.
+ * When editing an occurrence of a recurring reminder (`initialData.recurrence` and
+ * `initialData.occurrenceDate` set), the user also chooses the edit scope.
+ * `initialData` without an `id` prefills a new reminder (e.g., one scheduled from a gift idea).
+ * New reminders start with the user's default alerts (`defaultAlarms`), time and all-day choice
+ * (`defaultTime`, `defaultAllDay`, from the user's preferences).
  */
 const ReminderForm = ({
   onSubmit,
   onCancel,
   initialData = null,
   isSubmitting = false,
+  tags = [],
+  recipients = [],
+  defaultTimeZone = getDeviceTimeZone(),
+  onSetDefaultTimeZone,
+  defaultAlarms = [],
+  onSetDefaultAlarms,
+  currency = 'USD',
+  getBudgetOverruns,
+  defaultTime = DEFAULT_TIME,
+  defaultAllDay = true,
+  weekStartsOn = 0,
 }) => {
   const [text, setText] = useState('');
   const [date, setDate] = useState(''); // Store date as 'YYYY-MM-DD' string
+  const [allDay, setAllDay] = useState(defaultAllDay);
+  const [time, setTime] = useState(defaultTime); // 'HH:mm', only used when not all-day
+  const [timeZone, setTimeZone] = useState(defaultTimeZone);
+  const [recurrence, setRecurrence] = useState(EMPTY_RECURRENCE_STATE);
+  const [selectedTags, setSelectedTags] = useState([]); // Tag IDs
+  const [estimatedCost, setEstimatedCost] = useState(''); // Amounts are kept as input strings
+  const [actualCost, setActualCost] = useState('');
+  const [costCurrency, setCostCurrency] = useState(currency);
+  const [recipientId, setRecipientId] = useState(''); // '' for no recipient
+  const [notes, setNotes] = useState('');
+  const [alarms, setAlarms] = useState(defaultAlarms); // Minutes before each occurrence
+  const [editScope, setEditScope] = useState('single'); // Only used for recurring reminders
   const [errors, setErrors] = useState({});
+  const isRecurringEdit = Boolean(initialData?.recurrence && initialData?.occurrenceDate);
   const theme = useTheme();
 
   // Effect to populate form when initialData changes (for editing) or reset when null
   useEffect(() => {
     setErrors({}); // Clear errors when initialData changes
     if (initialData) {
+      // Dates are shown as entered, in the reminder's own time zone
+      const initialTimeZone = initialData.timeZone || defaultTimeZone;
       setText(initialData.text || '');
+      setTimeZone(initialTimeZone);
+      // Stored reminders without the flag predate timed reminders and are all-day
+      setAllDay(initialData.allDay ?? (initialData.id ? true : defaultAllDay));
+      setRecurrence(recurrenceToFormState(initialData.recurrence, (until) => formatDateForDisplay(until, initialTimeZone)));
+      setSelectedTags(initialData.tags || []);
+      setEstimatedCost(initialData.estimatedCost != null ? String(initialData.estimatedCost) : '');
+      setActualCost(initialData.actualCost != null ? String(initialData.actualCost) : '');
+      setCostCurrency(initialData.currency || currency);
+      setRecipientId(initialData.recipientId || '');
+      setNotes(initialData.notes || '');
+      // Prefilled drafts without alarms of their own (e.g., from a gift idea) get the defaults
+      setAlarms(initialData.alarms ?? (initialData.id ? [] : defaultAlarms));
+      setEditScope('single');
 
-      // Robustly parse initialData.date
+      // Robustly parse initialData.date (the edited occurrence takes precedence for recurring reminders)
+      const initialDate = initialData.occurrenceDate || initialData.date;
       let parsedDateObject = null;
-      if (initialData.date instanceof Date) {
-        parsedDateObject = initialData.date;
-      } else if (initialData.date && typeof initialData.date.toDate === 'function') {
+      if (initialDate instanceof Date) {
+        parsedDateObject = initialDate;
+      } else if (initialDate && typeof initialDate.toDate === 'function') {
         // Firestore Timestamp-like object
         try {
-            parsedDateObject = initialData.date.toDate();
+            parsedDateObject = initialDate.toDate();
         } catch (e) {
             console.error("Error converting Firestore Timestamp to Date:", e);
         }
-      } else if (typeof initialData.date === 'string') {
+      } else if (typeof initialDate === 'string') {
         // Attempt to parse string (ISO format preferred)
-        const parsed = new Date(initialData.date);
+        const parsed = new Date(initialDate);
         if (!isNaN(parsed.getTime())) {
           parsedDateObject = parsed;
         } else {
              // Handle potential non-ISO strings if necessary, or log warning
-             console.warn(`Could not parse date string from initialData: ${initialData.date}`);
+             console.warn(`Could not parse date string from initialData: ${initialDate}`);
         }
       }
 
-      // Format the parsed date object to 'YYYY-MM-DD'
-      const formattedDate = formatDateToYYYYMMDD(parsedDateObject);
+      // Format the parsed date object to 'YYYY-MM-DD' (and 'HH:mm') in the reminder's zone
+      const formattedDate = parsedDateObject ? formatDateForDisplay(parsedDateObject, initialTimeZone) : '';
       setDate(formattedDate);
+      setTime(initialData.allDay === false && parsedDateObject ? formatTimeForDisplay(parsedDateObject, initialTimeZone) : defaultTime);
       if (!formattedDate && initialData.date) {
           // If formatting failed but there was initial date data, maybe set an error
           console.warn("Failed to format initial date:", initialData.date);
@@ -85,35 +217,33 @@ const ReminderForm = ({
       // Reset form if initialData is null (create mode)
       setText('');
       setDate('');
+      setAllDay(defaultAllDay);
+      setTime(defaultTime);
+      setTimeZone(defaultTimeZone);
+      setRecurrence(EMPTY_RECURRENCE_STATE);
+      setSelectedTags([]);
+      setEstimatedCost('');
+      setActualCost('');
+      setCostCurrency(currency);
+      setRecipientId('');
+      setNotes('');
+      setAlarms(defaultAlarms);
     }
+    // The default zone, alarms and time only seed the form; changing it must not discard what the user typed
   }, [initialData]); // Rerun effect if initialData prop changes
 
   /**
-   * Validates the current form state (text and date).
+   * Validates the current form state (see `validateReminderFields`, plus the recurrence).
    * Updates the errors state object.
    * @returns {boolean} True if the form is valid, false otherwise.
    */
   const validate = () => {
-    const newErrors = {};
-    if (!text.trim()) {
-      newErrors.text = 'Reminder text cannot be empty.';
-    }
-    if (!date) {
-      newErrors.date = 'Please select a date.';
-    } else {
-      // Basic check if date string matches YYYY-MM-DD format (Input type="date" helps)
-      // More complex validation (e.g., ensuring it's not a past date) could go here
-      const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-      if (!dateRegex.test(date)) {
-          newErrors.date = 'Invalid date format selected.';
-      }
-      // Optional: Prevent past dates (uncomment if needed)
-      // const today = new Date();
-      // today.setHours(0, 0, 0, 0); // Set to midnight
-      // const selectedDate = new Date(date + 'T00:00:00'); // Ensure correct timezone comparison
-      // if (selectedDate < today) {
-      //   newErrors.date = 'Selected date cannot be in the past.';
-      // }
+    const newErrors = validateReminderFields({ text, date, time, allDay, timeZone, estimatedCost, actualCost, notes });
+
+    // Recurrence errors are keyed by editor field and passed to RecurrenceEditor
+    const recurrenceErrors = validateRecurrenceState(recurrence, date);
+    if (Object.keys(recurrenceErrors).length > 0) {
+      newErrors.recurrence = recurrenceErrors;
     }
 
     setErrors(newErrors);
@@ -131,13 +261,78 @@ const ReminderForm = ({
 
     if (validate()) {
       // Call the parent component's onSubmit function with the form data
-      onSubmit({ text: text.trim(), date });
+      const formData = {
+        text: text.trim(),
+        date,
+        time: allDay ? null : time,
+        allDay,
+        timeZone,
+        recurrence: formStateToRecurrence(recurrence, date, timeZone),
+        // Tags deleted while the form was open are dropped
+        tags: selectedTags.filter((tagId) => tags.some((tag) => tag.id === tagId)),
+        estimatedCost: parseCost(estimatedCost),
+        // Series record actual costs per occurrence when they are marked done
+        actualCost: recurrence.freq ? null : parseCost(actualCost),
+        currency: costCurrency,
+        recipientId: recipientId || null,
+        notes: notes.trim() || null,
+        alarms,
+      };
+      if (isRecurringEdit) {
+        formData.editScope = editScope;
+      }
+      onSubmit(formData);
     }
     // If validation fails, the errors state is already updated by validate()
   };
 
-  // Get today's date in 'YYYY-MM-DD' format for the min attribute
-  const todayString = formatDateToYYYYMMDD(new Date());
+  /**
+   * Budget limits the reminder would exceed (or push further over) if saved as entered.
+   * Only checked once the date and an estimated cost are valid.
+   */
+  const budgetOverruns = useMemo(() => {
+    const cost = parseCost(estimatedCost);
+    const draftDate = zonedTimeToDate(date, allDay ? null : time, timeZone);
+    if (!getBudgetOverruns || cost == null || !(cost >= 0) || !draftDate) {
+      return [];
+    }
+    let draftRecurrence = null;
+    try {
+      draftRecurrence = formStateToRecurrence(recurrence, date, timeZone);
+    } catch (error) {
+      return []; // Shown as a recurrence error instead
+    }
+    return getBudgetOverruns({
+      // Editing one occurrence creates a new reminder; editing the series replaces it
+      id: isRecurringEdit && editScope !== 'all' ? undefined : initialData?.id,
+      date: draftDate,
+      allDay,
+      timeZone,
+      recurrence: draftRecurrence,
+      exceptions: initialData?.exceptions || [],
+      completions: initialData?.completions || [],
+      status: initialData?.status || 'pending',
+      estimatedCost: cost,
+      actualCost: recurrence.freq ? null : parseCost(actualCost),
+      currency: costCurrency,
+    });
+  }, [
+    getBudgetOverruns,
+    estimatedCost,
+    actualCost,
+    costCurrency,
+    date,
+    time,
+    allDay,
+    timeZone,
+    recurrence,
+    initialData,
+    isRecurringEdit,
+    editScope,
+  ]);
+
+  // Get today's date in the selected zone, in 'YYYY-MM-DD' format, for the min attribute
+  const todayString = formatDateForDisplay(new Date(), timeZone);
 
   return (
     <Box as="form" onSubmit={handleSubmit} width="100%">
@@ -150,6 +345,7 @@ const ReminderForm = ({
             placeholder="What sweet surprise are you planning?"
             value={text}
             onChange={(e) => setText(e.target.value)}
+            maxLength={MAX_REMINDER_TEXT_LENGTH}
             isDisabled={isSubmitting} // Disable while parent is submitting
             fontFamily={theme.fonts.body || 'sans-serif'}
             focusBorderColor={theme.colors.brand?.[500] || 'pink.500'}
@@ -168,7 +364,7 @@ const ReminderForm = ({
             value={date}
             onChange={(e) => setDate(e.target.value)}
             isDisabled={isSubmitting} // Disable while parent is submitting
-            min={todayString} // Prevent selecting past dates (optional)
+            min={initialData?.id ? undefined : todayString} // Prevent selecting past dates for new reminders
             fontFamily={theme.fonts.body || 'sans-serif'}
             focusBorderColor={theme.colors.brand?.[500] || 'pink.500'}
             size="md"
@@ -176,6 +372,234 @@ const ReminderForm = ({
           {errors.date && <FormErrorMessage>{errors.date}</FormErrorMessage>}
         </FormControl>
 
+        {/* Time of Day */}
+        <HStack spacing={4} align="flex-start">
+          <FormControl display="flex" alignItems="center" w="auto" minH={10}>
+            <Switch
+              id="reminder-all-day"
+              colorScheme="pink"
+              isChecked={allDay}
+              onChange={(e) => setAllDay(e.target.checked)}
+              isDisabled={isSubmitting}
+            />
+            <FormLabel htmlFor="reminder-all-day" mb={0} ml={2}>
+              All day
+            </FormLabel>
+          </FormControl>
+          {!allDay && (
+            <FormControl isInvalid={!!errors.time} isRequired flex={1}>
+              <Input
+                id="reminder-time"
+                type="time"
+                aria-label="Time"
+                value={time}
+                onChange={(e) => setTime(e.target.value)}
+                isDisabled={isSubmitting}
+                fontFamily={theme.fonts.body || 'sans-serif'}
+                focusBorderColor={theme.colors.brand?.[500] || 'pink.500'}
+                size="md"
+              />
+              {errors.time && <FormErrorMessage>{errors.time}</FormErrorMessage>}
+            </FormControl>
+          )}
+        </HStack>
+
+        {/* Time Zone */}
+        <FormControl isInvalid={!!errors.timeZone}>
+          <FormLabel htmlFor="reminder-time-zone">Time Zone</FormLabel>
+          <Select
+            id="reminder-time-zone"
+            value={timeZone}
+            onChange={(e) => setTimeZone(e.target.value)}
+            isDisabled={isSubmitting}
+            focusBorderColor={theme.colors.brand?.[500] || 'pink.500'}
+          >
+            {/* Zones stored by another browser may be missing from this one's list */}
+            {(getTimeZoneOptions().includes(timeZone) ? getTimeZoneOptions() : [timeZone, ...getTimeZoneOptions()]).map(
+              (zone) => (
+                <option key={zone} value={zone}>
+                  {zone.replace(/_/g, ' ')}
+                </option>
+              )
+            )}
+          </Select>
+          {errors.timeZone ? (
+            <FormErrorMessage>{errors.timeZone}</FormErrorMessage>
+          ) : (
+            timeZone !== defaultTimeZone &&
+            onSetDefaultTimeZone && (
+              <FormHelperText>
+                Your default is {defaultTimeZone.replace(/_/g, ' ')}.{' '}
+                <Button
+                  variant="link"
+                  size="sm"
+                  colorScheme="pink"
+                  onClick={() => onSetDefaultTimeZone(timeZone)}
+                  isDisabled={isSubmitting}
+                >
+                  Use {timeZone.replace(/_/g, ' ')} as my default
+                </Button>
+              </FormHelperText>
+            )
+          )}
+        </FormControl>
+
+        {/* Recurrence Editor */}
+        <RecurrenceEditor
+          value={recurrence}
+          onChange={setRecurrence}
+          startDate={date}
+          errors={errors.recurrence}
+          isDisabled={isSubmitting}
+          weekStartsOn={weekStartsOn}
+        />
+
+        {/* Lead-time Alerts */}
+        <AlarmEditor
+          value={alarms}
+          onChange={setAlarms}
+          allDay={allDay}
+          isDisabled={isSubmitting}
+          defaultAlarms={defaultAlarms}
+          onSetDefault={onSetDefaultAlarms}
+        />
+
+        {/* Costs */}
+        <HStack spacing={3} align="flex-start">
+          <FormControl isInvalid={!!errors.estimatedCost}>
+            <FormLabel htmlFor="reminder-estimated-cost">Estimated cost</FormLabel>
+            <Input
+              id="reminder-estimated-cost"
+              type="number"
+              min="0"
+              step="0.01"
+              inputMode="decimal"
+              placeholder="Optional"
+              value={estimatedCost}
+              onChange={(e) => setEstimatedCost(e.target.value)}
+              isDisabled={isSubmitting}
+              focusBorderColor={theme.colors.brand?.[500] || 'pink.500'}
+            />
+            {errors.estimatedCost && <FormErrorMessage>{errors.estimatedCost}</FormErrorMessage>}
+          </FormControl>
+          {!recurrence.freq && (
+            <FormControl isInvalid={!!errors.actualCost}>
+              <FormLabel htmlFor="reminder-actual-cost">Actual cost</FormLabel>
+              <Input
+                id="reminder-actual-cost"
+                type="number"
+                min="0"
+                step="0.01"
+                inputMode="decimal"
+                placeholder="Optional"
+                value={actualCost}
+                onChange={(e) => setActualCost(e.target.value)}
+                isDisabled={isSubmitting}
+                focusBorderColor={theme.colors.brand?.[500] || 'pink.500'}
+              />
+              {errors.actualCost && <FormErrorMessage>{errors.actualCost}</FormErrorMessage>}
+            </FormControl>
+          )}
+          <FormControl w="110px" flexShrink={0}>
+            <FormLabel htmlFor="reminder-currency">Currency</FormLabel>
+            <Select
+              id="reminder-currency"
+              value={costCurrency}
+              onChange={(e) => setCostCurrency(e.target.value)}
+              isDisabled={isSubmitting}
+              focusBorderColor={theme.colors.brand?.[500] || 'pink.500'}
+            >
+              {getSupportedCurrencies().map((code) => (
+                <option key={code} value={code}>
+                  {code}
+                </option>
+              ))}
+            </Select>
+          </FormControl>
+        </HStack>
+        {recurrence.freq && (
+          <Text fontSize="xs" color="gray.500" mt={-2}>
+            The estimate applies to every occurrence. Record what each one cost when you mark it done.
+          </Text>
+        )}
+        {budgetOverruns.length > 0 && (
+          <Alert status="warning" borderRadius="md" fontSize="sm" alignItems="flex-start">
+            <AlertIcon />
+            <Box>
+              {budgetOverruns.map((overrun) => (
+                <Text key={`${overrun.period}-${overrun.key}`}>
+                  This would put {describeBudgetPeriod(overrun)} over: {formatCurrency(overrun.amount, currency)} of{' '}
+                  {formatCurrency(overrun.limit, currency)}.
+                </Text>
+              ))}
+            </Box>
+          </Alert>
+        )}
+
+        {/* Tag Picker */}
+        <FormControl>
+          <FormLabel>Tags</FormLabel>
+          <TagPicker
+            tags={tags}
+            value={selectedTags}
+            onChange={setSelectedTags}
+            isDisabled={isSubmitting}
+            maxSelected={MAX_TAGS_PER_REMINDER}
+            size="sm"
+            emptyMessage="No tags yet. Create some with Manage tags."
+          />
+          {tags.length > 0 && <FormHelperText>Optional. Tap to file the reminder under a tag.</FormHelperText>}
+        </FormControl>
+
+        {/* Recipient */}
+        {recipients.length > 0 && (
+          <FormControl>
+            <FormLabel htmlFor="reminder-recipient">For</FormLabel>
+            <Select
+              id="reminder-recipient"
+              value={recipientId}
+              onChange={(e) => setRecipientId(e.target.value)}
+              isDisabled={isSubmitting}
+            >
+              <option value="">No one in particular</option>
+              {recipients.map((recipient) => (
+                <option key={recipient.id} value={recipient.id}>
+                  {recipient.name}
+                </option>
+              ))}
+            </Select>
+          </FormControl>
+        )}
+
+        {/* Notes */}
+        <FormControl isInvalid={!!errors.notes}>
+          <FormLabel htmlFor="reminder-notes">Notes</FormLabel>
+          <Textarea
+            id="reminder-notes"
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            placeholder="Gift ideas, where to order, what to say..."
+            rows={2}
+            maxLength={MAX_REMINDER_NOTES_LENGTH}
+            isDisabled={isSubmitting}
+          />
+          {errors.notes && <FormErrorMessage>{errors.notes}</FormErrorMessage>}
+        </FormControl>
+
+        {/* Edit Scope (recurring reminders only) */}
+        {isRecurringEdit && (
+          <FormControl>
+            <FormLabel>Apply changes to</FormLabel>
+            <RadioGroup value={editScope} onChange={setEditScope} isDisabled={isSubmitting}>
+              <Stack spacing={1}>
+                <Radio value="single">This occurrence only</Radio>
+                <Radio value="following">This and following occurrences</Radio>
+                <Radio value="all">All occurrences</Radio>
+              </Stack>
+            </RadioGroup>
+          </FormControl>
+        )}
+
         {/* Action Buttons */}
         <HStack spacing={3} justifyContent="flex-end" mt={2}>
           <Button
@@ -207,7 +631,13 @@ const ReminderForm = ({
 ReminderForm.propTypes = {
   /**
    * Asynchronous function called when the form is submitted and validated.
-   * Receives an object `{ text: string, date: string }` where date is 'YYYY-MM-DD'.
+   * Receives an object `{ text: string, date: string, time: string | null, allDay: boolean, timeZone: string,
+   * recurrence: object | null, tags: Array<string>, estimatedCost: number | null, actualCost: number | null,
+   * currency: string, recipientId: string | null, notes: string | null, alarms: Array<number>, editScope?: string }` where date is 'YYYY-MM-DD', `time` is
+   * 'HH:mm' (null for all-day reminders), both in `timeZone`, `recurrence` is a rule for the reminder service,
+   * `tags` are tag IDs, `estimatedCost`/`actualCost` are numbers or null in `currency`, `recipientId` is the
+   * selected recipient, `alarms` are lead times in minutes (see `utils/alarms.js`) and `editScope`
+   * ('single' | 'following' | 'all') is only present when editing a recurring reminder.
    */
   onSubmit: PropTypes.func.isRequired,
   /**
@@ -215,8 +645,10 @@ ReminderForm.propTypes = {
    */
   onCancel: PropTypes.func.isRequired,
   /**
-   * Optional object containing existing reminder data (`id`, `text`, `date`)
+   * Optional object containing existing reminder data (`id`, `text`, `date`, `allDay`, `timeZone`, `recurrence`, `tags`,
+   * `estimatedCost`, `actualCost`, `currency`, `recipientId`, `notes`, `alarms`)
    * to pre-populate the form for editing. `date` can be JS Date, Firestore Timestamp-like, or string.
+   * `occurrenceDate` identifies the occurrence being edited for recurring reminders.
    */
   initialData: PropTypes.shape({
     id: PropTypes.string, // ID is usually present when editing, but not strictly required by the form itself
@@ -226,18 +658,86 @@ ReminderForm.propTypes = {
       PropTypes.shape({ toDate: PropTypes.func }), // Duck-typing for Firestore Timestamp
       PropTypes.string, // ISO String primarily
     ]),
+    allDay: PropTypes.bool,
+    timeZone: PropTypes.string,
+    recurrence: PropTypes.object,
+    occurrenceDate: PropTypes.instanceOf(Date),
+    tags: PropTypes.arrayOf(PropTypes.string),
+    estimatedCost: PropTypes.number,
+    actualCost: PropTypes.number,
+    currency: PropTypes.string,
+    recipientId: PropTypes.string,
+    notes: PropTypes.string,
+    alarms: PropTypes.arrayOf(PropTypes.number),
   }),
   /**
    * Boolean indicating if the parent component is currently processing the submission.
    * Used to display loading state on the submit button. Defaults to false.
    */
   isSubmitting: PropTypes.bool,
+  /**
+   * The user's tags, offered in the tag picker. Defaults to none.
+   */
+  tags: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      color: PropTypes.string.isRequired,
+    })
+  ),
+  /**
+   * The user's recipients, offered in the "For" select. The select is hidden without recipients.
+   */
+  recipients: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+    })
+  ),
+  /**
+   * IANA time zone preselected for new reminders (the user's default). Defaults to the device's zone.
+   */
+  defaultTimeZone: PropTypes.string,
+  /**
+   * Optional function called with the selected zone when the user makes it their default.
+   */
+  onSetDefaultTimeZone: PropTypes.func,
+  /**
+   * Lead-time alarms preselected for new reminders (the user's default). Defaults to none.
+   */
+  defaultAlarms: PropTypes.arrayOf(PropTypes.number),
+  /**
+   * Optional function called with the entered alarms when the user makes them their default.
+   */
+  onSetDefaultAlarms: PropTypes.func,
+  /**
+   * The user's budget currency, preselected for costs. Defaults to 'USD'.
+   */
+  currency: PropTypes.string,
+  /**
+   * Optional function that receives the reminder as it would be saved and returns the budget limits it would
+   * exceed (`{ period, key, amount, limit }`), shown as warnings. See `useBudget`.
+   */
+  getBudgetOverruns: PropTypes.func,
+  /**
+   * Time ('HH:mm') preselected for new reminders and when switching off all-day. Defaults to '09:00'.
+   */
+  defaultTime: PropTypes.string,
+  /**
+   * Whether new reminders start as all-day reminders. Defaults to true.
+   */
+  defaultAllDay: PropTypes.bool,
+  /**
+   * First day of the week (0 = Sunday), which orders the weekdays of weekly repeats. Defaults to Sunday.
+   */
+  weekStartsOn: PropTypes.number,
 };
 
 // Set default props
 ReminderForm.defaultProps = {
   initialData: null,
   isSubmitting: false,
+  tags: [],
 };
 
 export default ReminderForm;
\ No newline at end of file
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState } from 'react';
 import PropTypes from 'prop-types';
 import {
   Box,
@@ -7,25 +7,61 @@ import {
   HStack,
   Spacer,
   IconButton,
+  Badge,
+  Button,
+  VStack,
+  Wrap,
+  WrapItem,
+  Tag,
+  Link,
   useTheme,
 } from '@chakra-ui/react';
-import { EditIcon, DeleteIcon } from '@chakra-ui/icons';
-// Assuming formatDate exists and works as specified in ../utils/helpers.js
-// It should accept a Date object and return a formatted string.
-import { formatDate } from '../utils/helpers.js';
+import { Link as RouterLink } from 'react-router-dom';
+import { EditIcon, DeleteIcon, RepeatIcon, CheckIcon, RepeatClockIcon } from '@chakra-ui/icons';
+import { formatTimeForDisplay, formatCurrency, getDeviceTimeZone } from '../utils/helpers.js';
+import { usePreferences } from '../contexts/PreferencesContext.jsx';
+import { describeRecurrence } from '../utils/recurrence.js';
+
+// Badge color and label for each recorded outcome
+const STATUS_BADGES = {
+  completed: { colorScheme: 'green', label: 'Done' },
+  skipped: { colorScheme: 'gray', label: 'Skipped' },
+};
 
 /**
- * Displays a single reminder item with its text, formatted date, and action buttons (Edit, Delete).
+ * Displays a single reminder item with its text, formatted date, and action buttons
+ * (Mark done, Edit, Delete). Recurring reminders show their next occurrence, a summary of the
+ * recurrence rule and their per-occurrence completion history. Completed or skipped one-off
+ * reminders show their outcome and can be reopened. Reminders scheduled from a gift idea link back to it,
+ * and reminders for a recipient show who they are for.
  * Intended to be rendered within ReminderList.
  *
  * @param {object} props - The component props.
- * @param {object} props.reminder - The reminder object containing id, text, and date.
+ * @param {object} props.reminder - The reminder object containing id, text, and date, plus optional
+ *   `allDay`, `timeZone`, `recurrence`, `nextOccurrence` (Date or null once the series has ended), `status`,
+ *   `completedAt`, `completionNote`, `completions`, `ideaId` and `notes`.
+ * @param {Array<{ id: string, name: string, color: string }>} [props.tags] - The reminder's tags, resolved from its tag IDs.
+ * @param {{ id: string, name: string } | null} [props.recipient] - The recipient the reminder is for, resolved from its `recipientId`.
  * @param {function} props.onEdit - Callback function when the Edit button is clicked, receives reminder.id.
  * @param {function} props.onDelete - Callback function when the Delete button is clicked, receives reminder.id.
+ * @param {function} [props.onMarkDone] - Callback function when the Mark done button is clicked, receives reminder.id.
+ * @param {function} [props.onReopen] - Callback function when a completed/skipped reminder is reopened, receives reminder.id.
+ * @param {string} [props.defaultCurrency='USD'] - Currency of the costs if the reminder doesn't name one.
  * @returns {JSX.Element|null} The rendered reminder item or null if reminder data is invalid.
  */
-const ReminderItem = React.memo(({ reminder, onEdit, onDelete }) => {
+const ReminderItem = React.memo(({
+  reminder,
+  tags = [],
+  recipient = null,
+  onEdit,
+  onDelete,
+  onMarkDone,
+  onReopen,
+  defaultCurrency = 'USD',
+}) => {
   const theme = useTheme();
+  const { formatDate } = usePreferences(); // Dates in the user's preferred format
+  const [showHistory, setShowHistory] = useState(false);
 
   // Defensive check for required reminder properties
   if (
@@ -39,18 +75,26 @@ const ReminderItem = React.memo(({ reminder, onEdit, onDelete }) => {
     return null;
   }
 
+  const isRecurring = Boolean(reminder.recurrence);
+  const recurrenceSummary = isRecurring ? describeRecurrence(reminder.recurrence, { timeZone: reminder.timeZone }) : '';
+  // For recurring reminders the next occurrence is shown instead of the series start
+  const displayDate = isRecurring && reminder.nextOccurrence !== undefined ? reminder.nextOccurrence : reminder.date;
+
   let formattedDate = 'Invalid Date';
   try {
     // Determine the date object to format. Handles JS Date, Firestore Timestamps, and basic date strings.
     let dateToFormat = null;
-    if (reminder.date instanceof Date) {
-      dateToFormat = reminder.date;
-    } else if (reminder.date && typeof reminder.date.toDate === 'function') {
+    if (displayDate === null) {
+      // Recurring series without further occurrences
+      formattedDate = 'Series ended';
+    } else if (displayDate instanceof Date) {
+      dateToFormat = displayDate;
+    } else if (displayDate && typeof displayDate.toDate === 'function') {
       // Handle Firestore Timestamp objects by converting them first
-      dateToFormat = reminder.date.toDate();
-    } else if (typeof reminder.date === 'string') {
+      dateToFormat = displayDate.toDate();
+    } else if (typeof displayDate === 'string') {
        // Attempt to parse if it's a string (ISO format recommended)
-       const parsedDate = new Date(reminder.date);
+       const parsedDate = new Date(displayDate);
        // Check if parsing resulted in a valid date
        if (!isNaN(parsedDate.getTime())) {
            dateToFormat = parsedDate;
@@ -60,19 +104,27 @@ const ReminderItem = React.memo(({ reminder, onEdit, onDelete }) => {
     // Only attempt to format if we have a valid Date object
     if (dateToFormat instanceof Date && !isNaN(dateToFormat.getTime())) {
         // Assuming formatDate utility handles valid Date objects
-        const result = formatDate(dateToFormat);
+        // Dates read as entered, in the reminder's own time zone
+        const result = formatDate(dateToFormat, reminder.timeZone);
         // Use the result only if it's a non-empty string
         if (result && typeof result === 'string' && result.trim() !== '') {
              formattedDate = result;
+             if (reminder.allDay === false) {
+               formattedDate += ` ${formatTimeForDisplay(dateToFormat, reminder.timeZone)}`;
+             }
+             // Name the zone when it differs from the viewer's, so the time isn't misread
+             if (reminder.timeZone && reminder.timeZone !== getDeviceTimeZone()) {
+               formattedDate += ` (${reminder.timeZone.replace(/_/g, ' ')})`;
+             }
         } else {
              // Log if formatDate returns something unexpected for a valid date
              console.warn(`formatDate returned invalid result for date: ${dateToFormat}`);
-             // Keep 'Invalid Date' or use a default format
-             formattedDate = dateToFormat.toLocaleDateString(); // Basic fallback
+             // Fall back to the device's time zone (e.g. the stored zone is unknown), still in the preferred format
+             formattedDate = formatDate(dateToFormat) || formattedDate;
         }
-    } else {
+    } else if (displayDate !== null) {
         // Log if the initial date prop could not be resolved to a valid Date object
-        console.warn(`Could not parse or convert reminder date:`, reminder.date);
+        console.warn(`Could not parse or convert reminder date:`, displayDate);
     }
   } catch (error) {
     // Catch errors during date processing or formatting
@@ -80,6 +132,24 @@ const ReminderItem = React.memo(({ reminder, onEdit, onDelete }) => {
     // Keep formattedDate as 'Invalid Date'
   }
 
+  // Outcome of a one-off reminder; series record outcomes per occurrence instead
+  const statusBadge = !isRecurring ? STATUS_BADGES[reminder.status] : undefined;
+  const completions = isRecurring && Array.isArray(reminder.completions) ? reminder.completions : [];
+  const lastCompletion = [...completions].reverse().find((entry) => entry.status === 'completed');
+
+  // Cost summary, e.g. "Est. $40.00 each · Spent $75.00"
+  const costCurrency = reminder.currency || defaultCurrency;
+  const spent = isRecurring
+    ? completions.reduce((sum, entry) => sum + (entry.cost ?? 0), 0)
+    : reminder.actualCost;
+  const costParts = [];
+  if (reminder.estimatedCost != null) {
+    costParts.push(`Est. ${formatCurrency(reminder.estimatedCost, costCurrency)}${isRecurring ? ' each' : ''}`);
+  }
+  if (spent != null && (spent > 0 || !isRecurring)) {
+    costParts.push(`Spent ${formatCurrency(spent, costCurrency)}`);
+  }
+
   // Handler for the edit action
   const handleEditClick = () => {
     onEdit(reminder.id);
@@ -111,6 +181,8 @@ const ReminderItem = React.memo(({ reminder, onEdit, onDelete }) => {
           mb={1}
           noOfLines={3} // Limit text lines to prevent excessive height
           wordBreak="break-word" // Allow long words to break
+          color={statusBadge ? 'gray.500' : undefined}
+          textDecoration={reminder.status === 'completed' && !isRecurring ? 'line-through' : undefined}
         >
           {reminder.text}
         </Text>
@@ -119,8 +191,93 @@ const ReminderItem = React.memo(({ reminder, onEdit, onDelete }) => {
           color="gray.500"
           fontFamily={theme.fonts.body || 'sans-serif'}
         >
-          {formattedDate}
+          {isRecurring && displayDate !== null ? `Next: ${formattedDate}` : formattedDate}
         </Text>
+        {recipient && (
+          <Link as={RouterLink} to="/recipients" fontSize="sm" color="pink.600" display="inline-block" mb={1}>
+            For {recipient.name}
+          </Link>
+        )}
+        {tags.length > 0 && (
+          <Wrap spacing={1} mb={1}>
+            {tags.map((tag) => (
+              <WrapItem key={tag.id}>
+                <Tag size="sm" borderRadius="full" colorScheme={tag.color} variant="subtle">
+                  {tag.name}
+                </Tag>
+              </WrapItem>
+            ))}
+          </Wrap>
+        )}
+        {reminder.notes && (
+          <Text fontSize="sm" color="gray.600" whiteSpace="pre-line" noOfLines={3} mb={1}>
+            {reminder.notes}
+          </Text>
+        )}
+        {statusBadge && (
+          <HStack spacing={2} mt={1} fontSize="xs" color="gray.500">
+            <Badge colorScheme={statusBadge.colorScheme}>{statusBadge.label}</Badge>
+            {reminder.completedAt && <Text>on {formatDate(reminder.completedAt)}</Text>}
+          </HStack>
+        )}
+        {statusBadge && reminder.completionNote && (
+          <Text fontSize="sm" color="gray.600" fontStyle="italic" mt={1}>
+            {reminder.completionNote}
+          </Text>
+        )}
+        {reminder.isPending && (
+          <Text fontSize="xs" color="orange.500" mt={1}>
+            Waiting to sync…
+          </Text>
+        )}
+        {costParts.length > 0 && (
+          <Text fontSize="xs" color="gray.600" mt={1}>
+            {costParts.join(' · ')}
+          </Text>
+        )}
+        {reminder.ideaId && (
+          <Link
+            as={RouterLink}
+            to={`/ideas?idea=${encodeURIComponent(reminder.ideaId)}`}
+            fontSize="xs"
+            color="pink.600"
+            display="inline-block"
+            mt={1}
+          >
+            From your gift ideas
+          </Link>
+        )}
+        {recurrenceSummary && (
+          <HStack spacing={1} color="gray.500" fontSize="xs" mt={1}>
+            <RepeatIcon aria-label="Recurring reminder" />
+            <Text>{recurrenceSummary}</Text>
+          </HStack>
+        )}
+        {completions.length > 0 && (
+          <Box mt={1}>
+            <Button
+              variant="link"
+              size="xs"
+              colorScheme="pink"
+              onClick={() => setShowHistory((shown) => !shown)}
+              aria-expanded={showHistory}
+            >
+              {lastCompletion ? `Last done ${formatDate(lastCompletion.at)} · ` : ''}
+              {showHistory ? 'Hide history' : `History (${completions.length})`}
+            </Button>
+            {showHistory && (
+              <VStack align="stretch" spacing={0} mt={1} fontSize="xs" color="gray.600">
+                {[...completions].reverse().map((entry) => (
+                  <Text key={entry.occurrenceKey}>
+                    {entry.occurrenceKey} · {STATUS_BADGES[entry.status]?.label}
+                    {entry.cost != null ? ` · ${formatCurrency(entry.cost, costCurrency)}` : ''}
+                    {entry.note ? ` · ${entry.note}` : ''}
+                  </Text>
+                ))}
+              </VStack>
+            )}
+          </Box>
+        )}
       </Box>
 
       {/* Spacer is optional if Flex justify-content is used, but explicit here */}
@@ -128,6 +285,29 @@ const ReminderItem = React.memo(({ reminder, onEdit, onDelete }) => {
 
       {/* Action Buttons Section */}
       <HStack spacing={2}>
+        {statusBadge
+          ? onReopen && (
+              <IconButton
+                icon={<RepeatClockIcon />}
+                aria-label="Mark reminder as not done"
+                variant="ghost"
+                size="sm"
+                onClick={() => onReopen(reminder.id)}
+                colorScheme="gray"
+                title="Mark as not done"
+              />
+            )
+          : onMarkDone && (isRecurring ? displayDate !== null : true) && (
+              <IconButton
+                icon={<CheckIcon />}
+                aria-label="Mark reminder as done"
+                variant="ghost"
+                size="sm"
+                onClick={() => onMarkDone(reminder.id)}
+                colorScheme="green"
+                title={isRecurring ? 'Mark this occurrence as done' : 'Mark as done'}
+              />
+            )}
         <IconButton
           icon={<EditIcon />}
           aria-label="Edit reminder"
@@ -176,7 +356,59 @@ ReminderItem.propTypes = {
       }),
       PropTypes.string // Basic string fallback
     ]).isRequired,
+    /** Whether the reminder is for a whole day; otherwise its time is shown. */
+    allDay: PropTypes.bool,
+    /** The IANA time zone the date was entered in. */
+    timeZone: PropTypes.string,
+    /** The recurrence rule, or null/undefined for one-off reminders. */
+    recurrence: PropTypes.object,
+    /** Next occurrence of a recurring reminder; null once the series has ended. */
+    nextOccurrence: PropTypes.instanceOf(Date),
+    /** True while a queued change to this reminder has not been confirmed by storage. */
+    isPending: PropTypes.bool,
+    /** Outcome of a one-off reminder. */
+    status: PropTypes.oneOf(['pending', 'completed', 'skipped']),
+    /** When the one-off reminder was marked completed or skipped. */
+    completedAt: PropTypes.instanceOf(Date),
+    /** Optional note recorded with the outcome. */
+    completionNote: PropTypes.string,
+    notes: PropTypes.string,
+    /** Per-occurrence outcome log of a recurring reminder. */
+    completions: PropTypes.arrayOf(
+      PropTypes.shape({
+        occurrenceKey: PropTypes.string.isRequired,
+        status: PropTypes.oneOf(['completed', 'skipped']).isRequired,
+        at: PropTypes.instanceOf(Date),
+        note: PropTypes.string,
+        cost: PropTypes.number,
+      })
+    ),
+    /** IDs of the reminder's tags. */
+    tags: PropTypes.arrayOf(PropTypes.string),
+    /** Planned cost (per occurrence for series). */
+    estimatedCost: PropTypes.number,
+    /** Actual cost of a one-off reminder. */
+    actualCost: PropTypes.number,
+    /** ISO 4217 code of the costs. */
+    currency: PropTypes.string,
+    /** ID of the gift idea the reminder was scheduled from. */
+    ideaId: PropTypes.string,
+    /** ID of the recipient the reminder is for. */
+    recipientId: PropTypes.string,
   }).isRequired,
+  /** The reminder's tags, resolved from `reminder.tags` IDs by the parent. */
+  tags: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      color: PropTypes.string.isRequired,
+    })
+  ),
+  /** The recipient the reminder is for, resolved from `reminder.recipientId` by the parent. */
+  recipient: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+  }),
   /**
    * Callback function triggered when the edit button is clicked.
    * Receives the reminder's ID as an argument.
@@ -187,6 +419,18 @@ ReminderItem.propTypes = {
    * Receives the reminder's ID as an argument.
    */
   onDelete: PropTypes.func.isRequired,
+  /**
+   * Callback function triggered when the mark done button is clicked.
+   * Receives the reminder's ID as an argument. The button is hidden when omitted.
+   */
+  onMarkDone: PropTypes.func,
+  /**
+   * Callback function triggered when a completed or skipped reminder is reopened.
+   * Receives the reminder's ID as an argument. The button is hidden when omitted.
+   */
+  onReopen: PropTypes.func,
+  /** Currency of the costs if the reminder doesn't name one. */
+  defaultCurrency: PropTypes.string,
 };
 
 export default ReminderItem;
\ No newline at end of file
@@ -6,18 +6,34 @@ import ReminderItem from './ReminderItem.jsx'; // Assume ReminderItem component
  * Renders a list of reminders or an empty state message.
  *
  * @param {object} props - The component props.
- * @param {Array<object>} [props.reminders=[]] - An array of reminder objects. Each object should have at least `id` (string/number), `text` (string), and `date` (Date object or string). Defaults to an empty array.
+ * @param {Array<object>} [props.reminders=[]] - An array of reminder objects. Each object should have at least `id` (string/number), `text` (string), and `date` (Date object or string). Recurring reminders may also carry `recurrence` and `nextOccurrence`, which ReminderItem displays. Defaults to an empty array.
+ * @param {Map<string, { id: string, name: string, color: string }>} [props.tagsById] - The user's tags keyed by ID, used to show each reminder's tag chips. Unknown tag IDs (e.g., a tag deleted on another device) are not shown.
+ * @param {Map<string, { id: string, name: string }>} [props.recipientsById] - The user's recipients keyed by ID, used to show who each reminder is for.
  * @param {function} props.onEdit - A callback function triggered when a reminder's edit action is initiated. It receives the reminder's `id` as an argument (e.g., `onEdit(reminderId)`). This function must be passed down to each ReminderItem.
  * @param {function} props.onDelete - A callback function triggered when a reminder's delete action is initiated. It receives the reminder's `id` as an argument (e.g., `onDelete(reminderId)`). This function must be passed down to each ReminderItem.
+ * @param {function} [props.onMarkDone] - A callback function triggered when a reminder (or its next occurrence) is marked done. It receives the reminder's `id` as an argument. Passed down to each ReminderItem.
+ * @param {function} [props.onReopen] - A callback function triggered when a completed or skipped reminder is reopened. It receives the reminder's `id` as an argument. Passed down to each ReminderItem.
+ * @param {string} [props.defaultCurrency] - Currency of costs on reminders that don't name one (the user's budget currency).
+ * @param {string} [props.emptyMessage] - Text shown when there are no reminders. Defaults to an invitation to add one.
  * @returns {JSX.Element} The rendered list or empty state.
  */
-const ReminderList = ({ reminders = [], onEdit, onDelete }) => {
+const ReminderList = ({
+  reminders = [],
+  tagsById,
+  recipientsById,
+  onEdit,
+  onDelete,
+  onMarkDone,
+  onReopen,
+  defaultCurrency,
+  emptyMessage = 'No reminders yet. Time to add one!',
+}) => {
   // Check if the reminders array is empty or not provided
   if (!reminders || reminders.length === 0) {
     return (
       <Box p={4} textAlign="center">
         <Text color="gray.500" fontStyle="italic">
-          No reminders yet. Time to add one!
+          {emptyMessage}
         </Text>
       </Box>
     );
@@ -30,8 +46,13 @@ const ReminderList = ({ reminders = [], onEdit, onDelete }) => {
         <ReminderItem
           key={reminder.id} // Crucial for React's list reconciliation
           reminder={reminder} // Pass the entire reminder object
+          tags={tagsById ? (reminder.tags || []).map((tagId) => tagsById.get(tagId)).filter(Boolean) : undefined}
+          recipient={reminder.recipientId ? recipientsById?.get(reminder.recipientId) ?? null : null}
           onEdit={onEdit} // Pass the onEdit callback down
           onDelete={onDelete} // Pass the onDelete callback down
+          onMarkDone={onMarkDone}
+          onReopen={onReopen}
+          defaultCurrency={defaultCurrency}
         />
       ))}
     </VStack>
@@ -0,0 +1,33 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Navigate, useLocation } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext.jsx';
+import VerifyEmailPage from '../pages/VerifyEmailPage.jsx';
+
+/**
+ * Route guard for pages that need a signed-in user. Signed-out visitors are redirected to the
+ * login page, which returns them to the requested page after signing in. Users who have not
+ * verified their email address see the "check your email" screen instead of the page.
+ *
+ * @param {object} props - Component props.
+ * @param {React.ReactNode} props.children - The protected page.
+ * @returns {JSX.Element} The page, the verification screen or a redirect.
+ */
+const RequireAuth = ({ children }) => {
+  const { currentUser, needsEmailVerification } = useAuth();
+  const location = useLocation();
+
+  if (!currentUser) {
+    return <Navigate to="/login" replace state={{ from: `${location.pathname}${location.search}` }} />;
+  }
+  if (needsEmailVerification) {
+    return <VerifyEmailPage />;
+  }
+  return children;
+};
+
+RequireAuth.propTypes = {
+  children: PropTypes.node.isRequired,
+};
+
+export default RequireAuth;
@@ -0,0 +1,321 @@
+import React, { useState, useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Modal,
+  ModalOverlay,
+  ModalContent,
+  ModalHeader,
+  ModalCloseButton,
+  ModalBody,
+  ModalFooter,
+  AlertDialog,
+  AlertDialogOverlay,
+  AlertDialogContent,
+  AlertDialogHeader,
+  AlertDialogBody,
+  AlertDialogFooter,
+  FormControl,
+  FormLabel,
+  FormErrorMessage,
+  Input,
+  Select,
+  Button,
+  IconButton,
+  HStack,
+  VStack,
+  Box,
+  Text,
+} from '@chakra-ui/react';
+import { DeleteIcon } from '@chakra-ui/icons';
+import { useAuth } from '../contexts/AuthContext.jsx';
+import { usePreferredToast } from '../hooks/usePreferredToast.js';
+import { TAG_COLORS, MAX_TAG_NAME_LENGTH, createTag, updateTag, deleteTag } from '../services/tagService.js';
+
+/**
+ * A color dropdown with a swatch of the selected color.
+ */
+const ColorSelect = ({ value, onChange, isDisabled, label }) => (
+  <HStack spacing={2}>
+    <Box w={4} h={4} borderRadius="full" bg={`${value}.400`} flexShrink={0} />
+    <Select
+      size="sm"
+      w="110px"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      isDisabled={isDisabled}
+      aria-label={label}
+    >
+      {TAG_COLORS.map((color) => (
+        <option key={color} value={color}>
+          {color}
+        </option>
+      ))}
+    </Select>
+  </HStack>
+);
+
+ColorSelect.propTypes = {
+  value: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  isDisabled: PropTypes.bool,
+  label: PropTypes.string.isRequired,
+};
+
+/**
+ * One editable tag: the name is saved when the input loses focus (or on Enter), the color
+ * as soon as it changes.
+ */
+const TagRow = ({ tag, onSave, onDelete, isBusy }) => {
+  const [name, setName] = useState(tag.name);
+
+  // Show renames saved here or made elsewhere
+  useEffect(() => {
+    setName(tag.name);
+  }, [tag.name]);
+
+  const commitName = () => {
+    const trimmed = name.trim();
+    if (trimmed === tag.name) {
+      setName(tag.name);
+      return;
+    }
+    onSave(tag, { name: trimmed }).catch(() => setName(tag.name));
+  };
+
+  return (
+    <HStack spacing={2}>
+      <ColorSelect
+        value={tag.color}
+        onChange={(color) => onSave(tag, { color }).catch(() => {})} // The error is already shown
+        isDisabled={isBusy}
+        label={`Color of ${tag.name}`}
+      />
+      <Input
+        size="sm"
+        value={name}
+        maxLength={MAX_TAG_NAME_LENGTH}
+        onChange={(e) => setName(e.target.value)}
+        onBlur={commitName}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') {
+            e.preventDefault();
+            e.currentTarget.blur();
+          }
+        }}
+        isDisabled={isBusy}
+        aria-label={`Name of ${tag.name}`}
+      />
+      <IconButton
+        icon={<DeleteIcon />}
+        aria-label={`Delete tag ${tag.name}`}
+        size="sm"
+        variant="ghost"
+        colorScheme="red"
+        onClick={() => onDelete(tag)}
+        isDisabled={isBusy}
+      />
+    </HStack>
+  );
+};
+
+TagRow.propTypes = {
+  tag: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    color: PropTypes.string.isRequired,
+  }).isRequired,
+  onSave: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+  isBusy: PropTypes.bool,
+};
+
+/**
+ * Modal for managing the current user's tags: create, rename, recolor and delete.
+ * Deleting a tag also removes it from all reminders and ideas (after confirmation).
+ *
+ * @param {object} props - The component props.
+ * @param {boolean} props.isOpen - Whether the modal is shown.
+ * @param {function} props.onClose - Called when the modal is closed.
+ * @param {Array<{ id: string, name: string, color: string }>} props.tags - The user's tags (live, from `useTags`).
+ * @returns {JSX.Element} The rendered modal.
+ */
+const TagManager = ({ isOpen, onClose, tags }) => {
+  const { currentUser } = useAuth();
+  const toast = usePreferredToast();
+
+  const [newName, setNewName] = useState('');
+  const [newColor, setNewColor] = useState(TAG_COLORS[0]);
+  const [createError, setCreateError] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const [tagToDelete, setTagToDelete] = useState(null);
+  const cancelRef = useRef(null);
+
+  const showError = (title, err) => {
+    toast({
+      title,
+      description: err.message || 'Please try again.',
+      status: 'error',
+      duration: 5000,
+      isClosable: true,
+    });
+  };
+
+  /**
+   * Creates a tag from the "New tag" inputs.
+   * @param {React.FormEvent<HTMLFormElement>} event - The form submission event.
+   */
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    if (!newName.trim()) {
+      setCreateError('Please enter a name.');
+      return;
+    }
+    setIsBusy(true);
+    setCreateError(null);
+    try {
+      await createTag(currentUser.uid, { name: newName, color: newColor });
+      setNewName('');
+    } catch (err) {
+      console.error('Error creating tag:', err);
+      setCreateError(err.message || 'Could not create the tag.');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  /**
+   * Saves a rename or recolor. Rejects (after showing the error) so the row can reset its input.
+   */
+  const handleSave = async (tag, changes) => {
+    setIsBusy(true);
+    try {
+      await updateTag(currentUser.uid, tag.id, changes);
+    } catch (err) {
+      console.error(`Error updating tag ${tag.id}:`, err);
+      showError('Tag Not Saved', err);
+      throw err;
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  /**
+   * Deletes the tag confirmed in the dialog.
+   */
+  const handleConfirmDelete = async () => {
+    const tag = tagToDelete;
+    setTagToDelete(null);
+    if (!tag) {
+      return;
+    }
+    setIsBusy(true);
+    try {
+      const updatedCount = await deleteTag(currentUser.uid, tag.id);
+      toast({
+        title: 'Tag Deleted',
+        description: updatedCount > 0 ? `Removed from ${updatedCount} reminder(s).` : undefined,
+        status: 'success',
+        duration: 3000,
+        isClosable: true,
+      });
+    } catch (err) {
+      console.error(`Error deleting tag ${tag.id}:`, err);
+      showError('Deletion Failed', err);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  return (
+    <>
+      <Modal isOpen={isOpen} onClose={onClose} isCentered scrollBehavior="inside">
+        <ModalOverlay />
+        <ModalContent mx={{ base: 4, sm: 0 }}>
+          <ModalHeader>Manage Tags</ModalHeader>
+          <ModalCloseButton />
+          <ModalBody>
+            <VStack spacing={3} align="stretch">
+              {tags.length === 0 && (
+                <Text color="gray.500" fontStyle="italic">
+                  No tags yet. Create one below, e.g. &ldquo;flowers&rdquo; or &ldquo;date night&rdquo;.
+                </Text>
+              )}
+              {tags.map((tag) => (
+                <TagRow key={tag.id} tag={tag} onSave={handleSave} onDelete={setTagToDelete} isBusy={isBusy} />
+              ))}
+
+              <Box as="form" onSubmit={handleCreate} pt={4} borderTopWidth={tags.length > 0 ? '1px' : 0}>
+                <FormControl isInvalid={!!createError}>
+                  <FormLabel htmlFor="new-tag-name">New tag</FormLabel>
+                  <HStack spacing={2}>
+                    <ColorSelect value={newColor} onChange={setNewColor} isDisabled={isBusy} label="New tag color" />
+                    <Input
+                      id="new-tag-name"
+                      size="sm"
+                      placeholder="e.g., flowers"
+                      value={newName}
+                      maxLength={MAX_TAG_NAME_LENGTH}
+                      onChange={(e) => setNewName(e.target.value)}
+                      isDisabled={isBusy}
+                    />
+                    <Button type="submit" size="sm" colorScheme="pink" isLoading={isBusy} flexShrink={0}>
+                      Add
+                    </Button>
+                  </HStack>
+                  {createError && <FormErrorMessage>{createError}</FormErrorMessage>}
+                </FormControl>
+              </Box>
+            </VStack>
+          </ModalBody>
+          <ModalFooter>
+            <Button onClick={onClose}>Done</Button>
+          </ModalFooter>
+        </ModalContent>
+      </Modal>
+
+      {/* Delete Confirmation */}
+      <AlertDialog
+        isOpen={tagToDelete !== null}
+        leastDestructiveRef={cancelRef}
+        onClose={() => setTagToDelete(null)}
+        isCentered
+      >
+        <AlertDialogOverlay>
+          <AlertDialogContent mx={{ base: 4, sm: 0 }}>
+            <AlertDialogHeader fontSize="lg" fontWeight="bold">
+              Delete Tag
+            </AlertDialogHeader>
+            <AlertDialogBody>
+              &ldquo;{tagToDelete?.name}&rdquo; will be removed from all reminders and ideas. The reminders and ideas themselves are kept.
+            </AlertDialogBody>
+            <AlertDialogFooter>
+              <Button ref={cancelRef} onClick={() => setTagToDelete(null)}>
+                Cancel
+              </Button>
+              <Button colorScheme="red" onClick={handleConfirmDelete} ml={3}>
+                Delete
+              </Button>
+            </AlertDialogFooter>
+          </AlertDialogContent>
+        </AlertDialogOverlay>
+      </AlertDialog>
+    </>
+  );
+};
+
+TagManager.propTypes = {
+  /** Whether the modal is shown. */
+  isOpen: PropTypes.bool.isRequired,
+  /** Called when the modal is closed. */
+  onClose: PropTypes.func.isRequired,
+  /** The user's tags. */
+  tags: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      color: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+};
+
+export default TagManager;
@@ -0,0 +1,94 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Wrap, WrapItem, Tag, TagLabel, TagLeftIcon, Text } from '@chakra-ui/react';
+import { CheckIcon } from '@chakra-ui/icons';
+
+/**
+ * A row of toggleable tag chips. Used by ReminderForm to choose a reminder's tags and by
+ * DashboardPage to filter the lists by tag.
+ *
+ * @param {object} props - The component props.
+ * @param {Array<{ id: string, name: string, color: string }>} props.tags - The tags to choose from.
+ * @param {Array<string>} props.value - IDs of the selected tags.
+ * @param {function} props.onChange - Called with the new array of selected tag IDs.
+ * @param {boolean} [props.isDisabled=false] - Disables toggling.
+ * @param {number} [props.maxSelected] - Unselected tags can't be chosen once this many are selected.
+ * @param {string} [props.emptyMessage] - Shown when there are no tags.
+ * @param {'sm' | 'md' | 'lg'} [props.size='md'] - Chip size.
+ * @returns {JSX.Element} The rendered chips.
+ */
+const TagPicker = ({
+  tags,
+  value,
+  onChange,
+  isDisabled = false,
+  maxSelected,
+  emptyMessage = 'No tags yet.',
+  size = 'md',
+}) => {
+  if (tags.length === 0) {
+    return (
+      <Text fontSize="sm" color="gray.500" fontStyle="italic">
+        {emptyMessage}
+      </Text>
+    );
+  }
+
+  const toggle = (tagId) => {
+    onChange(value.includes(tagId) ? value.filter((id) => id !== tagId) : [...value, tagId]);
+  };
+
+  return (
+    <Wrap spacing={2}>
+      {tags.map((tag) => {
+        const isSelected = value.includes(tag.id);
+        const isBlocked = isDisabled || (!isSelected && maxSelected !== undefined && value.length >= maxSelected);
+        return (
+          <WrapItem key={tag.id}>
+            <Tag
+              as="button"
+              type="button"
+              size={size}
+              borderRadius="full"
+              colorScheme={tag.color}
+              variant={isSelected ? 'solid' : 'outline'}
+              onClick={() => toggle(tag.id)}
+              aria-pressed={isSelected}
+              disabled={isBlocked}
+              cursor={isBlocked ? 'not-allowed' : 'pointer'}
+              opacity={isBlocked && !isSelected ? 0.5 : 1}
+            >
+              {isSelected && <TagLeftIcon as={CheckIcon} boxSize="0.6em" />}
+              <TagLabel>{tag.name}</TagLabel>
+            </Tag>
+          </WrapItem>
+        );
+      })}
+    </Wrap>
+  );
+};
+
+TagPicker.propTypes = {
+  /** The tags to choose from. */
+  tags: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      color: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+  /** IDs of the selected tags. */
+  value: PropTypes.arrayOf(PropTypes.string).isRequired,
+  /** Called with the new array of selected tag IDs. */
+  onChange: PropTypes.func.isRequired,
+  /** Disables toggling. */
+  isDisabled: PropTypes.bool,
+  /** Unselected tags can't be chosen once this many are selected. */
+  maxSelected: PropTypes.number,
+  /** Shown when there are no tags. */
+  emptyMessage: PropTypes.string,
+  /** Chip size. */
+  size: PropTypes.oneOf(['sm', 'md', 'lg']),
+};
+
+export default TagPicker;
@@ -1,7 +1,33 @@
 // src/config/firebase.js
 import { initializeApp } from 'firebase/app';
-import { getAuth } from 'firebase/auth';
-import { getFirestore } from 'firebase/firestore';
+import { getAuth, connectAuthEmulator } from 'firebase/auth';
+import {
+  initializeFirestore,
+  connectFirestoreEmulator,
+  memoryLocalCache,
+  persistentLocalCache,
+  persistentMultipleTabManager,
+} from 'firebase/firestore';
+import { isLocalMode, STORAGE_BACKEND } from './storage.js';
+
+// --- Emulator Mode ---
+// With VITE_USE_FIREBASE_EMULATORS=true, Auth and Firestore talk to the local Firebase emulators
+// (`npm run emulators`) instead of a real project. Only the project ID matters there, so missing
+// credentials are filled with placeholders.
+
+/**
+ * True when Auth and Firestore are connected to the local emulators.
+ * @type {boolean}
+ */
+export const isEmulatorMode =
+  !isLocalMode && (import.meta.env.VITE_USE_FIREBASE_EMULATORS || '').trim().toLowerCase() === 'true';
+
+/** Project ID used in emulator mode when none is configured; `demo-` projects never reach production. */
+export const EMULATOR_PROJECT_ID = 'demo-sweet-surprises';
+
+const emulatorHost = import.meta.env.VITE_FIREBASE_EMULATOR_HOST || '127.0.0.1';
+const authEmulatorPort = Number(import.meta.env.VITE_FIREBASE_AUTH_EMULATOR_PORT || 9099);
+const firestoreEmulatorPort = Number(import.meta.env.VITE_FIRESTORE_EMULATOR_PORT || 8080);
 
 // --- Firebase Configuration ---
 // Read environment variables provided by Vite
@@ -22,15 +48,34 @@ const requiredConfigKeys = [
   'projectId',
   'appId',
 ];
-const missingKeys = requiredConfigKeys.filter(
-  (key) => !firebaseConfig[key] || typeof firebaseConfig[key] !== 'string' || firebaseConfig[key].trim() === '' || firebaseConfig[key].includes('YOUR_')
-);
+const isMissing = (key) =>
+  !firebaseConfig[key] || typeof firebaseConfig[key] !== 'string' || firebaseConfig[key].trim() === '' || firebaseConfig[key].includes('YOUR_');
+
+if (isEmulatorMode) {
+  // The emulators accept any API key, but the SDK requires one to be set
+  const emulatorDefaults = { apiKey: 'demo-api-key', projectId: EMULATOR_PROJECT_ID, appId: 'demo-app-id' };
+  Object.entries(emulatorDefaults).forEach(([key, value]) => {
+    if (isMissing(key)) {
+      firebaseConfig[key] = value;
+    }
+  });
+  if (isMissing('authDomain')) {
+    firebaseConfig.authDomain = `${firebaseConfig.projectId}.firebaseapp.com`;
+  }
+}
+
+const missingKeys = requiredConfigKeys.filter(isMissing);
 
 let app;
 let authInstance;
 let dbInstance;
 
-if (missingKeys.length > 0) {
+if (isLocalMode) {
+  // --- Local Mode ---
+  // Firebase is not used with the local/memory storage backends, so credentials are not required.
+  // `auth` and `db` are exported as null; callers must check `isLocalMode` before using them.
+  console.info(`Running in local mode (storage backend: ${STORAGE_BACKEND}). Firebase is not initialized.`);
+} else if (missingKeys.length > 0) {
   const errorMsg = `Firebase configuration error: The following required environment variables are missing or invalid in your .env file: ${missingKeys
     .map((key) => `VITE_FIREBASE_${key.toUpperCase()}`)
     .join(', ')}. Please ensure they are correctly set. Application cannot start.`;
@@ -52,11 +97,26 @@ if (missingKeys.length > 0) {
 
     /**
      * Firebase Firestore database service instance.
+     * Uses the persistent (IndexedDB) local cache, shared across tabs, so reminders stay
+     * readable offline and snapshot listeners serve cached data until the network returns.
+     * The emulators lose their data on restart, so emulator mode caches in memory only.
      * @type {import("firebase/firestore").Firestore}
      */
-    dbInstance = getFirestore(app);
+    dbInstance = initializeFirestore(app, {
+      localCache: isEmulatorMode
+        ? memoryLocalCache()
+        : persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+    });
 
-    console.info("Firebase initialized successfully.");
+    if (isEmulatorMode) {
+      connectAuthEmulator(authInstance, `http://${emulatorHost}:${authEmulatorPort}`, { disableWarnings: true });
+      connectFirestoreEmulator(dbInstance, emulatorHost, firestoreEmulatorPort);
+      console.info(
+        `Firebase initialized in emulator mode (project ${firebaseConfig.projectId}, Auth ${emulatorHost}:${authEmulatorPort}, Firestore ${emulatorHost}:${firestoreEmulatorPort}).`
+      );
+    } else {
+      console.info("Firebase initialized successfully.");
+    }
 
   } catch (error) {
     console.error("Failed to initialize Firebase:", error);
@@ -65,6 +125,6 @@ if (missingKeys.length > 0) {
 }
 
 // --- Exports ---
-// Export the initialized services as singletons
+// Export the initialized services as singletons (null in local mode)
 export const auth = authInstance;
 export const db = dbInstance;
\ No newline at end of file
@@ -0,0 +1,48 @@
+// src/config/storage.js
+
+/**
+ * Storage backends supported by the reminder repository layer.
+ * - `firestore`: Cloud Firestore (requires the `VITE_FIREBASE_*` configuration).
+ * - `local`: IndexedDB in the current browser, for a fully offline "local mode".
+ * - `memory`: Non-persistent, deterministic in-memory store (tests and throwaway demos).
+ */
+export const STORAGE_BACKENDS = ['firestore', 'local', 'memory'];
+
+// Read the backend from Vite env, defaulting to Firestore for existing deployments
+const configuredBackend = (import.meta.env.VITE_STORAGE_BACKEND || 'firestore').trim().toLowerCase();
+
+if (!STORAGE_BACKENDS.includes(configuredBackend)) {
+  const errorMsg = `Storage configuration error: VITE_STORAGE_BACKEND must be one of ${STORAGE_BACKENDS.join(
+    ', '
+  )} (received "${configuredBackend}"). Application cannot start.`;
+  console.error(errorMsg);
+  throw new Error(errorMsg);
+}
+
+/**
+ * The storage backend selected for this build.
+ * @type {'firestore' | 'local' | 'memory'}
+ */
+export const STORAGE_BACKEND = configuredBackend;
+
+/**
+ * True when the app runs without Firebase (local or memory backend). Firebase is not
+ * initialized in this mode and authentication uses a local demo session instead.
+ * @type {boolean}
+ */
+export const isLocalMode = STORAGE_BACKEND !== 'firestore';
+
+// Read the trash retention period from Vite env, defaulting to 30 days
+const configuredRetention = Number(import.meta.env.VITE_TRASH_RETENTION_DAYS || 30);
+
+if (!Number.isFinite(configuredRetention) || configuredRetention < 0) {
+  const errorMsg = `Storage configuration error: VITE_TRASH_RETENTION_DAYS must be a non-negative number of days (received "${import.meta.env.VITE_TRASH_RETENTION_DAYS}"). Application cannot start.`;
+  console.error(errorMsg);
+  throw new Error(errorMsg);
+}
+
+/**
+ * Days a deleted reminder stays in the trash before it is purged permanently.
+ * @type {number}
+ */
+export const TRASH_RETENTION_DAYS = configuredRetention;
@@ -7,9 +7,42 @@ import React, {
   useCallback,
 } from 'react';
 import { onAuthStateChanged } from 'firebase/auth';
-import { auth } from '../config/firebase.js'; // Import initialized auth instance
+import { auth, isEmulatorMode } from '../config/firebase.js'; // Import initialized auth instance
+import { isLocalMode } from '../config/storage.js';
 // Anticipate authService functions - ensure this file exists later
-import { loginUser, logoutUser } from '../services/authService.js';
+import {
+  loginUser,
+  loginDemoUser,
+  registerUser,
+  sendPasswordReset,
+  sendVerificationEmail,
+  reloadCurrentUser,
+  sendSignInLink,
+  isEmailSignInLink,
+  completeEmailLinkSignIn,
+  signInWithGoogle,
+  savePendingGoogleLink,
+  getPendingLink,
+  clearPendingLink,
+  linkCredential,
+  linkGoogleAccount,
+  getSignInProviders,
+  reauthenticateWithPassword,
+  reauthenticateWithGoogle,
+  sendReauthenticationLink,
+  reauthenticateWithEmailLink,
+  hasRecentSignIn,
+  changeEmail,
+  changePassword,
+  deleteAuthUser,
+  logoutUser,
+  getLocalUser,
+  loginLocalUser,
+  logoutLocalUser,
+} from '../services/authService.js';
+import { seedDemoData } from '../services/demoDataService.js';
+import { deleteUserData } from '../services/accountService.js';
+import { getSafeReturnPath } from '../utils/helpers.js';
 
 /**
  * @typedef {import("firebase/auth").User} FirebaseUser
@@ -24,10 +57,47 @@ const AuthContext = createContext(undefined);
 
 /**
  * @typedef {object} AuthContextType
- * @property {FirebaseUser | null} currentUser - The currently authenticated Firebase user object, or null if not authenticated.
+ * @property {FirebaseUser | import("../services/authService.js").LocalUser | null} currentUser - The currently authenticated Firebase user object
+ *   (or the local demo user in local mode), or null if not authenticated.
  * @property {boolean} loading - Indicates if authentication state is being checked or a login/logout operation is in progress.
  * @property {string | null} error - Stores user-friendly authentication error messages.
+ * @property {boolean} needsEmailVerification - True while the signed-in user has not verified their
+ *   email address; the app then only shows the "check your email" screen.
+ * @property {{ email: string, providerName: string } | null} pendingLink - A sign-in method (e.g. Google)
+ *   that will be added to the account with this email once the user logs in to it another way.
+ * @property {() => Promise<string | null>} linkPendingSignIn - Adds `pendingLink` to the signed-in account,
+ *   if needed by signing in to the provider again in a popup. Resolves with a user-friendly error message, or null on success.
+ * @property {() => void} dismissPendingLink - Forgets `pendingLink` without adding it.
  * @property {(email: string, password: string) => Promise<void>} login - Function to log the user in.
+ * @property {() => Promise<void>} loginWithGoogle - Signs in with a Google account in a popup.
+ * @property {(email: string, returnPath?: string) => Promise<string | null>} sendLoginLink - Emails a
+ *   sign-in link that leads back to `returnPath`. Resolves with a user-friendly error message, or null on success.
+ * @property {(url: string) => boolean} isLoginLink - Whether a URL is a sign-in link.
+ * @property {(email: string, url: string) => Promise<string | null>} completeLoginLink - Signs in with a
+ *   sign-in link. Resolves with a user-friendly error message, or null on success.
+ * @property {(email: string, password: string) => Promise<string | null>} signup - Creates an account, signs
+ *   it in and sends the verification email. Resolves with a user-friendly error message, or null on success.
+ * @property {(email: string) => Promise<string | null>} resetPassword - Sends a password reset email.
+ *   Resolves with a user-friendly error message, or null on success.
+ * @property {() => Promise<string | null>} resendVerificationEmail - Sends the verification email again.
+ *   Resolves with a user-friendly error message, or null on success.
+ * @property {() => Promise<string | null>} refreshUser - Reloads the user to pick up a verification made
+ *   from the email link. Resolves with a user-friendly error message, or null on success.
+ * @property {() => Promise<void>} loginAsDemoUser - Emulator mode only: signs in to the demo account
+ *   (creating it and its sample data on first use).
+ * @property {Array<string>} signInProviders - The signed-in user's sign-in methods, e.g. `['password', 'google.com']`
+ *   (empty in local mode).
+ * @property {(method: { password: string } | { provider: 'google' } | { emailLink: string }) => Promise<string | null>} reauthenticate -
+ *   Confirms the user's identity before a sensitive change. Resolves with a user-friendly error message, or null on success.
+ * @property {(returnPath?: string) => Promise<string | null>} sendConfirmationLink - Emails the user a link that
+ *   leads back to `returnPath`, for `reauthenticate({ emailLink })`. Resolves with a user-friendly error message, or null on success.
+ * @property {(newEmail: string) => Promise<string | null>} updateEmail - Emails a link that changes the address once
+ *   opened. Requires a recent `reauthenticate`. Resolves with a user-friendly error message, or null on success.
+ * @property {(newPassword: string) => Promise<string | null>} updatePassword - Changes the password. Requires a
+ *   recent `reauthenticate`. Resolves with a user-friendly error message, or null on success.
+ * @property {(options?: { onProgress?: (deleted: number, total: number) => void }) => Promise<string | null>} deleteAccount -
+ *   Deletes all of the user's data and then the account itself, which signs them out. Requires a recent
+ *   `reauthenticate`, checked before anything is deleted. Resolves with a user-friendly error message, or null on success.
  * @property {() => Promise<void>} logout - Function to log the user out.
  */
 
@@ -48,16 +118,36 @@ const mapAuthErrorToMessage = (error) => {
         return 'Access temporarily disabled due to too many failed login attempts. Please reset your password or try again later.';
       case 'auth/network-request-failed':
         return 'Network error. Please check your internet connection and try again.';
-      case 'auth/email-already-in-use': // Although not used in login, good to have
+      case 'auth/email-already-in-use':
         return 'This email address is already associated with an account.';
-      case 'auth/weak-password': // Although not used in login, good to have
+      case 'auth/weak-password':
         return 'Password is too weak. Please choose a stronger password.';
       case 'auth/invalid-email':
+      case 'auth/missing-email':
         return 'Invalid email format. Please enter a valid email address.';
+      case 'auth/operation-not-allowed':
+        return 'This sign-in method is not enabled for this app.';
+      case 'auth/invalid-action-code':
+      case 'auth/expired-action-code':
+        return 'This sign-in link is invalid, expired or already used. Please request a new one.';
+      case 'auth/popup-blocked':
+        return 'The sign-in window was blocked. Please allow popups for this site and try again.';
+      case 'auth/unauthorized-domain':
+      case 'auth/unauthorized-continue-uri':
+        return 'This site is not authorized for sign-in. Add its domain to the authorized domains in the Firebase Console.';
+      case 'auth/credential-already-in-use':
+        return 'This sign-in method is already connected to another account.';
+      case 'auth/requires-recent-login':
+        return 'For your security, please confirm your identity again and retry.';
+      case 'auth/user-mismatch':
+        return 'That is not the account you are signed in with. Please choose the same account.';
       default:
         console.error('Unhandled Firebase Auth Error:', error);
         return 'An unexpected authentication error occurred. Please try again later.';
     }
+  } else if (error instanceof TypeError) {
+    // Input rejected by authService before reaching Firebase
+    return error.message;
   } else {
     // Generic error
     console.error('Generic Auth Error:', error);
@@ -65,6 +155,18 @@ const mapAuthErrorToMessage = (error) => {
   }
 };
 
+/**
+ * Whether a user has to verify their email address before using the app. Local-mode users are
+ * exempt; so is anyone whose provider already verified the address.
+ * @param {FirebaseUser | import("../services/authService.js").LocalUser | null} user - The signed-in user.
+ * @param {boolean} emailVerified - The user's latest known verification state.
+ * @returns {boolean}
+ */
+const requiresEmailVerification = (user, emailVerified) =>
+  Boolean(user) &&
+  !user.isLocal &&
+  !emailVerified;
+
 
 /**
  * Provides authentication state and actions to its children components.
@@ -80,8 +182,19 @@ export const AuthProvider = ({ children }) => {
   const [loading, setLoading] = useState(true); // Start loading until initial check completes
   /** @type {[string | null, React.Dispatch<React.SetStateAction<string | null>>]} */
   const [error, setError] = useState(null);
+  // Tracked separately because reloading the user updates the same User object in place
+  const [emailVerified, setEmailVerified] = useState(false);
+  /** @type {[import("../services/authService.js").PendingLink | null, Function]} */
+  const [pendingLink, setPendingLink] = useState(() => (isLocalMode ? null : getPendingLink()));
 
   useEffect(() => {
+    // Local mode: restore the demo session instead of listening to Firebase
+    if (isLocalMode) {
+      setCurrentUser(getLocalUser());
+      setLoading(false);
+      return undefined;
+    }
+
     let unsubscribe;
     try {
       // Subscribe to Firebase auth state changes
@@ -89,6 +202,7 @@ export const AuthProvider = ({ children }) => {
         auth,
         (user) => {
           setCurrentUser(user); // Update currentUser state
+          setEmailVerified(Boolean(user?.emailVerified));
           setLoading(false); // Initial auth check complete
           setError(null); // Clear any previous errors on state change
         },
@@ -115,6 +229,40 @@ export const AuthProvider = ({ children }) => {
     };
   }, []); // Empty dependency array ensures this runs only once on mount
 
+  /**
+   * Links the pending sign-in method (see `pendingLink`) to a user who just signed in, if the
+   * user's email matches. A failed link is logged and does not affect the sign-in.
+   *
+   * Without the credential (the Google sign-in happened in another tab, see `getPendingLink`), the
+   * user signs in to Google again in a popup. That needs a click, so unless `allowPopup` is set
+   * the link stays pending for `linkPendingSignIn`.
+   * @param {FirebaseUser} user - The signed-in user.
+   * @param {{ allowPopup?: boolean }} [options] - `allowPopup`: the sign-in was started by a click.
+   * @returns {Promise<void>}
+   */
+  const linkPendingSignInMethod = useCallback(async (user, { allowPopup = false } = {}) => {
+    const pending = getPendingLink();
+    if (!pending || user?.email?.toLowerCase() !== pending.email.toLowerCase()) {
+      return;
+    }
+    if (!pending.credential && !allowPopup) {
+      setPendingLink(pending);
+      return;
+    }
+    try {
+      if (pending.credential) {
+        await linkCredential(user, pending.credential);
+      } else {
+        await linkGoogleAccount(user, pending.email);
+      }
+    } catch (linkError) {
+      console.error(`Linking ${pending.providerName} sign-in failed:`, linkError);
+    } finally {
+      clearPendingLink();
+      setPendingLink(null);
+    }
+  }, []);
+
   /**
    * Logs in a user with email and password.
    * @param {string} email - The user's email address.
@@ -126,7 +274,14 @@ export const AuthProvider = ({ children }) => {
     setError(null); // Clear previous errors
     try {
       // Delegate login logic to authService
-      await loginUser(auth, email, password);
+      if (isLocalMode) {
+        // No auth state listener in local mode, so update the user directly
+        const { user } = await loginLocalUser(email, password);
+        setCurrentUser(user);
+      } else {
+        const { user } = await loginUser(auth, email, password);
+        await linkPendingSignInMethod(user, { allowPopup: true });
+      }
       // Successful login attempt initiated.
       // onAuthStateChanged will handle setting currentUser.
       // We don't need to explicitly set currentUser here.
@@ -139,7 +294,357 @@ export const AuthProvider = ({ children }) => {
       // Rethrow or handle as needed, but setting state is primary role here
       // console.error("Login failed:", err); // Original error logged by mapAuthErrorToMessage if needed
     }
-  }, []); // Depends only on auth instance, which is stable
+  }, [linkPendingSignInMethod]); // Both the auth instance and linkPendingSignInMethod are stable
+
+  /**
+   * Signs in with a Google account in a popup. If an account with the same email already exists
+   * (signed up with a password or email link), the Google credential is kept as `pendingLink`
+   * and linked once the user logs in to that account.
+   * @returns {Promise<void>}
+   */
+  const loginWithGoogle = useCallback(async () => {
+    if (isLocalMode) {
+      setError('Google sign-in is not available in local mode.');
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      const { user } = await signInWithGoogle(auth);
+      await linkPendingSignInMethod(user);
+      setLoading(false);
+    } catch (err) {
+      const pending = savePendingGoogleLink(err);
+      if (pending) {
+        setPendingLink(pending);
+        setError(
+          `An account for ${pending.email} already exists. Log in to it with your password or an email link, and Google sign-in will be added to it.`
+        );
+      } else if (err?.code !== 'auth/popup-closed-by-user' && err?.code !== 'auth/cancelled-popup-request') {
+        setError(mapAuthErrorToMessage(err));
+      }
+      setLoading(false);
+    }
+  }, [linkPendingSignInMethod]);
+
+  /**
+   * Adds the pending sign-in method (see `pendingLink`) to the signed-in account, signing in to
+   * Google again in a popup if this tab does not have the credential. Call it from a click.
+   * @returns {Promise<string | null>} A user-friendly error message, or null on success.
+   */
+  const linkPendingSignIn = useCallback(async () => {
+    const pending = getPendingLink();
+    const user = auth.currentUser;
+    if (!pending || !user) {
+      setPendingLink(null);
+      return null;
+    }
+    try {
+      if (pending.credential) {
+        await linkCredential(user, pending.credential);
+      } else {
+        await linkGoogleAccount(user, pending.email);
+      }
+      clearPendingLink();
+      setPendingLink(null);
+      return null;
+    } catch (err) {
+      if (err?.code === 'auth/popup-closed-by-user' || err?.code === 'auth/cancelled-popup-request') {
+        return `The ${pending.providerName} sign-in window was closed before it was added.`;
+      }
+      return mapAuthErrorToMessage(err);
+    }
+  }, []);
+
+  /**
+   * Forgets the pending sign-in method without adding it.
+   */
+  const dismissPendingLink = useCallback(() => {
+    clearPendingLink();
+    setPendingLink(null);
+  }, []);
+
+  /**
+   * Emails a sign-in link. Opening it leads to `/login/email-link`, which signs the user in and
+   * continues to `returnPath`. Does not toggle `loading`.
+   * @param {string} email - The address to send the link to.
+   * @param {string} [returnPath='/'] - The in-app path to open after signing in.
+   * @returns {Promise<string | null>} A user-friendly error message, or null on success.
+   */
+  const sendLoginLink = useCallback(async (email, returnPath = '/') => {
+    if (isLocalMode) {
+      return 'Sign-in links are not available in local mode. Sign in with any email address and password.';
+    }
+    try {
+      const continueUrl = new URL('/login/email-link', window.location.origin);
+      continueUrl.searchParams.set('next', getSafeReturnPath(returnPath));
+      await sendSignInLink(auth, email, continueUrl.toString());
+      return null;
+    } catch (err) {
+      return mapAuthErrorToMessage(err);
+    }
+  }, []);
+
+  /**
+   * Whether a URL is a sign-in link sent by `sendLoginLink`.
+   * @param {string} url - The URL, usually `window.location.href`.
+   * @returns {boolean}
+   */
+  const isLoginLink = useCallback((url) => !isLocalMode && isEmailSignInLink(auth, url), []);
+
+  /**
+   * Signs in with a sign-in link. Does not toggle `loading`, so the link page keeps its state.
+   * @param {string} email - The address the link was sent to.
+   * @param {string} url - The sign-in link, usually `window.location.href`.
+   * @returns {Promise<string | null>} A user-friendly error message, or null on success.
+   */
+  const completeLoginLink = useCallback(async (email, url) => {
+    try {
+      const { user } = await completeEmailLinkSignIn(auth, email, url);
+      await linkPendingSignInMethod(user);
+      return null;
+    } catch (err) {
+      return mapAuthErrorToMessage(err);
+    }
+  }, [linkPendingSignInMethod]);
+
+  /**
+   * Signs in to the emulator demo account and adds the sample data if the account is empty.
+   * Failing to add the sample data does not undo the sign-in.
+   * @returns {Promise<void>}
+   */
+  const loginAsDemoUser = useCallback(async () => {
+    if (!isEmulatorMode) {
+      setError('The demo account is only available with the Firebase emulators.');
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      const { user } = await loginDemoUser(auth);
+      setEmailVerified(user.emailVerified); // onAuthStateChanged misses the reload of an account verified after sign-in
+      try {
+        await seedDemoData(user.uid);
+      } catch (seedError) {
+        console.error('Adding the demo data failed:', seedError);
+      }
+      setLoading(false);
+    } catch (err) {
+      const friendlyError =
+        err?.code === 'auth/network-request-failed'
+          ? 'Cannot reach the Auth emulator. Start it with `npm run emulators` and try again.'
+          : mapAuthErrorToMessage(err);
+      setError(friendlyError);
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Creates an account and signs it in, then sends the verification email. Does not toggle
+   * `loading`, so the sign-up page keeps its form while the request runs.
+   * @param {string} email - The new user's email address.
+   * @param {string} password - The new user's password.
+   * @returns {Promise<string | null>} A user-friendly error message, or null on success.
+   */
+  const signup = useCallback(async (email, password) => {
+    try {
+      if (isLocalMode) {
+        // Local mode has no accounts; signing up starts a local session like logging in
+        const { user } = await loginLocalUser(email, password);
+        setCurrentUser(user);
+        return null;
+      }
+      const { user } = await registerUser(auth, email, password);
+      try {
+        await sendVerificationEmail(user);
+      } catch (verificationError) {
+        // The account exists; the "check your email" screen offers to send the email again
+        console.error('Sending the verification email failed:', verificationError);
+      }
+      return null;
+    } catch (err) {
+      return mapAuthErrorToMessage(err);
+    }
+  }, []);
+
+  /**
+   * Sends a password reset email. Does not toggle `loading`.
+   * @param {string} email - The account's email address.
+   * @returns {Promise<string | null>} A user-friendly error message, or null on success.
+   */
+  const resetPassword = useCallback(async (email) => {
+    if (isLocalMode) {
+      return 'Local mode has no passwords. Sign in with any email address and password.';
+    }
+    try {
+      await sendPasswordReset(auth, email);
+      return null;
+    } catch (err) {
+      // Don't reveal whether an account exists for the address
+      if (err?.code === 'auth/user-not-found') {
+        return null;
+      }
+      return mapAuthErrorToMessage(err);
+    }
+  }, []);
+
+  /**
+   * Sends the verification email to the signed-in user again.
+   * @returns {Promise<string | null>} A user-friendly error message, or null on success.
+   */
+  const resendVerificationEmail = useCallback(async () => {
+    try {
+      await sendVerificationEmail(auth?.currentUser);
+      return null;
+    } catch (err) {
+      if (err?.code === 'auth/too-many-requests') {
+        return 'A verification email was sent recently. Please wait a few minutes before requesting another.';
+      }
+      return mapAuthErrorToMessage(err);
+    }
+  }, []);
+
+  /**
+   * Reloads the signed-in user, e.g. after they opened the verification link in another tab.
+   * @returns {Promise<string | null>} A user-friendly error message, or null on success.
+   */
+  const refreshUser = useCallback(async () => {
+    if (isLocalMode) {
+      return null;
+    }
+    try {
+      const user = await reloadCurrentUser(auth);
+      setEmailVerified(Boolean(user?.emailVerified));
+      return null;
+    } catch (err) {
+      return mapAuthErrorToMessage(err);
+    }
+  }, []);
+
+  /**
+   * Confirms the signed-in user's identity with their password, Google account or a link from
+   * `sendConfirmationLink`, as Firebase requires for changing the email or password and deleting
+   * the account. Does not toggle `loading`.
+   * @param {{ password: string } | { provider: 'google' } | { emailLink: string }} method - How to confirm.
+   * @returns {Promise<string | null>} A user-friendly error message, or null on success.
+   */
+  const reauthenticate = useCallback(async (method) => {
+    if (isLocalMode) {
+      return null;
+    }
+    try {
+      if (method?.provider === 'google') {
+        await reauthenticateWithGoogle(auth.currentUser);
+      } else if (method && 'emailLink' in method) {
+        if (!isEmailSignInLink(auth, method.emailLink ?? '')) {
+          return 'This is not a confirmation link from your email. Copy the whole link and try again.';
+        }
+        await reauthenticateWithEmailLink(auth.currentUser, method.emailLink);
+      } else {
+        await reauthenticateWithPassword(auth.currentUser, method?.password);
+      }
+      return null;
+    } catch (err) {
+      if (err?.code === 'auth/popup-closed-by-user' || err?.code === 'auth/cancelled-popup-request') {
+        return 'The sign-in window was closed before your identity was confirmed.';
+      }
+      return mapAuthErrorToMessage(err);
+    }
+  }, []);
+
+  /**
+   * Emails the signed-in user a link that confirms their identity (see `reauthenticate`), for
+   * accounts without a password or users who forgot it. Does not toggle `loading`.
+   * @param {string} [returnPath='/settings'] - The in-app path the link opens.
+   * @returns {Promise<string | null>} A user-friendly error message, or null on success.
+   */
+  const sendConfirmationLink = useCallback(async (returnPath = '/settings') => {
+    if (isLocalMode) {
+      return 'Local mode has no accounts to confirm.';
+    }
+    try {
+      const continueUrl = new URL(getSafeReturnPath(returnPath), window.location.origin);
+      await sendReauthenticationLink(auth, auth.currentUser, continueUrl.toString());
+      return null;
+    } catch (err) {
+      return mapAuthErrorToMessage(err);
+    }
+  }, []);
+
+  /**
+   * Starts changing the email address; it changes once the user opens the link sent to it.
+   * @param {string} newEmail - The new email address.
+   * @returns {Promise<string | null>} A user-friendly error message, or null on success.
+   */
+  const updateEmail = useCallback(async (newEmail) => {
+    if (isLocalMode) {
+      return 'Local mode has no accounts to change.';
+    }
+    try {
+      await changeEmail(auth.currentUser, newEmail);
+      return null;
+    } catch (err) {
+      return mapAuthErrorToMessage(err);
+    }
+  }, []);
+
+  /**
+   * Changes the password of the signed-in user.
+   * @param {string} newPassword - The new password.
+   * @returns {Promise<string | null>} A user-friendly error message, or null on success.
+   */
+  const updatePassword = useCallback(async (newPassword) => {
+    if (isLocalMode) {
+      return 'Local mode has no passwords to change.';
+    }
+    try {
+      await changePassword(auth.currentUser, newPassword);
+      return null;
+    } catch (err) {
+      return mapAuthErrorToMessage(err);
+    }
+  }, []);
+
+  /**
+   * Deletes everything under `users/{uid}` and then the account, so no data is left behind.
+   * Firebase only deletes accounts that signed in recently, so that is checked first: otherwise
+   * the data would be gone while the account stayed. Does not toggle `loading`, so the settings
+   * page can show the progress.
+   * @param {{ onProgress?: (deleted: number, total: number) => void }} [options] - See `deleteUserData`.
+   * @returns {Promise<string | null>} A user-friendly error message, or null on success.
+   */
+  const deleteAccount = useCallback(async ({ onProgress } = {}) => {
+    try {
+      if (isLocalMode) {
+        const localUser = getLocalUser();
+        if (localUser) {
+          await deleteUserData(localUser.uid, { onProgress });
+        }
+        await logoutLocalUser();
+        setCurrentUser(null);
+        return null;
+      }
+      const user = auth.currentUser;
+      if (!user) {
+        return 'You are not signed in.';
+      }
+      if (!(await hasRecentSignIn(user))) {
+        return 'For your security, please confirm your identity again and retry. Nothing was deleted.';
+      }
+      await deleteUserData(user.uid, { onProgress });
+      await deleteAuthUser(user);
+      clearPendingLink();
+      setPendingLink(null);
+      return null;
+    } catch (err) {
+      if (err && typeof err === 'object' && 'code' in err && !String(err.code).startsWith('auth/')) {
+        // A Firestore error while deleting the data; the account still exists
+        console.error('Deleting the account data failed:', err);
+        return 'Some of your data could not be deleted. Your account was kept; please try again.';
+      }
+      return mapAuthErrorToMessage(err);
+    }
+  }, []);
 
   /**
    * Logs out the current user.
@@ -150,7 +655,12 @@ export const AuthProvider = ({ children }) => {
     setError(null);
     try {
       // Delegate logout logic to authService
-      await logoutUser(auth);
+      if (isLocalMode) {
+        await logoutLocalUser();
+        setCurrentUser(null);
+      } else {
+        await logoutUser(auth);
+      }
       // Successful logout attempt initiated.
       // onAuthStateChanged will set currentUser to null.
       // Set loading false for quicker feedback.
@@ -169,10 +679,53 @@ export const AuthProvider = ({ children }) => {
       currentUser,
       loading,
       error,
+      needsEmailVerification: requiresEmailVerification(currentUser, emailVerified),
+      pendingLink: pendingLink && { email: pendingLink.email, providerName: pendingLink.providerName },
+      signInProviders: currentUser?.isLocal ? [] : getSignInProviders(currentUser),
       login, // Use the memoized login function
+      loginWithGoogle,
+      sendLoginLink,
+      isLoginLink,
+      completeLoginLink,
+      linkPendingSignIn,
+      dismissPendingLink,
+      loginAsDemoUser,
+      signup,
+      resetPassword,
+      resendVerificationEmail,
+      refreshUser,
+      reauthenticate,
+      sendConfirmationLink,
+      updateEmail,
+      updatePassword,
+      deleteAccount,
       logout, // Use the memoized logout function
     }),
-    [currentUser, loading, error, login, logout] // Include memoized functions in dependency array
+    [
+      currentUser,
+      loading,
+      error,
+      emailVerified,
+      pendingLink,
+      login,
+      loginWithGoogle,
+      sendLoginLink,
+      isLoginLink,
+      completeLoginLink,
+      linkPendingSignIn,
+      dismissPendingLink,
+      loginAsDemoUser,
+      signup,
+      resetPassword,
+      resendVerificationEmail,
+      refreshUser,
+      reauthenticate,
+      sendConfirmationLink,
+      updateEmail,
+      updatePassword,
+      deleteAccount,
+      logout,
+    ] // Include memoized functions in dependency array
   );
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
@@ -0,0 +1,119 @@
+import React, { createContext, useContext, useState, useEffect, useMemo, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { useAuth } from './AuthContext.jsx';
+import {
+  subscribeToPreferences,
+  updatePreferences as savePreferences,
+  DEFAULT_PREFERENCES,
+} from '../services/preferencesService.js';
+import { formatDateForUser } from '../utils/helpers.js';
+
+/**
+ * @typedef {import("../services/preferencesService.js").UserPreferences} UserPreferences
+ */
+
+const PreferencesContext = createContext(undefined);
+
+/**
+ * @typedef {object} PreferencesContextType
+ * @property {UserPreferences} preferences - The current user's preferences (defaults until loaded or when signed out).
+ * @property {boolean} loading - True until the first snapshot (or an error) arrives.
+ * @property {string | null} error - A user-friendly error message if the subscription failed.
+ * @property {(changes: Partial<UserPreferences>) => Promise<void>} updatePreferences - Saves changes for the current user.
+ * @property {(dateInput: Date | { toDate: () => Date } | null | undefined, timeZone?: string) => string} formatDate -
+ *   Formats a date in the user's date format (see `formatDateForUser`).
+ */
+
+/**
+ * Provides the signed-in user's preferences to the app and keeps them up to date in real time.
+ * Must be rendered inside the `AuthProvider`.
+ *
+ * @param {object} props - Component props.
+ * @param {React.ReactNode} props.children - The app.
+ * @returns {JSX.Element} The provider.
+ */
+export const PreferencesProvider = ({ children }) => {
+  const { currentUser, needsEmailVerification } = useAuth();
+  // The rules deny unverified accounts their data, so they use the defaults until verified
+  const userId = needsEmailVerification ? undefined : currentUser?.uid;
+
+  const [preferences, setPreferences] = useState(DEFAULT_PREFERENCES);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!userId) {
+      setPreferences(DEFAULT_PREFERENCES);
+      setLoading(false);
+      return undefined;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    let unsubscribe;
+    try {
+      unsubscribe = subscribeToPreferences(
+        userId,
+        (nextPreferences) => {
+          setPreferences(nextPreferences);
+          setError(null);
+          setLoading(false);
+        },
+        (subscriptionError) => {
+          setError(subscriptionError.message || 'Failed to load your preferences. Please try refreshing.');
+          setLoading(false);
+        }
+      );
+    } catch (subscribeError) {
+      console.error('Error subscribing to preferences:', subscribeError);
+      setError(subscribeError.message || 'Failed to load your preferences. Please try refreshing.');
+      setLoading(false);
+    }
+
+    return () => {
+      if (unsubscribe) {
+        unsubscribe();
+      }
+    };
+  }, [userId]);
+
+  const updatePreferences = useCallback(
+    async (changes) => {
+      if (!userId) {
+        throw new Error('You must be signed in to change your preferences.');
+      }
+      await savePreferences(userId, changes);
+    },
+    [userId]
+  );
+
+  const formatDate = useCallback(
+    (dateInput, timeZone) => formatDateForUser(dateInput, preferences.dateFormat, timeZone),
+    [preferences.dateFormat]
+  );
+
+  const value = useMemo(
+    () => ({ preferences, loading, error, updatePreferences, formatDate }),
+    [preferences, loading, error, updatePreferences, formatDate]
+  );
+
+  return <PreferencesContext.Provider value={value}>{children}</PreferencesContext.Provider>;
+};
+
+PreferencesProvider.propTypes = {
+  children: PropTypes.node.isRequired,
+};
+
+/**
+ * Custom hook to consume the PreferencesContext.
+ * @returns {PreferencesContextType} The preferences context value.
+ * @throws {Error} If the hook is used outside a PreferencesProvider.
+ */
+export const usePreferences = () => {
+  const context = useContext(PreferencesContext);
+  if (context === undefined) {
+    throw new Error('usePreferences must be used within a PreferencesProvider');
+  }
+  return context;
+};
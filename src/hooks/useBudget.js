@@ -0,0 +1,46 @@
+import { useMemo, useCallback } from 'react';
+import { useReminders } from './useReminders.js';
+import { summarizeBudget, findBudgetOverruns, getBudgetOverrunsForDraft } from '../utils/budget.js';
+
+/**
+ * @typedef {import("../services/settingsService.js").UserSettings} UserSettings
+ * @typedef {import("../services/reminderService.js").Reminder} Reminder
+ * @typedef {import("../utils/budget.js").BudgetSummary} BudgetSummary
+ * @typedef {import("../utils/budget.js").BudgetOverrun} BudgetOverrun
+ */
+
+/**
+ * @typedef {object} UseBudgetResult
+ * @property {BudgetSummary} summary - Planned vs spent per month of `year`, in the budget currency.
+ * @property {Array<BudgetOverrun>} overruns - Months (and the year) that exceed the user's budget.
+ * @property {(draft: Reminder) => Array<BudgetOverrun>} getOverrunsForDraft - Budget limits a reminder
+ *   would exceed if saved as `draft`.
+ * @property {boolean} loading - True until the reminders have loaded.
+ * @property {string | null} error - A user-friendly error message if loading failed.
+ */
+
+/**
+ * Tracks the current user's spending against their budget for a calendar year, live.
+ *
+ * @param {number} year - The calendar year to summarize.
+ * @param {UserSettings} settings - The user's settings (budget currency and limits), from `useUserSettings`.
+ * @returns {UseBudgetResult}
+ */
+export const useBudget = (year, settings) => {
+  // Every reminder still running at the start of the year; later years are included for draft checks
+  const from = useMemo(() => new Date(year, 0, 1), [year]);
+  const { reminders, loading, error } = useReminders({ from });
+  const { currency, monthlyBudget, yearlyBudget } = settings;
+
+  const summary = useMemo(() => summarizeBudget(reminders, { year, currency }), [reminders, year, currency]);
+  const overruns = useMemo(
+    () => findBudgetOverruns(summary, { monthlyBudget, yearlyBudget }),
+    [summary, monthlyBudget, yearlyBudget]
+  );
+  const getOverrunsForDraft = useCallback(
+    (draft) => getBudgetOverrunsForDraft(reminders, draft, { currency, monthlyBudget, yearlyBudget }),
+    [reminders, currency, monthlyBudget, yearlyBudget]
+  );
+
+  return { summary, overruns, getOverrunsForDraft, loading, error };
+};
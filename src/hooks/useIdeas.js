@@ -0,0 +1,66 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext.jsx';
+import { subscribeToIdeas } from '../services/ideaService.js';
+
+/**
+ * @typedef {import("../services/ideaService.js").Idea} Idea
+ */
+
+/**
+ * @typedef {object} UseIdeasResult
+ * @property {Array<Idea>} ideas - The current user's gift ideas, newest first.
+ * @property {boolean} loading - True until the first snapshot (or an error) arrives.
+ * @property {string | null} error - A user-friendly error message if the subscription failed.
+ */
+
+/**
+ * Subscribes to the current user's gift ideas and keeps them up to date in real time.
+ * @returns {UseIdeasResult} Live ideas plus loading and error states.
+ */
+export const useIdeas = () => {
+  const { currentUser } = useAuth();
+  const userId = currentUser?.uid;
+
+  const [ideas, setIdeas] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!userId) {
+      setIdeas([]);
+      setLoading(false);
+      return undefined;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    let unsubscribe;
+    try {
+      unsubscribe = subscribeToIdeas(
+        userId,
+        (nextIdeas) => {
+          setIdeas(nextIdeas);
+          setError(null);
+          setLoading(false);
+        },
+        (subscriptionError) => {
+          setError(subscriptionError.message || 'Failed to load ideas. Please try refreshing.');
+          setLoading(false);
+        }
+      );
+    } catch (subscribeError) {
+      console.error('Error subscribing to ideas:', subscribeError);
+      setError(subscribeError.message || 'Failed to load ideas. Please try refreshing.');
+      setLoading(false);
+    }
+
+    return () => {
+      if (unsubscribe) {
+        unsubscribe();
+      }
+    };
+  }, [userId]);
+
+  return { ideas, loading, error };
+};
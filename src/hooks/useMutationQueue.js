@@ -0,0 +1,54 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext.jsx';
+import { subscribeToQueue, enqueueMutation, dismissQueueIssue } from '../services/mutationQueue.js';
+
+/**
+ * @typedef {import("../services/mutationQueue.js").QueueState} QueueState
+ * @typedef {import("../services/mutationQueue.js").QueuedMutation} QueuedMutation
+ */
+
+const EMPTY_STATE = { pending: [], issues: [], isOnline: true, isSyncing: false };
+
+/**
+ * Exposes the current user's offline mutation queue: pending changes, dropped-change issues
+ * and connectivity, plus actions to enqueue changes and dismiss issues.
+ *
+ * @returns {QueueState & {
+ *   enqueue: (mutation: Omit<QueuedMutation, 'id' | 'queuedAt'>) => QueuedMutation,
+ *   dismissIssue: (issueId: string) => void,
+ * }}
+ */
+export const useMutationQueue = () => {
+  const { currentUser } = useAuth();
+  const userId = currentUser?.uid;
+  const [state, setState] = useState(EMPTY_STATE);
+
+  useEffect(() => {
+    if (!userId) {
+      setState(EMPTY_STATE);
+      return undefined;
+    }
+    return subscribeToQueue(userId, setState);
+  }, [userId]);
+
+  const enqueue = useCallback(
+    (mutation) => {
+      if (!userId) {
+        throw new Error('User not authenticated. Cannot save changes.');
+      }
+      return enqueueMutation(userId, mutation);
+    },
+    [userId]
+  );
+
+  const dismissIssue = useCallback(
+    (issueId) => {
+      if (userId) {
+        dismissQueueIssue(userId, issueId);
+      }
+    },
+    [userId]
+  );
+
+  return { ...state, enqueue, dismissIssue };
+};
@@ -0,0 +1,48 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext.jsx';
+import {
+  subscribeToNotificationSettings,
+  setNotificationsEnabled,
+  isNotificationSupported,
+} from '../services/notificationService.js';
+
+/**
+ * @typedef {import("../services/notificationService.js").NotificationSettings} NotificationSettings
+ */
+
+const DISABLED_SETTINGS = { enabled: false, permission: 'default' };
+
+/**
+ * Exposes the current user's reminder notification settings on this device, plus an action to
+ * turn notifications on (asking for the browser permission) or off.
+ *
+ * @returns {NotificationSettings & {
+ *   supported: boolean,
+ *   setEnabled: (enabled: boolean) => Promise<NotificationSettings>,
+ * }}
+ */
+export const useNotificationSettings = () => {
+  const { currentUser } = useAuth();
+  const userId = currentUser?.uid;
+  const [settings, setSettings] = useState(DISABLED_SETTINGS);
+
+  useEffect(() => {
+    if (!userId) {
+      setSettings(DISABLED_SETTINGS);
+      return undefined;
+    }
+    return subscribeToNotificationSettings(userId, setSettings);
+  }, [userId]);
+
+  const setEnabled = useCallback(
+    (enabled) => {
+      if (!userId) {
+        return Promise.reject(new Error('User not authenticated. Cannot change notifications.'));
+      }
+      return setNotificationsEnabled(userId, enabled);
+    },
+    [userId]
+  );
+
+  return { ...settings, supported: isNotificationSupported(), setEnabled };
+};
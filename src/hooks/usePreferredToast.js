@@ -0,0 +1,27 @@
+import { useMemo } from 'react';
+import { useToast } from '@chakra-ui/react';
+import { usePreferences } from '../contexts/PreferencesContext.jsx';
+
+// How much longer or shorter toasts stay on screen for each `toastDuration` preference
+const DURATION_FACTORS = { short: 0.5, normal: 1, long: 2 };
+
+/**
+ * Chakra's `useToast`, with durations scaled to the user's `toastDuration` preference.
+ * Toasts without a duration (null, e.g. until closed) are left as they are.
+ * @returns {ReturnType<typeof useToast>} The toast function, including `close`, `update`, `isActive` etc.
+ */
+export const usePreferredToast = () => {
+  const toast = useToast();
+  const { preferences } = usePreferences();
+  const factor = DURATION_FACTORS[preferences.toastDuration] ?? 1;
+
+  return useMemo(() => {
+    const scale = (options = {}) =>
+      typeof options.duration === 'number' ? { ...options, duration: options.duration * factor } : options;
+    const preferredToast = (options) => toast(scale(options));
+    // Keep the helper methods (close, closeAll, update, isActive, promise) working as before
+    return Object.assign(preferredToast, toast, {
+      update: (id, options) => toast.update(id, scale(options)),
+    });
+  }, [toast, factor]);
+};
@@ -0,0 +1,72 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useAuth } from '../contexts/AuthContext.jsx';
+import { subscribeToRecipients } from '../services/recipientService.js';
+
+/**
+ * @typedef {import("../services/recipientService.js").Recipient} Recipient
+ */
+
+/**
+ * @typedef {object} UseRecipientsResult
+ * @property {Array<Recipient>} recipients - The current user's recipients, sorted by name.
+ * @property {Map<string, Recipient>} recipientsById - The same recipients keyed by ID, for resolving `Reminder.recipientId`.
+ * @property {boolean} loading - True until the first snapshot (or an error) arrives.
+ * @property {string | null} error - A user-friendly error message if the subscription failed.
+ */
+
+/**
+ * Subscribes to the current user's recipients and keeps them up to date in real time.
+ * @returns {UseRecipientsResult} Live recipients plus loading and error states.
+ */
+export const useRecipients = () => {
+  const { currentUser } = useAuth();
+  const userId = currentUser?.uid;
+
+  const [recipients, setRecipients] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!userId) {
+      setRecipients([]);
+      setLoading(false);
+      return undefined;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    let unsubscribe;
+    try {
+      unsubscribe = subscribeToRecipients(
+        userId,
+        (nextRecipients) => {
+          setRecipients(nextRecipients);
+          setError(null);
+          setLoading(false);
+        },
+        (subscriptionError) => {
+          setError(subscriptionError.message || 'Failed to load recipients. Please try refreshing.');
+          setLoading(false);
+        }
+      );
+    } catch (subscribeError) {
+      console.error('Error subscribing to recipients:', subscribeError);
+      setError(subscribeError.message || 'Failed to load recipients. Please try refreshing.');
+      setLoading(false);
+    }
+
+    return () => {
+      if (unsubscribe) {
+        unsubscribe();
+      }
+    };
+  }, [userId]);
+
+  const recipientsById = useMemo(
+    () => new Map(recipients.map((recipient) => [recipient.id, recipient])),
+    [recipients]
+  );
+
+  return { recipients, recipientsById, loading, error };
+};
@@ -0,0 +1,110 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext.jsx';
+import { usePreferences } from '../contexts/PreferencesContext.jsx';
+import { useNotificationSettings } from './useNotificationSettings.js';
+import { subscribeToReminders } from '../services/reminderService.js';
+import {
+  getDueAlerts,
+  getNextAlertTime,
+  getLastAlertCheck,
+  setLastAlertCheck,
+  showReminderNotifications,
+  registerNotificationWorker,
+  isNotificationSupported,
+  MISSED_ALERT_WINDOW_MS,
+} from '../services/notificationService.js';
+
+// Timers are re-armed at least this often, since they drift or stall while the device sleeps
+const MAX_TIMER_DELAY_MS = 60 * 60 * 1000;
+
+// Alerts older than this when they are found were missed (the app was closed or asleep)
+const MISSED_GRACE_MS = 60 * 1000;
+
+/**
+ * Schedules browser notifications for the current user's reminders while the app is open.
+ * On start-up, reminders that fell due since the last check (up to `MISSED_ALERT_WINDOW_MS` ago,
+ * and never before notifications were turned on) are notified as missed; afterwards a timer fires at each alarm (see `utils/alarms.js`). Clicking a notification
+ * routes the open app to the reminder.
+ *
+ * Mount once, for signed-in users (see `App`); it waits until their email address is verified.
+ * Does nothing while notifications are turned off.
+ */
+export const useReminderNotifications = () => {
+  const { currentUser, needsEmailVerification } = useAuth();
+  // Unverified accounts cannot read their reminders yet (see `firestore.rules`)
+  const userId = needsEmailVerification ? undefined : currentUser?.uid;
+  const { enabled } = useNotificationSettings();
+  const { preferences } = usePreferences();
+  const { dateFormat } = preferences; // Dates in the notification text
+  const navigate = useNavigate();
+  /** @type {[Array<import("../services/reminderService.js").Reminder> | null, Function]} */
+  const [reminders, setReminders] = useState(null); // null until the first snapshot
+
+  // Route notification clicks forwarded by the service worker
+  useEffect(() => {
+    if (!isNotificationSupported()) {
+      return undefined;
+    }
+    const handleMessage = (event) => {
+      if (event.data?.type === 'open-reminder' && typeof event.data.url === 'string') {
+        navigate(event.data.url);
+      }
+    };
+    navigator.serviceWorker.addEventListener('message', handleMessage);
+    return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+  }, [navigate]);
+
+  // Watch the reminders that can still be due or missed
+  useEffect(() => {
+    setReminders(null);
+    if (!userId || !enabled) {
+      return undefined;
+    }
+    registerNotificationWorker().catch((error) => {
+      console.error('Could not register the notification service worker:', error);
+    });
+    try {
+      return subscribeToReminders(
+        userId,
+        { from: new Date(Date.now() - MISSED_ALERT_WINDOW_MS) },
+        (nextReminders) => setReminders(nextReminders)
+      );
+    } catch (subscribeError) {
+      console.error('Error subscribing to reminders for notifications:', subscribeError);
+      return undefined;
+    }
+  }, [userId, enabled]);
+
+  // Notify what is due, then sleep until the next due time
+  useEffect(() => {
+    if (!userId || !enabled || !reminders) {
+      return undefined;
+    }
+    let timer;
+    const check = () => {
+      const now = new Date();
+      const windowStart = new Date(now.getTime() - MISSED_ALERT_WINDOW_MS);
+      // Without a last check (e.g., it could not be saved when notifications were turned on), start now
+      const lastCheck = getLastAlertCheck(userId) ?? now;
+      const from = lastCheck > windowStart ? lastCheck : windowStart;
+      const alerts = getDueAlerts(reminders, from, now, { dateFormat });
+      setLastAlertCheck(userId, now);
+
+      const missedBefore = now.getTime() - MISSED_GRACE_MS;
+      Promise.all([
+        showReminderNotifications(alerts.filter((alert) => alert.alertAt.getTime() < missedBefore), { missed: true }),
+        showReminderNotifications(alerts.filter((alert) => alert.alertAt.getTime() >= missedBefore)),
+      ]).catch((error) => {
+        console.error('Could not show reminder notifications:', error);
+      });
+
+      const horizon = new Date(now.getTime() + MAX_TIMER_DELAY_MS);
+      const next = getNextAlertTime(reminders, now, horizon);
+      timer = setTimeout(check, (next || horizon).getTime() - now.getTime());
+    };
+    check();
+
+    return () => clearTimeout(timer);
+  }, [userId, enabled, reminders, dateFormat]);
+};
@@ -0,0 +1,180 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext.jsx';
+import { subscribeToReminders, getReminders } from '../services/reminderService.js';
+
+/**
+ * @typedef {import("../services/reminderService.js").Reminder} Reminder
+ * @typedef {import("../services/reminderService.js").ReminderQueryOptions} ReminderQueryOptions
+ */
+
+/**
+ * Keeps the latest query options in a ref and returns a string key that only changes when
+ * their content does, so callers can pass inline option objects without re-subscribing on every render.
+ * @param {ReminderQueryOptions} options - The query options.
+ * @returns {[React.MutableRefObject<ReminderQueryOptions>, string]}
+ */
+const useQueryOptions = (options) => {
+  const optionsRef = useRef(options);
+  optionsRef.current = options;
+  return [optionsRef, JSON.stringify(options ?? {})];
+};
+
+/**
+ * @typedef {object} UseRemindersResult
+ * @property {Array<Reminder>} reminders - The live list of the current user's reminders, ordered by date.
+ * @property {boolean} loading - True until the first snapshot (or an error) arrives.
+ * @property {string | null} error - A user-friendly error message if the subscription failed.
+ * @property {boolean} fromCache - True while the data comes from the local cache rather than the server.
+ */
+
+/**
+ * Subscribes to the current user's reminders and keeps them up to date in real time.
+ * The subscription is (re)created whenever the signed-in user or the query changes and torn down
+ * on unmount, so mutations made anywhere (this tab, another tab, another device) show up without refetching.
+ *
+ * @param {Omit<ReminderQueryOptions, 'cursor'>} [options] - Restricts the watched reminders (e.g., `{ from: startOfToday }`).
+ * @returns {UseRemindersResult} Live reminders plus loading and error states.
+ */
+export const useReminders = (options) => {
+  const { currentUser } = useAuth();
+  const userId = currentUser?.uid;
+  const [optionsRef, queryKey] = useQueryOptions(options);
+
+  /** @type {[Array<Reminder>, React.Dispatch<React.SetStateAction<Array<Reminder>>>]} */
+  const [reminders, setReminders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [fromCache, setFromCache] = useState(false);
+
+  useEffect(() => {
+    if (!userId) {
+      setReminders([]);
+      setError('User not authenticated. Cannot fetch reminders.');
+      setLoading(false);
+      return undefined;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    let unsubscribe;
+    try {
+      unsubscribe = subscribeToReminders(
+        userId,
+        {
+          ...optionsRef.current,
+          onError: (subscriptionError) => {
+            // Keep the last known reminders visible; only surface the error
+            setError(subscriptionError.message || 'Failed to load reminders. Please try refreshing.');
+            setLoading(false);
+          },
+        },
+        (nextReminders, metadata) => {
+          setReminders(nextReminders);
+          setFromCache(metadata.fromCache);
+          setError(null);
+          setLoading(false);
+        }
+      );
+    } catch (subscribeError) {
+      console.error('Error subscribing to reminders:', subscribeError);
+      setError(subscribeError.message || 'Failed to load reminders. Please try refreshing.');
+      setLoading(false);
+    }
+
+    // Cleanup function: Stop listening when the user changes or the component unmounts
+    return () => {
+      if (unsubscribe) {
+        unsubscribe();
+      }
+    };
+  }, [userId, queryKey, optionsRef]);
+
+  return { reminders, loading, error, fromCache };
+};
+
+/**
+ * @typedef {object} UsePagedRemindersResult
+ * @property {Array<Reminder>} reminders - All pages loaded so far.
+ * @property {boolean} loading - True while the first page loads.
+ * @property {boolean} loadingMore - True while `loadMore` is fetching the next page.
+ * @property {boolean} hasMore - True if another page exists.
+ * @property {string | null} error - A user-friendly error message if a page failed to load.
+ * @property {() => Promise<void>} loadMore - Appends the next page.
+ * @property {() => Promise<void>} refresh - Reloads everything loaded so far (e.g., after local changes synced).
+ */
+
+/**
+ * Loads the current user's reminders page by page with cursor-based pagination.
+ * Unlike `useReminders` this does not listen for changes, which keeps long histories cheap;
+ * call `refresh` when the data may have changed.
+ *
+ * @param {Omit<ReminderQueryOptions, 'cursor' | 'limit'>} options - Filters and ordering (e.g., `{ to: startOfToday, direction: 'desc' }`).
+ * @param {number} [pageSize=20] - Reminders per page.
+ * @returns {UsePagedRemindersResult} The loaded reminders plus pagination state and actions.
+ */
+export const usePagedReminders = (options, pageSize = 20) => {
+  const { currentUser } = useAuth();
+  const userId = currentUser?.uid;
+  const [optionsRef, queryKey] = useQueryOptions(options);
+
+  const [reminders, setReminders] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Ignores responses that arrive after the user or query changed
+  const requestRef = useRef(0);
+
+  const loadPage = useCallback(
+    async ({ cursor = null, limit = pageSize, append = false } = {}) => {
+      if (!userId) {
+        return;
+      }
+      const requestId = ++requestRef.current;
+      try {
+        const page = await getReminders(userId, { ...optionsRef.current, limit, cursor });
+        if (requestId !== requestRef.current) {
+          return;
+        }
+        setReminders((current) => (append ? [...current, ...page.reminders] : page.reminders));
+        setNextCursor(page.nextCursor);
+        setError(null);
+      } catch (loadError) {
+        if (requestId === requestRef.current) {
+          console.error('Error loading reminders:', loadError);
+          setError(loadError.message || 'Failed to load reminders. Please try refreshing.');
+        }
+      }
+    },
+    [userId, pageSize, optionsRef]
+  );
+
+  useEffect(() => {
+    if (!userId) {
+      setReminders([]);
+      setNextCursor(null);
+      setLoading(false);
+      return;
+    }
+    setLoading(true);
+    loadPage().finally(() => setLoading(false));
+  }, [userId, queryKey, loadPage]);
+
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || loadingMore) {
+      return;
+    }
+    setLoadingMore(true);
+    await loadPage({ cursor: nextCursor, append: true });
+    setLoadingMore(false);
+  }, [nextCursor, loadingMore, loadPage]);
+
+  const refresh = useCallback(
+    () => loadPage({ limit: Math.max(pageSize, reminders.length) }),
+    [loadPage, pageSize, reminders.length]
+  );
+
+  return { reminders, loading, loadingMore, hasMore: nextCursor !== null, error, loadMore, refresh };
+};
@@ -0,0 +1,69 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useAuth } from '../contexts/AuthContext.jsx';
+import { subscribeToTags } from '../services/tagService.js';
+
+/**
+ * @typedef {import("../services/tagService.js").Tag} Tag
+ */
+
+/**
+ * @typedef {object} UseTagsResult
+ * @property {Array<Tag>} tags - The current user's tags, sorted by name.
+ * @property {Map<string, Tag>} tagsById - The same tags keyed by ID, for resolving reminder tag IDs.
+ * @property {boolean} loading - True until the first snapshot (or an error) arrives.
+ * @property {string | null} error - A user-friendly error message if the subscription failed.
+ */
+
+/**
+ * Subscribes to the current user's tags and keeps them up to date in real time.
+ * @returns {UseTagsResult} Live tags plus loading and error states.
+ */
+export const useTags = () => {
+  const { currentUser } = useAuth();
+  const userId = currentUser?.uid;
+
+  const [tags, setTags] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!userId) {
+      setTags([]);
+      setLoading(false);
+      return undefined;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    let unsubscribe;
+    try {
+      unsubscribe = subscribeToTags(
+        userId,
+        (nextTags) => {
+          setTags(nextTags);
+          setError(null);
+          setLoading(false);
+        },
+        (subscriptionError) => {
+          setError(subscriptionError.message || 'Failed to load tags. Please try refreshing.');
+          setLoading(false);
+        }
+      );
+    } catch (subscribeError) {
+      console.error('Error subscribing to tags:', subscribeError);
+      setError(subscribeError.message || 'Failed to load tags. Please try refreshing.');
+      setLoading(false);
+    }
+
+    return () => {
+      if (unsubscribe) {
+        unsubscribe();
+      }
+    };
+  }, [userId]);
+
+  const tagsById = useMemo(() => new Map(tags.map((tag) => [tag.id, tag])), [tags]);
+
+  return { tags, tagsById, loading, error };
+};
@@ -0,0 +1,68 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext.jsx';
+import { subscribeToUserSettings, DEFAULT_USER_SETTINGS } from '../services/settingsService.js';
+import { getDeviceTimeZone } from '../utils/helpers.js';
+
+/**
+ * @typedef {import("../services/settingsService.js").UserSettings} UserSettings
+ */
+
+/**
+ * @typedef {object} UseUserSettingsResult
+ * @property {UserSettings} settings - The current user's settings (defaults until loaded).
+ * @property {string} defaultTimeZone - The zone for new reminders: the saved default, or the device's zone.
+ * @property {boolean} loading - True until the first snapshot (or an error) arrives.
+ * @property {string | null} error - A user-friendly error message if the subscription failed.
+ */
+
+/**
+ * Subscribes to the current user's settings and keeps them up to date in real time.
+ * @returns {UseUserSettingsResult} Live settings plus loading and error states.
+ */
+export const useUserSettings = () => {
+  const { currentUser } = useAuth();
+  const userId = currentUser?.uid;
+
+  const [settings, setSettings] = useState(DEFAULT_USER_SETTINGS);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!userId) {
+      setSettings(DEFAULT_USER_SETTINGS);
+      setLoading(false);
+      return undefined;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    let unsubscribe;
+    try {
+      unsubscribe = subscribeToUserSettings(
+        userId,
+        (nextSettings) => {
+          setSettings(nextSettings);
+          setError(null);
+          setLoading(false);
+        },
+        (subscriptionError) => {
+          setError(subscriptionError.message || 'Failed to load your settings. Please try refreshing.');
+          setLoading(false);
+        }
+      );
+    } catch (subscribeError) {
+      console.error('Error subscribing to settings:', subscribeError);
+      setError(subscribeError.message || 'Failed to load your settings. Please try refreshing.');
+      setLoading(false);
+    }
+
+    return () => {
+      if (unsubscribe) {
+        unsubscribe();
+      }
+    };
+  }, [userId]);
+
+  return { settings, defaultTimeZone: settings.defaultTimeZone ?? getDeviceTimeZone(), loading, error };
+};
@@ -6,6 +6,7 @@ import { ChakraProvider } from '@chakra-ui/react';
 import App from './App.jsx';
 import theme from './config/chakraTheme.js'; // Assuming this exports a valid theme
 import { AuthProvider } from './contexts/AuthContext.jsx'; // Assuming this exports AuthProvider
+import { PreferencesProvider } from './contexts/PreferencesContext.jsx';
 import './styles/global.css'; // Import global styles for side effects
 
 // Find the root DOM element
@@ -24,9 +25,11 @@ root.render(
   <React.StrictMode>
     <BrowserRouter>
       <AuthProvider>
-        <ChakraProvider theme={theme}>
-          <App />
-        </ChakraProvider>
+        <PreferencesProvider>
+          <ChakraProvider theme={theme}>
+            <App />
+          </ChakraProvider>
+        </PreferencesProvider>
       </AuthProvider>
     </BrowserRouter>
   </React.StrictMode>
@@ -0,0 +1,274 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Heading,
+  Text,
+  Button,
+  VStack,
+  HStack,
+  FormControl,
+  FormLabel,
+  Input,
+  Alert,
+  AlertIcon,
+  Progress,
+  Table,
+  Thead,
+  Tbody,
+  Tr,
+  Th,
+  Td,
+  TableContainer,
+} from '@chakra-ui/react';
+import { DownloadIcon } from '@chakra-ui/icons';
+import { useAuth } from '../contexts/AuthContext.jsx';
+import { usePreferences } from '../contexts/PreferencesContext.jsx';
+import {
+  createBackup,
+  parseBackup,
+  diffBackup,
+  restoreBackup,
+  BACKUP_PART_NAMES,
+  BACKUP_USER_DOCUMENT,
+} from '../services/backupService.js';
+import { downloadTextFile } from '../utils/helpers.js';
+import { usePreferredToast } from '../hooks/usePreferredToast.js';
+
+// Display names of the parts of a backup
+const COLLECTION_LABELS = {
+  reminders: 'Reminders',
+  tags: 'Tags',
+  ideas: 'Gift ideas',
+  recipients: 'Recipients',
+  settings: 'Settings',
+  [BACKUP_USER_DOCUMENT]: 'Preferences',
+};
+
+// e.g. 'sweet-surprises-backup-2031-01-05.json'
+const getBackupFileName = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `sweet-surprises-backup-${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}.json`;
+};
+
+/**
+ * BackupPage Component
+ *
+ * Downloads all of the user's data (reminders, tags, gift ideas, recipients, settings and
+ * preferences) as a JSON backup, and restores such a file: the file is validated and compared with
+ * the stored data first, so the user sees how many records are new, changed or identical before
+ * anything is written.
+ */
+const BackupPage = () => {
+  const { currentUser } = useAuth();
+  const toast = usePreferredToast();
+  const { formatDate } = usePreferences();
+
+  const [isExporting, setIsExporting] = useState(false);
+  // The file being restored: { backup, diff } once it has been read and compared
+  const [restore, setRestore] = useState(null);
+  const [fileError, setFileError] = useState(null);
+  const [isReading, setIsReading] = useState(false);
+  const [progress, setProgress] = useState(null); // { written, total } while restoring
+
+  /**
+   * Downloads a backup of all the user's data.
+   */
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      const backup = await createBackup(currentUser.uid);
+      downloadTextFile(getBackupFileName(new Date()), JSON.stringify(backup, null, 2), 'application/json');
+    } catch (err) {
+      console.error('Error creating backup:', err);
+      toast({
+        title: 'Backup Failed',
+        description: err.message || 'Could not create the backup. Please try again.',
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  /**
+   * Validates the chosen backup file and compares it with the stored data.
+   * @param {React.ChangeEvent<HTMLInputElement>} event - The file input's change event.
+   */
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    setRestore(null);
+    setFileError(null);
+    if (!file) {
+      return;
+    }
+    setIsReading(true);
+    try {
+      const backup = parseBackup(await file.text());
+      setRestore({ backup, diff: await diffBackup(currentUser.uid, backup) });
+    } catch (err) {
+      console.error('Error reading backup file:', err);
+      setFileError(err instanceof TypeError ? err.message : 'Could not read the file. Please try again.');
+    } finally {
+      setIsReading(false);
+    }
+  };
+
+  const recordsToWrite = restore
+    ? BACKUP_PART_NAMES.reduce(
+        (sum, name) => sum + restore.diff[name].new.length + restore.diff[name].changed.length,
+        0
+      )
+    : 0;
+
+  /**
+   * Writes the new and changed records of the chosen backup.
+   */
+  const handleRestore = async () => {
+    setProgress({ written: 0, total: recordsToWrite });
+    try {
+      const { written } = await restoreBackup(currentUser.uid, restore.backup, {
+        onProgress: (done, total) => setProgress({ written: done, total }),
+      });
+      setRestore(null);
+      toast({
+        title: 'Backup Restored',
+        description: `${written} record${written === 1 ? '' : 's'} restored.`,
+        status: 'success',
+        duration: 5000,
+        isClosable: true,
+      });
+    } catch (err) {
+      console.error('Error restoring backup:', err);
+      toast({
+        title: 'Restore Failed',
+        description: `${err.message || 'The backup could not be restored.'} Restoring again is safe.`,
+        status: 'error',
+        duration: 8000,
+        isClosable: true,
+      });
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const isRestoring = progress !== null;
+
+  return (
+    <Box p={{ base: 4, md: 6 }} maxW="3xl">
+      <VStack spacing={8} align="stretch">
+        <Box>
+          <Heading as="h2" size="xl">
+            Backup
+          </Heading>
+          <Text color="gray.500" mt={2}>
+            Keep a copy of your reminders, tags, gift ideas, recipients, settings and preferences, or move them to another account.
+          </Text>
+        </Box>
+
+        <VStack spacing={3} align="flex-start">
+          <Heading as="h3" size="md">
+            Download a backup
+          </Heading>
+          <Text>Saves all your data, including reminders in the Trash, as a JSON file.</Text>
+          <Button leftIcon={<DownloadIcon />} colorScheme="pink" onClick={handleExport} isLoading={isExporting}>
+            Download Backup
+          </Button>
+        </VStack>
+
+        <VStack spacing={3} align="stretch">
+          <Heading as="h3" size="md">
+            Restore a backup
+          </Heading>
+          <Text>
+            Records from the backup replace the ones with the same identity; everything else you have is kept.
+          </Text>
+          <FormControl>
+            <FormLabel htmlFor="backup-file">Backup file</FormLabel>
+            <Input
+              id="backup-file"
+              type="file"
+              accept=".json,application/json"
+              onChange={handleFileChange}
+              isDisabled={isReading || isRestoring}
+              p={1}
+            />
+          </FormControl>
+
+          {fileError && (
+            <Alert status="error" borderRadius="md">
+              <AlertIcon />
+              {fileError}
+            </Alert>
+          )}
+
+          {restore && (
+            <VStack spacing={3} align="stretch">
+              <Text fontSize="sm" color="gray.600">
+                Backup from {formatDate(restore.backup.exportedAt)}.
+              </Text>
+              {restore.backup.warnings.map((warning) => (
+                <Alert key={warning} status="warning" borderRadius="md">
+                  <AlertIcon />
+                  {warning}
+                </Alert>
+              ))}
+              <TableContainer>
+                <Table size="sm">
+                  <Thead>
+                    <Tr>
+                      <Th>Data</Th>
+                      <Th isNumeric>New</Th>
+                      <Th isNumeric>Changed</Th>
+                      <Th isNumeric>Identical</Th>
+                    </Tr>
+                  </Thead>
+                  <Tbody>
+                    {BACKUP_PART_NAMES.map((name) => (
+                      <Tr key={name}>
+                        <Td>{COLLECTION_LABELS[name] || name}</Td>
+                        <Td isNumeric>{restore.diff[name].new.length}</Td>
+                        <Td isNumeric>{restore.diff[name].changed.length}</Td>
+                        <Td isNumeric>{restore.diff[name].identical.length}</Td>
+                      </Tr>
+                    ))}
+                  </Tbody>
+                </Table>
+              </TableContainer>
+
+              {isRestoring && (
+                <Progress
+                  value={progress.total > 0 ? (progress.written / progress.total) * 100 : 0}
+                  colorScheme="pink"
+                  size="sm"
+                  borderRadius="md"
+                  hasStripe
+                  isAnimated
+                />
+              )}
+
+              <HStack justify="flex-end" spacing={3}>
+                <Button variant="ghost" onClick={() => setRestore(null)} isDisabled={isRestoring}>
+                  Cancel
+                </Button>
+                <Button
+                  colorScheme="pink"
+                  onClick={handleRestore}
+                  isLoading={isRestoring}
+                  isDisabled={recordsToWrite === 0}
+                >
+                  {recordsToWrite === 0
+                    ? 'Nothing to Restore'
+                    : `Restore ${recordsToWrite} Record${recordsToWrite === 1 ? '' : 's'}`}
+                </Button>
+              </HStack>
+            </VStack>
+          )}
+        </VStack>
+      </VStack>
+    </Box>
+  );
+};
+
+export default BackupPage;
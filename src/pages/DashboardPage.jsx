@@ -1,6 +1,7 @@
-import React, { useState, useEffect, useContext, useCallback } from 'react';
+import React, { useState, useEffect, useContext, useCallback, useMemo, useRef } from 'react';
 import {
   Box,
+  Flex,
   Heading,
   Button,
   VStack,
@@ -11,82 +12,290 @@ import {
   ModalHeader,
   ModalCloseButton,
   ModalBody,
-  useToast,
   Alert,
   AlertIcon,
+  AlertTitle,
+  AlertDescription,
   Center,
+  Text,
+  HStack,
+  Select,
+  Menu,
+  MenuButton,
+  MenuList,
+  MenuItem,
 } from '@chakra-ui/react';
-import { AddIcon } from '@chakra-ui/icons'; // Import AddIcon for the button
+import { AddIcon, ChevronDownIcon } from '@chakra-ui/icons'; // Import AddIcon for the button
+import { useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext.jsx';
-import {
-  getReminders,
-  addReminder,
-  updateReminder,
-  deleteReminder,
-} from '../services/reminderService.js';
+import { usePreferences } from '../contexts/PreferencesContext.jsx';
+import { useReminders, usePagedReminders } from '../hooks/useReminders.js';
+import { useMutationQueue } from '../hooks/useMutationQueue.js';
+import { useTags } from '../hooks/useTags.js';
+import { useRecipients } from '../hooks/useRecipients.js';
+import { useUserSettings } from '../hooks/useUserSettings.js';
+import { useBudget } from '../hooks/useBudget.js';
+import { usePreferredToast } from '../hooks/usePreferredToast.js';
+import { applyPendingMutations } from '../services/mutationQueue.js';
+import { purgeExpiredReminders, getReminders } from '../services/reminderService.js';
+import { migrateRemindersIfNeeded } from '../services/reminderMigration.js';
+import { updateUserSettings } from '../services/settingsService.js';
+import { markIdeaScheduled } from '../services/ideaService.js';
+import { getNextOccurrence } from '../utils/recurrence.js';
+import { getAlarmTimes } from '../utils/alarms.js';
+import { sortReminders, groupReminders } from '../utils/reminderOrder.js';
+import { zonedTimeToDate, downloadTextFile } from '../utils/helpers.js';
+import { serializeRemindersToICalendar, ICALENDAR_MIME_TYPE } from '../utils/icalendar.js';
 import ReminderList from '../components/ReminderList.jsx';
 import ReminderForm from '../components/ReminderForm.jsx';
 import LoadingSpinner from '../components/LoadingSpinner.jsx';
+import CompletionDialog from '../components/CompletionDialog.jsx';
+import TagPicker from '../components/TagPicker.jsx';
+import TagManager from '../components/TagManager.jsx';
+import BudgetPanel from '../components/BudgetPanel.jsx';
+import BudgetSettingsModal from '../components/BudgetSettingsModal.jsx';
+import IcsImportDialog from '../components/IcsImportDialog.jsx';
+import CsvImportWizard from '../components/CsvImportWizard.jsx';
+import HeadsUpList from '../components/HeadsUpList.jsx';
+
+// Number of past reminders loaded per "Load more" click
+const PAST_PAGE_SIZE = 20;
+
+// Firestore's `array-contains-any` filter accepts at most 30 values
+const MAX_TAG_FILTERS = 30;
 
 /**
  * DashboardPage Component
  *
- * Serves as the main view for authenticated users. Displays a list of personal reminders,
- * allows users to add, edit, and delete reminders, and handles data fetching and updates
- * via the reminder service.
+ * Serves as the main view for authenticated users. Displays personal reminders in an
+ * "Upcoming" section (kept live by the `useReminders` subscription) and a "Past" section
+ * that is loaded page by page, so long histories are never downloaded in full.
+ * Allows users to add, edit, delete and mark reminders done (recurring reminders one occurrence
+ * at a time, which moves them on to their next occurrence). Deleted reminders go to the trash and
+ * can be brought back from the "Undo" toast action or the Trash page. Mutations are queued
+ * in the offline mutation queue and applied optimistically, so they show up immediately
+ * and survive connection drops. Both sections can be filtered by tag; the filter is applied by
+ * the storage queries, so only matching reminders are loaded.
+ * Gift ideas are scheduled here too: the Ideas page navigates to the dashboard with the idea in
+ * the location state (`scheduleIdea`), which opens the add form prefilled from it.
+ * Reminder notifications link to `/?reminder=<id>`, which opens that reminder's edit form.
+ * Upcoming reminders whose lead-time alert (e.g., "3 days before") has been reached are listed
+ * as heads-up entries above the upcoming list.
  */
 const DashboardPage = () => {
   // Authentication Context
   const { currentUser } = useAuth();
 
   // Component State
-  const [reminders, setReminders] = useState([]);
-  const [loading, setLoading] = useState(true); // Tracks fetching reminders
-  const [error, setError] = useState(null); // Stores general page errors (fetch/delete)
+  const [error, setError] = useState(null); // Stores general page errors (delete)
   const [formError, setFormError] = useState(null); // Stores errors specific to form submission
   const [selectedReminder, setSelectedReminder] = useState(null); // Reminder being edited
+  const [ideaToSchedule, setIdeaToSchedule] = useState(null); // Gift idea the add form was opened for
   const [isSubmitting, setIsSubmitting] = useState(false); // Tracks form submission state
+  const [unreadableReminders, setUnreadableReminders] = useState([]); // Documents the schema migration could not repair
+  const [reminderToComplete, setReminderToComplete] = useState(null); // Reminder shown in the completion dialog
 
   // Modal State (for Add/Edit Reminder Form)
   const { isOpen, onOpen, onClose } = useDisclosure();
+  // Modal State (for the Tag Manager)
+  const { isOpen: isTagManagerOpen, onOpen: onTagManagerOpen, onClose: onTagManagerClose } = useDisclosure();
+  // Modal State (for the budget settings)
+  const { isOpen: isBudgetOpen, onOpen: onBudgetOpen, onClose: onBudgetClose } = useDisclosure();
+  // Calendar import dialog
+  const { isOpen: isImportOpen, onOpen: onImportOpen, onClose: onImportClose } = useDisclosure();
+  // Spreadsheet import wizard
+  const { isOpen: isCsvImportOpen, onOpen: onCsvImportOpen, onClose: onCsvImportClose } = useDisclosure();
+  const [isExporting, setIsExporting] = useState(false);
 
   // Toast Notifications
-  const toast = useToast();
+  const toast = usePreferredToast();
 
-  // --- Data Fetching ---
-  /**
-   * Fetches reminders for the current user.
-   * Wrapped in useCallback to potentially be used as a stable refresh function.
-   */
-  const fetchReminders = useCallback(async () => {
+  // Boundary between the "Upcoming" and "Past" sections, fixed while the page is open
+  const startOfToday = useMemo(() => {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return today;
+  }, []);
+
+  // --- Tags and Tag Filter ---
+  const { tags, tagsById } = useTags();
+  const [selectedTagIds, setSelectedTagIds] = useState([]); // Show only reminders with one of these tags
+  // Forget filters on tags that were deleted
+  const activeTagFilter = useMemo(
+    () => selectedTagIds.filter((tagId) => tagsById.has(tagId)),
+    [selectedTagIds, tagsById]
+  );
+  const tagQuery = activeTagFilter.length > 0 ? { tags: activeTagFilter } : {};
+
+  // --- Recipients and Recipient Filter ---
+  const { recipients, recipientsById } = useRecipients();
+  const [selectedRecipientId, setSelectedRecipientId] = useState(''); // '' shows reminders for everyone
+  // Forget the filter if the recipient was deleted
+  const activeRecipientFilter = recipientsById.has(selectedRecipientId) ? selectedRecipientId : null;
+  const filterQuery = activeRecipientFilter ? { ...tagQuery, recipientId: activeRecipientFilter } : tagQuery;
+
+  // --- Settings ---
+  const { settings, defaultTimeZone } = useUserSettings();
+  const { preferences, formatDate } = usePreferences();
+
+  // --- Budget ---
+  const [budgetYear, setBudgetYear] = useState(() => new Date().getFullYear());
+  const budget = useBudget(budgetYear, settings);
+
+  // --- Live Data ---
+  // Upcoming reminders stay in sync through a snapshot listener, so mutations below don't refetch.
+  const { reminders: upcomingReminders, loading, error: loadError } = useReminders({ from: startOfToday, ...filterQuery });
+  // Past reminders are paged in on demand, newest first
+  const {
+    reminders: pastReminders,
+    loading: pastLoading,
+    loadingMore: pastLoadingMore,
+    hasMore: hasMorePast,
+    error: pastError,
+    loadMore: loadMorePast,
+    refresh: refreshPast,
+  } = usePagedReminders({ to: startOfToday, direction: 'desc', ...filterQuery }, PAST_PAGE_SIZE);
+  const { pending, issues, isOnline, enqueue, dismissIssue } = useMutationQueue();
+
+  // The past pages are not live: reload them once queued changes have synced
+  const pendingCount = pending.length;
+  const previousPendingCount = useRef(pendingCount);
+  useEffect(() => {
+    if (previousPendingCount.current > 0 && pendingCount === 0) {
+      refreshPast();
+    }
+    previousPendingCount.current = pendingCount;
+  }, [pendingCount, refreshPast]);
+
+  // Upgrade documents from older app versions so they match the current queries, and report
+  // the ones that cannot be repaired instead of silently hiding them
+  const refreshPastRef = useRef(refreshPast);
+  refreshPastRef.current = refreshPast;
+  useEffect(() => {
+    if (!currentUser?.uid) {
+      return undefined;
+    }
+    let active = true;
+    migrateRemindersIfNeeded(currentUser.uid)
+      .then((report) => {
+        if (!active || !report) {
+          return;
+        }
+        setUnreadableReminders(report.failed);
+        if (report.upgraded.length > 0) {
+          refreshPastRef.current(); // Upcoming reminders update through the live subscription
+        }
+      })
+      .catch((err) => console.warn('Could not migrate reminders to the current schema:', err));
+    return () => {
+      active = false;
+    };
+  }, [currentUser?.uid]);
+
+  // Empty the trash of reminders past the retention period (best effort, once per visit)
+  useEffect(() => {
     if (!currentUser?.uid) {
-      setError('User not authenticated. Cannot fetch reminders.');
-      setLoading(false);
       return;
     }
+    purgeExpiredReminders(currentUser.uid)
+      .then((purgedCount) => {
+        if (purgedCount > 0) {
+          console.info(`Purged ${purgedCount} reminder(s) from the trash.`);
+        }
+      })
+      .catch((err) => console.warn('Could not purge expired reminders from the trash:', err));
+  }, [currentUser?.uid]);
 
-    setLoading(true);
-    setError(null); // Clear previous errors before fetch
+  // Surface changes the queue had to drop (conflicts with other devices, permanent failures)
+  useEffect(() => {
+    issues.forEach((issue) => {
+      toast({
+        title: issue.type === 'conflict' ? 'Change Not Applied' : 'Save Failed',
+        description:
+          issue.type === 'conflict'
+            ? `${issue.message} The newer version was kept.`
+            : issue.message,
+        status: issue.type === 'conflict' ? 'warning' : 'error',
+        duration: 8000,
+        isClosable: true,
+      });
+      dismissIssue(issue.id);
+    });
+  }, [issues, dismissIssue, toast]);
 
-    try {
-      const fetchedReminders = await getReminders(currentUser.uid);
-      setReminders(fetchedReminders);
-    } catch (err) {
-      console.error('Error fetching reminders:', err);
-      setError(
-        err.message || 'Failed to fetch reminders. Please try refreshing.'
-      );
-      // Keep existing reminders (if any) visible on error, rather than clearing
-      // setReminders([]);
-    } finally {
-      setLoading(false);
-    }
-  }, [currentUser?.uid]); // Dependency: currentUser.uid
+  /**
+   * Reminders enriched with the next occurrence of recurring series (from the start of today,
+   * skipping occurrences that were already marked done or skipped),
+   * split into upcoming ones (sorted by the date the user will see next) and past ones (newest first).
+   */
+  const { upcoming, past, displayedReminders } = useMemo(() => {
+    // A reminder edited into the future may still sit in a stale past page; the live copy wins
+    const upcomingIds = new Set(upcomingReminders.map((reminder) => reminder.id));
+    const stored = [...upcomingReminders, ...pastReminders.filter((reminder) => !upcomingIds.has(reminder.id))];
+
+    // Optimistic view: stored reminders with queued changes applied on top. Queued adds and
+    // edits are not filtered by the storage query, so the tag and recipient filters are applied here as well.
+    const matchesFilters = (reminder) =>
+      (activeTagFilter.length === 0 || (reminder.tags || []).some((tagId) => activeTagFilter.includes(tagId))) &&
+      (!activeRecipientFilter || reminder.recipientId === activeRecipientFilter);
+    const enriched = applyPendingMutations(stored, pending).filter(matchesFilters).map((reminder) =>
+      reminder.recurrence
+        ? {
+            ...reminder,
+            nextOccurrence: getNextOccurrence(reminder.date, reminder.recurrence, startOfToday, {
+              exceptions: [
+                ...(reminder.exceptions || []),
+                ...(reminder.completions || []).map((entry) => entry.occurrenceKey),
+              ],
+              timeZone: reminder.timeZone,
+            }),
+          }
+        : reminder
+    );
+    const isUpcoming = (reminder) =>
+      reminder.recurrence ? reminder.nextOccurrence != null : reminder.date >= startOfToday;
+    const upcomingList = enriched
+      .filter(isUpcoming)
+      .sort((a, b) => (a.nextOccurrence || a.date) - (b.nextOccurrence || b.date));
+    // Ended series sort by their start date like past one-off reminders
+    const pastList = enriched.filter((reminder) => !isUpcoming(reminder)).sort((a, b) => b.date - a.date);
+
+    return { upcoming: upcomingList, past: pastList, displayedReminders: [...upcomingList, ...pastList] };
+  }, [upcomingReminders, pastReminders, pending, startOfToday, activeTagFilter, activeRecipientFilter]);
+
+  // The upcoming list as the user wants to see it; heads-up entries keep using the date order above
+  const upcomingGroups = useMemo(
+    () =>
+      groupReminders(sortReminders(upcoming, preferences.upcomingSort), preferences.upcomingGrouping, {
+        weekStartsOn: preferences.weekStartsOn,
+        formatDate,
+      }),
+    [upcoming, preferences.upcomingSort, preferences.upcomingGrouping, preferences.weekStartsOn, formatDate]
+  );
 
-  // Initial data fetch on component mount or when user changes
+  // The current time for heads-up entries, refreshed every minute
+  const [now, setNow] = useState(() => new Date());
   useEffect(() => {
-    fetchReminders();
-  }, [fetchReminders]); // Use the stable fetchReminders function
+    const interval = setInterval(() => setNow(new Date()), 60 * 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  /**
+   * Heads-up entries: upcoming reminders that are still ahead but whose earliest lead-time alert
+   * has been reached (alerts at or after the start only announce the reminder). Soonest first.
+   */
+  const headsUp = useMemo(
+    () =>
+      upcoming
+        .filter((reminder) => reminder.status === 'pending' && reminder.alarms?.length > 0)
+        .map((reminder) => ({ reminder, occurrenceDate: reminder.nextOccurrence || reminder.date }))
+        .filter(
+          ({ reminder, occurrenceDate }) =>
+            occurrenceDate > now &&
+            getAlarmTimes(reminder, occurrenceDate).some(({ at }) => at < occurrenceDate && at <= now)
+        ),
+    [upcoming, now]
+  );
 
   // --- Modal and Form Handlers ---
 
@@ -95,16 +304,19 @@ const DashboardPage = () => {
    */
   const handleOpenAddModal = useCallback(() => {
     setSelectedReminder(null); // Ensure no initial data for add mode
+    setIdeaToSchedule(null);
     setFormError(null); // Clear any previous form errors
     onOpen(); // Open the modal
   }, [onOpen]);
 
   /**
    * Opens the modal in 'Edit' mode with the selected reminder's data.
-   * @param {object} reminder - The full reminder object to edit.
+   * Recurring reminders are edited at their next occurrence.
+   * @param {string} reminderId - The ID of the reminder to edit (as passed by ReminderItem).
    */
   const handleOpenEditModal = useCallback(
-    (reminder) => {
+    (reminderId) => {
+      const reminder = displayedReminders.find((r) => r.id === reminderId);
       if (!reminder || typeof reminder.id === 'undefined') {
         console.error('handleOpenEditModal called with invalid reminder:', reminder);
         toast({
@@ -116,15 +328,98 @@ const DashboardPage = () => {
         });
         return;
       }
-      setSelectedReminder(reminder); // Set the reminder to pre-fill the form
+      // Set the reminder to pre-fill the form, remembering which occurrence is being edited
+      setIdeaToSchedule(null);
+      setSelectedReminder(
+        reminder.recurrence && reminder.nextOccurrence
+          ? { ...reminder, occurrenceDate: reminder.nextOccurrence }
+          : reminder
+      );
       setFormError(null); // Clear any previous form errors
       onOpen(); // Open the modal
     },
-    [onOpen, toast]
+    [displayedReminders, onOpen, toast]
+  );
+
+  // "Schedule this" on the Ideas page: open the add form for the idea, once
+  const location = useLocation();
+  const navigate = useNavigate();
+  const scheduleIdea = location.state?.scheduleIdea;
+  useEffect(() => {
+    if (scheduleIdea) {
+      setSelectedReminder(null);
+      setIdeaToSchedule(scheduleIdea);
+      setFormError(null);
+      onOpen();
+      // Clear the state so a reload or "back" does not open the form again
+      navigate(location.pathname, { replace: true, state: null });
+    }
+  }, [scheduleIdea, location.pathname, navigate, onOpen]);
+
+  // A clicked notification: open the reminder once it has loaded, once
+  const notifiedReminderId = new URLSearchParams(location.search).get('reminder');
+  useEffect(() => {
+    if (!notifiedReminderId || loading || pastLoading) {
+      return;
+    }
+    if (displayedReminders.some((reminder) => reminder.id === notifiedReminderId)) {
+      handleOpenEditModal(notifiedReminderId);
+    } else {
+      toast({
+        title: 'Reminder Not Found',
+        description: 'The reminder may have been deleted, or is hidden by the current filters.',
+        status: 'info',
+        duration: 5000,
+        isClosable: true,
+      });
+    }
+    navigate(location.pathname, { replace: true });
+  }, [notifiedReminderId, loading, pastLoading, displayedReminders, handleOpenEditModal, location.pathname, navigate, toast]);
+
+  // The add form's initial values for a scheduled idea (no date yet)
+  const ideaDraft = useMemo(
+    () =>
+      ideaToSchedule && {
+        text: ideaToSchedule.title,
+        tags: ideaToSchedule.tags.filter((tagId) => tagsById.has(tagId)),
+        estimatedCost: ideaToSchedule.estimatedPrice,
+        currency: ideaToSchedule.currency,
+      },
+    [ideaToSchedule, tagsById]
+  );
+
+  /**
+   * Restores a reminder that was just moved to the trash (the toast's "Undo" action).
+   * @param {object} reminder - The reminder as it was displayed before the delete.
+   */
+  const handleUndoDelete = useCallback(
+    (reminder) => {
+      try {
+        // Shown again right away; a delete that has not synced yet is simply cancelled
+        enqueue({ kind: 'restore', reminderId: reminder.id, data: reminder });
+        toast({
+          title: 'Reminder Restored',
+          status: 'info',
+          duration: 3000,
+          isClosable: true,
+        });
+      } catch (err) {
+        console.error(`Error restoring reminder ${reminder.id}:`, err);
+        toast({
+          title: 'Restore Failed',
+          description: err.message || 'Could not restore the reminder. You can still restore it from the Trash.',
+          status: 'error',
+          duration: 5000,
+          isClosable: true,
+        });
+      }
+    },
+    [enqueue, toast]
   );
 
   /**
-   * Handles the deletion of a reminder.
+   * Handles the deletion of a reminder by moving it to the trash.
+   * The success toast offers an "Undo" action, so no confirmation is asked up front.
    * @param {string} reminderId - The ID of the reminder to delete.
    */
   const handleDeleteReminder = useCallback(
@@ -151,22 +446,39 @@ const DashboardPage = () => {
         return;
       }
 
-      // Optional: Add a confirmation dialog here for better UX
-      // if (!window.confirm('Are you sure you want to delete this reminder?')) {
-      //   return;
-      // }
-
-      // Indicate loading state subtly if needed, maybe disable buttons
+      const reminder = displayedReminders.find((r) => r.id === reminderId);
 
       try {
-        await deleteReminder(currentUser.uid, reminderId);
+        // Removed from the list immediately; the queue syncs the delete in the background
+        enqueue({ kind: 'delete', reminderId, expectedVersion: reminder?.version });
+        const toastId = `reminder-deleted-${reminderId}`;
         toast({
-          title: 'Reminder Deleted',
+          id: toastId,
+          title: 'Moved to Trash',
+          description: (
+            <Flex align="center" justify="space-between" gap={3}>
+              <Text>
+                {isOnline ? 'The reminder is in the Trash.' : 'You are offline. The change will sync when you reconnect.'}
+              </Text>
+              {reminder && (
+                <Button
+                  size="xs"
+                  variant="outline"
+                  colorScheme="whiteAlpha"
+                  onClick={() => {
+                    toast.close(toastId);
+                    handleUndoDelete(reminder);
+                  }}
+                >
+                  Undo
+                </Button>
+              )}
+            </Flex>
+          ),
           status: 'success',
-          duration: 3000,
+          duration: 6000,
           isClosable: true,
         });
-        fetchReminders(); // Refresh the list after deletion
       } catch (err) {
         console.error(`Error deleting reminder ${reminderId}:`, err);
         setError(
@@ -180,19 +492,150 @@ const DashboardPage = () => {
           duration: 5000,
           isClosable: true,
         });
-      } finally {
-        // Reset subtle loading indicators if used
       }
     },
-    [currentUser?.uid, fetchReminders, toast] // Dependencies
+    [currentUser?.uid, displayedReminders, enqueue, handleUndoDelete, isOnline, toast] // Dependencies
+  );
+
+  /**
+   * Queues a status change for a reminder, or for one occurrence of a recurring reminder.
+   * @param {object} reminder - The reminder as displayed.
+   * @param {Date | undefined} occurrenceDate - The occurrence, for recurring reminders.
+   * @param {{ status: string, note?: string, actualCost?: number }} data - The new status, optional note and amount spent.
+   */
+  const enqueueStatusChange = useCallback(
+    (reminder, occurrenceDate, data) => {
+      enqueue({
+        kind: 'status',
+        reminderId: reminder.id,
+        data,
+        occurrenceDate,
+        expectedVersion: reminder.version,
+      });
+    },
+    [enqueue]
+  );
+
+  /**
+   * Opens the completion dialog for a reminder (for series, for its next occurrence).
+   * @param {string} reminderId - The ID of the reminder to mark.
+   */
+  const handleOpenCompletionDialog = useCallback(
+    (reminderId) => {
+      const reminder = displayedReminders.find((r) => r.id === reminderId);
+      if (!reminder || (reminder.recurrence && !reminder.nextOccurrence)) {
+        console.error('handleOpenCompletionDialog called with invalid reminder:', reminder);
+        return;
+      }
+      setReminderToComplete(reminder);
+    },
+    [displayedReminders]
+  );
+
+  /**
+   * Records the outcome chosen in the completion dialog. The toast offers an "Undo" action
+   * that sets the reminder (or occurrence) back to pending.
+   * @param {{ status: 'completed' | 'skipped', note: string, actualCost?: number }} outcome - The dialog result.
+   */
+  const handleCompletionSubmit = useCallback(
+    ({ status, note, actualCost }) => {
+      const reminder = reminderToComplete;
+      setReminderToComplete(null);
+      if (!reminder) {
+        return;
+      }
+      const occurrenceDate = reminder.recurrence ? reminder.nextOccurrence : undefined;
+
+      try {
+        enqueueStatusChange(
+          reminder,
+          occurrenceDate,
+          actualCost !== undefined ? { status, note, actualCost } : { status, note }
+        );
+        const toastId = `reminder-status-${reminder.id}`;
+        toast({
+          id: toastId,
+          title: status === 'completed' ? 'Marked as Done' : 'Marked as Skipped',
+          description: (
+            <Flex align="center" justify="space-between" gap={3}>
+              <Text>
+                {isOnline
+                  ? reminder.recurrence
+                    ? 'Moved on to the next occurrence.'
+                    : 'Nicely done!'
+                  : 'You are offline. The change will sync when you reconnect.'}
+              </Text>
+              <Button
+                size="xs"
+                variant="outline"
+                colorScheme="whiteAlpha"
+                onClick={() => {
+                  toast.close(toastId);
+                  // The queued change bumped the version; undo is relative to it
+                  enqueueStatusChange({ ...reminder, version: reminder.version + 1 }, occurrenceDate, {
+                    status: 'pending',
+                  });
+                }}
+              >
+                Undo
+              </Button>
+            </Flex>
+          ),
+          status: 'success',
+          duration: 6000,
+          isClosable: true,
+        });
+      } catch (err) {
+        console.error(`Error updating status of reminder ${reminder.id}:`, err);
+        toast({
+          title: 'Update Failed',
+          description: err.message || 'Could not update the reminder. Please try again.',
+          status: 'error',
+          duration: 5000,
+          isClosable: true,
+        });
+      }
+    },
+    [reminderToComplete, enqueueStatusChange, isOnline, toast]
+  );
+
+  /**
+   * Sets a completed or skipped one-off reminder back to pending.
+   * @param {string} reminderId - The ID of the reminder to reopen.
+   */
+  const handleReopenReminder = useCallback(
+    (reminderId) => {
+      const reminder = displayedReminders.find((r) => r.id === reminderId);
+      if (!reminder) {
+        console.error('handleReopenReminder called with unknown reminderId:', reminderId);
+        return;
+      }
+      try {
+        enqueueStatusChange(reminder, undefined, { status: 'pending' });
+      } catch (err) {
+        console.error(`Error reopening reminder ${reminderId}:`, err);
+        toast({
+          title: 'Update Failed',
+          description: err.message || 'Could not update the reminder. Please try again.',
+          status: 'error',
+          duration: 5000,
+          isClosable: true,
+        });
+      }
+    },
+    [displayedReminders, enqueueStatusChange, toast]
   );
 
   /**
    * Handles the submission of the ReminderForm (both add and edit).
-   * @param {{ text: string, date: string }} formData - Form data with date as 'YYYY-MM-DD' string.
+   * Edits of a recurring reminder occurrence are queued as `occurrence` mutations
+   * with the scope chosen in the form. Queuing is synchronous, so the modal closes
+   * immediately, even when offline.
+   * @param {{ text: string, date: string, time: string | null, allDay: boolean, timeZone: string, recurrence: object | null, editScope?: string }} formData -
+   *   Form data with date as 'YYYY-MM-DD' and time as 'HH:mm' strings in `timeZone`.
    */
   const handleFormSubmit = useCallback(
-    async (formData) => {
+    (formData) => {
       if (!currentUser?.uid) {
         setFormError('User not authenticated. Cannot save reminder.');
         toast({
@@ -212,12 +655,10 @@ const DashboardPage = () => {
           return;
       }
 
-      // Convert 'YYYY-MM-DD' string back to a Date object for the service
-      // Add time component (e.g., start of day) to avoid timezone issues if needed
-      const dateParts = formData.date.split('-').map(Number);
-      const dateObject = new Date(dateParts[0], dateParts[1] - 1, dateParts[2]); // Month is 0-indexed
+      // Convert the wall-clock date and time in the chosen zone to a Date for the service
+      const dateObject = zonedTimeToDate(formData.date, formData.allDay ? null : formData.time, formData.timeZone);
 
-      if (isNaN(dateObject.getTime())) {
+      if (!dateObject) {
           setFormError('Invalid date format processed.');
           return;
       }
@@ -225,6 +666,16 @@ const DashboardPage = () => {
       const dataForService = {
         text: formData.text,
         date: dateObject,
+        allDay: formData.allDay,
+        timeZone: formData.timeZone,
+        recurrence: formData.recurrence ?? null,
+        tags: formData.tags ?? [],
+        estimatedCost: formData.estimatedCost ?? null,
+        actualCost: formData.actualCost ?? null,
+        currency: formData.currency ?? null,
+        recipientId: formData.recipientId ?? null,
+        notes: formData.notes ?? null,
+        alarms: formData.alarms ?? [],
       };
 
       setIsSubmitting(true);
@@ -236,32 +687,65 @@ const DashboardPage = () => {
           if (!selectedReminder.id) {
             throw new Error("Invalid reminder state: Missing ID for update.");
           }
-          await updateReminder(
-            currentUser.uid,
-            selectedReminder.id,
-            dataForService
-          );
+          if (selectedReminder.occurrenceDate && formData.editScope) {
+            // A single occurrence becomes a one-off reminder, so its recurrence is not applied
+            const { recurrence, ...occurrenceData } = dataForService;
+            enqueue({
+              kind: 'occurrence',
+              reminderId: selectedReminder.id,
+              occurrenceDate: selectedReminder.occurrenceDate,
+              data: formData.editScope === 'single' ? occurrenceData : { ...occurrenceData, recurrence },
+              scope: formData.editScope,
+              expectedVersion: selectedReminder.version,
+            });
+          } else {
+            enqueue({
+              kind: 'update',
+              reminderId: selectedReminder.id,
+              data: dataForService,
+              expectedVersion: selectedReminder.version,
+            });
+          }
           toast({
             title: 'Reminder Updated',
+            description: isOnline ? undefined : 'You are offline. The change will sync when you reconnect.',
             status: 'success',
             duration: 3000,
             isClosable: true,
           });
         } else {
           // --- Add Operation ---
-          await addReminder(currentUser.uid, dataForService);
+          const { reminderId } = enqueue({
+            kind: 'add',
+            data: ideaToSchedule ? { ...dataForService, ideaId: ideaToSchedule.id } : dataForService,
+          });
+          if (ideaToSchedule) {
+            const ideaId = ideaToSchedule.id;
+            // The reminder is queued either way; only the idea's "scheduled" mark can fail here
+            markIdeaScheduled(currentUser.uid, ideaId, reminderId).catch((markError) => {
+              console.error(`Error marking idea ${ideaId} as scheduled:`, markError);
+              toast({
+                title: 'Idea Not Updated',
+                description: 'The reminder was saved, but the idea could not be marked as scheduled.',
+                status: 'warning',
+                duration: 5000,
+                isClosable: true,
+              });
+            });
+          }
           toast({
-            title: 'Reminder Added',
+            title: ideaToSchedule ? 'Idea Scheduled' : 'Reminder Added',
+            description: isOnline ? undefined : 'You are offline. The change will sync when you reconnect.',
             status: 'success',
             duration: 3000,
             isClosable: true,
           });
         }
 
-        // Close modal and refresh list only on successful submission
+        // Close modal once the change is queued; the optimistic list already shows it
         onClose();
         setSelectedReminder(null); // Clear selection state
-        fetchReminders(); // Refresh the list
+        setIdeaToSchedule(null);
       } catch (err) {
         console.error('Error saving reminder:', err);
         const errorMessage = err.message || 'Failed to save reminder. Please try again.';
@@ -281,12 +765,102 @@ const DashboardPage = () => {
     [
       currentUser?.uid,
       selectedReminder,
-      fetchReminders,
+      ideaToSchedule,
+      enqueue,
+      isOnline,
       onClose,
       toast,
     ] // Dependencies
   );
 
+  /**
+   * Saves the zone chosen in the form as the user's default for new reminders.
+   * @param {string} timeZone - The IANA time zone.
+   */
+  const handleSetDefaultTimeZone = useCallback(
+    async (timeZone) => {
+      try {
+        await updateUserSettings(currentUser.uid, { defaultTimeZone: timeZone });
+        toast({
+          title: 'Default Time Zone Saved',
+          description: `New reminders will use ${timeZone.replace(/_/g, ' ')}.`,
+          status: 'success',
+          duration: 3000,
+          isClosable: true,
+        });
+      } catch (err) {
+        console.error('Error saving default time zone:', err);
+        toast({
+          title: 'Save Failed',
+          description: err.message || 'Could not save your default time zone.',
+          status: 'error',
+          duration: 5000,
+          isClosable: true,
+        });
+      }
+    },
+    [currentUser?.uid, toast]
+  );
+
+  /**
+   * Saves the alerts entered in the form as the user's default for new reminders.
+   * @param {Array<number>} alarms - The lead times in minutes.
+   */
+  const handleSetDefaultAlarms = useCallback(
+    async (alarms) => {
+      try {
+        await updateUserSettings(currentUser.uid, { defaultAlarms: alarms });
+        toast({
+          title: 'Default Alerts Saved',
+          description: 'New reminders will start with these alerts.',
+          status: 'success',
+          duration: 3000,
+          isClosable: true,
+        });
+      } catch (err) {
+        console.error('Error saving default alerts:', err);
+        toast({
+          title: 'Save Failed',
+          description: err.message || 'Could not save your default alerts.',
+          status: 'error',
+          duration: 5000,
+          isClosable: true,
+        });
+      }
+    },
+    [currentUser?.uid, toast]
+  );
+
+  /**
+   * Downloads the reminders matching the current filters (all reminders when none is set) as an .ics file.
+   */
+  const handleExportCalendar = useCallback(async () => {
+    setIsExporting(true);
+    try {
+      const query = {
+        ...(activeTagFilter.length > 0 && { tags: activeTagFilter }),
+        ...(activeRecipientFilter && { recipientId: activeRecipientFilter }),
+      };
+      const { reminders } = await getReminders(currentUser.uid, query);
+      if (reminders.length === 0) {
+        toast({ title: 'Nothing to Export', status: 'info', duration: 3000, isClosable: true });
+        return;
+      }
+      downloadTextFile('reminders.ics', serializeRemindersToICalendar(reminders, { tagsById }), ICALENDAR_MIME_TYPE);
+    } catch (err) {
+      console.error('Error exporting reminders:', err);
+      toast({
+        title: 'Export Failed',
+        description: err.message || 'Could not export your reminders. Please try again.',
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setIsExporting(false);
+    }
+  }, [currentUser?.uid, activeTagFilter, activeRecipientFilter, tagsById, toast]);
+
   // Handle case where currentUser is somehow null despite route protection
   if (!currentUser && !loading) {
     return (
@@ -307,16 +881,92 @@ const DashboardPage = () => {
           <Heading as="h2" size="xl">
             Your Sweet Reminders
           </Heading>
-          <Button
-            leftIcon={<AddIcon />}
-            colorScheme="pink" // Match theme
-            onClick={handleOpenAddModal}
-            aria-label="Add new reminder"
-          >
-            Add Reminder
-          </Button>
+          <HStack spacing={2}>
+            <Button variant="outline" colorScheme="pink" onClick={onTagManagerOpen}>
+              Manage tags
+            </Button>
+            <Menu>
+              <MenuButton as={Button} variant="outline" colorScheme="pink" rightIcon={<ChevronDownIcon />} isLoading={isExporting}>
+                Import &amp; export
+              </MenuButton>
+              <MenuList>
+                <MenuItem onClick={handleExportCalendar}>
+                  {activeTagFilter.length > 0 || activeRecipientFilter
+                    ? 'Export filtered reminders to calendar (.ics)'
+                    : 'Export to calendar (.ics)'}
+                </MenuItem>
+                <MenuItem onClick={onImportOpen}>Import from calendar (.ics)</MenuItem>
+                <MenuItem onClick={onCsvImportOpen}>Import from spreadsheet (.csv)</MenuItem>
+              </MenuList>
+            </Menu>
+            <Button
+              leftIcon={<AddIcon />}
+              colorScheme="pink" // Match theme
+              onClick={handleOpenAddModal}
+              aria-label="Add new reminder"
+            >
+              Add Reminder
+            </Button>
+          </HStack>
         </Flex>
 
+        {/* Tag Filter */}
+        {tags.length > 0 && (
+          <Flex align="center" gap={3} wrap="wrap">
+            <Text fontSize="sm" color="gray.500">
+              Filter by tag:
+            </Text>
+            <Box flex="1">
+              <TagPicker
+                tags={tags}
+                value={activeTagFilter}
+                onChange={setSelectedTagIds}
+                maxSelected={MAX_TAG_FILTERS}
+                size="sm"
+              />
+            </Box>
+            {activeTagFilter.length > 0 && (
+              <Button size="xs" variant="ghost" onClick={() => setSelectedTagIds([])}>
+                Clear filter
+              </Button>
+            )}
+          </Flex>
+        )}
+
+        {/* Recipient Filter */}
+        {recipients.length > 0 && (
+          <Flex align="center" gap={3} wrap="wrap">
+            <Text as="label" htmlFor="recipient-filter" fontSize="sm" color="gray.500">
+              Show reminders for:
+            </Text>
+            <Select
+              id="recipient-filter"
+              size="sm"
+              maxW="240px"
+              value={activeRecipientFilter ?? ''}
+              onChange={(e) => setSelectedRecipientId(e.target.value)}
+            >
+              <option value="">Everyone</option>
+              {recipients.map((recipient) => (
+                <option key={recipient.id} value={recipient.id}>
+                  {recipient.name}
+                </option>
+              ))}
+            </Select>
+          </Flex>
+        )}
+
+        {/* Planned vs. actual spending */}
+        {!budget.loading && !budget.error && (
+          <BudgetPanel
+            summary={budget.summary}
+            overruns={budget.overruns}
+            limits={{ monthlyBudget: settings.monthlyBudget, yearlyBudget: settings.yearlyBudget }}
+            onYearChange={setBudgetYear}
+            onEditBudget={onBudgetOpen}
+          />
+        )}
+
         {/* Display Loading State */}
         {loading && (
           <Center py={10}>
@@ -324,22 +974,110 @@ const DashboardPage = () => {
           </Center>
         )}
 
-        {/* Display Fetching/General Error State */}
-        {!loading && error && (
+        {/* Display Subscription/General Error State */}
+        {!loading && (loadError || error) && (
           <Alert status="error" borderRadius="md">
             <AlertIcon />
-            {error}
+            {loadError || error}
           </Alert>
         )}
 
-        {/* Display Reminder List */}
-        {!loading && !error && (
-          <ReminderList
-            reminders={reminders}
-            onEdit={handleOpenEditModal} // Pass the correct edit handler
-            onDelete={handleDeleteReminder}
-          />
-          // ReminderList should handle the empty state internally
+        {/* Documents that could not be migrated to the current schema */}
+        {unreadableReminders.length > 0 && (
+          <Alert status="warning" borderRadius="md" alignItems="flex-start">
+            <AlertIcon />
+            <Box>
+              <AlertTitle>
+                {unreadableReminders.length === 1
+                  ? '1 reminder could not be loaded'
+                  : `${unreadableReminders.length} reminders could not be loaded`}
+              </AlertTitle>
+              <AlertDescription>
+                <Text fontSize="sm">These stored reminders are damaged and were left unchanged:</Text>
+                {unreadableReminders.map((failure) => (
+                  <Text key={failure.id} fontSize="sm" fontFamily="mono">
+                    {failure.id}: {failure.errors.join(', ')}
+                  </Text>
+                ))}
+              </AlertDescription>
+            </Box>
+          </Alert>
+        )}
+
+        {/* Display Reminder Lists */}
+        {!loading && !loadError && !error && (
+          <>
+            <HeadsUpList entries={headsUp} now={now} onOpen={handleOpenEditModal} />
+
+            <Heading as="h3" size="md">
+              Upcoming
+            </Heading>
+            {upcomingGroups.length === 0 ? (
+              <ReminderList
+                reminders={[]}
+                onEdit={handleOpenEditModal}
+                onDelete={handleDeleteReminder}
+                emptyMessage={
+                  activeTagFilter.length > 0 || activeRecipientFilter
+                    ? 'Nothing coming up that matches your filters.'
+                    : 'Nothing coming up. Time to add a reminder!'
+                }
+              />
+            ) : (
+              upcomingGroups.map((group) => (
+                <Box key={group.key}>
+                  {group.label && (
+                    <Text fontWeight="semibold" color="gray.600" mb={2}>
+                      {group.label}
+                    </Text>
+                  )}
+                  <ReminderList
+                    reminders={group.reminders}
+                    tagsById={tagsById}
+                    recipientsById={recipientsById}
+                    onEdit={handleOpenEditModal} // Pass the correct edit handler
+                    onDelete={handleDeleteReminder}
+                    onMarkDone={handleOpenCompletionDialog}
+                    onReopen={handleReopenReminder}
+                    defaultCurrency={settings.currency}
+                  />
+                </Box>
+              ))
+            )}
+
+            <Heading as="h3" size="md" pt={4}>
+              Past
+            </Heading>
+            {pastLoading ? (
+              <Center py={4}>
+                <LoadingSpinner />
+              </Center>
+            ) : (
+              <ReminderList
+                reminders={past}
+                tagsById={tagsById}
+                recipientsById={recipientsById}
+                onEdit={handleOpenEditModal}
+                onDelete={handleDeleteReminder}
+                onMarkDone={handleOpenCompletionDialog}
+                onReopen={handleReopenReminder}
+                defaultCurrency={settings.currency}
+                emptyMessage="No past reminders."
+              />
+            )}
+            {pastError && (
+              <Text color="red.500" fontSize="sm" textAlign="center">
+                {pastError}
+              </Text>
+            )}
+            {hasMorePast && !pastLoading && (
+              <Center>
+                <Button variant="outline" colorScheme="pink" onClick={loadMorePast} isLoading={pastLoadingMore}>
+                  Load more
+                </Button>
+              </Center>
+            )}
+          </>
         )}
       </VStack>
 
@@ -348,7 +1086,7 @@ const DashboardPage = () => {
         <ModalOverlay />
         <ModalContent mx={{ base: 4, sm: 0 }}> {/* Add horizontal margin on small screens */}
           <ModalHeader>
-            {selectedReminder ? 'Edit Reminder' : 'Add New Reminder'}
+            {selectedReminder ? 'Edit Reminder' : ideaToSchedule ? 'Schedule Idea' : 'Add New Reminder'}
           </ModalHeader>
           <ModalCloseButton />
           <ModalBody pb={6}>
@@ -360,14 +1098,59 @@ const DashboardPage = () => {
                 </Alert>
             )}
             <ReminderForm
-              initialData={selectedReminder}
+              initialData={selectedReminder ?? ideaDraft}
               onSubmit={handleFormSubmit}
               onCancel={onClose}
               isSubmitting={isSubmitting} // Pass submission state to form
+              tags={tags}
+              recipients={recipients}
+              defaultTimeZone={defaultTimeZone}
+              onSetDefaultTimeZone={handleSetDefaultTimeZone}
+              defaultAlarms={settings.defaultAlarms}
+              onSetDefaultAlarms={handleSetDefaultAlarms}
+              defaultTime={preferences.defaultReminderTime}
+              defaultAllDay={preferences.defaultAllDay}
+              weekStartsOn={preferences.weekStartsOn}
+              currency={settings.currency}
+              getBudgetOverruns={budget.getOverrunsForDraft}
             />
           </ModalBody>
         </ModalContent>
       </Modal>
+
+      {/* Tag Manager Modal */}
+      <TagManager isOpen={isTagManagerOpen} onClose={onTagManagerClose} tags={tags} />
+
+      {/* Calendar Import Dialog */}
+      <IcsImportDialog
+        isOpen={isImportOpen}
+        onClose={onImportClose}
+        tags={tags}
+        defaultTimeZone={defaultTimeZone}
+        onImported={refreshPast} // Upcoming reminders update through the live subscription
+      />
+
+      {/* Spreadsheet Import Wizard */}
+      <CsvImportWizard
+        isOpen={isCsvImportOpen}
+        onClose={onCsvImportClose}
+        tags={tags}
+        defaultTimeZone={defaultTimeZone}
+        onImported={refreshPast}
+      />
+
+      {/* Budget Settings Modal */}
+      <BudgetSettingsModal isOpen={isBudgetOpen} onClose={onBudgetClose} settings={settings} />
+
+      {/* Mark Done / Skip Dialog */}
+      <CompletionDialog
+        isOpen={reminderToComplete !== null}
+        onClose={() => setReminderToComplete(null)}
+        reminder={reminderToComplete}
+        occurrenceDate={reminderToComplete?.recurrence ? reminderToComplete.nextOccurrence : null}
+        currency={reminderToComplete?.currency ?? settings.currency}
+        onSubmit={handleCompletionSubmit}
+      />
     </Box>
   );
 };
@@ -0,0 +1,211 @@
+import React, { useState, useCallback, useEffect, useRef } from 'react';
+import { Link as RouterLink, useLocation, useNavigate } from 'react-router-dom';
+import {
+  Box,
+  VStack,
+  Center,
+  Heading,
+  FormControl,
+  FormLabel,
+  Input,
+  Button,
+  Alert,
+  AlertIcon,
+  Text,
+  Link,
+} from '@chakra-ui/react';
+import { useAuth } from '../contexts/AuthContext.jsx';
+import { getStoredSignInEmail } from '../services/authService.js';
+import { getSafeReturnPath } from '../utils/helpers.js';
+import LoadingSpinner from '../components/LoadingSpinner.jsx';
+
+/**
+ * EmailLinkSignInPage Component
+ *
+ * The page sign-in links open (`/login/email-link?next=...`). If the link is opened in the
+ * browser it was requested from, the user is signed in right away; otherwise they confirm
+ * their email address first. Afterwards the user continues to the `next` path.
+ *
+ * If the user tried Google sign-in for this address in another tab, they are offered to add
+ * Google to the account here, which asks them to sign in to Google once more (see `pendingLink`).
+ */
+const EmailLinkSignInPage = () => {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const { currentUser, isLoginLink, completeLoginLink, pendingLink, linkPendingSignIn, dismissPendingLink } = useAuth();
+
+  const nextPath = getSafeReturnPath(new URLSearchParams(location.search).get('next'));
+  const [email, setEmail] = useState(() => getStoredSignInEmail() ?? '');
+  const [status, setStatus] = useState('checking'); // 'checking' | 'needsEmail' | 'signingIn' | 'signedIn' | 'invalid'
+  const [submitError, setSubmitError] = useState(null);
+  const [signedInEmail, setSignedInEmail] = useState(null);
+  const [isLinking, setIsLinking] = useState(false);
+  // The link works only once, so don't let a re-run effect (e.g. Strict Mode) use it again
+  const startedRef = useRef(false);
+
+  const signIn = useCallback(
+    async (address) => {
+      setStatus('signingIn');
+      setSubmitError(null);
+      const errorMessage = await completeLoginLink(address, window.location.href);
+      if (errorMessage) {
+        setSubmitError(errorMessage);
+        setStatus('needsEmail');
+        return;
+      }
+      setSignedInEmail(address.trim());
+      setStatus('signedIn');
+    },
+    [completeLoginLink]
+  );
+
+  const offerLink =
+    status === 'signedIn' && !!pendingLink && pendingLink.email.toLowerCase() === signedInEmail?.toLowerCase();
+
+  // Continue once signed in, unless there is a sign-in method to add first
+  useEffect(() => {
+    if (status === 'signedIn' && !offerLink) {
+      navigate(nextPath, { replace: true });
+    }
+  }, [status, offerLink, navigate, nextPath]);
+
+  const handleLink = useCallback(async () => {
+    setIsLinking(true);
+    setSubmitError(null);
+    const errorMessage = await linkPendingSignIn();
+    setIsLinking(false);
+    if (errorMessage) {
+      setSubmitError(errorMessage);
+    }
+  }, [linkPendingSignIn]);
+
+  useEffect(() => {
+    if (startedRef.current) {
+      return;
+    }
+    startedRef.current = true;
+
+    if (!isLoginLink(window.location.href)) {
+      if (currentUser) {
+        navigate(nextPath, { replace: true });
+      } else {
+        setStatus('invalid');
+      }
+      return;
+    }
+    const storedEmail = getStoredSignInEmail();
+    if (storedEmail) {
+      signIn(storedEmail);
+    } else {
+      // Opened on another device or browser: ask which address the link was sent to
+      setStatus('needsEmail');
+    }
+  }, [currentUser, isLoginLink, navigate, nextPath, signIn]);
+
+  const handleSubmit = useCallback(
+    (event) => {
+      event.preventDefault();
+      if (!email.trim()) {
+        setSubmitError('Email is required.');
+        return;
+      }
+      signIn(email);
+    },
+    [email, signIn]
+  );
+
+  if (status === 'checking' || status === 'signingIn' || (status === 'signedIn' && !offerLink)) {
+    return (
+      <Center minHeight="100vh">
+        <LoadingSpinner size="xl" />
+      </Center>
+    );
+  }
+
+  return (
+    <Center minH="100vh" bg="gray.50">
+      <Box
+        p={{ base: 6, md: 8 }}
+        borderWidth={1}
+        borderRadius="md"
+        boxShadow="md"
+        bg="white"
+        w={{ base: '90%', sm: '400px' }}
+      >
+        {offerLink ? (
+          <VStack spacing={6}>
+            <Heading as="h1" size="lg" textAlign="center">
+              Add {pendingLink.providerName} Sign-In
+            </Heading>
+            <Text fontSize="sm" color="gray.600">
+              You tried to sign in with {pendingLink.providerName} earlier. Sign in to {pendingLink.providerName} once
+              more to add it to {pendingLink.email}, so you can use either next time.
+            </Text>
+
+            {submitError && (
+              <Alert status="error" borderRadius="md">
+                <AlertIcon />
+                {submitError}
+              </Alert>
+            )}
+
+            <Button colorScheme="pink" width="full" onClick={handleLink} isLoading={isLinking}>
+              Continue with {pendingLink.providerName}
+            </Button>
+            <Button variant="ghost" width="full" onClick={dismissPendingLink} isDisabled={isLinking}>
+              Not Now
+            </Button>
+          </VStack>
+        ) : (
+          <VStack spacing={6} as="form" onSubmit={handleSubmit} noValidate>
+            <Heading as="h1" size="lg" textAlign="center">
+              Sign In With Email Link
+            </Heading>
+
+            {status === 'invalid' ? (
+              <Alert status="error" borderRadius="md">
+                <AlertIcon />
+                This page only works with a sign-in link from your email.
+              </Alert>
+            ) : (
+              <>
+                <Text fontSize="sm" color="gray.600">
+                  Please confirm the email address the sign-in link was sent to.
+                </Text>
+
+                {submitError && (
+                  <Alert status="error" borderRadius="md">
+                    <AlertIcon />
+                    {submitError}
+                  </Alert>
+                )}
+
+                <FormControl isRequired>
+                  <FormLabel htmlFor="email-link-address">Email Address</FormLabel>
+                  <Input
+                    id="email-link-address"
+                    type="email"
+                    placeholder="you@example.com"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    autoComplete="email"
+                  />
+                </FormControl>
+
+                <Button type="submit" colorScheme="pink" width="full">
+                  Sign In
+                </Button>
+              </>
+            )}
+
+            <Link as={RouterLink} to="/login" color="pink.600" fontSize="sm">
+              Back to login
+            </Link>
+          </VStack>
+        )}
+      </Box>
+    </Center>
+  );
+};
+
+export default EmailLinkSignInPage;
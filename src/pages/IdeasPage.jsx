@@ -0,0 +1,402 @@
+import React, { useState, useRef, useMemo, useCallback, useEffect } from 'react';
+import {
+  Box,
+  Flex,
+  Heading,
+  Text,
+  Button,
+  ButtonGroup,
+  IconButton,
+  Input,
+  VStack,
+  HStack,
+  Wrap,
+  WrapItem,
+  Tag,
+  Badge,
+  Link,
+  Alert,
+  AlertIcon,
+  Center,
+  Modal,
+  ModalOverlay,
+  ModalContent,
+  ModalHeader,
+  ModalCloseButton,
+  ModalBody,
+  AlertDialog,
+  AlertDialogOverlay,
+  AlertDialogContent,
+  AlertDialogHeader,
+  AlertDialogBody,
+  AlertDialogFooter,
+} from '@chakra-ui/react';
+import { EditIcon, DeleteIcon, ExternalLinkIcon, CalendarIcon } from '@chakra-ui/icons';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext.jsx';
+import { usePreferences } from '../contexts/PreferencesContext.jsx';
+import { useIdeas } from '../hooks/useIdeas.js';
+import { useTags } from '../hooks/useTags.js';
+import { useUserSettings } from '../hooks/useUserSettings.js';
+import { usePreferredToast } from '../hooks/usePreferredToast.js';
+import { addIdea, updateIdea, deleteIdea, MAX_IDEA_TITLE_LENGTH } from '../services/ideaService.js';
+import { formatCurrency } from '../utils/helpers.js';
+import IdeaForm from '../components/IdeaForm.jsx';
+import LoadingSpinner from '../components/LoadingSpinner.jsx';
+
+// Which ideas the list shows
+const IDEA_FILTERS = [
+  { value: 'open', label: 'Open' },
+  { value: 'scheduled', label: 'Scheduled' },
+  { value: 'all', label: 'All' },
+];
+
+// Short label for a link, e.g. 'shop.example.com'
+const linkLabel = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return url;
+  }
+};
+
+/**
+ * IdeasPage Component
+ *
+ * The gift idea bank: ideas without a date yet. Ideas are captured with just a title and can be
+ * filled in later (notes, links, estimated price, tags). "Schedule this" opens the reminder form
+ * on the dashboard, prefilled from the idea; the saved reminder links back to it. An idea can be
+ * highlighted with the `?idea=<id>` query parameter (used by those links).
+ */
+const IdeasPage = () => {
+  const { currentUser } = useAuth();
+  const toast = usePreferredToast();
+  const { formatDate } = usePreferences();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const highlightedId = searchParams.get('idea');
+
+  const { ideas, loading, error } = useIdeas();
+  const { tags, tagsById } = useTags();
+  const { settings } = useUserSettings();
+
+  const [quickTitle, setQuickTitle] = useState('');
+  const [isCapturing, setIsCapturing] = useState(false);
+  // A linked idea is shown even if it has been scheduled already
+  const [filter, setFilter] = useState(highlightedId ? 'all' : 'open');
+  const [ideaToEdit, setIdeaToEdit] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [ideaToDelete, setIdeaToDelete] = useState(null);
+  const cancelRef = useRef(null);
+  const highlightedRef = useRef(null);
+
+  const visibleIdeas = useMemo(
+    () =>
+      ideas.filter((idea) => {
+        if (filter === 'open') {
+          return !idea.reminderId;
+        }
+        return filter === 'scheduled' ? !!idea.reminderId : true;
+      }),
+    [ideas, filter]
+  );
+
+  // Bring a linked idea into view once it has loaded
+  const highlightedLoaded = visibleIdeas.some((idea) => idea.id === highlightedId);
+  useEffect(() => {
+    if (highlightedLoaded) {
+      highlightedRef.current?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    }
+  }, [highlightedLoaded]);
+
+  /**
+   * Saves the quick-capture input as a new idea.
+   * @param {React.FormEvent<HTMLFormElement>} event - The form submission event.
+   */
+  const handleQuickCapture = async (event) => {
+    event.preventDefault();
+    if (!quickTitle.trim()) {
+      return;
+    }
+    setIsCapturing(true);
+    try {
+      await addIdea(currentUser.uid, { title: quickTitle });
+      setQuickTitle('');
+    } catch (err) {
+      console.error('Error adding idea:', err);
+      toast({
+        title: 'Could Not Save Idea',
+        description: err.message || 'Please try again.',
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setIsCapturing(false);
+    }
+  };
+
+  /**
+   * Saves the details entered in the edit modal.
+   * @param {object} changes - The idea details from IdeaForm.
+   */
+  const handleEditSubmit = async (changes) => {
+    setIsSaving(true);
+    try {
+      await updateIdea(currentUser.uid, ideaToEdit.id, changes);
+      setIdeaToEdit(null);
+      toast({ title: 'Idea Saved', status: 'success', duration: 3000, isClosable: true });
+    } catch (err) {
+      console.error(`Error updating idea ${ideaToEdit.id}:`, err);
+      toast({
+        title: 'Save Failed',
+        description: err.message || 'Could not save the idea. Please try again.',
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Deletes the idea confirmed in the dialog.
+   */
+  const handleConfirmDelete = useCallback(async () => {
+    const idea = ideaToDelete;
+    setIdeaToDelete(null);
+    if (!idea) {
+      return;
+    }
+    try {
+      await deleteIdea(currentUser.uid, idea.id);
+      toast({ title: 'Idea Deleted', status: 'success', duration: 3000, isClosable: true });
+    } catch (err) {
+      console.error(`Error deleting idea ${idea.id}:`, err);
+      toast({
+        title: 'Deletion Failed',
+        description: err.message || 'Could not delete the idea. Please try again.',
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    }
+  }, [ideaToDelete, currentUser, toast]);
+
+  /**
+   * Opens the reminder form on the dashboard, prefilled from the idea.
+   * @param {import("../services/ideaService.js").Idea} idea - The idea to schedule.
+   */
+  const handleSchedule = useCallback(
+    (idea) => {
+      navigate('/', { state: { scheduleIdea: idea } });
+    },
+    [navigate]
+  );
+
+  return (
+    <Box p={{ base: 4, md: 6 }}>
+      <VStack spacing={6} align="stretch">
+        <Box>
+          <Heading as="h2" size="xl">
+            Gift Ideas
+          </Heading>
+          <Text color="gray.500" mt={2}>
+            Jot down ideas as they come. Schedule them as a reminder once you know when.
+          </Text>
+        </Box>
+
+        {/* Quick Capture */}
+        <HStack as="form" onSubmit={handleQuickCapture} spacing={2}>
+          <Input
+            value={quickTitle}
+            onChange={(e) => setQuickTitle(e.target.value)}
+            placeholder="New idea, e.g. pottery class for two"
+            maxLength={MAX_IDEA_TITLE_LENGTH}
+            isDisabled={isCapturing}
+            aria-label="New idea"
+          />
+          <Button type="submit" colorScheme="pink" isLoading={isCapturing} isDisabled={!quickTitle.trim()}>
+            Add idea
+          </Button>
+        </HStack>
+
+        <ButtonGroup size="sm" isAttached variant="outline" colorScheme="pink">
+          {IDEA_FILTERS.map(({ value, label }) => (
+            <Button key={value} onClick={() => setFilter(value)} variant={filter === value ? 'solid' : 'outline'}>
+              {label}
+            </Button>
+          ))}
+        </ButtonGroup>
+
+        {loading && (
+          <Center py={10}>
+            <LoadingSpinner />
+          </Center>
+        )}
+
+        {!loading && error && (
+          <Alert status="error" borderRadius="md">
+            <AlertIcon />
+            {error}
+          </Alert>
+        )}
+
+        {!loading && !error && visibleIdeas.length === 0 && (
+          <Box p={4} textAlign="center">
+            <Text color="gray.500" fontStyle="italic">
+              {filter === 'scheduled' ? 'No ideas scheduled yet.' : 'No ideas yet. Add the first one above!'}
+            </Text>
+          </Box>
+        )}
+
+        {!loading && !error && visibleIdeas.length > 0 && (
+          <VStack spacing={4} align="stretch">
+            {visibleIdeas.map((idea) => {
+              const ideaTags = idea.tags.map((tagId) => tagsById.get(tagId)).filter(Boolean);
+              const isHighlighted = idea.id === highlightedId;
+              return (
+                <Flex
+                  key={idea.id}
+                  ref={isHighlighted ? highlightedRef : undefined}
+                  p={4}
+                  borderWidth={isHighlighted ? '2px' : '1px'}
+                  borderColor={isHighlighted ? 'pink.400' : 'gray.200'}
+                  borderRadius="lg"
+                  align="flex-start"
+                  wrap="wrap"
+                  gap={3}
+                  bg="white"
+                >
+                  <Box flex="1" minW="200px">
+                    <Text fontWeight="medium" wordBreak="break-word">
+                      {idea.title}
+                    </Text>
+                    {idea.estimatedPrice != null && (
+                      <Text fontSize="sm" color="gray.600">
+                        ~{formatCurrency(idea.estimatedPrice, idea.currency || settings.currency)}
+                      </Text>
+                    )}
+                    {idea.notes && (
+                      <Text fontSize="sm" color="gray.600" mt={1} noOfLines={3} whiteSpace="pre-line">
+                        {idea.notes}
+                      </Text>
+                    )}
+                    {idea.links.length > 0 && (
+                      <Wrap spacing={3} mt={1}>
+                        {idea.links.map((url) => (
+                          <WrapItem key={url}>
+                            <Link href={url} isExternal fontSize="sm" color="pink.600">
+                              {linkLabel(url)} <ExternalLinkIcon mx="2px" />
+                            </Link>
+                          </WrapItem>
+                        ))}
+                      </Wrap>
+                    )}
+                    {ideaTags.length > 0 && (
+                      <Wrap spacing={1} mt={2}>
+                        {ideaTags.map((tag) => (
+                          <WrapItem key={tag.id}>
+                            <Tag size="sm" borderRadius="full" colorScheme={tag.color} variant="subtle">
+                              {tag.name}
+                            </Tag>
+                          </WrapItem>
+                        ))}
+                      </Wrap>
+                    )}
+                    {idea.reminderId && (
+                      <HStack spacing={2} mt={2} fontSize="xs" color="gray.500">
+                        <Badge colorScheme="green">Scheduled</Badge>
+                        {idea.scheduledAt && <Text>on {formatDate(idea.scheduledAt)}</Text>}
+                      </HStack>
+                    )}
+                  </Box>
+                  <HStack spacing={2}>
+                    {!idea.reminderId && (
+                      <Button
+                        size="sm"
+                        colorScheme="pink"
+                        variant="outline"
+                        leftIcon={<CalendarIcon />}
+                        onClick={() => handleSchedule(idea)}
+                      >
+                        Schedule this
+                      </Button>
+                    )}
+                    <IconButton
+                      icon={<EditIcon />}
+                      aria-label="Edit idea"
+                      size="sm"
+                      variant="ghost"
+                      onClick={() => setIdeaToEdit(idea)}
+                    />
+                    <IconButton
+                      icon={<DeleteIcon />}
+                      aria-label="Delete idea"
+                      size="sm"
+                      variant="ghost"
+                      colorScheme="red"
+                      onClick={() => setIdeaToDelete(idea)}
+                    />
+                  </HStack>
+                </Flex>
+              );
+            })}
+          </VStack>
+        )}
+      </VStack>
+
+      {/* Edit Idea Modal */}
+      <Modal isOpen={ideaToEdit !== null} onClose={() => setIdeaToEdit(null)} isCentered>
+        <ModalOverlay />
+        <ModalContent mx={{ base: 4, sm: 0 }}>
+          <ModalHeader>Edit Idea</ModalHeader>
+          <ModalCloseButton />
+          <ModalBody pb={6}>
+            {ideaToEdit && (
+              <IdeaForm
+                initialData={ideaToEdit}
+                onSubmit={handleEditSubmit}
+                onCancel={() => setIdeaToEdit(null)}
+                isSubmitting={isSaving}
+                tags={tags}
+                currency={settings.currency}
+              />
+            )}
+          </ModalBody>
+        </ModalContent>
+      </Modal>
+
+      {/* Delete Confirmation */}
+      <AlertDialog
+        isOpen={ideaToDelete !== null}
+        leastDestructiveRef={cancelRef}
+        onClose={() => setIdeaToDelete(null)}
+        isCentered
+      >
+        <AlertDialogOverlay>
+          <AlertDialogContent mx={{ base: 4, sm: 0 }}>
+            <AlertDialogHeader fontSize="lg" fontWeight="bold">
+              Delete Idea
+            </AlertDialogHeader>
+            <AlertDialogBody>
+              &ldquo;{ideaToDelete?.title}&rdquo; will be deleted.
+              {ideaToDelete?.reminderId && ' The reminder scheduled from it is kept.'}
+            </AlertDialogBody>
+            <AlertDialogFooter>
+              <Button ref={cancelRef} onClick={() => setIdeaToDelete(null)}>
+                Cancel
+              </Button>
+              <Button colorScheme="red" onClick={handleConfirmDelete} ml={3}>
+                Delete
+              </Button>
+            </AlertDialogFooter>
+          </AlertDialogContent>
+        </AlertDialogOverlay>
+      </AlertDialog>
+    </Box>
+  );
+};
+
+export default IdeasPage;
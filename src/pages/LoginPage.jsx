@@ -1,4 +1,5 @@
 import React, { useState, useCallback } from 'react';
+import { Link as RouterLink, useLocation } from 'react-router-dom';
 import {
   Box,
   VStack,
@@ -11,8 +12,15 @@ import {
   Alert,
   AlertIcon,
   FormErrorMessage,
+  Text,
+  Divider,
+  Link,
+  HStack,
 } from '@chakra-ui/react';
 import { useAuth } from '../contexts/AuthContext.jsx';
+import { isEmulatorMode } from '../config/firebase.js';
+import { isLocalMode } from '../config/storage.js';
+import { DEMO_USER_CREDENTIALS } from '../services/authService.js';
 // LoadingSpinner is available but loading feedback is primarily via the Button state
 // import LoadingSpinner from '../components/LoadingSpinner.jsx';
 
@@ -22,6 +30,8 @@ import { useAuth } from '../contexts/AuthContext.jsx';
  * Provides the user interface for logging into the application.
  * It includes form fields for email and password, handles form submission,
  * displays validation errors, and shows loading/error states from the AuthContext.
+ * Outside local mode, users can also sign in with Google or an emailed sign-in link. Links lead
+ * to sign-up and password reset. With the Firebase emulators, it also offers a one-click demo account.
  */
 const LoginPage = () => {
   // Local state for form inputs
@@ -32,8 +42,22 @@ const LoginPage = () => {
   const [emailError, setEmailError] = useState('');
   const [passwordError, setPasswordError] = useState('');
 
+  // Sign-in link state, kept locally because sending the link does not sign anyone in
+  const [linkSentTo, setLinkSentTo] = useState(null);
+  const [linkError, setLinkError] = useState(null);
+  const [isSendingLink, setIsSendingLink] = useState(false);
+
   // Consume authentication context
-  const { login, loading, error: authError } = useAuth(); // Renamed context error to avoid naming clash
+  const {
+    login,
+    loginWithGoogle,
+    sendLoginLink,
+    loginAsDemoUser,
+    pendingLink,
+    loading,
+    error: authError, // Renamed context error to avoid naming clash
+  } = useAuth();
+  const location = useLocation();
 
   /**
    * Handles form submission.
@@ -86,6 +110,28 @@ const LoginPage = () => {
     [email, password, login] // Dependencies for useCallback
   );
 
+  /**
+   * Emails a sign-in link to the entered address. Only the email field is required.
+   */
+  const handleSendLink = useCallback(async () => {
+    setEmailError('');
+    setPasswordError('');
+    setLinkError(null);
+    if (!email.trim()) {
+      setEmailError('Enter your email address to receive a sign-in link.');
+      return;
+    }
+
+    setIsSendingLink(true);
+    const errorMessage = await sendLoginLink(email, location.state?.from);
+    setIsSendingLink(false);
+    if (errorMessage) {
+      setLinkError(errorMessage);
+    } else {
+      setLinkSentTo(email.trim());
+    }
+  }, [email, sendLoginLink, location.state]);
+
   return (
     <Center minH="100vh" bg="gray.50">
       <Box
@@ -101,14 +147,44 @@ const LoginPage = () => {
             Login
           </Heading>
 
+          {/* Google sign-in pending for an existing account */}
+          {pendingLink && !authError && (
+            <Alert status="info" borderRadius="md">
+              <AlertIcon />
+              Log in to {pendingLink.email} to add {pendingLink.providerName} sign-in to your account.
+            </Alert>
+          )}
+
           {/* Display Authentication Error from Context */}
-          {authError && (
+          {(authError || linkError) && (
             <Alert status="error" borderRadius="md">
               <AlertIcon />
-              {authError}
+              {authError || linkError}
+            </Alert>
+          )}
+
+          {linkSentTo && (
+            <Alert status="success" borderRadius="md">
+              <AlertIcon />
+              Check {linkSentTo} for a sign-in link. You can close this tab.
             </Alert>
           )}
 
+          {!isLocalMode && (
+            <>
+              <Button variant="outline" width="full" onClick={loginWithGoogle} isDisabled={loading}>
+                Continue with Google
+              </Button>
+              <HStack width="full">
+                <Divider />
+                <Text fontSize="sm" color="gray.500" flexShrink={0}>
+                  or
+                </Text>
+                <Divider />
+              </HStack>
+            </>
+          )}
+
           {/* Email Input Field */}
           <FormControl isInvalid={!!emailError} isRequired>
             <FormLabel htmlFor="email">Email Address</FormLabel>
@@ -152,6 +228,51 @@ const LoginPage = () => {
           >
             Login
           </Button>
+
+          {!isLocalMode && (
+            <Button
+              variant="ghost"
+              colorScheme="pink"
+              width="full"
+              onClick={handleSendLink}
+              isLoading={isSendingLink}
+              loadingText="Sending link..."
+              isDisabled={loading}
+            >
+              Email me a sign-in link instead
+            </Button>
+          )}
+
+          <HStack justify="space-between" width="full" fontSize="sm">
+            <Link as={RouterLink} to="/reset-password" color="pink.600">
+              Forgot password?
+            </Link>
+            <Link as={RouterLink} to="/signup" color="pink.600">
+              Create an account
+            </Link>
+          </HStack>
+
+          {/* Demo account - only with the local Firebase emulators */}
+          {isEmulatorMode && (
+            <>
+              <Divider />
+              <VStack spacing={2} width="full">
+                <Button
+                  variant="outline"
+                  colorScheme="pink"
+                  width="full"
+                  onClick={loginAsDemoUser}
+                  isDisabled={loading}
+                >
+                  Sign in as demo user
+                </Button>
+                <Text fontSize="sm" color="gray.500" textAlign="center">
+                  Emulator mode: {DEMO_USER_CREDENTIALS.email} / {DEMO_USER_CREDENTIALS.password}, with sample
+                  reminders. Data is lost when the emulators stop.
+                </Text>
+              </VStack>
+            </>
+          )}
         </VStack>
       </Box>
     </Center>
@@ -0,0 +1,240 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Heading,
+  Text,
+  Button,
+  HStack,
+  VStack,
+  FormControl,
+  FormLabel,
+  FormHelperText,
+  Select,
+  Input,
+  Switch,
+  Alert,
+  AlertIcon,
+} from '@chakra-ui/react';
+import { usePreferences } from '../contexts/PreferencesContext.jsx';
+import { usePreferredToast } from '../hooks/usePreferredToast.js';
+import { DEFAULT_PREFERENCES } from '../services/preferencesService.js';
+import { DATE_FORMATS, formatDateForUser } from '../utils/helpers.js';
+import { WEEKDAY_LABELS } from '../utils/recurrence.js';
+import LoadingSpinner from '../components/LoadingSpinner.jsx';
+
+// Labels of the enumerated preferences, in the order they are offered
+const TOAST_DURATION_LABELS = { short: 'Short', normal: 'Normal', long: 'Long' };
+const UPCOMING_SORT_LABELS = { date: 'Date', text: 'Title (A–Z)', estimatedCost: 'Estimated cost (highest first)' };
+const UPCOMING_GROUPING_LABELS = { none: 'No grouping', day: 'By day', week: 'By week', month: 'By month' };
+
+// The preferences edited on this page (everything but `updatedAt`)
+const EDITABLE_FIELDS = Object.keys(DEFAULT_PREFERENCES).filter((field) => field !== 'updatedAt');
+const toDraft = (preferences) => Object.fromEntries(EDITABLE_FIELDS.map((field) => [field, preferences[field]]));
+
+/**
+ * PreferencesPage Component
+ *
+ * Lets the user choose how the app displays things and what new reminders start with: date
+ * format, first day of the week, default time and all-day choice, how the upcoming reminders
+ * are sorted and grouped, and how long notifications stay on screen. Changes are saved to the
+ * user's preferences document and apply on all of their devices.
+ */
+const PreferencesPage = () => {
+  const { preferences, loading, error, updatePreferences } = usePreferences();
+  const toast = usePreferredToast();
+
+  const [draft, setDraft] = useState(() => toDraft(preferences));
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Start from the saved preferences once they are loaded or change on another device
+  useEffect(() => {
+    setDraft(toDraft(preferences));
+  }, [preferences]);
+
+  const update = (field, value) => setDraft((current) => ({ ...current, [field]: value }));
+  const example = new Date();
+
+  /**
+   * Saves the edited preferences.
+   * @param {React.FormEvent<HTMLFormElement>} event - The form submission event.
+   */
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSaving(true);
+    try {
+      await updatePreferences(draft);
+      toast({ title: 'Preferences Saved', status: 'success', duration: 3000, isClosable: true });
+    } catch (err) {
+      console.error('Error saving preferences:', err);
+      toast({
+        title: 'Save Failed',
+        description: err.message || 'Could not save your preferences.',
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box p={{ base: 4, md: 6 }}>
+        <LoadingSpinner />
+      </Box>
+    );
+  }
+
+  return (
+    <Box p={{ base: 4, md: 6 }} maxW="3xl">
+      <VStack as="form" spacing={6} align="stretch" onSubmit={handleSubmit} noValidate>
+        <Box>
+          <Heading as="h2" size="xl">
+            Preferences
+          </Heading>
+          <Text color="gray.500" mt={2}>
+            How dates and reminders are shown, and what new reminders start with.
+          </Text>
+        </Box>
+
+        {error && (
+          <Alert status="error" borderRadius="md">
+            <AlertIcon />
+            {error}
+          </Alert>
+        )}
+
+        <Heading as="h3" size="md">
+          Dates
+        </Heading>
+        <FormControl>
+          <FormLabel htmlFor="preferences-date-format">Date format</FormLabel>
+          <Select
+            id="preferences-date-format"
+            value={draft.dateFormat}
+            onChange={(e) => update('dateFormat', e.target.value)}
+            isDisabled={isSaving}
+          >
+            {DATE_FORMATS.map((format) => (
+              <option key={format} value={format}>
+                {format} (e.g. {formatDateForUser(example, format)})
+              </option>
+            ))}
+          </Select>
+        </FormControl>
+        <FormControl>
+          <FormLabel htmlFor="preferences-week-start">First day of the week</FormLabel>
+          <Select
+            id="preferences-week-start"
+            value={draft.weekStartsOn}
+            onChange={(e) => update('weekStartsOn', Number(e.target.value))}
+            isDisabled={isSaving}
+          >
+            {WEEKDAY_LABELS.map((label, weekday) => (
+              <option key={label} value={weekday}>
+                {label}
+              </option>
+            ))}
+          </Select>
+          <FormHelperText>Used for weekly groups and the weekdays of weekly repeats.</FormHelperText>
+        </FormControl>
+
+        <Heading as="h3" size="md">
+          New reminders
+        </Heading>
+        <FormControl display="flex" alignItems="center">
+          <FormLabel htmlFor="preferences-all-day" mb={0}>
+            All-day by default
+          </FormLabel>
+          <Switch
+            id="preferences-all-day"
+            colorScheme="pink"
+            isChecked={draft.defaultAllDay}
+            onChange={(e) => update('defaultAllDay', e.target.checked)}
+            isDisabled={isSaving}
+          />
+        </FormControl>
+        <FormControl>
+          <FormLabel htmlFor="preferences-default-time">Default time</FormLabel>
+          <Input
+            id="preferences-default-time"
+            type="time"
+            value={draft.defaultReminderTime}
+            onChange={(e) => e.target.value && update('defaultReminderTime', e.target.value)}
+            isDisabled={isSaving}
+            maxW="xs"
+          />
+          <FormHelperText>Preselected for reminders at a specific time.</FormHelperText>
+        </FormControl>
+
+        <Heading as="h3" size="md">
+          Dashboard
+        </Heading>
+        <HStack spacing={4} align="flex-start" flexWrap={{ base: 'wrap', md: 'nowrap' }}>
+          <FormControl>
+            <FormLabel htmlFor="preferences-upcoming-sort">Sort upcoming reminders by</FormLabel>
+            <Select
+              id="preferences-upcoming-sort"
+              value={draft.upcomingSort}
+              onChange={(e) => update('upcomingSort', e.target.value)}
+              isDisabled={isSaving}
+            >
+              {Object.entries(UPCOMING_SORT_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </Select>
+          </FormControl>
+          <FormControl>
+            <FormLabel htmlFor="preferences-upcoming-grouping">Group upcoming reminders</FormLabel>
+            <Select
+              id="preferences-upcoming-grouping"
+              value={draft.upcomingGrouping}
+              onChange={(e) => update('upcomingGrouping', e.target.value)}
+              isDisabled={isSaving}
+            >
+              {Object.entries(UPCOMING_GROUPING_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </Select>
+          </FormControl>
+        </HStack>
+
+        <Heading as="h3" size="md">
+          Notifications
+        </Heading>
+        <FormControl>
+          <FormLabel htmlFor="preferences-toast-duration">How long messages stay on screen</FormLabel>
+          <Select
+            id="preferences-toast-duration"
+            value={draft.toastDuration}
+            onChange={(e) => update('toastDuration', e.target.value)}
+            isDisabled={isSaving}
+            maxW="xs"
+          >
+            {Object.entries(TOAST_DURATION_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </Select>
+        </FormControl>
+
+        <HStack spacing={3}>
+          <Button type="submit" colorScheme="pink" isLoading={isSaving}>
+            Save Preferences
+          </Button>
+          <Button variant="ghost" onClick={() => setDraft(toDraft(DEFAULT_PREFERENCES))} isDisabled={isSaving}>
+            Restore Defaults
+          </Button>
+        </HStack>
+      </VStack>
+    </Box>
+  );
+};
+
+export default PreferencesPage;
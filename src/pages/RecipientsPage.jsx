@@ -0,0 +1,308 @@
+import React, { useState, useRef, useCallback } from 'react';
+import {
+  Box,
+  Flex,
+  Heading,
+  Text,
+  Button,
+  IconButton,
+  VStack,
+  HStack,
+  SimpleGrid,
+  Wrap,
+  WrapItem,
+  Tag,
+  Badge,
+  Alert,
+  AlertIcon,
+  Center,
+  Modal,
+  ModalOverlay,
+  ModalContent,
+  ModalHeader,
+  ModalCloseButton,
+  ModalBody,
+  AlertDialog,
+  AlertDialogOverlay,
+  AlertDialogContent,
+  AlertDialogHeader,
+  AlertDialogBody,
+  AlertDialogFooter,
+} from '@chakra-ui/react';
+import { AddIcon, EditIcon, DeleteIcon } from '@chakra-ui/icons';
+import { useAuth } from '../contexts/AuthContext.jsx';
+import { usePreferences } from '../contexts/PreferencesContext.jsx';
+import { useRecipients } from '../hooks/useRecipients.js';
+import { useUserSettings } from '../hooks/useUserSettings.js';
+import { usePreferredToast } from '../hooks/usePreferredToast.js';
+import {
+  createRecipient,
+  updateRecipient,
+  deleteRecipient,
+  getDaysUntilKeyDate,
+  RECIPIENT_KEY_DATE_LABELS,
+} from '../services/recipientService.js';
+import { RECIPIENT_KEY_DATES } from '../services/reminderService.js';
+import { parseDateString } from '../utils/helpers.js';
+import RecipientForm from '../components/RecipientForm.jsx';
+import LoadingSpinner from '../components/LoadingSpinner.jsx';
+
+// Key dates coming up within this many days are highlighted
+const UPCOMING_DAYS = 30;
+
+// e.g. 'in 3 days', 'tomorrow', 'today'
+const describeDaysUntil = (days) => {
+  if (days === 0) {
+    return 'today';
+  }
+  return days === 1 ? 'tomorrow' : `in ${days} days`;
+};
+
+/**
+ * RecipientsPage Component
+ *
+ * Profiles of the people the user buys gifts for: key dates (birthday, anniversary,
+ * relationship start), favorite things, sizes and notes. Saving a profile keeps a yearly
+ * reminder for each key date on the dashboard (see `recipientService.syncRecipientReminders`);
+ * key dates coming up soon are highlighted here.
+ */
+const RecipientsPage = () => {
+  const { currentUser } = useAuth();
+  const toast = usePreferredToast();
+  const { formatDate } = usePreferences();
+
+  const { recipients, loading, error } = useRecipients();
+  const { defaultTimeZone } = useUserSettings();
+
+  // null: modal closed, {}: adding a new recipient, otherwise the recipient being edited
+  const [recipientToEdit, setRecipientToEdit] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [recipientToDelete, setRecipientToDelete] = useState(null);
+  const cancelRef = useRef(null);
+
+  const isEditing = recipientToEdit !== null && recipientToEdit.id !== undefined;
+
+  /**
+   * Saves the recipient entered in the modal.
+   * @param {object} recipientData - The recipient details from RecipientForm.
+   */
+  const handleSubmit = async (recipientData) => {
+    setIsSaving(true);
+    try {
+      if (isEditing) {
+        await updateRecipient(currentUser.uid, recipientToEdit.id, recipientData, { timeZone: defaultTimeZone });
+      } else {
+        await createRecipient(currentUser.uid, recipientData, { timeZone: defaultTimeZone });
+      }
+      setRecipientToEdit(null);
+      toast({
+        title: isEditing ? 'Recipient Saved' : 'Recipient Added',
+        status: 'success',
+        duration: 3000,
+        isClosable: true,
+      });
+    } catch (err) {
+      console.error('Error saving recipient:', err);
+      toast({
+        title: 'Save Failed',
+        description: err.message || 'Could not save the recipient. Please try again.',
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Deletes the recipient confirmed in the dialog.
+   */
+  const handleConfirmDelete = useCallback(async () => {
+    const recipient = recipientToDelete;
+    setRecipientToDelete(null);
+    if (!recipient) {
+      return;
+    }
+    try {
+      await deleteRecipient(currentUser.uid, recipient.id);
+      toast({ title: 'Recipient Deleted', status: 'success', duration: 3000, isClosable: true });
+    } catch (err) {
+      console.error(`Error deleting recipient ${recipient.id}:`, err);
+      toast({
+        title: 'Deletion Failed',
+        description: err.message || 'Could not delete the recipient. Please try again.',
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    }
+  }, [recipientToDelete, currentUser, toast]);
+
+  return (
+    <Box p={{ base: 4, md: 6 }}>
+      <VStack spacing={6} align="stretch">
+        <Flex justify="space-between" align="flex-start" wrap="wrap" gap={3}>
+          <Box>
+            <Heading as="h2" size="xl">
+              Recipients
+            </Heading>
+            <Text color="gray.500" mt={2}>
+              The people you buy gifts for. Their birthdays and anniversaries are reminded yearly.
+            </Text>
+          </Box>
+          <Button leftIcon={<AddIcon />} colorScheme="pink" onClick={() => setRecipientToEdit({})}>
+            Add Recipient
+          </Button>
+        </Flex>
+
+        {loading && (
+          <Center py={10}>
+            <LoadingSpinner />
+          </Center>
+        )}
+
+        {!loading && error && (
+          <Alert status="error" borderRadius="md">
+            <AlertIcon />
+            {error}
+          </Alert>
+        )}
+
+        {!loading && !error && recipients.length === 0 && (
+          <Box p={4} textAlign="center">
+            <Text color="gray.500" fontStyle="italic">
+              No recipients yet. Add the people you buy gifts for!
+            </Text>
+          </Box>
+        )}
+
+        {!loading && !error && recipients.length > 0 && (
+          <SimpleGrid columns={{ base: 1, md: 2 }} spacing={4}>
+            {recipients.map((recipient) => (
+              <Box key={recipient.id} p={4} borderWidth="1px" borderRadius="lg" bg="white">
+                <Flex justify="space-between" align="flex-start" gap={2}>
+                  <Box minW={0}>
+                    <Text fontWeight="bold" fontSize="lg" wordBreak="break-word">
+                      {recipient.name}
+                    </Text>
+                    {recipient.relationship && (
+                      <Text fontSize="sm" color="gray.500">
+                        {recipient.relationship}
+                      </Text>
+                    )}
+                  </Box>
+                  <HStack spacing={1}>
+                    <IconButton
+                      icon={<EditIcon />}
+                      aria-label={`Edit ${recipient.name}`}
+                      size="sm"
+                      variant="ghost"
+                      onClick={() => setRecipientToEdit(recipient)}
+                    />
+                    <IconButton
+                      icon={<DeleteIcon />}
+                      aria-label={`Delete ${recipient.name}`}
+                      size="sm"
+                      variant="ghost"
+                      colorScheme="red"
+                      onClick={() => setRecipientToDelete(recipient)}
+                    />
+                  </HStack>
+                </Flex>
+
+                <VStack spacing={1} align="stretch" mt={3} fontSize="sm">
+                  {RECIPIENT_KEY_DATES.filter((keyDate) => recipient[keyDate]).map((keyDate) => {
+                    const days = getDaysUntilKeyDate(recipient[keyDate]);
+                    return (
+                      <HStack key={keyDate} spacing={2}>
+                        <Text color="gray.600" w="110px" flexShrink={0}>
+                          {RECIPIENT_KEY_DATE_LABELS[keyDate]}
+                        </Text>
+                        <Text>{formatDate(parseDateString(recipient[keyDate]))}</Text>
+                        {days <= UPCOMING_DAYS && (
+                          <Badge colorScheme={days <= 7 ? 'pink' : 'purple'}>{describeDaysUntil(days)}</Badge>
+                        )}
+                      </HStack>
+                    );
+                  })}
+                </VStack>
+
+                {recipient.favorites.length > 0 && (
+                  <Wrap spacing={1} mt={3}>
+                    {recipient.favorites.map((favorite) => (
+                      <WrapItem key={favorite}>
+                        <Tag size="sm" borderRadius="full" colorScheme="pink" variant="subtle">
+                          {favorite}
+                        </Tag>
+                      </WrapItem>
+                    ))}
+                  </Wrap>
+                )}
+                {recipient.sizes.length > 0 && (
+                  <Text fontSize="sm" color="gray.600" mt={2}>
+                    {recipient.sizes.map(({ label, value }) => `${label}: ${value}`).join(' · ')}
+                  </Text>
+                )}
+                {recipient.notes && (
+                  <Text fontSize="sm" color="gray.600" mt={2} noOfLines={3} whiteSpace="pre-line">
+                    {recipient.notes}
+                  </Text>
+                )}
+              </Box>
+            ))}
+          </SimpleGrid>
+        )}
+      </VStack>
+
+      {/* Add/Edit Recipient Modal */}
+      <Modal isOpen={recipientToEdit !== null} onClose={() => setRecipientToEdit(null)} size="xl" isCentered>
+        <ModalOverlay />
+        <ModalContent mx={{ base: 4, sm: 0 }}>
+          <ModalHeader>{isEditing ? 'Edit Recipient' : 'Add Recipient'}</ModalHeader>
+          <ModalCloseButton />
+          <ModalBody pb={6}>
+            {recipientToEdit && (
+              <RecipientForm
+                initialData={isEditing ? recipientToEdit : null}
+                onSubmit={handleSubmit}
+                onCancel={() => setRecipientToEdit(null)}
+                isSubmitting={isSaving}
+              />
+            )}
+          </ModalBody>
+        </ModalContent>
+      </Modal>
+
+      {/* Delete Confirmation */}
+      <AlertDialog
+        isOpen={recipientToDelete !== null}
+        leastDestructiveRef={cancelRef}
+        onClose={() => setRecipientToDelete(null)}
+        isCentered
+      >
+        <AlertDialogOverlay>
+          <AlertDialogContent mx={{ base: 4, sm: 0 }}>
+            <AlertDialogHeader fontSize="lg" fontWeight="bold">
+              Delete Recipient
+            </AlertDialogHeader>
+            <AlertDialogBody>
+              {recipientToDelete?.name} will be deleted. The reminders for their key dates are moved to the
+              Trash; other reminders for them are kept.
+            </AlertDialogBody>
+            <AlertDialogFooter>
+              <Button ref={cancelRef} onClick={() => setRecipientToDelete(null)}>
+                Cancel
+              </Button>
+              <Button colorScheme="red" onClick={handleConfirmDelete} ml={3}>
+                Delete
+              </Button>
+            </AlertDialogFooter>
+          </AlertDialogContent>
+        </AlertDialogOverlay>
+      </AlertDialog>
+    </Box>
+  );
+};
+
+export default RecipientsPage;
@@ -0,0 +1,131 @@
+import React, { useState, useCallback } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  VStack,
+  Center,
+  Heading,
+  FormControl,
+  FormLabel,
+  Input,
+  Button,
+  Alert,
+  AlertIcon,
+  FormErrorMessage,
+  Text,
+  Link,
+} from '@chakra-ui/react';
+import { useAuth } from '../contexts/AuthContext.jsx';
+
+/**
+ * ResetPasswordPage Component
+ *
+ * Sends a password reset email. The link in the email leads to Firebase's page for choosing a
+ * new password. The confirmation is the same whether or not an account exists for the address.
+ */
+const ResetPasswordPage = () => {
+  const [email, setEmail] = useState('');
+  const [emailError, setEmailError] = useState('');
+  const [submitError, setSubmitError] = useState(null);
+  const [sentTo, setSentTo] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const { resetPassword } = useAuth();
+
+  /**
+   * Validates the email address and requests the reset email.
+   * @param {React.FormEvent<HTMLFormElement>} event - The form submission event.
+   */
+  const handleSubmit = useCallback(
+    async (event) => {
+      event.preventDefault();
+      setSubmitError(null);
+      setEmailError('');
+
+      if (!email.trim()) {
+        setEmailError('Email is required.');
+        return;
+      }
+
+      setIsSubmitting(true);
+      const errorMessage = await resetPassword(email);
+      setIsSubmitting(false);
+      if (errorMessage) {
+        setSubmitError(errorMessage);
+      } else {
+        setSentTo(email.trim());
+      }
+    },
+    [email, resetPassword]
+  );
+
+  return (
+    <Center minH="100vh" bg="gray.50">
+      <Box
+        p={{ base: 6, md: 8 }}
+        borderWidth={1}
+        borderRadius="md"
+        boxShadow="md"
+        bg="white"
+        w={{ base: '90%', sm: '400px' }}
+      >
+        <VStack spacing={6} as="form" onSubmit={handleSubmit} noValidate>
+          <Heading as="h1" size="lg" textAlign="center">
+            Reset Password
+          </Heading>
+
+          {sentTo ? (
+            <Alert status="success" borderRadius="md">
+              <AlertIcon />
+              If an account exists for {sentTo}, we sent it a link to choose a new password. Check your inbox
+              and spam folder.
+            </Alert>
+          ) : (
+            <>
+              <Text fontSize="sm" color="gray.600">
+                Enter the email address of your account and we&apos;ll send you a link to choose a new password.
+              </Text>
+
+              {submitError && (
+                <Alert status="error" borderRadius="md">
+                  <AlertIcon />
+                  {submitError}
+                </Alert>
+              )}
+
+              <FormControl isInvalid={!!emailError} isRequired>
+                <FormLabel htmlFor="reset-email">Email Address</FormLabel>
+                <Input
+                  id="reset-email"
+                  type="email"
+                  placeholder="you@example.com"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  autoComplete="email"
+                  isDisabled={isSubmitting}
+                />
+                {emailError && <FormErrorMessage>{emailError}</FormErrorMessage>}
+              </FormControl>
+
+              <Button
+                type="submit"
+                colorScheme="pink"
+                width="full"
+                isLoading={isSubmitting}
+                loadingText="Sending..."
+              >
+                Send Reset Link
+              </Button>
+            </>
+          )}
+
+          <Link as={RouterLink} to="/login" color="pink.600" fontSize="sm">
+            Back to login
+          </Link>
+        </VStack>
+      </Box>
+    </Center>
+  );
+};
+
+export default ResetPasswordPage;
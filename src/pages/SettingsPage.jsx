@@ -0,0 +1,308 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link as RouterLink, useLocation, useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Heading,
+  Text,
+  Button,
+  VStack,
+  FormControl,
+  FormLabel,
+  FormErrorMessage,
+  FormHelperText,
+  Input,
+  Alert,
+  AlertIcon,
+  Progress,
+  Link,
+} from '@chakra-ui/react';
+import { useAuth } from '../contexts/AuthContext.jsx';
+import { usePreferredToast } from '../hooks/usePreferredToast.js';
+import { isLocalMode } from '../config/storage.js';
+import { MIN_PASSWORD_LENGTH, RECENT_SIGN_IN_MS } from '../services/authService.js';
+import ReauthenticateModal from '../components/ReauthenticateModal.jsx';
+
+// Modal title and confirm button per action
+const ACTIONS = {
+  email: { title: 'Change Email', confirmLabel: 'Send Confirmation Link', colorScheme: 'pink' },
+  password: { title: 'Change Password', confirmLabel: 'Change Password', colorScheme: 'pink' },
+  delete: { title: 'Delete Account', confirmLabel: 'Delete My Account', colorScheme: 'red' },
+};
+
+/**
+ * SettingsPage Component
+ *
+ * Account settings: change the email address or password, and delete the account with all of
+ * its data. Each of these asks the user to confirm their identity first (`ReauthenticateModal`),
+ * as Firebase requires a recent sign-in for them. Confirmation links emailed from the modal lead
+ * back here; opening one confirms the identity for the next few minutes.
+ */
+const SettingsPage = () => {
+  const { currentUser, signInProviders, isLoginLink, reauthenticate, updateEmail, updatePassword, deleteAccount } =
+    useAuth();
+  const toast = usePreferredToast();
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  const [newEmail, setNewEmail] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [errors, setErrors] = useState({});
+  /** @type {['email' | 'password' | 'delete' | null, Function]} */
+  const [action, setAction] = useState(null);
+  const [deleteProgress, setDeleteProgress] = useState(null); // { deleted, total } while deleting
+  const [confirmedAt, setConfirmedAt] = useState(null); // When a confirmation link was opened
+  const [linkError, setLinkError] = useState(null);
+  // The link works only once, so don't let a re-run effect (e.g. Strict Mode) use it again
+  const linkHandledRef = useRef(false);
+
+  const hasPassword = signInProviders.includes('password');
+  const isConfirmed = confirmedAt !== null && Date.now() - confirmedAt < RECENT_SIGN_IN_MS;
+
+  // Opened from a confirmation link: confirm the identity with it and drop it from the address bar
+  useEffect(() => {
+    if (linkHandledRef.current || !isLoginLink(window.location.href)) {
+      return;
+    }
+    linkHandledRef.current = true;
+    const link = window.location.href;
+    navigate(location.pathname, { replace: true });
+    reauthenticate({ emailLink: link }).then((errorMessage) => {
+      if (errorMessage) {
+        setLinkError(errorMessage);
+      } else {
+        setConfirmedAt(Date.now());
+      }
+    });
+  }, [isLoginLink, reauthenticate, navigate, location.pathname]);
+
+  const handleEmailSubmit = (event) => {
+    event.preventDefault();
+    const trimmed = newEmail.trim();
+    if (!trimmed) {
+      setErrors({ email: 'Enter the new email address.' });
+      return;
+    }
+    if (trimmed.toLowerCase() === currentUser?.email?.toLowerCase()) {
+      setErrors({ email: 'This is already your email address.' });
+      return;
+    }
+    setErrors({});
+    setAction('email');
+  };
+
+  const handlePasswordSubmit = (event) => {
+    event.preventDefault();
+    const newErrors = {};
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      newErrors.password = `Password must be at least ${MIN_PASSWORD_LENGTH} characters long.`;
+    }
+    if (confirmPassword !== newPassword) {
+      newErrors.confirmPassword = 'Passwords do not match.';
+    }
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length === 0) {
+      setAction('password');
+    }
+  };
+
+  /**
+   * Runs the selected action once the identity is confirmed.
+   * @returns {Promise<string | null>} An error message, or null on success.
+   */
+  const runAction = async () => {
+    switch (action) {
+      case 'email': {
+        const errorMessage = await updateEmail(newEmail);
+        if (!errorMessage) {
+          toast({
+            title: 'Check Your Inbox',
+            description: `We sent a link to ${newEmail.trim()}. Your email address changes once you open it.`,
+            status: 'success',
+            duration: 8000,
+            isClosable: true,
+          });
+          setNewEmail('');
+        }
+        return errorMessage;
+      }
+      case 'password': {
+        const errorMessage = await updatePassword(newPassword);
+        if (!errorMessage) {
+          toast({ title: 'Password Changed', status: 'success', duration: 3000, isClosable: true });
+          setNewPassword('');
+          setConfirmPassword('');
+        }
+        return errorMessage;
+      }
+      case 'delete': {
+        setDeleteProgress({ deleted: 0, total: 0 });
+        // On success the user is signed out and this page goes away
+        const errorMessage = await deleteAccount({
+          onProgress: (deleted, total) => setDeleteProgress({ deleted, total }),
+        });
+        setDeleteProgress(null);
+        return errorMessage;
+      }
+      default:
+        return null;
+    }
+  };
+
+  const modal = action ? ACTIONS[action] : null;
+
+  return (
+    <Box p={{ base: 4, md: 6 }} maxW="3xl">
+      <VStack spacing={8} align="stretch">
+        <Box>
+          <Heading as="h2" size="xl">
+            Settings
+          </Heading>
+          <Text color="gray.500" mt={2}>
+            Signed in as {currentUser?.email}.
+          </Text>
+        </Box>
+
+        {isConfirmed && (
+          <Alert status="success" borderRadius="md">
+            <AlertIcon />
+            You confirmed it&apos;s you. For the next few minutes you can change your email address or password, or
+            delete your account, without confirming again.
+          </Alert>
+        )}
+        {linkError && (
+          <Alert status="error" borderRadius="md">
+            <AlertIcon />
+            {linkError}
+          </Alert>
+        )}
+
+        {isLocalMode ? (
+          <Alert status="info" borderRadius="md">
+            <AlertIcon />
+            Local mode has no account, so there is no email address or password to change.
+          </Alert>
+        ) : (
+          <>
+            <VStack as="form" spacing={3} align="stretch" onSubmit={handleEmailSubmit} noValidate>
+              <Heading as="h3" size="md">
+                Email address
+              </Heading>
+              <FormControl isInvalid={!!errors.email}>
+                <FormLabel htmlFor="settings-email">New email address</FormLabel>
+                <Input
+                  id="settings-email"
+                  type="email"
+                  value={newEmail}
+                  onChange={(e) => setNewEmail(e.target.value)}
+                  autoComplete="email"
+                />
+                {errors.email ? (
+                  <FormErrorMessage>{errors.email}</FormErrorMessage>
+                ) : (
+                  <FormHelperText>We&apos;ll send a confirmation link to the new address.</FormHelperText>
+                )}
+              </FormControl>
+              <Button type="submit" colorScheme="pink" alignSelf="flex-start">
+                Change Email
+              </Button>
+            </VStack>
+
+            {hasPassword ? (
+              <VStack as="form" spacing={3} align="stretch" onSubmit={handlePasswordSubmit} noValidate>
+                <Heading as="h3" size="md">
+                  Password
+                </Heading>
+                <FormControl isInvalid={!!errors.password}>
+                  <FormLabel htmlFor="settings-password">New password</FormLabel>
+                  <Input
+                    id="settings-password"
+                    type="password"
+                    value={newPassword}
+                    onChange={(e) => setNewPassword(e.target.value)}
+                    autoComplete="new-password"
+                  />
+                  {errors.password ? (
+                    <FormErrorMessage>{errors.password}</FormErrorMessage>
+                  ) : (
+                    <FormHelperText>At least {MIN_PASSWORD_LENGTH} characters.</FormHelperText>
+                  )}
+                </FormControl>
+                <FormControl isInvalid={!!errors.confirmPassword}>
+                  <FormLabel htmlFor="settings-confirm-password">Confirm new password</FormLabel>
+                  <Input
+                    id="settings-confirm-password"
+                    type="password"
+                    value={confirmPassword}
+                    onChange={(e) => setConfirmPassword(e.target.value)}
+                    autoComplete="new-password"
+                  />
+                  {errors.confirmPassword && <FormErrorMessage>{errors.confirmPassword}</FormErrorMessage>}
+                </FormControl>
+                <Button type="submit" colorScheme="pink" alignSelf="flex-start">
+                  Change Password
+                </Button>
+              </VStack>
+            ) : (
+              <VStack spacing={2} align="stretch">
+                <Heading as="h3" size="md">
+                  Password
+                </Heading>
+                <Text>You sign in with Google, so your account has no password.</Text>
+              </VStack>
+            )}
+          </>
+        )}
+
+        <VStack spacing={3} align="stretch" borderWidth={1} borderColor="red.200" borderRadius="md" p={4}>
+          <Heading as="h3" size="md" color="red.600">
+            Delete account
+          </Heading>
+          <Text>
+            Permanently deletes your account and all of your data: reminders (including the Trash), tags, gift
+            ideas, recipients and settings. This cannot be undone, so consider{' '}
+            <Link as={RouterLink} to="/backup" color="pink.600">
+              downloading a backup
+            </Link>{' '}
+            first.
+          </Text>
+          <Button colorScheme="red" variant="outline" alignSelf="flex-start" onClick={() => setAction('delete')}>
+            Delete My Account
+          </Button>
+        </VStack>
+      </VStack>
+
+      <ReauthenticateModal
+        isOpen={!!modal}
+        onClose={() => setAction(null)}
+        title={modal?.title ?? ''}
+        confirmLabel={modal?.confirmLabel ?? ''}
+        confirmColorScheme={modal?.colorScheme}
+        onConfirmed={runAction}
+        isConfirmed={isConfirmed}
+      >
+        {action === 'delete' && (
+          <Alert status="warning" borderRadius="md">
+            <AlertIcon />
+            All of your data will be deleted permanently, then your account. You will be signed out.
+          </Alert>
+        )}
+        {deleteProgress && (
+          <Box>
+            <Text fontSize="sm" mb={1}>
+              Deleting your data… {deleteProgress.deleted} of {deleteProgress.total}
+            </Text>
+            <Progress
+              value={deleteProgress.total ? (deleteProgress.deleted / deleteProgress.total) * 100 : 0}
+              isIndeterminate={!deleteProgress.total}
+              size="sm"
+              colorScheme="red"
+            />
+          </Box>
+        )}
+      </ReauthenticateModal>
+    </Box>
+  );
+};
+
+export default SettingsPage;
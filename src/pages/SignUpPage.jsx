@@ -0,0 +1,161 @@
+import React, { useState, useCallback } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  VStack,
+  Center,
+  Heading,
+  FormControl,
+  FormLabel,
+  FormHelperText,
+  Input,
+  Button,
+  Alert,
+  AlertIcon,
+  FormErrorMessage,
+  Text,
+  Link,
+} from '@chakra-ui/react';
+import { useAuth } from '../contexts/AuthContext.jsx';
+import { MIN_PASSWORD_LENGTH } from '../services/authService.js';
+
+/**
+ * SignUpPage Component
+ *
+ * Lets a visitor create an account with email and password. On success the new user is signed
+ * in and App.jsx shows the "check your email" screen until the address is verified.
+ */
+const SignUpPage = () => {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [errors, setErrors] = useState({});
+  const [submitError, setSubmitError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const { signup } = useAuth();
+
+  /**
+   * Validates the form and creates the account.
+   * @param {React.FormEvent<HTMLFormElement>} event - The form submission event.
+   */
+  const handleSubmit = useCallback(
+    async (event) => {
+      event.preventDefault();
+      setSubmitError(null);
+
+      const newErrors = {};
+      if (!email.trim()) {
+        newErrors.email = 'Email is required.';
+      }
+      if (password.length < MIN_PASSWORD_LENGTH) {
+        newErrors.password = `Password must be at least ${MIN_PASSWORD_LENGTH} characters long.`;
+      }
+      if (confirmPassword !== password) {
+        newErrors.confirmPassword = 'Passwords do not match.';
+      }
+      setErrors(newErrors);
+      if (Object.keys(newErrors).length > 0) {
+        return;
+      }
+
+      setIsSubmitting(true);
+      const errorMessage = await signup(email, password);
+      // On success this page is replaced, so only update state on failure
+      if (errorMessage) {
+        setSubmitError(errorMessage);
+        setIsSubmitting(false);
+      }
+    },
+    [email, password, confirmPassword, signup]
+  );
+
+  return (
+    <Center minH="100vh" bg="gray.50">
+      <Box
+        p={{ base: 6, md: 8 }}
+        borderWidth={1}
+        borderRadius="md"
+        boxShadow="md"
+        bg="white"
+        w={{ base: '90%', sm: '400px' }}
+      >
+        <VStack spacing={6} as="form" onSubmit={handleSubmit} noValidate>
+          <Heading as="h1" size="lg" textAlign="center">
+            Create Account
+          </Heading>
+
+          {submitError && (
+            <Alert status="error" borderRadius="md">
+              <AlertIcon />
+              {submitError}
+            </Alert>
+          )}
+
+          <FormControl isInvalid={!!errors.email} isRequired>
+            <FormLabel htmlFor="signup-email">Email Address</FormLabel>
+            <Input
+              id="signup-email"
+              type="email"
+              placeholder="you@example.com"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              autoComplete="email"
+              isDisabled={isSubmitting}
+            />
+            {errors.email && <FormErrorMessage>{errors.email}</FormErrorMessage>}
+          </FormControl>
+
+          <FormControl isInvalid={!!errors.password} isRequired>
+            <FormLabel htmlFor="signup-password">Password</FormLabel>
+            <Input
+              id="signup-password"
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete="new-password"
+              isDisabled={isSubmitting}
+            />
+            {errors.password ? (
+              <FormErrorMessage>{errors.password}</FormErrorMessage>
+            ) : (
+              <FormHelperText>At least {MIN_PASSWORD_LENGTH} characters.</FormHelperText>
+            )}
+          </FormControl>
+
+          <FormControl isInvalid={!!errors.confirmPassword} isRequired>
+            <FormLabel htmlFor="signup-confirm-password">Confirm Password</FormLabel>
+            <Input
+              id="signup-confirm-password"
+              type="password"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              autoComplete="new-password"
+              isDisabled={isSubmitting}
+            />
+            {errors.confirmPassword && <FormErrorMessage>{errors.confirmPassword}</FormErrorMessage>}
+          </FormControl>
+
+          <Button
+            type="submit"
+            colorScheme="pink"
+            width="full"
+            isLoading={isSubmitting}
+            loadingText="Creating account..."
+          >
+            Create Account
+          </Button>
+
+          <Text fontSize="sm">
+            Already have an account?{' '}
+            <Link as={RouterLink} to="/login" color="pink.600">
+              Log in
+            </Link>
+          </Text>
+        </VStack>
+      </Box>
+    </Center>
+  );
+};
+
+export default SignUpPage;
@@ -0,0 +1,221 @@
+import React, { useState, useRef, useMemo, useCallback } from 'react';
+import {
+  Box,
+  Flex,
+  Heading,
+  Text,
+  Button,
+  VStack,
+  HStack,
+  Alert,
+  AlertIcon,
+  Center,
+  AlertDialog,
+  AlertDialogOverlay,
+  AlertDialogContent,
+  AlertDialogHeader,
+  AlertDialogBody,
+  AlertDialogFooter,
+} from '@chakra-ui/react';
+import { usePreferences } from '../contexts/PreferencesContext.jsx';
+import { useReminders } from '../hooks/useReminders.js';
+import { useMutationQueue } from '../hooks/useMutationQueue.js';
+import { usePreferredToast } from '../hooks/usePreferredToast.js';
+import { TRASH_RETENTION_DAYS } from '../config/storage.js';
+import LoadingSpinner from '../components/LoadingSpinner.jsx';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * TrashPage Component
+ *
+ * Lists the current user's deleted reminders, most recently deleted first, with actions to
+ * restore them or delete them permanently. Reminders are purged automatically once they have
+ * been in the trash for `TRASH_RETENTION_DAYS`. Actions go through the offline mutation queue
+ * like the dashboard's, so they apply immediately and sync in the background.
+ */
+const TrashPage = () => {
+  const toast = usePreferredToast();
+  const { formatDate } = usePreferences();
+  const { reminders, loading, error } = useReminders({ trashed: true });
+  const { pending, isOnline, enqueue } = useMutationQueue();
+
+  // Reminder awaiting confirmation of permanent deletion
+  const [reminderToPurge, setReminderToPurge] = useState(null);
+  const cancelRef = useRef(null);
+
+  /**
+   * Trashed reminders minus those with a queued restore or permanent delete, newest deletion first.
+   */
+  const trashedReminders = useMemo(() => {
+    const leavingTrash = new Set(
+      pending
+        .filter((mutation) => mutation.kind === 'restore' || mutation.kind === 'purge')
+        .map((mutation) => mutation.reminderId)
+    );
+    return reminders
+      .filter((reminder) => !leavingTrash.has(reminder.id))
+      .sort((a, b) => b.deletedAt - a.deletedAt);
+  }, [reminders, pending]);
+
+  /**
+   * Restores a reminder to the active list.
+   * @param {object} reminder - The trashed reminder.
+   */
+  const handleRestore = useCallback(
+    (reminder) => {
+      try {
+        enqueue({ kind: 'restore', reminderId: reminder.id, data: reminder });
+        toast({
+          title: 'Reminder Restored',
+          description: isOnline ? undefined : 'You are offline. The change will sync when you reconnect.',
+          status: 'success',
+          duration: 3000,
+          isClosable: true,
+        });
+      } catch (err) {
+        console.error(`Error restoring reminder ${reminder.id}:`, err);
+        toast({
+          title: 'Restore Failed',
+          description: err.message || 'Could not restore the reminder. Please try again.',
+          status: 'error',
+          duration: 5000,
+          isClosable: true,
+        });
+      }
+    },
+    [enqueue, isOnline, toast]
+  );
+
+  /**
+   * Permanently deletes the reminder confirmed in the dialog.
+   */
+  const handleConfirmPurge = useCallback(() => {
+    const reminder = reminderToPurge;
+    setReminderToPurge(null);
+    if (!reminder) {
+      return;
+    }
+    try {
+      enqueue({ kind: 'purge', reminderId: reminder.id });
+      toast({
+        title: 'Reminder Deleted Permanently',
+        status: 'success',
+        duration: 3000,
+        isClosable: true,
+      });
+    } catch (err) {
+      console.error(`Error deleting reminder ${reminder.id}:`, err);
+      toast({
+        title: 'Deletion Failed',
+        description: err.message || 'Could not delete the reminder. Please try again.',
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    }
+  }, [reminderToPurge, enqueue, toast]);
+
+  return (
+    <Box p={{ base: 4, md: 6 }}>
+      <VStack spacing={6} align="stretch">
+        <Box>
+          <Heading as="h2" size="xl">
+            Trash
+          </Heading>
+          <Text color="gray.500" mt={2}>
+            Deleted reminders are kept for {TRASH_RETENTION_DAYS} days before they are removed for good.
+          </Text>
+        </Box>
+
+        {loading && (
+          <Center py={10}>
+            <LoadingSpinner />
+          </Center>
+        )}
+
+        {!loading && error && (
+          <Alert status="error" borderRadius="md">
+            <AlertIcon />
+            {error}
+          </Alert>
+        )}
+
+        {!loading && !error && trashedReminders.length === 0 && (
+          <Box p={4} textAlign="center">
+            <Text color="gray.500" fontStyle="italic">
+              The trash is empty.
+            </Text>
+          </Box>
+        )}
+
+        {!loading && !error && trashedReminders.length > 0 && (
+          <VStack spacing={4} align="stretch">
+            {trashedReminders.map((reminder) => {
+              const purgeDate = new Date(reminder.deletedAt.getTime() + TRASH_RETENTION_DAYS * MS_PER_DAY);
+              return (
+                <Flex
+                  key={reminder.id}
+                  p={4}
+                  borderWidth="1px"
+                  borderRadius="lg"
+                  align="center"
+                  wrap="wrap"
+                  gap={3}
+                  bg="gray.50"
+                >
+                  <Box flex="1" minW="200px">
+                    <Text fontWeight="medium" color="gray.600">
+                      {reminder.text}
+                    </Text>
+                    <Text fontSize="sm" color="gray.500">
+                      {formatDate(reminder.date)} · Deleted {formatDate(reminder.deletedAt)} ·
+                      Removed after {formatDate(purgeDate)}
+                    </Text>
+                  </Box>
+                  <HStack spacing={2}>
+                    <Button size="sm" colorScheme="pink" variant="outline" onClick={() => handleRestore(reminder)}>
+                      Restore
+                    </Button>
+                    <Button size="sm" colorScheme="red" variant="ghost" onClick={() => setReminderToPurge(reminder)}>
+                      Delete forever
+                    </Button>
+                  </HStack>
+                </Flex>
+              );
+            })}
+          </VStack>
+        )}
+      </VStack>
+
+      {/* Permanent Delete Confirmation */}
+      <AlertDialog
+        isOpen={reminderToPurge !== null}
+        leastDestructiveRef={cancelRef}
+        onClose={() => setReminderToPurge(null)}
+        isCentered
+      >
+        <AlertDialogOverlay>
+          <AlertDialogContent mx={{ base: 4, sm: 0 }}>
+            <AlertDialogHeader fontSize="lg" fontWeight="bold">
+              Delete Reminder Forever
+            </AlertDialogHeader>
+            <AlertDialogBody>
+              &ldquo;{reminderToPurge?.text}&rdquo; will be deleted permanently. This cannot be undone.
+            </AlertDialogBody>
+            <AlertDialogFooter>
+              <Button ref={cancelRef} onClick={() => setReminderToPurge(null)}>
+                Cancel
+              </Button>
+              <Button colorScheme="red" onClick={handleConfirmPurge} ml={3}>
+                Delete forever
+              </Button>
+            </AlertDialogFooter>
+          </AlertDialogContent>
+        </AlertDialogOverlay>
+      </AlertDialog>
+    </Box>
+  );
+};
+
+export default TrashPage;
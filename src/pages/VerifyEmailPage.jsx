@@ -0,0 +1,101 @@
+import React, { useState, useCallback, useEffect } from 'react';
+import {
+  Box,
+  VStack,
+  Center,
+  Heading,
+  Button,
+  Alert,
+  AlertIcon,
+  Text,
+} from '@chakra-ui/react';
+import { useAuth } from '../contexts/AuthContext.jsx';
+
+/**
+ * VerifyEmailPage Component
+ *
+ * The "check your email" screen shown instead of the app while the signed-in user has not
+ * verified their email address (see `RequireAuth`). The verification state is checked again
+ * when the user clicks "I've verified my email" or comes back to the tab.
+ */
+const VerifyEmailPage = () => {
+  const { currentUser, resendVerificationEmail, refreshUser, logout } = useAuth();
+  const [status, setStatus] = useState(null); // { type: 'success' | 'error' | 'info', message }
+  const [isSending, setIsSending] = useState(false);
+  const [isChecking, setIsChecking] = useState(false);
+
+  // The link is usually opened in another tab, so check again when this one gets focus
+  useEffect(() => {
+    const handleFocus = () => {
+      refreshUser();
+    };
+    window.addEventListener('focus', handleFocus);
+    return () => window.removeEventListener('focus', handleFocus);
+  }, [refreshUser]);
+
+  const handleResend = useCallback(async () => {
+    setIsSending(true);
+    const errorMessage = await resendVerificationEmail();
+    setIsSending(false);
+    setStatus(
+      errorMessage
+        ? { type: 'error', message: errorMessage }
+        : { type: 'success', message: `We sent a new verification link to ${currentUser?.email}.` }
+    );
+  }, [resendVerificationEmail, currentUser]);
+
+  const handleCheck = useCallback(async () => {
+    setIsChecking(true);
+    const errorMessage = await refreshUser();
+    // Once verified this page is replaced, so reaching here means it's still pending or failed
+    setIsChecking(false);
+    setStatus(
+      errorMessage
+        ? { type: 'error', message: errorMessage }
+        : { type: 'info', message: 'Your email address is not verified yet. Open the link in the email first.' }
+    );
+  }, [refreshUser]);
+
+  return (
+    <Center minH="100vh" bg="gray.50">
+      <Box
+        p={{ base: 6, md: 8 }}
+        borderWidth={1}
+        borderRadius="md"
+        boxShadow="md"
+        bg="white"
+        w={{ base: '90%', sm: '440px' }}
+      >
+        <VStack spacing={5}>
+          <Heading as="h1" size="lg" textAlign="center">
+            Check Your Email
+          </Heading>
+
+          <Text textAlign="center">
+            We sent a verification link to <strong>{currentUser?.email}</strong>. Open it to finish setting up
+            your account, then come back here.
+          </Text>
+
+          {status && (
+            <Alert status={status.type} borderRadius="md">
+              <AlertIcon />
+              {status.message}
+            </Alert>
+          )}
+
+          <Button colorScheme="pink" width="full" onClick={handleCheck} isLoading={isChecking}>
+            I&apos;ve verified my email
+          </Button>
+          <Button variant="outline" colorScheme="pink" width="full" onClick={handleResend} isLoading={isSending}>
+            Resend verification email
+          </Button>
+          <Button variant="ghost" size="sm" onClick={logout}>
+            Use a different account
+          </Button>
+        </VStack>
+      </Box>
+    </Center>
+  );
+};
+
+export default VerifyEmailPage;
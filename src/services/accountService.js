@@ -0,0 +1,69 @@
+import { getReminderRepository, getCollectionRepository, getUserDocumentRepository } from './repositories/index.js'; // Storage backend selected by config
+import { BACKUP_COLLECTION_NAMES } from './backupService.js';
+import { clearQueue } from './mutationQueue.js';
+
+/**
+ * Deleting all of a user's data when they delete their account. The client SDK cannot list a
+ * document's subcollections, so the collections under `users/{userId}` are taken from the
+ * backup's list (`BACKUP_COLLECTION_NAMES`), which covers every collection the app writes.
+ * The user document itself (the user's preferences, backed up as `BACKUP_USER_DOCUMENT`) is
+ * removed last.
+ */
+
+// Firestore limits a batched write to 500 operations
+const MAX_BATCH_SIZE = 500;
+
+// Helper function to validate non-empty string arguments
+const validateNonEmptyString = (value, argName) => {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new TypeError(`${argName} must be a non-empty string.`);
+  }
+};
+
+const getRepository = (collectionName) =>
+  collectionName === 'reminders' ? getReminderRepository() : getCollectionRepository(collectionName);
+
+/**
+ * Deletes everything stored under `users/{userId}` with batched writes, and then the user
+ * document, after discarding the user's queued offline changes so they cannot recreate data.
+ * A failed batch stops the deletion with the error; running it again continues with what is left.
+ *
+ * @param {string} userId - The ID of the user. Must be a non-empty string.
+ * @param {{ onProgress?: (deleted: number, total: number) => void }} [options] - Deletion options.
+ *   - `onProgress`: Called after every committed batch with the number of documents deleted so far.
+ * @returns {Promise<{ deleted: number }>} How many documents were deleted (not counting the user document).
+ * @throws {TypeError} If `userId` is not a non-empty string.
+ * @throws {Error} Propagates storage errors.
+ */
+export const deleteUserData = async (userId, { onProgress } = {}) => {
+  try {
+    validateNonEmptyString(userId, 'userId');
+
+    clearQueue(userId);
+    const recordsByCollection = await Promise.all(
+      BACKUP_COLLECTION_NAMES.map((name) => getRepository(name).list(userId))
+    );
+    const total = recordsByCollection.reduce((sum, records) => sum + records.length, 0);
+
+    let deleted = 0;
+    for (const [index, name] of BACKUP_COLLECTION_NAMES.entries()) {
+      const operations = recordsByCollection[index].map(({ id }) => ({ type: 'delete', id }));
+      const repository = getRepository(name);
+      for (let start = 0; start < operations.length; start += MAX_BATCH_SIZE) {
+        const batch = operations.slice(start, start + MAX_BATCH_SIZE);
+        await repository.commit(userId, batch);
+        deleted += batch.length;
+        onProgress?.(deleted, total);
+      }
+    }
+    await getUserDocumentRepository().remove(userId);
+    return { deleted };
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in deleteUserData:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
@@ -1,11 +1,37 @@
 // src/services/authService.js
-import { signInWithEmailAndPassword, signOut } from 'firebase/auth';
+import {
+  signInWithEmailAndPassword,
+  createUserWithEmailAndPassword,
+  sendPasswordResetEmail,
+  sendEmailVerification,
+  sendSignInLinkToEmail,
+  isSignInWithEmailLink,
+  signInWithEmailLink,
+  signInWithPopup,
+  GoogleAuthProvider,
+  linkWithCredential,
+  linkWithPopup,
+  EmailAuthProvider,
+  reauthenticateWithCredential,
+  reauthenticateWithPopup,
+  getIdTokenResult,
+  verifyBeforeUpdateEmail,
+  updatePassword,
+  deleteUser,
+  reload,
+  signOut,
+} from 'firebase/auth';
 
 /**
  * @typedef {import("firebase/auth").Auth} FirebaseAuth
+ * @typedef {import("firebase/auth").User} FirebaseUser
  * @typedef {import("firebase/auth").UserCredential} FirebaseUserCredential
+ * @typedef {import("firebase/auth").AuthCredential} FirebaseAuthCredential
  */
 
+/** Shortest password Firebase Authentication accepts for new accounts. */
+export const MIN_PASSWORD_LENGTH = 6;
+
 /**
  * Attempts to sign in a user with the provided email and password using Firebase Authentication.
  * This function acts as a lightweight wrapper around the Firebase SDK's `signInWithEmailAndPassword`.
@@ -34,6 +60,463 @@ export const loginUser = async (authInstance, email, password) => {
   return signInWithEmailAndPassword(authInstance, email, password);
 };
 
+/**
+ * Creates an account with the provided email and password, which also signs the new user in.
+ * Send the verification email with `sendVerificationEmail` afterwards.
+ *
+ * @param {FirebaseAuth} authInstance - The initialized Firebase Auth instance.
+ * @param {string} email - The new user's email address.
+ * @param {string} password - The new user's password, at least `MIN_PASSWORD_LENGTH` characters.
+ * @returns {Promise<FirebaseUserCredential>} A promise that resolves with the new user's credential.
+ * @throws {TypeError} If email is not a non-empty string or password is too short.
+ * @throws {FirebaseAuthError} Propagates Firebase authentication errors (e.g., auth/email-already-in-use).
+ */
+export const registerUser = async (authInstance, email, password) => {
+  if (typeof email !== 'string' || email.trim() === '') {
+    throw new TypeError('Email must be a non-empty string.');
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new TypeError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long.`);
+  }
+
+  return createUserWithEmailAndPassword(authInstance, email.trim(), password);
+};
+
+/**
+ * Sends a password reset email. Firebase does not reveal whether an account exists for the
+ * address (with email enumeration protection on, unknown addresses simply get no email).
+ *
+ * @param {FirebaseAuth} authInstance - The initialized Firebase Auth instance.
+ * @param {string} email - The account's email address.
+ * @returns {Promise<void>} A promise that resolves once the email is queued.
+ * @throws {TypeError} If email is not a non-empty string.
+ * @throws {FirebaseAuthError} Propagates Firebase authentication errors (e.g., auth/invalid-email).
+ */
+export const sendPasswordReset = async (authInstance, email) => {
+  if (typeof email !== 'string' || email.trim() === '') {
+    throw new TypeError('Email must be a non-empty string.');
+  }
+
+  return sendPasswordResetEmail(authInstance, email.trim());
+};
+
+/**
+ * Sends the email address verification link to a signed-in user.
+ *
+ * @param {FirebaseUser} user - The user to verify, e.g. `authInstance.currentUser`.
+ * @returns {Promise<void>} A promise that resolves once the email is queued.
+ * @throws {TypeError} If no user is given.
+ * @throws {FirebaseAuthError} Propagates Firebase authentication errors (e.g., auth/too-many-requests).
+ */
+export const sendVerificationEmail = async (user) => {
+  if (!user || typeof user !== 'object') {
+    throw new TypeError('A signed-in user is required.');
+  }
+
+  return sendEmailVerification(user);
+};
+
+/**
+ * Reloads the signed-in user's profile, e.g. to see whether the email address was verified in
+ * another tab. Once it is, the ID token is refreshed so it carries the `email_verified` claim.
+ *
+ * @param {FirebaseAuth} authInstance - The initialized Firebase Auth instance.
+ * @returns {Promise<FirebaseUser | null>} A promise that resolves with the reloaded user, or null if nobody is signed in.
+ * @throws {FirebaseAuthError} Propagates Firebase authentication errors (e.g., auth/network-request-failed).
+ */
+export const reloadCurrentUser = async (authInstance) => {
+  const user = authInstance.currentUser;
+  if (!user) {
+    return null;
+  }
+  await reload(user);
+  if (user.emailVerified) {
+    await user.getIdToken(true);
+  }
+  return user;
+};
+
+// --- Passwordless Email Link ---
+// The address is remembered between sending the link and opening it, so users who open the
+// link in the same browser don't have to type it again.
+
+const EMAIL_FOR_SIGN_IN_KEY = 'sweet-surprise-reminders:email-for-sign-in';
+
+/**
+ * Returns the address a sign-in link was last sent to from this browser, or null.
+ * @returns {string | null}
+ */
+export const getStoredSignInEmail = () => {
+  try {
+    return localStorage.getItem(EMAIL_FOR_SIGN_IN_KEY);
+  } catch (error) {
+    console.warn('Could not read the sign-in email:', error);
+    return null;
+  }
+};
+
+/**
+ * Emails a one-time sign-in link. Opening it leads to `continueUrl`, where
+ * `completeEmailLinkSignIn` finishes the sign-in. New addresses get a new account.
+ *
+ * @param {FirebaseAuth} authInstance - The initialized Firebase Auth instance.
+ * @param {string} email - The address to send the link to.
+ * @param {string} continueUrl - The absolute app URL the link opens (its domain must be authorized in Firebase).
+ * @returns {Promise<void>} A promise that resolves once the email is queued.
+ * @throws {TypeError} If email or continueUrl are not non-empty strings.
+ * @throws {FirebaseAuthError} Propagates Firebase authentication errors (e.g., auth/unauthorized-continue-uri).
+ */
+export const sendSignInLink = async (authInstance, email, continueUrl) => {
+  if (typeof email !== 'string' || email.trim() === '') {
+    throw new TypeError('Email must be a non-empty string.');
+  }
+  if (typeof continueUrl !== 'string' || continueUrl.trim() === '') {
+    throw new TypeError('continueUrl must be a non-empty string.');
+  }
+
+  await sendSignInLinkToEmail(authInstance, email.trim(), { url: continueUrl, handleCodeInApp: true });
+  localStorage.setItem(EMAIL_FOR_SIGN_IN_KEY, email.trim());
+};
+
+/**
+ * Whether a URL is a sign-in link sent by `sendSignInLink`.
+ *
+ * @param {FirebaseAuth} authInstance - The initialized Firebase Auth instance.
+ * @param {string} url - The URL, usually `window.location.href`.
+ * @returns {boolean}
+ */
+export const isEmailSignInLink = (authInstance, url) => isSignInWithEmailLink(authInstance, url);
+
+/**
+ * Signs in with a sign-in link. The email must be the address the link was sent to; the link
+ * only works once.
+ *
+ * @param {FirebaseAuth} authInstance - The initialized Firebase Auth instance.
+ * @param {string} email - The address the link was sent to.
+ * @param {string} url - The sign-in link, usually `window.location.href`.
+ * @returns {Promise<FirebaseUserCredential>} A promise that resolves with the user's credential.
+ * @throws {TypeError} If email is not a non-empty string.
+ * @throws {FirebaseAuthError} Propagates Firebase authentication errors (e.g., auth/invalid-action-code).
+ */
+export const completeEmailLinkSignIn = async (authInstance, email, url) => {
+  if (typeof email !== 'string' || email.trim() === '') {
+    throw new TypeError('Email must be a non-empty string.');
+  }
+
+  const credential = await signInWithEmailLink(authInstance, email.trim(), url);
+  localStorage.removeItem(EMAIL_FOR_SIGN_IN_KEY);
+  return credential;
+};
+
+// --- Google Sign-In ---
+
+/**
+ * Signs in with a Google account in a popup. New Google users get a new account.
+ *
+ * If an account with the same email already signs in another way (and Firebase is set to one
+ * account per email address), this rejects with `auth/account-exists-with-different-credential`;
+ * use `savePendingGoogleLink` to link Google to that account once the user signs in to it.
+ *
+ * @param {FirebaseAuth} authInstance - The initialized Firebase Auth instance.
+ * @returns {Promise<FirebaseUserCredential>} A promise that resolves with the user's credential.
+ * @throws {FirebaseAuthError} Propagates Firebase authentication errors (e.g., auth/popup-closed-by-user).
+ */
+export const signInWithGoogle = async (authInstance) => {
+  const provider = new GoogleAuthProvider();
+  provider.setCustomParameters({ prompt: 'select_account' });
+  return signInWithPopup(authInstance, provider);
+};
+
+// --- Account Linking ---
+// When Google sign-in hits an existing account with the same email, Google is linked to that
+// account once the user signs in to it some other way. The Google credential holds OAuth tokens,
+// so it is only kept in memory; localStorage only notes the address and provider, because the
+// email link usually opens in a new tab. There the user signs in to Google again to link it.
+
+const PENDING_LINK_KEY = 'sweet-surprise-reminders:pending-link';
+const PENDING_LINK_TTL_MS = 15 * 60 * 1000;
+
+/**
+ * The Google credential from the failed sign-in, in this tab only.
+ * @type {{ email: string, credential: FirebaseAuthCredential } | null}
+ */
+let pendingCredential = null;
+
+/**
+ * A sign-in method waiting to be linked to an existing account.
+ * @typedef {object} PendingLink
+ * @property {string} email - The address of the existing account.
+ * @property {FirebaseAuthCredential | null} credential - The Google credential to link, or null in
+ *   another tab (or after a reload), where `linkGoogleAccount` asks the user to sign in to Google again.
+ * @property {string} providerName - Display name of the provider, e.g. 'Google'.
+ */
+
+/**
+ * Extracts the Google credential from an `auth/account-exists-with-different-credential` error
+ * and keeps it for `getPendingLink`.
+ *
+ * @param {FirebaseAuthError} error - The error from `signInWithGoogle`.
+ * @returns {PendingLink | null} The pending link, or null if the error is of another kind.
+ */
+export const savePendingGoogleLink = (error) => {
+  if (error?.code !== 'auth/account-exists-with-different-credential') {
+    return null;
+  }
+  const credential = GoogleAuthProvider.credentialFromError(error);
+  const email = error.customData?.email;
+  if (!credential || !email) {
+    return null;
+  }
+  pendingCredential = { email, credential };
+  try {
+    localStorage.setItem(
+      PENDING_LINK_KEY,
+      JSON.stringify({ email, providerName: 'Google', expiresAt: Date.now() + PENDING_LINK_TTL_MS })
+    );
+  } catch (storageError) {
+    console.warn('Could not store the pending sign-in method:', storageError);
+  }
+  return { email, credential, providerName: 'Google' };
+};
+
+/**
+ * Returns the pending link, or null if there is none or it expired.
+ * @returns {PendingLink | null}
+ */
+export const getPendingLink = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PENDING_LINK_KEY) || 'null');
+    if (!stored) {
+      return null;
+    }
+    if (!(stored.expiresAt > Date.now())) {
+      clearPendingLink();
+      return null;
+    }
+    const credential = pendingCredential?.email === stored.email ? pendingCredential.credential : null;
+    return { email: stored.email, providerName: stored.providerName, credential };
+  } catch (error) {
+    console.warn('Could not read the pending sign-in method:', error);
+    return null;
+  }
+};
+
+/**
+ * Forgets the pending link.
+ */
+export const clearPendingLink = () => {
+  pendingCredential = null;
+  localStorage.removeItem(PENDING_LINK_KEY);
+};
+
+/**
+ * Adds a sign-in method to the signed-in user's account, e.g. a pending Google credential.
+ *
+ * @param {FirebaseUser} user - The signed-in user.
+ * @param {FirebaseAuthCredential} credential - The credential to link.
+ * @returns {Promise<FirebaseUserCredential>} A promise that resolves with the updated credential.
+ * @throws {FirebaseAuthError} Propagates Firebase authentication errors (e.g., auth/credential-already-in-use).
+ */
+export const linkCredential = async (user, credential) => linkWithCredential(user, credential);
+
+/**
+ * Adds Google sign-in to the signed-in user's account by signing in to Google in a popup. Call it
+ * from a click, or the browser may block the popup.
+ *
+ * @param {FirebaseUser} user - The signed-in user.
+ * @param {string} [email] - The Google account to suggest, usually the user's address.
+ * @returns {Promise<FirebaseUserCredential>} A promise that resolves with the updated credential.
+ * @throws {TypeError} If no user is given.
+ * @throws {FirebaseAuthError} Propagates Firebase authentication errors (e.g., auth/credential-already-in-use).
+ */
+export const linkGoogleAccount = async (user, email) => {
+  if (!user || typeof user !== 'object') {
+    throw new TypeError('A signed-in user is required.');
+  }
+
+  const provider = new GoogleAuthProvider();
+  if (email) {
+    provider.setCustomParameters({ login_hint: email });
+  }
+  return linkWithPopup(user, provider);
+};
+
+// --- Account Management ---
+// Changing the email or password and deleting the account need a recent sign-in
+// (otherwise Firebase rejects them with `auth/requires-recent-login`), so callers
+// re-authenticate the user right before.
+
+/**
+ * Returns the IDs of the sign-in methods linked to a user, e.g. `['password', 'google.com']`.
+ * Note that 'password' also covers accounts that only ever used email links.
+ *
+ * @param {FirebaseUser | null} user - The user.
+ * @returns {Array<string>}
+ */
+export const getSignInProviders = (user) => (user?.providerData ?? []).map(({ providerId }) => providerId);
+
+/**
+ * Confirms the signed-in user's identity with their password.
+ *
+ * @param {FirebaseUser} user - The signed-in user.
+ * @param {string} password - The user's current password.
+ * @returns {Promise<FirebaseUserCredential>} A promise that resolves with the refreshed credential.
+ * @throws {TypeError} If no user is given or the password is not a non-empty string.
+ * @throws {FirebaseAuthError} Propagates Firebase authentication errors (e.g., auth/wrong-password).
+ */
+export const reauthenticateWithPassword = async (user, password) => {
+  if (!user || typeof user !== 'object' || !user.email) {
+    throw new TypeError('A signed-in user with an email address is required.');
+  }
+  if (typeof password !== 'string' || password.trim() === '') {
+    throw new TypeError('Password must be a non-empty string.');
+  }
+
+  return reauthenticateWithCredential(user, EmailAuthProvider.credential(user.email, password));
+};
+
+/**
+ * Confirms the signed-in user's identity with their linked Google account, in a popup.
+ *
+ * @param {FirebaseUser} user - The signed-in user.
+ * @returns {Promise<FirebaseUserCredential>} A promise that resolves with the refreshed credential.
+ * @throws {TypeError} If no user is given.
+ * @throws {FirebaseAuthError} Propagates Firebase authentication errors (e.g., auth/user-mismatch).
+ */
+export const reauthenticateWithGoogle = async (user) => {
+  if (!user || typeof user !== 'object') {
+    throw new TypeError('A signed-in user is required.');
+  }
+
+  return reauthenticateWithPopup(user, new GoogleAuthProvider());
+};
+
+/**
+ * Emails the signed-in user a one-time link that confirms their identity with
+ * `reauthenticateWithEmailLink`. Works for every account with an email address, including
+ * those that only ever signed in with email links and have no password.
+ *
+ * @param {FirebaseAuth} authInstance - The initialized Firebase Auth instance.
+ * @param {FirebaseUser} user - The signed-in user.
+ * @param {string} continueUrl - The absolute app URL the link opens (its domain must be authorized in Firebase).
+ * @returns {Promise<void>} A promise that resolves once the email is queued.
+ * @throws {TypeError} If the user has no email address or continueUrl is not a non-empty string.
+ * @throws {FirebaseAuthError} Propagates Firebase authentication errors (e.g., auth/too-many-requests).
+ */
+export const sendReauthenticationLink = async (authInstance, user, continueUrl) => {
+  if (!user || typeof user !== 'object' || !user.email) {
+    throw new TypeError('A signed-in user with an email address is required.');
+  }
+  if (typeof continueUrl !== 'string' || continueUrl.trim() === '') {
+    throw new TypeError('continueUrl must be a non-empty string.');
+  }
+
+  await sendSignInLinkToEmail(authInstance, user.email, { url: continueUrl, handleCodeInApp: true });
+};
+
+/**
+ * Confirms the signed-in user's identity with a link sent by `sendReauthenticationLink`. The
+ * link only works once.
+ *
+ * @param {FirebaseUser} user - The signed-in user.
+ * @param {string} link - The link from the email, usually `window.location.href`.
+ * @returns {Promise<FirebaseUserCredential>} A promise that resolves with the refreshed credential.
+ * @throws {TypeError} If the user has no email address or the link is not a non-empty string.
+ * @throws {FirebaseAuthError} Propagates Firebase authentication errors (e.g., auth/invalid-action-code).
+ */
+export const reauthenticateWithEmailLink = async (user, link) => {
+  if (!user || typeof user !== 'object' || !user.email) {
+    throw new TypeError('A signed-in user with an email address is required.');
+  }
+  if (typeof link !== 'string' || link.trim() === '') {
+    throw new TypeError('Link must be a non-empty string.');
+  }
+
+  return reauthenticateWithCredential(user, EmailAuthProvider.credentialWithLink(user.email, link.trim()));
+};
+
+/** How long after signing in (or confirming their identity) Firebase lets a user make sensitive changes. */
+export const RECENT_SIGN_IN_MS = 5 * 60 * 1000;
+
+/**
+ * Whether the user signed in or confirmed their identity within `RECENT_SIGN_IN_MS`, judged by
+ * the `auth_time` of their ID token. Check it before changes that Firebase cannot undo for us,
+ * such as deleting the user's data ahead of the account.
+ *
+ * @param {FirebaseUser} user - The signed-in user.
+ * @returns {Promise<boolean>}
+ * @throws {TypeError} If no user is given.
+ * @throws {FirebaseAuthError} Propagates Firebase authentication errors (e.g., auth/network-request-failed).
+ */
+export const hasRecentSignIn = async (user) => {
+  if (!user || typeof user !== 'object') {
+    throw new TypeError('A signed-in user is required.');
+  }
+
+  const { authTime } = await getIdTokenResult(user);
+  const signedInAt = new Date(authTime).getTime();
+  return Number.isFinite(signedInAt) && Date.now() - signedInAt < RECENT_SIGN_IN_MS;
+};
+
+/**
+ * Starts changing the signed-in user's email address: Firebase emails a confirmation link to
+ * the new address, and the address changes once the link is opened.
+ *
+ * @param {FirebaseUser} user - The recently re-authenticated user.
+ * @param {string} newEmail - The new email address.
+ * @returns {Promise<void>} A promise that resolves once the confirmation email is queued.
+ * @throws {TypeError} If no user is given or newEmail is not a non-empty string.
+ * @throws {FirebaseAuthError} Propagates Firebase authentication errors (e.g., auth/email-already-in-use).
+ */
+export const changeEmail = async (user, newEmail) => {
+  if (!user || typeof user !== 'object') {
+    throw new TypeError('A signed-in user is required.');
+  }
+  if (typeof newEmail !== 'string' || newEmail.trim() === '') {
+    throw new TypeError('Email must be a non-empty string.');
+  }
+
+  return verifyBeforeUpdateEmail(user, newEmail.trim());
+};
+
+/**
+ * Sets a new password for the signed-in user.
+ *
+ * @param {FirebaseUser} user - The recently re-authenticated user.
+ * @param {string} newPassword - The new password, at least `MIN_PASSWORD_LENGTH` characters.
+ * @returns {Promise<void>} A promise that resolves once the password is changed.
+ * @throws {TypeError} If no user is given or the password is too short.
+ * @throws {FirebaseAuthError} Propagates Firebase authentication errors (e.g., auth/weak-password).
+ */
+export const changePassword = async (user, newPassword) => {
+  if (!user || typeof user !== 'object') {
+    throw new TypeError('A signed-in user is required.');
+  }
+  if (typeof newPassword !== 'string' || newPassword.length < MIN_PASSWORD_LENGTH) {
+    throw new TypeError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long.`);
+  }
+
+  return updatePassword(user, newPassword);
+};
+
+/**
+ * Deletes the signed-in user's Firebase Authentication account, which also signs them out.
+ * Delete the user's data first (see `accountService.deleteUserData`): afterwards the security
+ * rules no longer let anyone reach it.
+ *
+ * @param {FirebaseUser} user - The recently re-authenticated user.
+ * @returns {Promise<void>} A promise that resolves once the account is deleted.
+ * @throws {TypeError} If no user is given.
+ * @throws {FirebaseAuthError} Propagates Firebase authentication errors (e.g., auth/requires-recent-login).
+ */
+export const deleteAuthUser = async (user) => {
+  if (!user || typeof user !== 'object') {
+    throw new TypeError('A signed-in user is required.');
+  }
+
+  return deleteUser(user);
+};
+
 /**
  * Signs out the currently authenticated user using Firebase Authentication.
  * This function is a lightweight wrapper around the Firebase SDK's `signOut` function.
@@ -48,4 +531,133 @@ export const logoutUser = async (authInstance) => {
   // Call Firebase SDK function and return the promise directly.
   // Errors will propagate to the caller (AuthContext).
   return signOut(authInstance);
-};
\ No newline at end of file
+};
+
+// --- Emulator Demo User ---
+
+/**
+ * Credentials of the demo account available in emulator mode (see `config/firebase.js`).
+ * Only ever created in the local Auth emulator.
+ */
+export const DEMO_USER_CREDENTIALS = Object.freeze({
+  email: 'demo@sweet-surprises.test',
+  password: 'demo-password',
+});
+
+// Calls an admin endpoint of the Auth emulator's REST API. The emulator accepts `Bearer owner` in
+// place of the service account credentials the real API would require.
+const callAuthEmulator = async (authInstance, endpoint, body) => {
+  const { protocol, host, port } = authInstance.emulatorConfig ?? {};
+  if (!host) {
+    throw new Error('The demo account is only available when Auth is connected to the emulator.');
+  }
+  const origin = `${protocol}://${host}${port === null ? '' : `:${port}`}`;
+  const { projectId } = authInstance.app.options;
+  const response = await fetch(`${origin}/identitytoolkit.googleapis.com/v1/projects/${projectId}/${endpoint}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: 'Bearer owner' },
+    body: JSON.stringify(body),
+  });
+  if (!response.ok) {
+    throw new Error(`The Auth emulator rejected ${endpoint} (HTTP ${response.status}).`);
+  }
+  return response.json();
+};
+
+/**
+ * Signs in to the emulator demo account, creating it first if the emulator does not know it
+ * (the Auth emulator forgets its accounts when it restarts). Its `.test` address can never receive
+ * a verification email, so the account is created already verified through the emulator's REST
+ * API; like every other account, it needs that to use its data (see `firestore.rules`).
+ *
+ * @param {FirebaseAuth} authInstance - The Firebase Auth instance, connected to the emulator.
+ * @returns {Promise<FirebaseUserCredential>} A promise that resolves with the demo user's credential.
+ * @throws {FirebaseAuthError} Propagates Firebase authentication errors (e.g., the emulator is not running).
+ * @throws {Error} If Auth is not connected to the emulator or the emulator rejects the request.
+ */
+export const loginDemoUser = async (authInstance) => {
+  const { email, password } = DEMO_USER_CREDENTIALS;
+  let credential;
+  try {
+    credential = await signInWithEmailAndPassword(authInstance, email, password);
+  } catch (error) {
+    if (error?.code !== 'auth/invalid-credential' && error?.code !== 'auth/user-not-found') {
+      throw error;
+    }
+    await callAuthEmulator(authInstance, 'accounts', { email, password, emailVerified: true });
+    return signInWithEmailAndPassword(authInstance, email, password);
+  }
+
+  // Accounts created before the demo account was verified on creation
+  if (!credential.user.emailVerified) {
+    await callAuthEmulator(authInstance, 'accounts:update', { localId: credential.user.uid, emailVerified: true });
+    await reload(credential.user);
+    await credential.user.getIdToken(true); // The rules read `email_verified` from the ID token
+  }
+  return credential;
+};
+
+// --- Local Mode Session ---
+// With the local/memory storage backends Firebase is not initialized, so a demo session
+// is kept in localStorage instead. Any non-empty email/password signs in; there is no real
+// authentication and the data never leaves the browser.
+
+const LOCAL_SESSION_KEY = 'sweet-surprise-reminders:local-user';
+
+/**
+ * A minimal stand-in for a Firebase User used in local mode.
+ * @typedef {object} LocalUser
+ * @property {string} uid - Stable ID derived from the email address.
+ * @property {string} email - The email address entered at login.
+ * @property {boolean} emailVerified - Always true in local mode.
+ * @property {boolean} isLocal - Always true; distinguishes local users from Firebase users.
+ */
+
+/**
+ * Returns the persisted local-mode user, or null if nobody is signed in.
+ * @returns {LocalUser | null}
+ */
+export const getLocalUser = () => {
+  try {
+    const stored = localStorage.getItem(LOCAL_SESSION_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.warn('Could not read the local session:', error);
+    return null;
+  }
+};
+
+/**
+ * Signs in to the local-mode demo session. Performs the same input validation as `loginUser`.
+ *
+ * @param {string} email - The user's email address; also determines the local user ID.
+ * @param {string} password - Any non-empty password (not stored or checked).
+ * @returns {Promise<{ user: LocalUser }>} A promise that resolves with a UserCredential-like object.
+ * @throws {TypeError} If email or password are not non-empty strings.
+ */
+export const loginLocalUser = async (email, password) => {
+  if (typeof email !== 'string' || email.trim() === '') {
+    throw new TypeError('Email must be a non-empty string.');
+  }
+  if (typeof password !== 'string' || password.trim() === '') {
+    throw new TypeError('Password must be a non-empty string.');
+  }
+
+  const normalizedEmail = email.trim().toLowerCase();
+  const user = {
+    uid: `local-${normalizedEmail.replace(/[^a-z0-9]/g, '-')}`,
+    email: normalizedEmail,
+    emailVerified: true,
+    isLocal: true,
+  };
+  localStorage.setItem(LOCAL_SESSION_KEY, JSON.stringify(user));
+  return { user };
+};
+
+/**
+ * Ends the local-mode demo session. Stored reminders are kept for the next login.
+ * @returns {Promise<void>}
+ */
+export const logoutLocalUser = async () => {
+  localStorage.removeItem(LOCAL_SESSION_KEY);
+};
@@ -0,0 +1,363 @@
+import { getReminderRepository, getCollectionRepository, getUserDocumentRepository } from './repositories/index.js'; // Storage backend selected by config
+import { upgradeReminderRecord } from './reminderSchema.js';
+import { normalizePreferences } from './preferencesService.js';
+
+/**
+ * Full backups of a user's data as a versioned JSON file, and restoring them into the same or
+ * another account (e.g., after moving to a different Firebase project). A backup holds the raw
+ * stored records of every collection under `users/{userId}` and the preferences from the user
+ * document, with dates encoded as `{ "$date": "<ISO 8601>" }` so they survive the round trip
+ * through JSON.
+ *
+ * Restoring merges: records from the file are written under their original IDs, replacing the
+ * stored record with the same ID; records that are not in the file are kept.
+ */
+
+/**
+ * @typedef {import("./repositories/index.js").ReminderRecord} StoredRecord
+ */
+
+/**
+ * A validated backup, with dates decoded.
+ * @typedef {object} Backup
+ * @property {number} version - The backup format version the file was written in.
+ * @property {Date} exportedAt - When the backup was made.
+ * @property {Record<string, Array<StoredRecord>>} collections - The records per part (see `BACKUP_PART_NAMES`);
+ *   parts missing from the file are empty.
+ * @property {Array<string>} warnings - Parts of the file that are ignored (e.g., unknown collections).
+ */
+
+/**
+ * How one collection of a backup compares to the stored data.
+ * @typedef {object} CollectionDiff
+ * @property {Array<string>} new - IDs of records that are not stored yet.
+ * @property {Array<string>} changed - IDs of records that are stored with different content.
+ * @property {Array<string>} identical - IDs of records that are stored with the same content.
+ */
+
+/** Identifies backup files of this app. */
+export const BACKUP_FORMAT = 'sweet-surprise-reminders-backup';
+
+/** The backup format version written by `createBackup`; files up to this version can be restored. */
+export const BACKUP_VERSION = 1;
+
+// Firestore limits a batched write to 500 operations
+const MAX_BATCH_SIZE = 500;
+
+/**
+ * The collections under `users/{userId}` that are backed up, with the field every record must have.
+ * New collections are included in backups by adding them here.
+ */
+const BACKUP_COLLECTIONS = [
+  { name: 'reminders', requiredField: 'text' },
+  { name: 'tags', requiredField: 'name' },
+  { name: 'ideas', requiredField: 'title' },
+  { name: 'recipients', requiredField: 'name' },
+  { name: 'settings', requiredField: null },
+];
+
+/** Names of the backed-up collections under `users/{userId}`, in backup order. */
+export const BACKUP_COLLECTION_NAMES = BACKUP_COLLECTIONS.map(({ name }) => name);
+
+/**
+ * The preferences of the user document (`users/{userId}`) are backed up like one more collection
+ * under this name, with at most one record holding a `preferences` field. The record has a fixed ID rather than
+ * the user's, so it restores into any account.
+ */
+export const BACKUP_USER_DOCUMENT = 'user';
+const USER_DOCUMENT_RECORD_ID = 'user';
+
+// Everything in a backup: the collections, then the user document
+const BACKUP_PARTS = [...BACKUP_COLLECTIONS, { name: BACKUP_USER_DOCUMENT, requiredField: null }];
+
+/** Names of the parts of a backup (the collections and `BACKUP_USER_DOCUMENT`), in backup order. */
+export const BACKUP_PART_NAMES = BACKUP_PARTS.map(({ name }) => name);
+
+// Helper function to validate non-empty string arguments
+const validateNonEmptyString = (value, argName) => {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new TypeError(`${argName} must be a non-empty string.`);
+  }
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+const getRepository = (collectionName) =>
+  collectionName === 'reminders' ? getReminderRepository() : getCollectionRepository(collectionName);
+
+// The stored records of a backup part
+const listRecords = async (userId, partName) => {
+  if (partName !== BACKUP_USER_DOCUMENT) {
+    return getRepository(partName).list(userId);
+  }
+  const record = await getUserDocumentRepository().get(userId);
+  return record?.preferences ? [{ id: USER_DOCUMENT_RECORD_ID, preferences: record.preferences }] : [];
+};
+
+// Writes records of a backup part under their IDs, replacing stored records with the same ID
+const writeRecords = async (userId, partName, records) => {
+  if (partName !== BACKUP_USER_DOCUMENT) {
+    await getRepository(partName).commit(
+      userId,
+      records.map(({ id, ...data }) => ({ type: 'create', id, data }))
+    );
+    return;
+  }
+  for (const { preferences } of records) {
+    await getUserDocumentRepository().merge(userId, { preferences });
+  }
+};
+
+// Recursively replaces Dates with `{ $date }` objects for JSON
+const encodeValue = (value) => {
+  if (value instanceof Date) {
+    return { $date: value.toISOString() };
+  }
+  if (Array.isArray(value)) {
+    return value.map(encodeValue);
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([, fieldValue]) => fieldValue !== undefined)
+        .map(([key, fieldValue]) => [key, encodeValue(fieldValue)])
+    );
+  }
+  return value;
+};
+
+// The inverse of `encodeValue`; throws a TypeError for `$date` values that are not valid dates
+const decodeValue = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(decodeValue);
+  }
+  if (isPlainObject(value)) {
+    const keys = Object.keys(value);
+    if (keys.length === 1 && keys[0] === '$date') {
+      const date = typeof value.$date === 'string' ? new Date(value.$date) : null;
+      if (!date || Number.isNaN(date.getTime())) {
+        throw new TypeError(`Invalid date "${value.$date}".`);
+      }
+      return date;
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, fieldValue]) => [key, decodeValue(fieldValue)]));
+  }
+  return value;
+};
+
+// JSON of the encoded record with sorted keys, so records can be compared regardless of field order
+const toComparableString = (record) =>
+  JSON.stringify(encodeValue(record), (key, value) =>
+    isPlainObject(value) ? Object.fromEntries(Object.keys(value).sort().map((field) => [field, value[field]])) : value
+  );
+
+/**
+ * Brings a record from a backup into the shape it is stored in. Reminders are upgraded to the
+ * current schema, so files from older app versions restore cleanly; of the user document only the
+ * preferences are kept, completed with the defaults.
+ * @param {string} collectionName - The record's collection, or `BACKUP_USER_DOCUMENT`.
+ * @param {StoredRecord} record - The decoded record.
+ * @returns {StoredRecord}
+ * @throws {TypeError} If the record cannot be restored.
+ */
+const prepareRecord = (collectionName, record) => {
+  if (collectionName === BACKUP_USER_DOCUMENT) {
+    return { id: record.id, preferences: normalizePreferences(record.preferences) };
+  }
+  if (collectionName !== 'reminders') {
+    return record;
+  }
+  const { record: upgraded, errors } = upgradeReminderRecord(record);
+  if (errors.length > 0) {
+    throw new TypeError(errors.join(', '));
+  }
+  return upgraded;
+};
+
+/**
+ * Collects all of a user's data into a backup object, ready for `JSON.stringify`.
+ *
+ * @param {string} userId - The ID of the user. Must be a non-empty string.
+ * @param {{ now?: Date }} [options] - `now`: The export time recorded in the file.
+ * @returns {Promise<object>} The backup: `{ format, version, exportedAt, collections }`.
+ * @throws {TypeError} If `userId` is not a non-empty string.
+ * @throws {Error} Propagates storage errors.
+ */
+export const createBackup = async (userId, { now = new Date() } = {}) => {
+  try {
+    validateNonEmptyString(userId, 'userId');
+
+    const collections = {};
+    for (const { name } of BACKUP_PARTS) {
+      // Raw records (including trashed reminders), so the backup restores exactly what is stored
+      collections[name] = encodeValue(await listRecords(userId, name));
+    }
+    return { format: BACKUP_FORMAT, version: BACKUP_VERSION, exportedAt: now.toISOString(), collections };
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in createBackup:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
+
+/**
+ * Reads and validates the content of a backup file. Every record must have a unique string `id`
+ * and its collection's required field; reminders must be readable by the current schema.
+ * Collections this app version does not know are ignored with a warning.
+ *
+ * @param {string} content - The file content.
+ * @returns {Backup} The validated backup.
+ * @throws {TypeError} If the file is not a backup of this app, was written by a newer version,
+ *   or contains invalid records; the message names the first problem found.
+ */
+export const parseBackup = (content) => {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch {
+    throw new TypeError('This is not a backup file (it is not valid JSON).');
+  }
+  if (!isPlainObject(data) || data.format !== BACKUP_FORMAT) {
+    throw new TypeError('This is not a Sweet Surprises backup file.');
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new TypeError('The backup file has an invalid version.');
+  }
+  if (data.version > BACKUP_VERSION) {
+    throw new TypeError('The backup was made by a newer version of the app; please update the app first.');
+  }
+  const exportedAt = new Date(data.exportedAt);
+  if (typeof data.exportedAt !== 'string' || Number.isNaN(exportedAt.getTime())) {
+    throw new TypeError('The backup file has an invalid export date.');
+  }
+  if (!isPlainObject(data.collections)) {
+    throw new TypeError('The backup file contains no data.');
+  }
+
+  const warnings = Object.keys(data.collections)
+    .filter((name) => !BACKUP_PART_NAMES.includes(name))
+    .map((name) => `Unknown collection "${name}" is ignored`);
+
+  const collections = {};
+  BACKUP_PARTS.forEach(({ name, requiredField }) => {
+    const records = data.collections[name] ?? [];
+    if (!Array.isArray(records)) {
+      throw new TypeError(`"${name}" in the backup file is not a list.`);
+    }
+    if (name === BACKUP_USER_DOCUMENT && records.some((record) => record?.id !== USER_DOCUMENT_RECORD_ID)) {
+      throw new TypeError(`"${name}" in the backup file may only hold a record with the ID "${USER_DOCUMENT_RECORD_ID}".`);
+    }
+    const ids = new Set();
+    collections[name] = records.map((encoded, index) => {
+      const label = `${name} record ${index + 1}`;
+      if (!isPlainObject(encoded) || typeof encoded.id !== 'string' || encoded.id.trim() === '') {
+        throw new TypeError(`The ${label} has no ID.`);
+      }
+      if (ids.has(encoded.id)) {
+        throw new TypeError(`The ID "${encoded.id}" appears more than once in ${name}.`);
+      }
+      ids.add(encoded.id);
+      if (requiredField && (typeof encoded[requiredField] !== 'string' || encoded[requiredField].trim() === '')) {
+        throw new TypeError(`The ${label} ("${encoded.id}") has no ${requiredField}.`);
+      }
+      try {
+        return prepareRecord(name, decodeValue(encoded));
+      } catch (error) {
+        throw new TypeError(`The ${label} ("${encoded.id}") is invalid: ${error.message}`);
+      }
+    });
+  });
+
+  return { version: data.version, exportedAt, collections, warnings };
+};
+
+/**
+ * Compares a backup with the user's stored data, part by part (see `BACKUP_PART_NAMES`).
+ *
+ * @param {string} userId - The ID of the user the backup would be restored for. Must be a non-empty string.
+ * @param {Backup} backup - A backup from `parseBackup`.
+ * @returns {Promise<Record<string, CollectionDiff>>} The diff per part name.
+ * @throws {TypeError} If `userId` is not a non-empty string.
+ * @throws {Error} Propagates storage errors.
+ */
+export const diffBackup = async (userId, backup) => {
+  try {
+    validateNonEmptyString(userId, 'userId');
+
+    const diff = {};
+    for (const { name } of BACKUP_PARTS) {
+      const stored = new Map((await listRecords(userId, name)).map((record) => [record.id, record]));
+      diff[name] = { new: [], changed: [], identical: [] };
+      backup.collections[name].forEach((record) => {
+        const storedRecord = stored.get(record.id);
+        if (!storedRecord) {
+          diff[name].new.push(record.id);
+        } else if (toComparableString(storedRecord) === toComparableString(record)) {
+          diff[name].identical.push(record.id);
+        } else {
+          diff[name].changed.push(record.id);
+        }
+      });
+    }
+    return diff;
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in diffBackup:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
+
+/**
+ * Writes the new and changed records of a backup (see `diffBackup`) with batched writes;
+ * identical records are skipped. Records are written under their IDs from the backup, replacing
+ * stored records with the same ID. A failed batch stops the restore with the error; since
+ * restoring is idempotent, it can simply be run again.
+ *
+ * @param {string} userId - The ID of the user to restore for. Must be a non-empty string.
+ * @param {Backup} backup - A backup from `parseBackup`.
+ * @param {{ onProgress?: (written: number, total: number) => void }} [options] - Restore options.
+ *   - `onProgress`: Called after every committed batch with the number of records written so far.
+ * @returns {Promise<{ written: number, skipped: number }>} How many records were written and skipped.
+ * @throws {TypeError} If `userId` is not a non-empty string.
+ * @throws {Error} Propagates storage errors.
+ */
+export const restoreBackup = async (userId, backup, { onProgress } = {}) => {
+  try {
+    validateNonEmptyString(userId, 'userId');
+
+    const diff = await diffBackup(userId, backup);
+    const total = BACKUP_PARTS.reduce(
+      (sum, { name }) => sum + diff[name].new.length + diff[name].changed.length,
+      0
+    );
+    let written = 0;
+    let skipped = 0;
+    for (const { name } of BACKUP_PARTS) {
+      const idsToWrite = new Set([...diff[name].new, ...diff[name].changed]);
+      skipped += diff[name].identical.length;
+      const records = backup.collections[name].filter((record) => idsToWrite.has(record.id));
+
+      for (let index = 0; index < records.length; index += MAX_BATCH_SIZE) {
+        const batch = records.slice(index, index + MAX_BATCH_SIZE);
+        await writeRecords(userId, name, batch);
+        written += batch.length;
+        onProgress?.(written, total);
+      }
+    }
+    return { written, skipped };
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in restoreBackup:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
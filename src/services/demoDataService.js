@@ -0,0 +1,87 @@
+import { addReminder, getReminders, setReminderStatus } from './reminderService.js';
+import { createTag } from './tagService.js';
+import { createRecipient } from './recipientService.js';
+import { addIdea } from './ideaService.js';
+import { formatDateForDisplay, getDeviceTimeZone, zonedTimeToDate } from '../utils/helpers.js';
+
+/**
+ * Sample data for the emulator demo account (see `authService.loginDemoUser`), so a fresh
+ * emulator shows every part of the app: upcoming, overdue and completed reminders, a series,
+ * a recipient with generated birthday reminders, a tag, a gift idea and costs for the budget.
+ * Everything is written through the regular services, so it also passes the security rules.
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Adds the sample data to a user's account, unless the account already has reminders
+ * (e.g., after signing in to the demo account a second time).
+ *
+ * @param {string} userId - The ID of the user. Must be a non-empty string.
+ * @param {{ now?: Date, timeZone?: string }} [options] - The current time and the zone the
+ *   reminders are created in (default: the device's zone).
+ * @returns {Promise<boolean>} A promise that resolves with true if sample data was added.
+ * @throws {TypeError} If `userId` is invalid.
+ * @throws {Error} Propagates storage errors.
+ */
+export const seedDemoData = async (userId, { now = new Date(), timeZone = getDeviceTimeZone() } = {}) => {
+  try {
+    const { reminders } = await getReminders(userId, { limit: 1 });
+    if (reminders.length > 0) {
+      return false;
+    }
+
+    // 'YYYY-MM-DD' of the day `days` from today, in the demo zone
+    const dayKey = (days) => formatDateForDisplay(new Date(now.getTime() + days * MS_PER_DAY), timeZone);
+    const at = (days, time) => zonedTimeToDate(dayKey(days), time, timeZone);
+
+    const { id: tagId } = await createTag(userId, { name: 'Surprises', color: 'pink' });
+    await createRecipient(
+      userId,
+      { name: 'Sam', relationship: 'Partner', birthday: `1996-${dayKey(10).slice(5)}`, favorites: ['Tulips', 'Dark chocolate'] },
+      { timeZone }
+    );
+    await addIdea(userId, { title: 'Handwritten letter', notes: 'Write about our first trip together.', tags: [tagId] });
+
+    await addReminder(userId, {
+      text: 'Pick up flowers',
+      date: at(1, '17:30'),
+      timeZone,
+      tags: [tagId],
+      estimatedCost: 25,
+      alarms: [60],
+    });
+    await addReminder(userId, {
+      text: 'Date night',
+      date: at(2, '19:00'),
+      timeZone,
+      recurrence: { freq: 'WEEKLY', interval: 1 },
+      estimatedCost: 60,
+    });
+    await addReminder(userId, {
+      text: 'Book the anniversary dinner',
+      date: at(21, null),
+      allDay: true,
+      timeZone,
+      tags: [tagId],
+      notes: 'The Italian place by the river.',
+      alarms: [0, 7 * 24 * 60],
+    });
+    await addReminder(userId, { text: 'Send a good-morning text', date: at(-2, '08:00'), timeZone });
+    const { id: picnicId } = await addReminder(userId, {
+      text: 'Plan a picnic',
+      date: at(-5, '12:00'),
+      timeZone,
+      estimatedCost: 30,
+    });
+    await setReminderStatus(userId, picnicId, 'completed', { note: 'Sunny and lovely.', actualCost: 28.5 });
+    return true;
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in seedDemoData:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
@@ -0,0 +1,401 @@
+import { getCollectionRepository } from './repositories/index.js'; // Storage backend selected by config
+import { MAX_TAGS_PER_REMINDER, unlinkIdeaFromReminders } from './reminderService.js';
+import { isValidCurrency } from '../utils/helpers.js';
+
+/**
+ * Gift ideas that do not have a date yet (e.g., "that scarf she liked"). Ideas are stored at
+ * `users/{userId}/ideas/{ideaId}` and can later be scheduled as a dated reminder; the reminder
+ * then carries the idea's ID (`Reminder.ideaId`) and the idea records the reminder it became.
+ */
+
+/**
+ * Represents an idea returned from the service.
+ * @typedef {object} Idea
+ * @property {string} id - The unique identifier of the idea document.
+ * @property {string} title - Short description of the idea.
+ * @property {string | null} notes - Free-form notes (sizes, where to buy, ...).
+ * @property {Array<string>} links - http(s) URLs, e.g. shop pages.
+ * @property {number | null} estimatedPrice - Expected price, in `currency`.
+ * @property {string | null} currency - ISO 4217 code of the price, or null for the user's budget currency.
+ * @property {Array<string>} tags - IDs of the user's tags (shared with reminders, see `tagService.js`).
+ * @property {string | null} reminderId - The reminder the idea was scheduled as, or null while it is open.
+ * @property {Date | null} scheduledAt - When the idea was scheduled.
+ * @property {Date | null} createdAt - When the idea was captured.
+ * @property {Date | null} updatedAt - When the idea was last edited.
+ */
+
+/** Maximum length of an idea title. */
+export const MAX_IDEA_TITLE_LENGTH = 200;
+
+/** Maximum number of links per idea. */
+export const MAX_IDEA_LINKS = 10;
+
+const IDEAS_COLLECTION = 'ideas';
+
+// Firestore limits a batched write to 500 operations
+const MAX_BATCH_SIZE = 500;
+
+// Helper function to validate non-empty string arguments
+const validateNonEmptyString = (value, argName) => {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new TypeError(`${argName} must be a non-empty string.`);
+  }
+};
+
+/**
+ * Returns true for absolute http(s) URLs.
+ * @param {unknown} value - The value to check.
+ * @returns {boolean}
+ */
+export const isValidIdeaLink = (value) => {
+  if (typeof value !== 'string') {
+    return false;
+  }
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
+
+const isValidPrice = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+// Validates a title and returns it trimmed
+const serializeTitle = (title, argName) => {
+  validateNonEmptyString(title, argName);
+  const trimmed = title.trim();
+  if (trimmed.length > MAX_IDEA_TITLE_LENGTH) {
+    throw new TypeError(`Idea titles can be at most ${MAX_IDEA_TITLE_LENGTH} characters long.`);
+  }
+  return trimmed;
+};
+
+// Blank notes are stored as null
+const serializeNotes = (notes, argName) => {
+  if (notes !== null && typeof notes !== 'string') {
+    throw new TypeError(`${argName} must be a string or null.`);
+  }
+  return notes && notes.trim() !== '' ? notes.trim() : null;
+};
+
+// Validates links and returns them trimmed and without duplicates
+const serializeLinks = (links, argName) => {
+  if (!Array.isArray(links)) {
+    throw new TypeError(`${argName} must be an array of URLs.`);
+  }
+  const trimmed = [...new Set(links.map((link) => (typeof link === 'string' ? link.trim() : link)))];
+  trimmed.forEach((link) => {
+    if (!isValidIdeaLink(link)) {
+      throw new TypeError(`${argName} must only contain http(s) URLs ("${link}" is not one).`);
+    }
+  });
+  if (trimmed.length > MAX_IDEA_LINKS) {
+    throw new TypeError(`An idea can have at most ${MAX_IDEA_LINKS} links.`);
+  }
+  return trimmed;
+};
+
+const serializePrice = (price, argName) => {
+  if (price !== null && !isValidPrice(price)) {
+    throw new TypeError(`${argName} must be a non-negative number or null.`);
+  }
+  return price;
+};
+
+const serializeCurrency = (currency, argName) => {
+  if (currency !== null && !isValidCurrency(currency)) {
+    throw new TypeError(`${argName} must be an ISO 4217 currency code (e.g., 'USD') or null.`);
+  }
+  return currency;
+};
+
+// Tags follow the same rules as on reminders, so a scheduled idea keeps all of them
+const serializeTags = (tags, argName) => {
+  if (!Array.isArray(tags)) {
+    throw new TypeError(`${argName} must be an array of tag IDs.`);
+  }
+  tags.forEach((tag) => validateNonEmptyString(tag, `${argName}[]`));
+  const uniqueTags = [...new Set(tags)];
+  if (uniqueTags.length > MAX_TAGS_PER_REMINDER) {
+    throw new TypeError(`An idea can have at most ${MAX_TAGS_PER_REMINDER} tags.`);
+  }
+  return uniqueTags;
+};
+
+const coerceDate = (value) => (value instanceof Date ? value : null);
+
+/**
+ * Maps stored idea records to Idea objects, newest first, skipping malformed documents.
+ * @param {Array<object>} records - The records from the repository.
+ * @returns {Array<Idea>}
+ */
+const mapIdeaRecords = (records) =>
+  records
+    .filter((record) => typeof record.title === 'string' && record.title.trim() !== '')
+    .map((record) => ({
+      id: record.id,
+      title: record.title,
+      notes: typeof record.notes === 'string' && record.notes.trim() !== '' ? record.notes : null,
+      links: Array.isArray(record.links) ? record.links.filter(isValidIdeaLink) : [],
+      estimatedPrice: isValidPrice(record.estimatedPrice) ? record.estimatedPrice : null,
+      currency: isValidCurrency(record.currency) ? record.currency : null,
+      tags: Array.isArray(record.tags) ? record.tags.filter((tag) => typeof tag === 'string' && tag !== '') : [],
+      reminderId: typeof record.reminderId === 'string' && record.reminderId !== '' ? record.reminderId : null,
+      scheduledAt: coerceDate(record.scheduledAt),
+      createdAt: coerceDate(record.createdAt),
+      updatedAt: coerceDate(record.updatedAt),
+    }))
+    .sort((a, b) => (b.createdAt?.getTime() ?? 0) - (a.createdAt?.getTime() ?? 0));
+
+/**
+ * Retrieves all of a user's ideas, newest first.
+ *
+ * @param {string} userId - The ID of the user whose ideas to fetch. Must be a non-empty string.
+ * @returns {Promise<Array<Idea>>} A promise that resolves with the ideas.
+ * @throws {TypeError} If `userId` is not a non-empty string.
+ * @throws {Error} Propagates storage errors.
+ */
+export const getIdeas = async (userId) => {
+  try {
+    validateNonEmptyString(userId, 'userId');
+    return mapIdeaRecords(await getCollectionRepository(IDEAS_COLLECTION).list(userId));
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in getIdeas:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
+
+/**
+ * Subscribes to real-time updates of a user's ideas.
+ *
+ * @param {string} userId - The ID of the user whose ideas to watch. Must be a non-empty string.
+ * @param {(ideas: Array<Idea>) => void} callback - Receives the ideas, newest first, on every change.
+ * @param {(error: Error) => void} [onError] - Called if the listener fails.
+ * @returns {() => void} A function that stops the listener.
+ * @throws {TypeError} If `userId` is not a non-empty string or `callback` is not a function.
+ */
+export const subscribeToIdeas = (userId, callback, onError) => {
+  try {
+    validateNonEmptyString(userId, 'userId');
+    if (typeof callback !== 'function') {
+      throw new TypeError('callback must be a function.');
+    }
+    return getCollectionRepository(IDEAS_COLLECTION).subscribe(
+      userId,
+      (records) => callback(mapIdeaRecords(records)),
+      (error) => {
+        console.error(`Error listening to ideas for user ${userId}:`, error);
+        onError?.(error);
+      }
+    );
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in subscribeToIdeas:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
+
+/**
+ * Captures a new idea. Only the title is required, so ideas can be jotted down quickly and
+ * filled in later.
+ *
+ * @param {string} userId - The ID of the user capturing the idea. Must be a non-empty string.
+ * @param {{ title: string, notes?: string | null, links?: Array<string>, estimatedPrice?: number | null, currency?: string | null, tags?: Array<string> }} ideaData -
+ *   The idea details.
+ *   - `title`: Non-empty, at most `MAX_IDEA_TITLE_LENGTH` characters (trimmed).
+ *   - `notes`: Optional free-form notes.
+ *   - `links`: Optional http(s) URLs (at most `MAX_IDEA_LINKS`).
+ *   - `estimatedPrice`: Optional non-negative price; `currency`: its ISO 4217 code.
+ *   - `tags`: Optional tag IDs (at most `MAX_TAGS_PER_REMINDER`).
+ * @returns {Promise<{ id: string }>} A promise that resolves with the ID of the new idea.
+ * @throws {TypeError} If `userId` or `ideaData` are invalid.
+ * @throws {Error} Propagates storage errors.
+ */
+export const addIdea = async (userId, ideaData) => {
+  try {
+    validateNonEmptyString(userId, 'userId');
+    if (!ideaData || typeof ideaData !== 'object') {
+      throw new TypeError('ideaData must be an object.');
+    }
+
+    const now = new Date();
+    return await getCollectionRepository(IDEAS_COLLECTION).create(userId, {
+      title: serializeTitle(ideaData.title, 'ideaData.title'),
+      notes: serializeNotes(ideaData.notes ?? null, 'ideaData.notes'),
+      links: serializeLinks(ideaData.links ?? [], 'ideaData.links'),
+      estimatedPrice: serializePrice(ideaData.estimatedPrice ?? null, 'ideaData.estimatedPrice'),
+      currency: serializeCurrency(ideaData.currency ?? null, 'ideaData.currency'),
+      tags: serializeTags(ideaData.tags ?? [], 'ideaData.tags'),
+      reminderId: null,
+      scheduledAt: null,
+      createdAt: now,
+      updatedAt: now,
+    });
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in addIdea:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
+
+/**
+ * Updates an idea. Only the fields provided in `changes` are updated.
+ *
+ * @param {string} userId - The ID of the user who owns the idea. Must be a non-empty string.
+ * @param {string} ideaId - The ID of the idea. Must be a non-empty string.
+ * @param {{ title?: string, notes?: string | null, links?: Array<string>, estimatedPrice?: number | null, currency?: string | null, tags?: Array<string> }} changes -
+ *   The fields to change (same rules as `addIdea`; null clears optional fields).
+ * @returns {Promise<void>} A promise that resolves when the idea is saved.
+ * @throws {TypeError} If arguments are invalid or `changes` is empty.
+ * @throws {Error} Propagates storage errors (e.g., the idea does not exist).
+ */
+export const updateIdea = async (userId, ideaId, changes) => {
+  try {
+    validateNonEmptyString(userId, 'userId');
+    validateNonEmptyString(ideaId, 'ideaId');
+    if (!changes || typeof changes !== 'object') {
+      throw new TypeError('changes must be an object.');
+    }
+
+    const dataToUpdate = {};
+    if (changes.title !== undefined) {
+      dataToUpdate.title = serializeTitle(changes.title, 'changes.title');
+    }
+    if (changes.notes !== undefined) {
+      dataToUpdate.notes = serializeNotes(changes.notes, 'changes.notes');
+    }
+    if (changes.links !== undefined) {
+      dataToUpdate.links = serializeLinks(changes.links ?? [], 'changes.links');
+    }
+    if (changes.estimatedPrice !== undefined) {
+      dataToUpdate.estimatedPrice = serializePrice(changes.estimatedPrice, 'changes.estimatedPrice');
+    }
+    if (changes.currency !== undefined) {
+      dataToUpdate.currency = serializeCurrency(changes.currency, 'changes.currency');
+    }
+    if (changes.tags !== undefined) {
+      dataToUpdate.tags = serializeTags(changes.tags ?? [], 'changes.tags');
+    }
+    if (Object.keys(dataToUpdate).length === 0) {
+      throw new TypeError('changes must contain a field to update (title, notes, links, estimatedPrice, currency or tags).');
+    }
+
+    await getCollectionRepository(IDEAS_COLLECTION).update(userId, ideaId, { ...dataToUpdate, updatedAt: new Date() });
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in updateIdea:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
+
+/**
+ * Records that an idea was scheduled as a reminder. The reminder itself links back through its
+ * `ideaId`, which the caller sets when adding it.
+ *
+ * @param {string} userId - The ID of the user who owns the idea. Must be a non-empty string.
+ * @param {string} ideaId - The ID of the idea. Must be a non-empty string.
+ * @param {string} reminderId - The ID of the new reminder. Must be a non-empty string.
+ * @returns {Promise<void>} A promise that resolves when the idea is saved.
+ * @throws {TypeError} If arguments are invalid.
+ * @throws {Error} Propagates storage errors (e.g., the idea does not exist).
+ */
+export const markIdeaScheduled = async (userId, ideaId, reminderId) => {
+  try {
+    validateNonEmptyString(userId, 'userId');
+    validateNonEmptyString(ideaId, 'ideaId');
+    validateNonEmptyString(reminderId, 'reminderId');
+
+    const now = new Date();
+    await getCollectionRepository(IDEAS_COLLECTION).update(userId, ideaId, {
+      reminderId,
+      scheduledAt: now,
+      updatedAt: now,
+    });
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in markIdeaScheduled:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
+
+/**
+ * Deletes an idea and clears the link to it from reminders scheduled from it. Reminders are
+ * updated first, so an interrupted delete leaves the idea in place and can simply be retried.
+ *
+ * @param {string} userId - The ID of the user who owns the idea. Must be a non-empty string.
+ * @param {string} ideaId - The ID of the idea. Must be a non-empty string.
+ * @returns {Promise<void>} A promise that resolves when the idea is deleted.
+ * @throws {TypeError} If arguments are invalid.
+ * @throws {Error} Propagates storage errors.
+ */
+export const deleteIdea = async (userId, ideaId) => {
+  try {
+    validateNonEmptyString(userId, 'userId');
+    validateNonEmptyString(ideaId, 'ideaId');
+
+    await unlinkIdeaFromReminders(userId, ideaId);
+    await getCollectionRepository(IDEAS_COLLECTION).remove(userId, ideaId);
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in deleteIdea:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
+
+/**
+ * Removes a tag from every idea filed under it. Called when the tag itself is deleted
+ * (see `tagService.deleteTag`).
+ *
+ * @param {string} userId - The ID of the user who owns the ideas. Must be a non-empty string.
+ * @param {string} tagId - The tag to remove. Must be a non-empty string.
+ * @returns {Promise<number>} The number of ideas that were updated.
+ * @throws {TypeError} If `userId` or `tagId` are invalid.
+ * @throws {Error} Propagates storage errors.
+ */
+export const removeTagFromIdeas = async (userId, tagId) => {
+  try {
+    validateNonEmptyString(userId, 'userId');
+    validateNonEmptyString(tagId, 'tagId');
+
+    const repository = getCollectionRepository(IDEAS_COLLECTION);
+    const updatedAt = new Date();
+    const operations = (await repository.list(userId))
+      .filter((record) => Array.isArray(record.tags) && record.tags.includes(tagId))
+      .map((record) => ({
+        type: 'update',
+        id: record.id,
+        changes: { tags: record.tags.filter((tag) => tag !== tagId), updatedAt },
+      }));
+    for (let index = 0; index < operations.length; index += MAX_BATCH_SIZE) {
+      await repository.commit(userId, operations.slice(index, index + MAX_BATCH_SIZE));
+    }
+    return operations.length;
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in removeTagFromIdeas:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
@@ -0,0 +1,434 @@
+import {
+  addReminder,
+  updateReminder,
+  deleteReminder,
+  restoreReminder,
+  permanentlyDeleteReminder,
+  updateReminderOccurrence,
+  setReminderStatus,
+  ReminderConflictError,
+} from './reminderService.js';
+import { generateId } from './repositories/repositoryUtils.js';
+import { toDateKey } from '../utils/recurrence.js';
+import { getDeviceTimeZone } from '../utils/helpers.js';
+
+/**
+ * Offline-first queue for reminder mutations.
+ *
+ * Every add/update/delete from the dashboard is recorded here first and replayed against the
+ * reminder service in order, so the UI can apply it optimistically and a dropped connection
+ * never loses a change. The queue is persisted per user in localStorage and retried when the
+ * browser comes back online. Writes that lose under the conflict policy (see
+ * `ReminderConflictError`) or fail permanently are dropped from the queue and reported as issues.
+ */
+
+/**
+ * @typedef {import("./reminderService.js").Reminder} Reminder
+ */
+
+/**
+ * A queued mutation. `queuedAt` doubles as the edit time used by the conflict policy.
+ * @typedef {object} QueuedMutation
+ * @property {string} id - Unique queue entry ID.
+ * @property {'add' | 'update' | 'delete' | 'restore' | 'purge' | 'occurrence' | 'status'} kind - The service call to replay.
+ *   'delete' moves the reminder to the trash; 'purge' deletes a trashed reminder permanently.
+ * @property {string} reminderId - The target reminder (client-generated for adds).
+ * @property {object} [data] - Reminder data for add/update/occurrence. For 'restore', the trashed
+ *   reminder itself, so it can be shown again before the restore is confirmed. For 'status',
+ *   `{ status, note, actualCost? }`.
+ * @property {number} [expectedVersion] - The reminder version the edit was based on.
+ * @property {Date} [occurrenceDate] - For 'occurrence' and 'status': the occurrence being edited or marked.
+ * @property {'single' | 'following' | 'all'} [scope] - For 'occurrence': the edit scope.
+ * @property {Date} queuedAt - When the user made the change.
+ */
+
+/**
+ * A mutation that was dropped from the queue.
+ * @typedef {object} QueueIssue
+ * @property {string} id - Issue ID (the queue entry ID).
+ * @property {'conflict' | 'failed'} type - Conflict policy rejection or permanent failure.
+ * @property {QueuedMutation} mutation - The dropped mutation.
+ * @property {string} message - Human-readable reason.
+ */
+
+/**
+ * @typedef {object} QueueState
+ * @property {Array<QueuedMutation>} pending - Mutations not yet confirmed, oldest first.
+ * @property {Array<QueueIssue>} issues - Dropped mutations awaiting acknowledgement by the UI.
+ * @property {boolean} isOnline - The browser's last known connectivity.
+ * @property {boolean} isSyncing - True while the queue is being replayed.
+ */
+
+const STORAGE_KEY_PREFIX = 'sweet-surprise-reminders:mutation-queue:';
+const RETRY_INTERVAL_MS = 30000;
+
+// Firestore error codes that mean "try again later" rather than "this write is invalid"
+const TRANSIENT_ERROR_CODES = ['unavailable', 'deadline-exceeded', 'resource-exhausted', 'aborted', 'cancelled'];
+
+/** @type {Map<string, { pending: Array<QueuedMutation>, issues: Array<QueueIssue>, isSyncing: boolean, inFlightId: string | null }>} */
+const queues = new Map();
+/** @type {Map<string, Set<(state: QueueState) => void>>} */
+const listeners = new Map();
+let isOnline = typeof navigator === 'undefined' ? true : navigator.onLine !== false;
+
+// --- Persistence ---
+
+// Dates are tagged so they survive the JSON round trip through localStorage
+function serializeReplacer(key, value) {
+  const raw = this[key];
+  return raw instanceof Date ? { __date: raw.toISOString() } : value;
+}
+const deserializeReviver = (key, value) =>
+  value && typeof value === 'object' && typeof value.__date === 'string' ? new Date(value.__date) : value;
+
+const loadPending = (userId) => {
+  try {
+    const stored = localStorage.getItem(`${STORAGE_KEY_PREFIX}${userId}`);
+    return stored ? JSON.parse(stored, deserializeReviver) : [];
+  } catch (error) {
+    console.warn('Could not restore the pending reminder changes:', error);
+    return [];
+  }
+};
+
+const savePending = (userId, pending) => {
+  try {
+    if (pending.length === 0) {
+      localStorage.removeItem(`${STORAGE_KEY_PREFIX}${userId}`);
+    } else {
+      localStorage.setItem(`${STORAGE_KEY_PREFIX}${userId}`, JSON.stringify(pending, serializeReplacer));
+    }
+  } catch (error) {
+    // The in-memory queue still works; only reload-survival is lost
+    console.warn('Could not persist the pending reminder changes:', error);
+  }
+};
+
+const getQueue = (userId) => {
+  if (!queues.has(userId)) {
+    queues.set(userId, { pending: loadPending(userId), issues: [], isSyncing: false, inFlightId: null });
+  }
+  return queues.get(userId);
+};
+
+const snapshot = (userId) => {
+  const queue = getQueue(userId);
+  return { pending: [...queue.pending], issues: [...queue.issues], isOnline, isSyncing: queue.isSyncing };
+};
+
+const notify = (userId) => {
+  const state = snapshot(userId);
+  listeners.get(userId)?.forEach((listener) => listener(state));
+};
+
+const setPending = (userId, pending) => {
+  getQueue(userId).pending = pending;
+  savePending(userId, pending);
+  notify(userId);
+};
+
+// --- Replay ---
+
+const isTransientError = (error) =>
+  !isOnline || TRANSIENT_ERROR_CODES.includes(error?.code) || error?.name === 'NetworkError';
+
+/**
+ * Replays one mutation through the reminder service.
+ * @param {string} userId - The owner of the reminder.
+ * @param {QueuedMutation} mutation - The mutation to apply.
+ * @returns {Promise<void>}
+ */
+const applyMutation = (userId, mutation) => {
+  const { kind, reminderId, data, expectedVersion, queuedAt } = mutation;
+  switch (kind) {
+    case 'add':
+      return addReminder(userId, data, { id: reminderId, updatedAt: queuedAt });
+    case 'update':
+      return updateReminder(userId, reminderId, data, { expectedVersion, updatedAt: queuedAt });
+    case 'delete':
+      return deleteReminder(userId, reminderId, { expectedVersion, deletedAt: queuedAt });
+    case 'restore':
+      return restoreReminder(userId, reminderId, { updatedAt: queuedAt });
+    case 'purge':
+      return permanentlyDeleteReminder(userId, reminderId);
+    case 'status':
+      return setReminderStatus(userId, reminderId, data.status, {
+        note: data.note ?? null,
+        actualCost: data.actualCost,
+        occurrenceDate: mutation.occurrenceDate,
+        expectedVersion,
+        updatedAt: queuedAt,
+      });
+    case 'occurrence':
+      return updateReminderOccurrence(userId, reminderId, mutation.occurrenceDate, data, mutation.scope, {
+        expectedVersion,
+        updatedAt: queuedAt,
+      });
+    default:
+      return Promise.reject(new TypeError(`Unknown mutation kind: ${kind}`));
+  }
+};
+
+/**
+ * Replays a user's queued mutations in order until the queue is empty or a transient error
+ * (e.g., offline) stops it. Safe to call repeatedly; concurrent calls are coalesced.
+ *
+ * @param {string} userId - The user whose queue to process.
+ * @returns {Promise<void>}
+ */
+export const processQueue = async (userId) => {
+  const queue = getQueue(userId);
+  if (queue.isSyncing || !isOnline || queue.pending.length === 0) {
+    return;
+  }
+  queue.isSyncing = true;
+  notify(userId);
+
+  try {
+    while (queue.pending.length > 0) {
+      const [mutation] = queue.pending;
+      queue.inFlightId = mutation.id;
+      try {
+        await applyMutation(userId, mutation);
+      } catch (error) {
+        if (isTransientError(error)) {
+          console.info('Reminder sync paused, will retry:', error.message);
+          break;
+        }
+        queue.issues = [
+          ...queue.issues,
+          {
+            id: mutation.id,
+            type: error instanceof ReminderConflictError ? 'conflict' : 'failed',
+            mutation,
+            message: error.message || 'The change could not be saved.',
+          },
+        ];
+        if (!(error instanceof ReminderConflictError)) {
+          console.error('Dropping reminder change that cannot be applied:', error);
+        }
+      }
+      setPending(userId, queue.pending.filter((entry) => entry.id !== mutation.id));
+    }
+  } finally {
+    queue.inFlightId = null;
+    queue.isSyncing = false;
+    notify(userId);
+  }
+};
+
+// --- Public API ---
+
+const MUTATION_KINDS = ['add', 'update', 'delete', 'restore', 'purge', 'occurrence', 'status'];
+
+/**
+ * Adds a mutation to a user's queue and starts replaying it.
+ *
+ * Updates to a reminder whose add is still queued are merged into that add, and a restore
+ * cancels a still-queued delete of the same reminder (e.g. "Undo" while offline), so these
+ * sequences never hit the server.
+ *
+ * @param {string} userId - The owner of the reminder.
+ * @param {Omit<QueuedMutation, 'id' | 'queuedAt'> & { reminderId?: string }} mutation - The change.
+ *   `reminderId` is generated for adds when omitted.
+ * @returns {QueuedMutation} The queued entry (with its `reminderId`).
+ * @throws {TypeError} If `userId` or the mutation kind is invalid.
+ */
+export const enqueueMutation = (userId, mutation) => {
+  if (typeof userId !== 'string' || userId.trim() === '') {
+    throw new TypeError('userId must be a non-empty string.');
+  }
+  if (!mutation || !MUTATION_KINDS.includes(mutation.kind)) {
+    throw new TypeError(`mutation.kind must be one of ${MUTATION_KINDS.join(', ')}.`);
+  }
+
+  const entry = {
+    ...mutation,
+    id: generateId(),
+    reminderId: mutation.reminderId || generateId(),
+    queuedAt: new Date(),
+  };
+  const { pending, inFlightId } = getQueue(userId);
+
+  // Fold into a still-queued add of the same reminder (not yet sent, so no conflicts are possible)
+  const queuedAdd = pending.find((queued) => queued.kind === 'add' && queued.reminderId === entry.reminderId);
+  if (queuedAdd && queuedAdd.id !== inFlightId && entry.kind === 'update') {
+    setPending(
+      userId,
+      pending.map((queued) => (queued === queuedAdd ? { ...queued, data: { ...queued.data, ...entry.data } } : queued))
+    );
+    return entry;
+  }
+
+  // Undo of a delete that has not been sent yet: drop the delete instead of replaying both
+  const queuedDelete = pending.find((queued) => queued.kind === 'delete' && queued.reminderId === entry.reminderId);
+  if (queuedDelete && queuedDelete.id !== inFlightId && entry.kind === 'restore') {
+    setPending(userId, pending.filter((queued) => queued !== queuedDelete));
+    return entry;
+  }
+
+  setPending(userId, [...pending, entry]);
+  processQueue(userId);
+  return entry;
+};
+
+/**
+ * Removes an issue once the UI has shown it to the user.
+ * @param {string} userId - The queue owner.
+ * @param {string} issueId - The issue to dismiss.
+ */
+export const dismissQueueIssue = (userId, issueId) => {
+  const queue = getQueue(userId);
+  queue.issues = queue.issues.filter((issue) => issue.id !== issueId);
+  notify(userId);
+};
+
+/**
+ * Discards all of a user's queued mutations and issues, e.g. before their account is deleted.
+ * A mutation that is being written at that moment still completes.
+ * @param {string} userId - The queue owner.
+ */
+export const clearQueue = (userId) => {
+  getQueue(userId).issues = [];
+  setPending(userId, []);
+};
+
+/**
+ * Subscribes to a user's queue state. The listener is called immediately and on every change.
+ * Subscribing also resumes replay of any mutations persisted from a previous session.
+ *
+ * @param {string} userId - The queue owner.
+ * @param {(state: QueueState) => void} listener - Receives the current queue state.
+ * @returns {() => void} Unsubscribe function.
+ */
+export const subscribeToQueue = (userId, listener) => {
+  if (!listeners.has(userId)) {
+    listeners.set(userId, new Set());
+  }
+  listeners.get(userId).add(listener);
+  listener(snapshot(userId));
+  processQueue(userId);
+
+  return () => {
+    listeners.get(userId)?.delete(listener);
+  };
+};
+
+/**
+ * Applies pending mutations on top of the stored reminders so the UI reflects changes
+ * before they are confirmed. Affected reminders are flagged with `isPending: true`.
+ *
+ * @param {Array<Reminder>} reminders - Reminders as currently stored (e.g., from the subscription).
+ * @param {Array<QueuedMutation>} pending - Pending mutations, oldest first.
+ * @returns {Array<Reminder & { isPending?: boolean }>} The optimistic list (unsorted).
+ */
+export const applyPendingMutations = (reminders, pending) =>
+  pending.reduce((current, mutation) => {
+    switch (mutation.kind) {
+      case 'add':
+        // Once the add has reached storage the subscription already contains it
+        return current.some((reminder) => reminder.id === mutation.reminderId)
+          ? current
+          : [
+              ...current,
+              {
+                id: mutation.reminderId,
+                allDay: false,
+                timeZone: getDeviceTimeZone(),
+                recurrence: null,
+                exceptions: [],
+                seriesId: null,
+                status: 'pending',
+                completedAt: null,
+                completionNote: null,
+                completions: [],
+                tags: [],
+                estimatedCost: null,
+                actualCost: null,
+                currency: null,
+                ideaId: null,
+                recipientId: null,
+                recipientKeyDate: null,
+                notes: null,
+                alarms: [],
+                ...mutation.data,
+                version: 1,
+                updatedAt: mutation.queuedAt,
+                isPending: true,
+              },
+            ];
+      case 'update':
+        return current.map((reminder) =>
+          reminder.id === mutation.reminderId
+            ? { ...reminder, ...mutation.data, version: reminder.version + 1, isPending: true }
+            : reminder
+        );
+      case 'delete':
+      case 'purge':
+        return current.filter((reminder) => reminder.id !== mutation.reminderId);
+      case 'restore':
+        // Restored reminders are not in the active list until storage confirms the restore
+        return current.some((reminder) => reminder.id === mutation.reminderId) || !mutation.data
+          ? current
+          : [...current, { ...mutation.data, id: mutation.reminderId, deletedAt: null, isPending: true }];
+      case 'status':
+        return current.map((reminder) => {
+          if (reminder.id !== mutation.reminderId) {
+            return reminder;
+          }
+          const { status, note = null, actualCost } = mutation.data;
+          if (!reminder.recurrence) {
+            return {
+              ...reminder,
+              status,
+              completedAt: status === 'pending' ? null : mutation.queuedAt,
+              completionNote: status === 'pending' ? null : note,
+              actualCost: actualCost === undefined ? reminder.actualCost : actualCost,
+              version: reminder.version + 1,
+              isPending: true,
+            };
+          }
+          const occurrenceKey = toDateKey(mutation.occurrenceDate, reminder.timeZone);
+          const otherEntries = (reminder.completions || []).filter((entry) => entry.occurrenceKey !== occurrenceKey);
+          return {
+            ...reminder,
+            completions:
+              status === 'pending'
+                ? otherEntries
+                : [...otherEntries, { occurrenceKey, status, at: mutation.queuedAt, note, cost: actualCost ?? null }].sort((a, b) =>
+                    a.occurrenceKey.localeCompare(b.occurrenceKey)
+                  ),
+            version: reminder.version + 1,
+            isPending: true,
+          };
+        });
+      case 'occurrence':
+        // Occurrence edits may split a series; only flag it until storage reports the result
+        return current.map((reminder) =>
+          reminder.id === mutation.reminderId ? { ...reminder, isPending: true } : reminder
+        );
+      default:
+        return current;
+    }
+  }, reminders);
+
+// --- Connectivity ---
+
+if (typeof window !== 'undefined') {
+  const updateConnectivity = (online) => {
+    isOnline = online;
+    queues.forEach((queue, userId) => {
+      notify(userId);
+      if (online) {
+        processQueue(userId);
+      }
+    });
+  };
+  window.addEventListener('online', () => updateConnectivity(true));
+  window.addEventListener('offline', () => updateConnectivity(false));
+
+  // Periodic retry covers "online but unreachable" cases that never fire an 'online' event
+  setInterval(() => {
+    queues.forEach((queue, userId) => processQueue(userId));
+  }, RETRY_INTERVAL_MS);
+}
@@ -0,0 +1,304 @@
+import { expandOccurrences, toDateKey } from '../utils/recurrence.js';
+import { formatDateForUser, formatTimeForDisplay } from '../utils/helpers.js';
+import { getAlarmTimes, describeAlarm, MAX_ALARM_MINUTES } from '../utils/alarms.js';
+
+/**
+ * Browser notifications for due reminders.
+ *
+ * While the app is open, the scheduler (see `useReminderNotifications`) shows a notification at
+ * each of a reminder's lead-time alarms (see `utils/alarms.js`; at its due time if it has none),
+ * and on start-up catches up on alarms that fell due since the last check. Notifications are
+ * shown through the service worker in `public/sw.js`, which handles the click-through. Whether notifications are on is a per-device choice, stored per user in
+ * localStorage next to the browser's own permission.
+ */
+
+/**
+ * @typedef {import("./reminderService.js").Reminder} Reminder
+ */
+
+/**
+ * A notification for one alarm of one occurrence of a reminder.
+ * @typedef {object} ReminderAlert
+ * @property {string} reminderId - The reminder that is due.
+ * @property {Date} occurrenceDate - The due occurrence (the reminder's date for one-off reminders).
+ * @property {number} leadMinutes - The alarm's offset (0 when the occurrence itself is due).
+ * @property {Date} alertAt - When the notification is due.
+ * @property {string} title - The notification title (the reminder text).
+ * @property {string} body - The notification text.
+ * @property {string} tag - Identifies the occurrence and alarm, so the same alert is never shown twice at once.
+ * @property {string} url - The app URL that opens the reminder.
+ */
+
+/**
+ * @typedef {object} NotificationSettings
+ * @property {boolean} enabled - Whether the user turned notifications on on this device.
+ * @property {NotificationPermission | 'unsupported'} permission - The browser's notification permission.
+ */
+
+const SETTINGS_KEY_PREFIX = 'sweet-surprise-reminders:notifications:';
+const LAST_CHECK_KEY_PREFIX = 'sweet-surprise-reminders:notifications-checked:';
+const SERVICE_WORKER_URL = '/sw.js';
+
+/** How far back missed reminders are notified on start-up. */
+export const MISSED_ALERT_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Above this many alerts at once, a single summary notification is shown instead
+const MAX_SEPARATE_NOTIFICATIONS = 3;
+
+/** @type {Map<string, Set<(settings: NotificationSettings) => void>>} */
+const listeners = new Map();
+
+/**
+ * Whether this browser can show notifications from a service worker.
+ * @returns {boolean}
+ */
+export const isNotificationSupported = () =>
+  typeof window !== 'undefined' && 'Notification' in window && 'serviceWorker' in navigator;
+
+/**
+ * The browser's notification permission.
+ * @returns {NotificationPermission | 'unsupported'}
+ */
+export const getNotificationPermission = () =>
+  isNotificationSupported() ? Notification.permission : 'unsupported';
+
+/**
+ * Registers the notification service worker (registering again is a no-op for the browser).
+ * @returns {Promise<ServiceWorkerRegistration>}
+ * @throws {Error} If the browser does not support service workers, or registration fails.
+ */
+export const registerNotificationWorker = async () => {
+  if (!isNotificationSupported()) {
+    throw new Error('This browser does not support notifications.');
+  }
+  await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+  return navigator.serviceWorker.ready;
+};
+
+// --- Settings ---
+
+const readStoredFlag = (key) => {
+  try {
+    return localStorage.getItem(key);
+  } catch (error) {
+    console.warn('Could not read the notification settings:', error);
+    return null;
+  }
+};
+
+const writeStoredFlag = (key, value) => {
+  try {
+    if (value === null) {
+      localStorage.removeItem(key);
+    } else {
+      localStorage.setItem(key, value);
+    }
+  } catch (error) {
+    // The choice still applies until the page is reloaded
+    console.warn('Could not save the notification settings:', error);
+  }
+};
+
+/**
+ * The user's notification settings on this device. Notifications only count as enabled while the
+ * browser permission is granted, so revoking it in the browser turns them off here as well.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {NotificationSettings}
+ */
+export const getNotificationSettings = (userId) => {
+  const permission = getNotificationPermission();
+  return {
+    enabled: permission === 'granted' && readStoredFlag(`${SETTINGS_KEY_PREFIX}${userId}`) === 'on',
+    permission,
+  };
+};
+
+const notify = (userId) => {
+  const settings = getNotificationSettings(userId);
+  listeners.get(userId)?.forEach((listener) => listener(settings));
+};
+
+/**
+ * Turns notifications on or off for a user on this device. Turning them on asks for the browser
+ * permission if it has not been decided yet and registers the service worker.
+ *
+ * @param {string} userId - The ID of the user. Must be a non-empty string.
+ * @param {boolean} enabled - The new setting.
+ * @returns {Promise<NotificationSettings>} The resulting settings.
+ * @throws {TypeError} If `userId` is not a non-empty string.
+ * @throws {Error} If notifications are unsupported or were blocked in the browser.
+ */
+export const setNotificationsEnabled = async (userId, enabled) => {
+  try {
+    if (typeof userId !== 'string' || userId.trim() === '') {
+      throw new TypeError('userId must be a non-empty string.');
+    }
+    if (!enabled) {
+      writeStoredFlag(`${SETTINGS_KEY_PREFIX}${userId}`, null);
+      notify(userId);
+      return getNotificationSettings(userId);
+    }
+    if (!isNotificationSupported()) {
+      throw new Error('This browser does not support notifications.');
+    }
+    const permission =
+      Notification.permission === 'default' ? await Notification.requestPermission() : Notification.permission;
+    if (permission !== 'granted') {
+      notify(userId);
+      throw new Error('Notifications are blocked for this site. Allow them in your browser settings to turn them on.');
+    }
+    await registerNotificationWorker();
+    // Only reminders due from now on are notified, not everything since notifications were last on
+    writeStoredFlag(`${LAST_CHECK_KEY_PREFIX}${userId}`, new Date().toISOString());
+    writeStoredFlag(`${SETTINGS_KEY_PREFIX}${userId}`, 'on');
+    notify(userId);
+    return getNotificationSettings(userId);
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in setNotificationsEnabled:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
+
+/**
+ * Subscribes to a user's notification settings on this device. The listener is called
+ * immediately and whenever the settings change in this tab.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {(settings: NotificationSettings) => void} listener - Receives the current settings.
+ * @returns {() => void} Unsubscribe function.
+ */
+export const subscribeToNotificationSettings = (userId, listener) => {
+  if (!listeners.has(userId)) {
+    listeners.set(userId, new Set());
+  }
+  listeners.get(userId).add(listener);
+  listener(getNotificationSettings(userId));
+
+  return () => {
+    listeners.get(userId)?.delete(listener);
+  };
+};
+
+/**
+ * When the reminders were last checked for due alerts on this device.
+ * @param {string} userId - The ID of the user.
+ * @returns {Date | null} The time of the last check, or null if there was none.
+ */
+export const getLastAlertCheck = (userId) => {
+  const stored = readStoredFlag(`${LAST_CHECK_KEY_PREFIX}${userId}`);
+  const date = stored ? new Date(stored) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+/**
+ * Records when the reminders were last checked for due alerts on this device.
+ * @param {string} userId - The ID of the user.
+ * @param {Date} checkedAt - The time up to which alerts were shown.
+ */
+export const setLastAlertCheck = (userId, checkedAt) => {
+  writeStoredFlag(`${LAST_CHECK_KEY_PREFIX}${userId}`, checkedAt.toISOString());
+};
+
+// --- Scheduling ---
+
+/**
+ * Lists the alerts that fall due in a time window. Trashed reminders, one-off reminders that were
+ * completed or skipped, and occurrences of a series that were marked done or skipped are left out.
+ *
+ * @param {Array<Reminder>} reminders - The reminders to check.
+ * @param {Date} from - Exclusive window start (typically the last check).
+ * @param {Date} to - Inclusive window end (typically now).
+ * @param {{ dateFormat?: string }} [options] - `dateFormat`: The user's preferred date format
+ *   (one of `DATE_FORMATS`) for the notification text.
+ * @returns {Array<ReminderAlert>} The due alerts, oldest first.
+ */
+export const getDueAlerts = (reminders, from, to, { dateFormat } = {}) => {
+  // Alarms fire up to MAX_ALARM_MINUTES ahead of their occurrence, and all-day occurrences are
+  // notified hours after they start, so occurrences are searched in a wider window
+  const searchFrom = new Date(from.getTime() - 24 * 60 * 60 * 1000);
+  const searchTo = new Date(to.getTime() + MAX_ALARM_MINUTES * 60 * 1000);
+  const alerts = [];
+  reminders.forEach((reminder) => {
+    if (reminder.deletedAt || (!reminder.recurrence && reminder.status !== 'pending')) {
+      return;
+    }
+    const done = new Set((reminder.completions || []).map((entry) => entry.occurrenceKey));
+    expandOccurrences(reminder.date, reminder.recurrence, searchFrom, searchTo, {
+      exceptions: reminder.exceptions || [],
+      timeZone: reminder.timeZone,
+    }).forEach((occurrenceDate) => {
+      const occurrenceKey = toDateKey(occurrenceDate, reminder.timeZone);
+      if (done.has(occurrenceKey)) {
+        return;
+      }
+      const when = `${formatDateForUser(occurrenceDate, dateFormat, reminder.timeZone)} · ${
+        reminder.allDay ? 'All day' : formatTimeForDisplay(occurrenceDate, reminder.timeZone)
+      }`;
+      getAlarmTimes(reminder, occurrenceDate)
+        .filter(({ at }) => at > from && at <= to)
+        .forEach(({ minutes, at }) => {
+          // Alarms ahead of the occurrence are heads-ups; "at the time" and "morning of" announce it
+          const isHeadsUp = at < occurrenceDate;
+          alerts.push({
+            reminderId: reminder.id,
+            occurrenceDate,
+            leadMinutes: minutes,
+            alertAt: at,
+            title: isHeadsUp ? `Coming up: ${reminder.text}` : reminder.text,
+            body: isHeadsUp ? `${when} (${describeAlarm(minutes, reminder.allDay).toLowerCase()})` : when,
+            tag: `${reminder.id}:${occurrenceKey}:${minutes}`,
+            url: `/?reminder=${encodeURIComponent(reminder.id)}`,
+          });
+        });
+    });
+  });
+  return alerts.sort((a, b) => a.alertAt - b.alertAt);
+};
+
+/**
+ * Finds when the next alert after a given time is due, looking ahead up to `horizon`.
+ *
+ * @param {Array<Reminder>} reminders - The reminders to check.
+ * @param {Date} after - Exclusive start of the search.
+ * @param {Date} horizon - Inclusive end of the search.
+ * @returns {Date | null} The time of the next alert, or null if none is due before `horizon`.
+ */
+export const getNextAlertTime = (reminders, after, horizon) => {
+  const [next] = getDueAlerts(reminders, after, horizon);
+  return next ? next.alertAt : null;
+};
+
+/**
+ * Shows notifications for due alerts through the service worker. When many are due at once
+ * (e.g., after the app was closed for a while), one summary notification is shown instead.
+ *
+ * @param {Array<ReminderAlert>} alerts - The alerts to show.
+ * @param {{ missed?: boolean }} [options] - `missed`: The alerts fell due while the app was closed.
+ * @returns {Promise<void>}
+ */
+export const showReminderNotifications = async (alerts, { missed = false } = {}) => {
+  if (alerts.length === 0 || getNotificationPermission() !== 'granted') {
+    return;
+  }
+  const registration = await registerNotificationWorker();
+  if (alerts.length > MAX_SEPARATE_NOTIFICATIONS) {
+    await registration.showNotification(`${alerts.length} reminders ${missed ? 'were due' : 'are due'}`, {
+      body: alerts.map((alert) => alert.title).join(', '),
+      tag: 'reminders-summary',
+      data: { url: '/' },
+    });
+    return;
+  }
+  for (const alert of alerts) {
+    await registration.showNotification(missed ? `Missed: ${alert.title}` : alert.title, {
+      body: alert.body,
+      tag: alert.tag,
+      data: { url: alert.url },
+    });
+  }
+};
@@ -0,0 +1,224 @@
+import { getUserDocumentRepository } from './repositories/index.js'; // Storage backend selected by config
+import { DATE_FORMATS } from '../utils/helpers.js';
+
+/**
+ * Per-user display and input preferences, stored under a `preferences` map on the user document
+ * (`users/{userId}`); the time zone and alert defaults of new reminders stay in the settings
+ * (`settingsService.js`).
+ */
+
+/**
+ * The current user's preferences.
+ * @typedef {object} UserPreferences
+ * @property {string} dateFormat - How dates are displayed, one of `DATE_FORMATS` (see `utils/helpers.js`).
+ * @property {number} weekStartsOn - First day of the week, 0 (Sunday) to 6 (Saturday).
+ * @property {string} defaultReminderTime - Time preselected for new timed reminders, as 'HH:mm'.
+ * @property {boolean} defaultAllDay - Whether new reminders start as all-day reminders.
+ * @property {'short' | 'normal' | 'long'} toastDuration - How long notifications stay on screen.
+ * @property {'date' | 'text' | 'estimatedCost'} upcomingSort - Order of the dashboard's upcoming reminders.
+ * @property {'none' | 'day' | 'week' | 'month'} upcomingGrouping - How the upcoming reminders are grouped.
+ * @property {Date | null} updatedAt - When the preferences were last saved.
+ */
+
+/** Allowed values of the enumerated preferences. */
+export const TOAST_DURATIONS = Object.freeze(['short', 'normal', 'long']);
+export const UPCOMING_SORTS = Object.freeze(['date', 'text', 'estimatedCost']);
+export const UPCOMING_GROUPINGS = Object.freeze(['none', 'day', 'week', 'month']);
+
+/** Preferences used until the user saves their own. */
+export const DEFAULT_PREFERENCES = Object.freeze({
+  dateFormat: 'YYYY-MM-DD',
+  weekStartsOn: 1,
+  defaultReminderTime: '09:00',
+  defaultAllDay: true,
+  toastDuration: 'normal',
+  upcomingSort: 'date',
+  upcomingGrouping: 'none',
+  updatedAt: null,
+});
+
+// Helper function to validate non-empty string arguments
+const validateNonEmptyString = (value, argName) => {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new TypeError(`${argName} must be a non-empty string.`);
+  }
+};
+
+const isValidWeekday = (value) => Number.isInteger(value) && value >= 0 && value <= 6;
+const isValidTime = (value) => typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+
+// Enumerated preferences and their allowed values
+const ENUM_PREFERENCES = {
+  dateFormat: DATE_FORMATS,
+  toastDuration: TOAST_DURATIONS,
+  upcomingSort: UPCOMING_SORTS,
+  upcomingGrouping: UPCOMING_GROUPINGS,
+};
+
+// Picks the preferences set in `values`, throwing a TypeError for the first invalid one
+const validatePreferenceValues = (values, argName) => {
+  const valid = {};
+  Object.entries(ENUM_PREFERENCES).forEach(([field, allowed]) => {
+    if (values[field] !== undefined) {
+      if (!allowed.includes(values[field])) {
+        throw new TypeError(`${argName}.${field} must be one of: ${allowed.join(', ')}.`);
+      }
+      valid[field] = values[field];
+    }
+  });
+  if (values.weekStartsOn !== undefined) {
+    if (!isValidWeekday(values.weekStartsOn)) {
+      throw new TypeError(`${argName}.weekStartsOn must be an integer from 0 (Sunday) to 6 (Saturday).`);
+    }
+    valid.weekStartsOn = values.weekStartsOn;
+  }
+  if (values.defaultReminderTime !== undefined) {
+    if (!isValidTime(values.defaultReminderTime)) {
+      throw new TypeError(`${argName}.defaultReminderTime must be a time as 'HH:mm'.`);
+    }
+    valid.defaultReminderTime = values.defaultReminderTime;
+  }
+  if (values.defaultAllDay !== undefined) {
+    if (typeof values.defaultAllDay !== 'boolean') {
+      throw new TypeError(`${argName}.defaultAllDay must be a boolean.`);
+    }
+    valid.defaultAllDay = values.defaultAllDay;
+  }
+  return valid;
+};
+
+/**
+ * Maps the stored user document to UserPreferences, falling back to the defaults for missing or invalid values.
+ * @param {object | null} record - The stored user document, or null if there is none yet.
+ * @returns {UserPreferences}
+ */
+const mapPreferencesRecord = (record) => {
+  const stored = record?.preferences ?? {};
+  const pick = (field, isValid) => (isValid(stored[field]) ? stored[field] : DEFAULT_PREFERENCES[field]);
+  return {
+    dateFormat: pick('dateFormat', (value) => DATE_FORMATS.includes(value)),
+    weekStartsOn: pick('weekStartsOn', isValidWeekday),
+    defaultReminderTime: pick('defaultReminderTime', isValidTime),
+    defaultAllDay: pick('defaultAllDay', (value) => typeof value === 'boolean'),
+    toastDuration: pick('toastDuration', (value) => TOAST_DURATIONS.includes(value)),
+    upcomingSort: pick('upcomingSort', (value) => UPCOMING_SORTS.includes(value)),
+    upcomingGrouping: pick('upcomingGrouping', (value) => UPCOMING_GROUPINGS.includes(value)),
+    updatedAt: stored.updatedAt instanceof Date ? stored.updatedAt : null,
+  };
+};
+
+/**
+ * Validates a `preferences` map from outside the app (e.g. a backup file) and completes it with
+ * the defaults, so it can be stored as it is. Fields this app version does not know are dropped.
+ *
+ * @param {object} preferences - The preferences to check.
+ * @returns {UserPreferences} The complete preferences.
+ * @throws {TypeError} If `preferences` is not an object or holds an invalid value.
+ */
+export const normalizePreferences = (preferences) => {
+  if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+    throw new TypeError('preferences must be an object.');
+  }
+  return {
+    ...DEFAULT_PREFERENCES,
+    ...validatePreferenceValues(preferences, 'preferences'),
+    updatedAt: preferences.updatedAt instanceof Date ? preferences.updatedAt : null,
+  };
+};
+
+/**
+ * Retrieves a user's preferences.
+ *
+ * @param {string} userId - The ID of the user. Must be a non-empty string.
+ * @returns {Promise<UserPreferences>} A promise that resolves with the preferences (defaults if none are saved).
+ * @throws {TypeError} If `userId` is not a non-empty string.
+ * @throws {Error} Propagates storage errors.
+ */
+export const getPreferences = async (userId) => {
+  try {
+    validateNonEmptyString(userId, 'userId');
+    return mapPreferencesRecord(await getUserDocumentRepository().get(userId));
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in getPreferences:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
+
+/**
+ * Subscribes to real-time updates of a user's preferences.
+ *
+ * @param {string} userId - The ID of the user. Must be a non-empty string.
+ * @param {(preferences: UserPreferences) => void} callback - Receives the preferences on every change.
+ * @param {(error: Error) => void} [onError] - Called if the listener fails.
+ * @returns {() => void} A function that stops the listener.
+ * @throws {TypeError} If `userId` is not a non-empty string or `callback` is not a function.
+ */
+export const subscribeToPreferences = (userId, callback, onError) => {
+  try {
+    validateNonEmptyString(userId, 'userId');
+    if (typeof callback !== 'function') {
+      throw new TypeError('callback must be a function.');
+    }
+    return getUserDocumentRepository().subscribe(
+      userId,
+      (record) => callback(mapPreferencesRecord(record)),
+      (error) => {
+        console.error(`Error listening to preferences for user ${userId}:`, error);
+        onError?.(error);
+      }
+    );
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in subscribeToPreferences:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
+
+/**
+ * Saves changes to a user's preferences, creating the user document if needed.
+ *
+ * @param {string} userId - The ID of the user. Must be a non-empty string.
+ * @param {Partial<Omit<UserPreferences, 'updatedAt'>>} changes - The preferences to change.
+ *   - `dateFormat`: One of `DATE_FORMATS`.
+ *   - `weekStartsOn`: An integer from 0 (Sunday) to 6 (Saturday).
+ *   - `defaultReminderTime`: A time as 'HH:mm'.
+ *   - `defaultAllDay`: A boolean.
+ *   - `toastDuration`, `upcomingSort`, `upcomingGrouping`: One of `TOAST_DURATIONS`, `UPCOMING_SORTS`, `UPCOMING_GROUPINGS`.
+ * @returns {Promise<void>} A promise that resolves when the preferences are saved.
+ * @throws {TypeError} If arguments are invalid or `changes` is empty.
+ * @throws {Error} Propagates storage errors.
+ */
+export const updatePreferences = async (userId, changes) => {
+  try {
+    validateNonEmptyString(userId, 'userId');
+    if (!changes || typeof changes !== 'object') {
+      throw new TypeError('changes must be an object.');
+    }
+
+    const dataToUpdate = validatePreferenceValues(changes, 'changes');
+    if (Object.keys(dataToUpdate).length === 0) {
+      throw new TypeError(
+        'changes must contain a preference to update (dateFormat, weekStartsOn, defaultReminderTime, defaultAllDay, toastDuration, upcomingSort or upcomingGrouping).'
+      );
+    }
+
+    // The whole map is written, so the stored preferences are always complete and valid
+    const repository = getUserDocumentRepository();
+    const current = mapPreferencesRecord(await repository.get(userId));
+    await repository.merge(userId, { preferences: { ...current, ...dataToUpdate, updatedAt: new Date() } });
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in updatePreferences:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
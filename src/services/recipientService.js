@@ -0,0 +1,532 @@
+import { getCollectionRepository } from './repositories/index.js'; // Storage backend selected by config
+import {
+  RECIPIENT_KEY_DATES,
+  addReminder,
+  updateReminder,
+  deleteReminder,
+  restoreReminder,
+  getRecipientReminders,
+  removeRecipientFromReminders,
+} from './reminderService.js';
+import {
+  parseDateString,
+  getDeviceTimeZone,
+  isValidTimeZone,
+  getZonedDateParts,
+  zonedTimeToDate,
+} from '../utils/helpers.js';
+
+/**
+ * Recipients: the people the user buys gifts for. Recipients are stored at
+ * `users/{userId}/recipients/{recipientId}` with their key dates (birthday, anniversary, the day
+ * the relationship started), favorites and sizes. Each key date is kept in sync with a yearly,
+ * all-day reminder for the recipient (`Reminder.recipientKeyDate`), so the dates show up on the
+ * dashboard like any other reminder.
+ */
+
+/**
+ * Represents a recipient returned from the service.
+ * @typedef {object} Recipient
+ * @property {string} id - The unique identifier of the recipient document.
+ * @property {string} name - The recipient's name.
+ * @property {string | null} relationship - How the user knows them (e.g., 'Sister').
+ * @property {string | null} birthday - Birthday as 'YYYY-MM-DD'.
+ * @property {string | null} anniversary - Wedding (or other) anniversary as 'YYYY-MM-DD'.
+ * @property {string | null} relationshipStart - The day the relationship started, as 'YYYY-MM-DD'.
+ * @property {Array<string>} favorites - Things they like (brands, colors, hobbies, ...).
+ * @property {Array<{ label: string, value: string }>} sizes - Clothing and other sizes (e.g., Shoes: 39).
+ * @property {string | null} notes - Free-form notes.
+ * @property {Date | null} createdAt - When the recipient was added.
+ * @property {Date | null} updatedAt - When the recipient was last edited.
+ */
+
+/** Maximum length of a recipient's name and relationship. */
+export const MAX_RECIPIENT_NAME_LENGTH = 80;
+
+/** Maximum number of favorites and of sizes per recipient. */
+export const MAX_RECIPIENT_LIST_ITEMS = 20;
+
+/** Labels of the key dates, in `RECIPIENT_KEY_DATES` order. */
+export const RECIPIENT_KEY_DATE_LABELS = Object.freeze({
+  birthday: 'Birthday',
+  anniversary: 'Anniversary',
+  relationshipStart: 'Together since',
+});
+
+const RECIPIENTS_COLLECTION = 'recipients';
+
+// Favorites and size values are short labels
+const MAX_LIST_ITEM_LENGTH = 100;
+
+// Helper function to validate non-empty string arguments
+const validateNonEmptyString = (value, argName) => {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new TypeError(`${argName} must be a non-empty string.`);
+  }
+};
+
+const isValidKeyDate = (value) => parseDateString(value) !== null;
+
+// Validates a name (or relationship) and returns it trimmed
+const serializeName = (name, argName) => {
+  validateNonEmptyString(name, argName);
+  const trimmed = name.trim();
+  if (trimmed.length > MAX_RECIPIENT_NAME_LENGTH) {
+    throw new TypeError(`${argName} can be at most ${MAX_RECIPIENT_NAME_LENGTH} characters long.`);
+  }
+  return trimmed;
+};
+
+// Blank optional text is stored as null
+const serializeOptionalText = (value, argName) => {
+  if (value !== null && typeof value !== 'string') {
+    throw new TypeError(`${argName} must be a string or null.`);
+  }
+  return value && value.trim() !== '' ? value.trim() : null;
+};
+
+const serializeKeyDate = (value, argName) => {
+  if (value !== null && !isValidKeyDate(value)) {
+    throw new TypeError(`${argName} must be a 'YYYY-MM-DD' date or null.`);
+  }
+  return value;
+};
+
+// Validates favorites and returns them trimmed and without duplicates
+const serializeFavorites = (favorites, argName) => {
+  if (!Array.isArray(favorites)) {
+    throw new TypeError(`${argName} must be an array of strings.`);
+  }
+  favorites.forEach((favorite) => validateNonEmptyString(favorite, `${argName}[]`));
+  const trimmed = [...new Set(favorites.map((favorite) => favorite.trim()))];
+  if (trimmed.length > MAX_RECIPIENT_LIST_ITEMS || trimmed.some((favorite) => favorite.length > MAX_LIST_ITEM_LENGTH)) {
+    throw new TypeError(
+      `A recipient can have at most ${MAX_RECIPIENT_LIST_ITEMS} favorites of up to ${MAX_LIST_ITEM_LENGTH} characters.`
+    );
+  }
+  return trimmed;
+};
+
+const serializeSizes = (sizes, argName) => {
+  if (!Array.isArray(sizes)) {
+    throw new TypeError(`${argName} must be an array of { label, value } objects.`);
+  }
+  const serialized = sizes.map((size) => {
+    if (!size || typeof size !== 'object') {
+      throw new TypeError(`${argName}[] must be a { label, value } object.`);
+    }
+    validateNonEmptyString(size.label, `${argName}[].label`);
+    validateNonEmptyString(size.value, `${argName}[].value`);
+    return { label: size.label.trim(), value: size.value.trim() };
+  });
+  if (
+    serialized.length > MAX_RECIPIENT_LIST_ITEMS ||
+    serialized.some(({ label, value }) => label.length > MAX_LIST_ITEM_LENGTH || value.length > MAX_LIST_ITEM_LENGTH)
+  ) {
+    throw new TypeError(
+      `A recipient can have at most ${MAX_RECIPIENT_LIST_ITEMS} sizes of up to ${MAX_LIST_ITEM_LENGTH} characters.`
+    );
+  }
+  return serialized;
+};
+
+const coerceDate = (value) => (value instanceof Date ? value : null);
+
+const coerceText = (value) => (typeof value === 'string' && value.trim() !== '' ? value : null);
+
+/**
+ * Maps a stored recipient record to a Recipient, or null if it has no name.
+ * @param {object | null} record - The record from the repository.
+ * @returns {Recipient | null}
+ */
+const mapRecipientRecord = (record) => {
+  if (!record || typeof record.name !== 'string' || record.name.trim() === '') {
+    return null;
+  }
+  return {
+    id: record.id,
+    name: record.name,
+    relationship: coerceText(record.relationship),
+    birthday: isValidKeyDate(record.birthday) ? record.birthday : null,
+    anniversary: isValidKeyDate(record.anniversary) ? record.anniversary : null,
+    relationshipStart: isValidKeyDate(record.relationshipStart) ? record.relationshipStart : null,
+    favorites: Array.isArray(record.favorites)
+      ? record.favorites.filter((favorite) => typeof favorite === 'string' && favorite !== '')
+      : [],
+    sizes: Array.isArray(record.sizes)
+      ? record.sizes.filter((size) => typeof size?.label === 'string' && typeof size?.value === 'string')
+      : [],
+    notes: coerceText(record.notes),
+    createdAt: coerceDate(record.createdAt),
+    updatedAt: coerceDate(record.updatedAt),
+  };
+};
+
+/**
+ * Maps stored recipient records to Recipients, sorted by name, skipping malformed documents.
+ * @param {Array<object>} records - The records from the repository.
+ * @returns {Array<Recipient>}
+ */
+const mapRecipientRecords = (records) =>
+  records
+    .map(mapRecipientRecord)
+    .filter(Boolean)
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+/**
+ * Returns the next date (today or later) on which a key date recurs, as { year, month, day }.
+ * February 29 is observed on February 28, the date a yearly reminder can repeat on every year.
+ * @param {string} keyDate - The key date as 'YYYY-MM-DD'.
+ * @param {{ year: number, month: number, day: number }} today - Today's date (`month` is 1-12).
+ * @returns {{ year: number, month: number, day: number }}
+ */
+const getNextKeyDateParts = (keyDate, today) => {
+  const [, month, keyDay] = keyDate.split('-').map(Number);
+  const day = month === 2 && keyDay === 29 ? 28 : keyDay;
+  const isPassed = month < today.month || (month === today.month && day < today.day);
+  return { year: isPassed ? today.year + 1 : today.year, month, day };
+};
+
+// Formats { year, month, day } as 'YYYY-MM-DD'
+const toDateString = ({ year, month, day }) =>
+  `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+/**
+ * Returns the number of days until a key date next comes around (0 if it is today).
+ *
+ * @param {string} keyDate - The key date as 'YYYY-MM-DD'.
+ * @param {Date} [now=new Date()] - The current time; days are counted in the device's time zone.
+ * @returns {number | null} The number of days, or null if `keyDate` is not a valid date.
+ */
+export const getDaysUntilKeyDate = (keyDate, now = new Date()) => {
+  if (!isValidKeyDate(keyDate)) {
+    return null;
+  }
+  const today = { year: now.getFullYear(), month: now.getMonth() + 1, day: now.getDate() };
+  const next = getNextKeyDateParts(keyDate, today);
+  // Compare calendar days in UTC so daylight-saving changes do not shift the count
+  return Math.round(
+    (Date.UTC(next.year, next.month - 1, next.day) - Date.UTC(today.year, today.month - 1, today.day)) / 86400000
+  );
+};
+
+/**
+ * Returns the text of the reminder generated for one of a recipient's key dates.
+ * @param {Recipient} recipient - The recipient.
+ * @param {'birthday' | 'anniversary' | 'relationshipStart'} keyDate - The key date.
+ * @returns {string}
+ */
+const getKeyDateReminderText = (recipient, keyDate) => {
+  switch (keyDate) {
+    case 'birthday':
+      return `${recipient.name}'s birthday`;
+    case 'anniversary':
+      return `Anniversary with ${recipient.name}`;
+    default:
+      return `${recipient.name}: together since ${recipient.relationshipStart.slice(0, 4)}`;
+  }
+};
+
+/**
+ * Retrieves all of a user's recipients, sorted by name.
+ *
+ * @param {string} userId - The ID of the user whose recipients to fetch. Must be a non-empty string.
+ * @returns {Promise<Array<Recipient>>} A promise that resolves with the recipients.
+ * @throws {TypeError} If `userId` is not a non-empty string.
+ * @throws {Error} Propagates storage errors.
+ */
+export const getRecipients = async (userId) => {
+  try {
+    validateNonEmptyString(userId, 'userId');
+    return mapRecipientRecords(await getCollectionRepository(RECIPIENTS_COLLECTION).list(userId));
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in getRecipients:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
+
+/**
+ * Subscribes to real-time updates of a user's recipients.
+ *
+ * @param {string} userId - The ID of the user whose recipients to watch. Must be a non-empty string.
+ * @param {(recipients: Array<Recipient>) => void} callback - Receives the recipients, sorted by name, on every change.
+ * @param {(error: Error) => void} [onError] - Called if the listener fails.
+ * @returns {() => void} A function that stops the listener.
+ * @throws {TypeError} If `userId` is not a non-empty string or `callback` is not a function.
+ */
+export const subscribeToRecipients = (userId, callback, onError) => {
+  try {
+    validateNonEmptyString(userId, 'userId');
+    if (typeof callback !== 'function') {
+      throw new TypeError('callback must be a function.');
+    }
+    return getCollectionRepository(RECIPIENTS_COLLECTION).subscribe(
+      userId,
+      (records) => callback(mapRecipientRecords(records)),
+      (error) => {
+        console.error(`Error listening to recipients for user ${userId}:`, error);
+        onError?.(error);
+      }
+    );
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in subscribeToRecipients:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
+
+/**
+ * Brings the reminders generated from a recipient's key dates in line with the recipient.
+ * For each key date:
+ *
+ * - Set, without a reminder: a yearly all-day reminder is added, starting on the next
+ *   occurrence of the date (in `timeZone`).
+ * - Set, with a reminder whose text or day no longer matches: the reminder is updated.
+ * - Removed: the reminder is moved to the trash.
+ *
+ * Generated reminders the user moved to the trash are left there, so they are not recreated,
+ * unless their key date is listed in `restore` (e.g., because the user just entered it again).
+ * Other fields (tags, costs, ...) the user set on a generated reminder are kept.
+ *
+ * @param {string} userId - The ID of the user who owns the recipient. Must be a non-empty string.
+ * @param {string} recipientId - The ID of the recipient. Must be a non-empty string.
+ * @param {{ timeZone?: string, restore?: Array<string> }} [options] - Sync options.
+ *   - `timeZone`: The zone new reminders are created in (defaults to the device's zone).
+ *   - `restore`: Key dates whose trashed reminders are restored if they have no active one.
+ * @returns {Promise<{ created: number, updated: number, trashed: number }>} What was changed.
+ * @throws {TypeError} If arguments are invalid.
+ * @throws {Error} If the recipient does not exist, or propagates storage errors.
+ */
+export const syncRecipientReminders = async (
+  userId,
+  recipientId,
+  { timeZone = getDeviceTimeZone(), restore = [] } = {}
+) => {
+  try {
+    validateNonEmptyString(userId, 'userId');
+    validateNonEmptyString(recipientId, 'recipientId');
+    if (!isValidTimeZone(timeZone)) {
+      throw new TypeError('options.timeZone must be a valid IANA time zone.');
+    }
+
+    const recipient = mapRecipientRecord(await getCollectionRepository(RECIPIENTS_COLLECTION).get(userId, recipientId));
+    if (!recipient) {
+      throw new Error(`Recipient ${recipientId} not found.`);
+    }
+    const reminders = await getRecipientReminders(userId, recipientId);
+    const result = { created: 0, updated: 0, trashed: 0 };
+
+    for (const keyDate of RECIPIENT_KEY_DATES) {
+      const generated = reminders.filter((reminder) => reminder.recipientKeyDate === keyDate);
+      let active = generated.filter((reminder) => !(reminder.deletedAt instanceof Date));
+
+      if (!recipient[keyDate]) {
+        for (const reminder of active) {
+          await deleteReminder(userId, reminder.id);
+          result.trashed += 1;
+        }
+        continue;
+      }
+
+      const text = getKeyDateReminderText(recipient, keyDate);
+      if (active.length === 0 && generated.length > 0 && restore.includes(keyDate)) {
+        // The most recently trashed one, which is then updated below
+        const [latest] = [...generated].sort((a, b) => b.deletedAt - a.deletedAt);
+        await restoreReminder(userId, latest.id);
+        active = [latest];
+      }
+      if (generated.length === 0) {
+        const next = getNextKeyDateParts(recipient[keyDate], getZonedDateParts(new Date(), timeZone));
+        await addReminder(userId, {
+          text,
+          date: zonedTimeToDate(toDateString(next), null, timeZone),
+          allDay: true,
+          timeZone,
+          recurrence: { freq: 'YEARLY' },
+          recipientId,
+          recipientKeyDate: keyDate,
+        });
+        result.created += 1;
+        continue;
+      }
+
+      for (const reminder of active) {
+        const changes = {};
+        if (reminder.text !== text) {
+          changes.text = text;
+        }
+        // Yearly reminders repeat on the month and day of their start date
+        const current = getZonedDateParts(reminder.date, reminder.timeZone);
+        const next = getNextKeyDateParts(recipient[keyDate], getZonedDateParts(new Date(), reminder.timeZone));
+        if (current.month !== next.month || current.day !== next.day) {
+          changes.date = zonedTimeToDate(toDateString(next), null, reminder.timeZone);
+        }
+        if (Object.keys(changes).length > 0) {
+          await updateReminder(userId, reminder.id, changes);
+          result.updated += 1;
+        }
+      }
+    }
+    return result;
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in syncRecipientReminders:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
+
+/**
+ * Adds a recipient and creates reminders for their key dates (see `syncRecipientReminders`).
+ * If creating the reminders fails, the recipient is kept and the reminders are created the
+ * next time the recipient is saved.
+ *
+ * @param {string} userId - The ID of the user adding the recipient. Must be a non-empty string.
+ * @param {{ name: string, relationship?: string | null, birthday?: string | null, anniversary?: string | null, relationshipStart?: string | null, favorites?: Array<string>, sizes?: Array<{ label: string, value: string }>, notes?: string | null }} recipientData -
+ *   The recipient details.
+ *   - `name`: Non-empty, at most `MAX_RECIPIENT_NAME_LENGTH` characters (trimmed).
+ *   - `relationship`: Optional, same length limit.
+ *   - `birthday`, `anniversary`, `relationshipStart`: Optional 'YYYY-MM-DD' dates.
+ *   - `favorites`, `sizes`: Optional, at most `MAX_RECIPIENT_LIST_ITEMS` each.
+ *   - `notes`: Optional free-form notes.
+ * @param {{ timeZone?: string }} [options] - `timeZone`: the zone the key date reminders are created in.
+ * @returns {Promise<{ id: string }>} A promise that resolves with the ID of the new recipient.
+ * @throws {TypeError} If `userId` or `recipientData` are invalid.
+ * @throws {Error} Propagates storage errors.
+ */
+export const createRecipient = async (userId, recipientData, options = {}) => {
+  try {
+    validateNonEmptyString(userId, 'userId');
+    if (!recipientData || typeof recipientData !== 'object') {
+      throw new TypeError('recipientData must be an object.');
+    }
+
+    const relationship = serializeOptionalText(recipientData.relationship ?? null, 'recipientData.relationship');
+    const now = new Date();
+    const { id } = await getCollectionRepository(RECIPIENTS_COLLECTION).create(userId, {
+      name: serializeName(recipientData.name, 'recipientData.name'),
+      relationship: relationship && serializeName(relationship, 'recipientData.relationship'),
+      birthday: serializeKeyDate(recipientData.birthday ?? null, 'recipientData.birthday'),
+      anniversary: serializeKeyDate(recipientData.anniversary ?? null, 'recipientData.anniversary'),
+      relationshipStart: serializeKeyDate(recipientData.relationshipStart ?? null, 'recipientData.relationshipStart'),
+      favorites: serializeFavorites(recipientData.favorites ?? [], 'recipientData.favorites'),
+      sizes: serializeSizes(recipientData.sizes ?? [], 'recipientData.sizes'),
+      notes: serializeOptionalText(recipientData.notes ?? null, 'recipientData.notes'),
+      createdAt: now,
+      updatedAt: now,
+    });
+    await syncRecipientReminders(userId, id, options);
+    return { id };
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in createRecipient:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
+
+/**
+ * Updates a recipient and brings the reminders for their key dates up to date
+ * (see `syncRecipientReminders`). Only the fields provided in `changes` are updated.
+ * Entering a key date that was previously removed restores its trashed reminder.
+ *
+ * @param {string} userId - The ID of the user who owns the recipient. Must be a non-empty string.
+ * @param {string} recipientId - The ID of the recipient. Must be a non-empty string.
+ * @param {{ name?: string, relationship?: string | null, birthday?: string | null, anniversary?: string | null, relationshipStart?: string | null, favorites?: Array<string>, sizes?: Array<{ label: string, value: string }>, notes?: string | null }} changes -
+ *   The fields to change (same rules as `createRecipient`; null clears optional fields).
+ * @param {{ timeZone?: string }} [options] - `timeZone`: the zone new key date reminders are created in.
+ * @returns {Promise<void>} A promise that resolves when the recipient and reminders are saved.
+ * @throws {TypeError} If arguments are invalid or `changes` is empty.
+ * @throws {Error} Propagates storage errors (e.g., the recipient does not exist).
+ */
+export const updateRecipient = async (userId, recipientId, changes, options = {}) => {
+  try {
+    validateNonEmptyString(userId, 'userId');
+    validateNonEmptyString(recipientId, 'recipientId');
+    if (!changes || typeof changes !== 'object') {
+      throw new TypeError('changes must be an object.');
+    }
+
+    const dataToUpdate = {};
+    if (changes.name !== undefined) {
+      dataToUpdate.name = serializeName(changes.name, 'changes.name');
+    }
+    if (changes.relationship !== undefined) {
+      const relationship = serializeOptionalText(changes.relationship, 'changes.relationship');
+      dataToUpdate.relationship = relationship && serializeName(relationship, 'changes.relationship');
+    }
+    RECIPIENT_KEY_DATES.forEach((keyDate) => {
+      if (changes[keyDate] !== undefined) {
+        dataToUpdate[keyDate] = serializeKeyDate(changes[keyDate], `changes.${keyDate}`);
+      }
+    });
+    if (changes.favorites !== undefined) {
+      dataToUpdate.favorites = serializeFavorites(changes.favorites ?? [], 'changes.favorites');
+    }
+    if (changes.sizes !== undefined) {
+      dataToUpdate.sizes = serializeSizes(changes.sizes ?? [], 'changes.sizes');
+    }
+    if (changes.notes !== undefined) {
+      dataToUpdate.notes = serializeOptionalText(changes.notes, 'changes.notes');
+    }
+    if (Object.keys(dataToUpdate).length === 0) {
+      throw new TypeError(
+        'changes must contain a field to update (name, relationship, key dates, favorites, sizes or notes).'
+      );
+    }
+
+    const repository = getCollectionRepository(RECIPIENTS_COLLECTION);
+    const current = mapRecipientRecord(await repository.get(userId, recipientId));
+    const restore = RECIPIENT_KEY_DATES.filter(
+      (keyDate) => dataToUpdate[keyDate] && dataToUpdate[keyDate] !== current?.[keyDate]
+    );
+    await repository.update(userId, recipientId, { ...dataToUpdate, updatedAt: new Date() });
+    await syncRecipientReminders(userId, recipientId, { ...options, restore });
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in updateRecipient:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
+
+/**
+ * Deletes a recipient. Reminders generated from their key dates are moved to the trash and
+ * their other reminders are kept without a recipient (see `removeRecipientFromReminders`).
+ * Reminders are updated first, so an interrupted delete can simply be retried.
+ *
+ * @param {string} userId - The ID of the user who owns the recipient. Must be a non-empty string.
+ * @param {string} recipientId - The ID of the recipient. Must be a non-empty string.
+ * @returns {Promise<void>} A promise that resolves when the recipient is deleted.
+ * @throws {TypeError} If arguments are invalid.
+ * @throws {Error} Propagates storage errors.
+ */
+export const deleteRecipient = async (userId, recipientId) => {
+  try {
+    validateNonEmptyString(userId, 'userId');
+    validateNonEmptyString(recipientId, 'recipientId');
+
+    await removeRecipientFromReminders(userId, recipientId);
+    await getCollectionRepository(RECIPIENTS_COLLECTION).remove(userId, recipientId);
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in deleteRecipient:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
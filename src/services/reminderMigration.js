@@ -0,0 +1,121 @@
+import { getReminderRepository } from './repositories/index.js';
+import { CURRENT_SCHEMA_VERSION, upgradeReminderRecord } from './reminderSchema.js';
+
+/**
+ * Migration runner that rewrites a user's stored reminders in the current schema
+ * (see `reminderSchema.js`). Reads already upgrade documents in memory; the migration makes
+ * the upgrade permanent, which Firestore queries depend on (documents missing `endDate` or
+ * `deletedAt` never match the dashboard's range and trash filters).
+ */
+
+/**
+ * A document that could not be upgraded.
+ * @typedef {object} MigrationFailure
+ * @property {string} id - The reminder document ID.
+ * @property {Array<string>} errors - Why it could not be repaired (e.g., 'missing text').
+ */
+
+/**
+ * @typedef {object} MigrationReport
+ * @property {number} schemaVersion - The schema version documents were upgraded to.
+ * @property {number} total - Number of documents examined.
+ * @property {Array<string>} upgraded - IDs of documents that were rewritten.
+ * @property {number} unchanged - Number of documents that were already current.
+ * @property {Array<MigrationFailure>} failed - Documents that could not be repaired and were left untouched.
+ */
+
+// Firestore limits a batched write to 500 operations
+const MAX_BATCH_SIZE = 500;
+
+const STORAGE_KEY_PREFIX = 'sweet-surprise-reminders:schema-version:';
+
+/**
+ * Upgrades all of a user's reminder documents (including trashed ones) to the current schema.
+ * Writes are committed in batches; a failed batch stops the run with the error, and the
+ * migration can simply be run again since it is idempotent.
+ *
+ * @param {string} userId - The user whose reminders to migrate. Must be a non-empty string.
+ * @param {{ batchSize?: number, onProgress?: (done: number, total: number) => void }} [options] - Run options.
+ *   - `batchSize`: Documents written per batch (1-500, default 100).
+ *   - `onProgress`: Called after every committed batch with the number of upgraded documents written so far.
+ * @returns {Promise<MigrationReport>} What was upgraded, and which documents could not be repaired.
+ * @throws {TypeError} If `userId` or the options are invalid.
+ * @throws {Error} Propagates storage errors during reads or writes.
+ */
+export const migrateReminders = async (userId, { batchSize = 100, onProgress } = {}) => {
+  try {
+    if (typeof userId !== 'string' || userId.trim() === '') {
+      throw new TypeError('userId must be a non-empty string.');
+    }
+    if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > MAX_BATCH_SIZE) {
+      throw new TypeError(`batchSize must be an integer between 1 and ${MAX_BATCH_SIZE}.`);
+    }
+
+    const repository = getReminderRepository();
+    const records = await repository.list(userId);
+
+    const operations = [];
+    const failed = [];
+    records.forEach((record) => {
+      const { record: upgraded, changes, errors } = upgradeReminderRecord(record);
+      if (!upgraded) {
+        failed.push({ id: record.id, errors });
+      } else if (Object.keys(changes).length > 0) {
+        operations.push({ type: 'update', id: record.id, changes });
+      }
+    });
+
+    for (let index = 0; index < operations.length; index += batchSize) {
+      await repository.commit(userId, operations.slice(index, index + batchSize));
+      onProgress?.(Math.min(index + batchSize, operations.length), operations.length);
+    }
+
+    if (failed.length > 0) {
+      console.warn(`${failed.length} reminder document(s) for user ${userId} could not be migrated:`, failed);
+    }
+    return {
+      schemaVersion: CURRENT_SCHEMA_VERSION,
+      total: records.length,
+      upgraded: operations.map((operation) => operation.id),
+      unchanged: records.length - operations.length - failed.length,
+      failed,
+    };
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in migrateReminders:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
+
+/**
+ * Runs `migrateReminders` unless this browser already migrated the user's reminders to the
+ * current schema without failures. Runs with failures are repeated on every call so that
+ * unrepairable documents keep being reported until they are fixed or removed.
+ *
+ * @param {string} userId - The user whose reminders to migrate.
+ * @returns {Promise<MigrationReport | null>} The report, or null if the migration was skipped.
+ * @throws {Error} Propagates errors from `migrateReminders`.
+ */
+export const migrateRemindersIfNeeded = async (userId) => {
+  const storageKey = `${STORAGE_KEY_PREFIX}${userId}`;
+  try {
+    if (Number(localStorage.getItem(storageKey)) >= CURRENT_SCHEMA_VERSION) {
+      return null;
+    }
+  } catch (error) {
+    // Storage unavailable (e.g., private mode): just run the migration
+  }
+
+  const report = await migrateReminders(userId);
+  if (report.failed.length === 0) {
+    try {
+      localStorage.setItem(storageKey, String(CURRENT_SCHEMA_VERSION));
+    } catch (error) {
+      // Not remembering the result only means the (idempotent) migration runs again next time
+    }
+  }
+  return report;
+};
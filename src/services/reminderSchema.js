@@ -0,0 +1,434 @@
+import { normalizeRecurrenceRule, getLastOccurrence } from '../utils/recurrence.js';
+import { getDeviceTimeZone, isValidTimeZone, getZonedDateParts } from '../utils/helpers.js';
+import { sanitizeAlarms } from '../utils/alarms.js';
+
+/**
+ * Versioned schema of stored reminder documents.
+ *
+ * Every document written by the reminder service carries `schemaVersion`. Documents written by
+ * older versions of the app are upgraded on read (`upgradeReminderRecord`, used by the service's
+ * mapping) and can be rewritten in storage by the migration runner (`reminderMigration.js`).
+ *
+ * Current schema (version 10):
+ * - `text` (string, required), `date` (Date, required; first occurrence for series)
+ * - `allDay` (boolean): if true, `date` is the start of the day in `timeZone` and the time is not shown
+ * - `timeZone` (string): IANA zone the date and time were entered in; recurrence is expanded in it
+ * - `recurrence` (rule | null), `exceptions` ('YYYY-MM-DD' keys), `seriesId` (string | null)
+ * - `endDate` (Date): last occurrence, denormalized for range queries
+ * - `deletedAt` (Date | null): set while the reminder is in the trash
+ * - `status` ('pending' | 'completed' | 'skipped'), `completedAt` (Date | null), `completionNote` (string | null):
+ *   outcome of a one-off reminder. Series stay 'pending' and log outcomes per occurrence in
+ *   `completions` (Array<{ occurrenceKey: 'YYYY-MM-DD', status, at: Date, note: string | null, cost: number | null }>)
+ * - `tags` (Array<string>): IDs of the user's tags (`users/{uid}/tags`, see `tagService.js`)
+ * - `estimatedCost` (number | null): planned spend per occurrence; `actualCost` (number | null): what a one-off
+ *   reminder cost (series record it per occurrence in `completions[].cost`); `currency` (ISO 4217 code | null,
+ *   null meaning the user's budget currency)
+ * - `ideaId` (string | null): the gift idea the reminder was scheduled from (`users/{uid}/ideas`, see `ideaService.js`)
+ * - `recipientId` (string | null): who the reminder is for (`users/{uid}/recipients`, see `recipientService.js`);
+ *   `recipientKeyDate` (one of `RECIPIENT_KEY_DATES` | null): set on the yearly reminders generated from a
+ *   recipient's key date
+ * - `notes` (string | null): free-form details about the reminder
+ * - `alarms` (Array<integer>): lead times in minutes before each occurrence, shortest first
+ *   (see `utils/alarms.js`; all-day reminders count back from 09:00 on the day)
+ * - `version` (integer >= 1), `createdAt` (Date | null, null if unknown), `updatedAt` (Date | null)
+ * - `schemaVersion` (integer)
+ */
+
+/**
+ * @typedef {import("./repositories/index.js").ReminderRecord} ReminderRecord
+ */
+
+/**
+ * Result of upgrading one stored record.
+ * @typedef {object} ReminderUpgrade
+ * @property {ReminderRecord | null} record - The record in the current schema, or null if it cannot be repaired.
+ * @property {object} changes - The fields that differ from the stored record (empty if already current).
+ * @property {Array<string>} repairs - Descriptions of values that were fixed or defaulted.
+ * @property {Array<string>} errors - Why the record cannot be repaired (empty if `record` is set).
+ */
+
+/** The schema version written by this version of the app. */
+export const CURRENT_SCHEMA_VERSION = 10;
+
+/** Statuses a reminder (or, for series, an occurrence) can have. */
+export const REMINDER_STATUSES = ['pending', 'completed', 'skipped'];
+
+/** Recipient key dates that reminders are generated from (see `recipientService.js`). */
+export const RECIPIENT_KEY_DATES = ['birthday', 'anniversary', 'relationshipStart'];
+
+// Stored as the `endDate` of series without an end, so range queries on `endDate` always match them
+export const OPEN_ENDED_END_DATE = new Date(Date.UTC(9999, 0, 1));
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+// Costs are non-negative amounts in major units (e.g., 12.5 for $12.50)
+const isValidCost = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+/**
+ * Upgrade steps, applied in order to records whose `schemaVersion` is lower than the step's `version`.
+ * Documents without a `schemaVersion` are version 1 (text and date only).
+ * Each step receives and returns a plain record; field-level repairs happen afterwards.
+ */
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Add recurrence, trash, concurrency and audit fields',
+    migrate: (record) => ({
+      recurrence: null,
+      exceptions: [],
+      seriesId: null,
+      deletedAt: null,
+      version: 1,
+      createdAt: null,
+      updatedAt: null,
+      ...record,
+    }),
+  },
+  {
+    version: 3,
+    description: 'Add completion status and history',
+    migrate: (record) => ({
+      status: 'pending',
+      completedAt: null,
+      completionNote: null,
+      completions: [],
+      ...record,
+    }),
+  },
+  {
+    version: 4,
+    description: 'Add tags',
+    migrate: (record) => ({
+      tags: [],
+      ...record,
+    }),
+  },
+  {
+    version: 5,
+    description: 'Add all-day flag and time zone',
+    // Older reminders were entered as local dates on the device; both fields are resolved in repairFields
+    migrate: (record) => ({
+      allDay: null,
+      timeZone: null,
+      ...record,
+    }),
+  },
+  {
+    version: 6,
+    description: 'Add cost tracking',
+    migrate: (record) => ({
+      estimatedCost: null,
+      actualCost: null,
+      currency: null,
+      ...record,
+    }),
+  },
+  {
+    version: 7,
+    description: 'Add link to the gift idea a reminder was scheduled from',
+    migrate: (record) => ({
+      ideaId: null,
+      ...record,
+    }),
+  },
+  {
+    version: 8,
+    description: 'Add recipients',
+    migrate: (record) => ({
+      recipientId: null,
+      recipientKeyDate: null,
+      ...record,
+    }),
+  },
+  {
+    version: 9,
+    description: 'Add notes',
+    migrate: (record) => ({
+      notes: null,
+      ...record,
+    }),
+  },
+  {
+    version: 10,
+    description: 'Add lead-time alarms',
+    migrate: (record) => ({
+      alarms: [],
+      ...record,
+    }),
+  },
+];
+
+/**
+ * Computes the denormalized `endDate` (the last occurrence) that range queries filter on.
+ * @param {Date} date - The reminder date (first occurrence for series).
+ * @param {object | null} recurrence - The normalized recurrence rule.
+ * @param {string} [timeZone] - The zone the series is defined in.
+ * @returns {Date}
+ */
+export const computeEndDate = (date, recurrence, timeZone) =>
+  getLastOccurrence(date, recurrence, { timeZone }) ?? OPEN_ENDED_END_DATE;
+
+/**
+ * Builds a complete document in the current schema for a new reminder.
+ * Fields must already be validated by the caller.
+ *
+ * @param {{ text: string, date: Date, allDay?: boolean, timeZone: string, recurrence?: object | null, exceptions?: Array<string>, seriesId?: string | null, completions?: Array<object>, tags?: Array<string>, estimatedCost?: number | null, actualCost?: number | null, currency?: string | null, ideaId?: string | null, recipientId?: string | null, recipientKeyDate?: string | null, notes?: string | null, alarms?: Array<number> }} fields -
+ *   The reminder content.
+ * @param {Date} createdAt - The creation time, also used as the initial `updatedAt`.
+ * @returns {object} The document to store.
+ */
+export const createReminderDocument = (
+  {
+    text,
+    date,
+    allDay = false,
+    timeZone,
+    recurrence = null,
+    exceptions = [],
+    seriesId = null,
+    completions = [],
+    tags = [],
+    estimatedCost = null,
+    actualCost = null,
+    currency = null,
+    ideaId = null,
+    recipientId = null,
+    recipientKeyDate = null,
+    notes = null,
+    alarms = [],
+  },
+  createdAt
+) => ({
+  text,
+  date,
+  allDay,
+  timeZone,
+  recurrence,
+  endDate: computeEndDate(date, recurrence, timeZone),
+  exceptions,
+  seriesId,
+  deletedAt: null,
+  status: 'pending',
+  completedAt: null,
+  completionNote: null,
+  completions,
+  tags,
+  estimatedCost,
+  actualCost,
+  currency,
+  ideaId,
+  recipientId,
+  recipientKeyDate,
+  notes,
+  alarms,
+  version: 1,
+  createdAt,
+  updatedAt: createdAt,
+  schemaVersion: CURRENT_SCHEMA_VERSION,
+});
+
+/**
+ * Converts the date representations found in older documents (Date, Timestamp-like objects,
+ * ISO strings and epoch milliseconds) to a Date.
+ * @param {unknown} value - The stored value.
+ * @returns {Date | null} The Date, or null if the value is missing or unparseable.
+ */
+const coerceDate = (value) => {
+  let date = null;
+  if (value instanceof Date) {
+    date = value;
+  } else if (value && typeof value.toDate === 'function') {
+    date = value.toDate();
+  } else if (value && typeof value === 'object' && typeof value.seconds === 'number') {
+    date = new Date(value.seconds * 1000 + Math.floor((value.nanoseconds || 0) / 1e6));
+  } else if (typeof value === 'string' || typeof value === 'number') {
+    date = new Date(value);
+  }
+  return date instanceof Date && !isNaN(date.getTime()) ? date : null;
+};
+
+// Compares stored and upgraded values: Dates by time, arrays and maps structurally (Firestore
+// returns map keys in its own order, so key order is ignored)
+const isSameValue = (a, b) => {
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+  }
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, index) => isSameValue(item, b[index]));
+  }
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every((key) => isSameValue(a[key], b[key]));
+  }
+  return a === b;
+};
+
+/**
+ * Repairs the fields of a record that went through the migration steps.
+ * Returns the errors that make the record unusable; repairs are appended to `repairs`.
+ */
+const repairFields = (record, repairs) => {
+  const errors = [];
+
+  if (typeof record.text === 'number') {
+    record.text = String(record.text);
+    repairs.push('text converted to a string');
+  }
+  if (typeof record.text !== 'string' || record.text.trim() === '') {
+    errors.push('missing text');
+  }
+
+  const date = coerceDate(record.date);
+  if (!date) {
+    errors.push('missing or invalid date');
+  } else if (!(record.date instanceof Date)) {
+    repairs.push('date converted to a timestamp');
+  }
+  record.date = date;
+
+  if (!isValidTimeZone(record.timeZone)) {
+    if (record.timeZone != null) {
+      repairs.push(`unknown time zone "${record.timeZone}" replaced by the device time zone`);
+    }
+    record.timeZone = getDeviceTimeZone();
+  }
+  if (typeof record.allDay !== 'boolean') {
+    // Dates that fall on midnight were entered without a time
+    const parts = date ? getZonedDateParts(date, record.timeZone) : null;
+    record.allDay = !!parts && parts.hour === 0 && parts.minute === 0 && parts.second === 0;
+  }
+
+  try {
+    record.recurrence = normalizeRecurrenceRule(record.recurrence);
+  } catch (error) {
+    repairs.push(`invalid recurrence rule removed (${error.message})`);
+    record.recurrence = null;
+  }
+
+  const storedExceptions = record.exceptions;
+  const exceptions = Array.isArray(storedExceptions) ? storedExceptions : [];
+  record.exceptions = exceptions.filter((key) => typeof key === 'string' && DATE_KEY_PATTERN.test(key));
+  if (!Array.isArray(storedExceptions) || record.exceptions.length !== exceptions.length) {
+    repairs.push('invalid recurrence exceptions removed');
+  }
+
+  ['seriesId', 'ideaId', 'recipientId'].forEach((field) => {
+    if (typeof record[field] !== 'string' || record[field].trim() === '') {
+      record[field] = null;
+    }
+  });
+  if (!record.recipientId || !RECIPIENT_KEY_DATES.includes(record.recipientKeyDate)) {
+    record.recipientKeyDate = null;
+  }
+  if (!Number.isInteger(record.version) || record.version < 1) {
+    record.version = 1;
+  }
+  ['createdAt', 'updatedAt', 'deletedAt', 'completedAt'].forEach((field) => {
+    record[field] = coerceDate(record[field]);
+  });
+
+  if (!REMINDER_STATUSES.includes(record.status)) {
+    repairs.push(`unknown status "${record.status}" reset to pending`);
+    record.status = 'pending';
+  }
+  ['completionNote', 'notes'].forEach((field) => {
+    if (typeof record[field] !== 'string' || record[field].trim() === '') {
+      record[field] = null;
+    }
+  });
+  const rawCompletions = record.completions;
+  const storedCompletions = Array.isArray(rawCompletions) ? rawCompletions : [];
+  record.completions = storedCompletions
+    .filter(
+      (entry) =>
+        entry &&
+        typeof entry.occurrenceKey === 'string' &&
+        DATE_KEY_PATTERN.test(entry.occurrenceKey) &&
+        (entry.status === 'completed' || entry.status === 'skipped')
+    )
+    .map((entry) => ({
+      occurrenceKey: entry.occurrenceKey,
+      status: entry.status,
+      at: coerceDate(entry.at),
+      note: typeof entry.note === 'string' && entry.note.trim() !== '' ? entry.note : null,
+      cost: isValidCost(entry.cost) ? entry.cost : null,
+    }));
+  if (!Array.isArray(rawCompletions) || record.completions.length !== storedCompletions.length) {
+    repairs.push('invalid completion log entries removed');
+  }
+
+  const rawAlarms = record.alarms;
+  record.alarms = sanitizeAlarms(rawAlarms);
+  if (!Array.isArray(rawAlarms) || record.alarms.length !== rawAlarms.length) {
+    repairs.push('invalid alarms removed');
+  }
+
+  const rawTags = record.tags;
+  const storedTags = Array.isArray(rawTags) ? rawTags : [];
+  record.tags = [...new Set(storedTags.filter((tag) => typeof tag === 'string' && tag.trim() !== ''))];
+  if (!Array.isArray(rawTags) || record.tags.length !== storedTags.length) {
+    repairs.push('invalid tags removed');
+  }
+
+  ['estimatedCost', 'actualCost'].forEach((field) => {
+    const cost = typeof record[field] === 'string' && record[field].trim() !== '' ? Number(record[field]) : record[field];
+    if (cost != null && !isValidCost(cost)) {
+      repairs.push(`invalid ${field} removed`);
+    }
+    record[field] = isValidCost(cost) ? cost : null;
+  });
+  if (typeof record.currency === 'string') {
+    record.currency = record.currency.trim().toUpperCase();
+  }
+  if (record.currency != null && !CURRENCY_PATTERN.test(record.currency)) {
+    repairs.push(`unknown currency "${record.currency}" removed`);
+    record.currency = null;
+  }
+
+  if (date) {
+    record.endDate = computeEndDate(date, record.recurrence, record.timeZone);
+  }
+  record.schemaVersion = CURRENT_SCHEMA_VERSION;
+  return errors;
+};
+
+/**
+ * Brings a stored record up to the current schema: runs the pending migration steps, then repairs
+ * field values (e.g., string dates, malformed recurrence rules) and recomputes derived fields.
+ * Records that lack usable `text` or `date` cannot be repaired and are returned with `errors`.
+ *
+ * @param {ReminderRecord} stored - The record as read from storage.
+ * @returns {ReminderUpgrade}
+ */
+export const upgradeReminderRecord = (stored) => {
+  const storedVersion = Number.isInteger(stored?.schemaVersion) ? stored.schemaVersion : 1;
+  if (storedVersion > CURRENT_SCHEMA_VERSION) {
+    return {
+      record: null,
+      changes: {},
+      repairs: [],
+      errors: [`written by a newer version of the app (schema ${storedVersion}); please update the app`],
+    };
+  }
+
+  const repairs = [];
+  let record = { ...stored };
+  MIGRATIONS.filter((step) => step.version > storedVersion).forEach((step) => {
+    record = step.migrate(record);
+    repairs.push(`upgraded to schema ${step.version}: ${step.description}`);
+  });
+
+  const errors = repairFields(record, repairs);
+  if (errors.length > 0) {
+    return { record: null, changes: {}, repairs, errors };
+  }
+
+  const changes = {};
+  Object.keys(record).forEach((field) => {
+    if (field !== 'id' && !isSameValue(stored[field], record[field])) {
+      changes[field] = record[field];
+    }
+  });
+  return { record, changes, repairs, errors };
+};
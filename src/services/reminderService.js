@@ -1,24 +1,26 @@
+import { getReminderRepository } from './repositories/index.js'; // Storage backend selected by config
+import { TRASH_RETENTION_DAYS } from '../config/storage.js';
 import {
-  collection,
-  addDoc,
-  getDocs,
-  doc,
-  updateDoc,
-  deleteDoc,
-  query,
-  orderBy,
-  Timestamp,
-  where, // Keep 'where' import if needed for future filtering, though not used in base getReminders
-} from 'firebase/firestore';
-import { db } from '../config/firebase.js'; // Import the initialized Firestore instance
-
-/**
- * @typedef {import("firebase/firestore").DocumentReference} FirestoreDocumentReference
- * @typedef {import("firebase/firestore").CollectionReference} FirestoreCollectionReference
- * @typedef {import("firebase/firestore").Query} FirestoreQuery
- * @typedef {import("firebase/firestore").QuerySnapshot} FirestoreQuerySnapshot
- * @typedef {import("firebase/firestore").DocumentData} FirestoreDocumentData
+  REMINDER_STATUSES,
+  RECIPIENT_KEY_DATES,
+  computeEndDate,
+  createReminderDocument,
+  upgradeReminderRecord,
+} from './reminderSchema.js';
+import {
+  normalizeRecurrenceRule,
+  expandOccurrences,
+  splitRecurrence,
+  toDateKey,
+} from '../utils/recurrence.js';
+import { getDeviceTimeZone, isValidTimeZone, startOfDayInTimeZone, isValidCurrency } from '../utils/helpers.js';
+import { normalizeAlarms } from '../utils/alarms.js';
+
+/**
  * @typedef {import("firebase/firestore").FirestoreError} FirestoreError
+ * @typedef {import("./repositories/index.js").ReminderRecord} ReminderRecord
+ * @typedef {import("./repositories/index.js").ReminderQuery} ReminderQuery
+ * @typedef {import("./repositories/index.js").RepositoryOperation} RepositoryOperation
  */
 
 /**
@@ -27,8 +29,104 @@ import { db } from '../config/firebase.js'; // Import the initialized Firestore
  * @property {string} id - The unique identifier of the reminder document.
  * @property {string} text - The content text of the reminder.
  * @property {Date} date - The target date and time for the reminder as a JavaScript Date object.
+ *   For recurring reminders this is the first occurrence of the series.
+ * @property {boolean} allDay - Whether the reminder is for a whole day; `date` is then the start of that day in `timeZone`.
+ * @property {string} timeZone - The IANA time zone the date and time were entered in (e.g., 'Europe/Berlin').
+ *   Recurring reminders repeat at the same local time in this zone.
+ * @property {RecurrenceRule | null} recurrence - The recurrence rule, or null for a one-off reminder.
+ * @property {Array<string>} exceptions - 'YYYY-MM-DD' keys of occurrences removed from the series.
+ * @property {string | null} seriesId - ID of the series this reminder was split from, if any.
+ * @property {number} version - Incremented on every write; used to detect concurrent edits.
+ * @property {Date | null} createdAt - When the reminder was created, or null for reminders created before this was recorded.
+ * @property {Date | null} updatedAt - When the reminder was last edited (client time of the edit).
+ * @property {Date | null} deletedAt - When the reminder was moved to the trash, or null if it is not trashed.
+ * @property {'pending' | 'completed' | 'skipped'} status - Outcome of a one-off reminder. Series stay 'pending'.
+ * @property {Date | null} completedAt - When a one-off reminder was marked completed or skipped.
+ * @property {string | null} completionNote - Optional note recorded with the outcome.
+ * @property {Array<CompletionEntry>} completions - Per-occurrence outcome log of a recurring reminder.
+ * @property {Array<string>} tags - IDs of the tags the reminder is filed under (see `tagService.js`).
+ * @property {number | null} estimatedCost - Planned spend, per occurrence for recurring reminders.
+ * @property {number | null} actualCost - What a one-off reminder actually cost. Series record it per occurrence
+ *   (`CompletionEntry.cost`).
+ * @property {string | null} currency - ISO 4217 code of both costs, or null for the user's budget currency.
+ * @property {string | null} ideaId - ID of the gift idea the reminder was scheduled from (see `ideaService.js`).
+ * @property {string | null} recipientId - ID of the person the reminder is for (see `recipientService.js`).
+ * @property {'birthday' | 'anniversary' | 'relationshipStart' | null} recipientKeyDate - Set on yearly reminders
+ *   generated from one of the recipient's key dates.
+ * @property {string | null} notes - Free-form details (e.g., gift ideas or where to buy).
+ * @property {Array<number>} alarms - Lead times in minutes before each occurrence, shortest first
+ *   (see `utils/alarms.js`); empty to be alerted at the reminder's time only.
+ */
+
+/**
+ * The recorded outcome of one occurrence of a recurring reminder.
+ * @typedef {object} CompletionEntry
+ * @property {string} occurrenceKey - The occurrence date as a 'YYYY-MM-DD' key.
+ * @property {'completed' | 'skipped'} status - What happened.
+ * @property {Date | null} at - When the outcome was recorded.
+ * @property {string | null} note - Optional note.
+ * @property {number | null} cost - What the occurrence actually cost, if recorded.
+ */
+
+/**
+ * A recurrence rule as described in `utils/recurrence.js`.
+ * @typedef {object} RecurrenceRule
+ * @property {'DAILY' | 'WEEKLY' | 'MONTHLY' | 'YEARLY'} freq
+ * @property {number} interval
+ * @property {Array<number> | null} byDay
+ * @property {{ nth: number, weekday: number } | null} nthWeekday
+ * @property {Date | null} until
+ * @property {number | null} count
+ */
+
+/**
+ * A single expanded occurrence of a reminder.
+ * @typedef {Reminder & { occurrenceDate: Date }} ReminderOccurrence
+ */
+
+/**
+ * Options accepted by `getReminders` (and, without `cursor`, by `subscribeToReminders`).
+ * @typedef {object} ReminderQueryOptions
+ * @property {Date} [from] - Only reminders with an occurrence on or after `from` (i.e., not finished before it).
+ * @property {Date} [to] - Only reminders whose last occurrence is before `to`.
+ * @property {number} [limit] - Page size (positive integer). Omit to load every matching reminder.
+ * @property {string | null} [cursor] - The `nextCursor` of the previous page.
+ * @property {Array<string>} [tags] - Only reminders tagged with at least one of these.
+ * @property {string} [recipientId] - Only reminders for this recipient.
+ * @property {string | Array<string>} [status] - Only reminders with this status (or one of these).
+ * @property {'asc' | 'desc'} [direction='asc'] - Sort by date ascending or descending.
+ * @property {boolean} [trashed=false] - Return reminders in the trash instead of active ones.
  */
 
+/**
+ * A page of reminders.
+ * @typedef {object} ReminderPage
+ * @property {Array<Reminder>} reminders - The reminders on this page.
+ * @property {string | null} nextCursor - Pass as `cursor` to load the next page; null on the last page.
+ */
+
+/** Scopes accepted by `updateReminderOccurrence`. */
+export const EDIT_SCOPES = ['single', 'following', 'all'];
+
+export { REMINDER_STATUSES, RECIPIENT_KEY_DATES };
+
+/**
+ * Thrown when a write is rejected by the conflict policy: the reminder was changed (or deleted)
+ * elsewhere after the version the edit was based on, and the other change is the more recent one.
+ */
+export class ReminderConflictError extends Error {
+  /**
+   * @param {string} message - Human-readable description of the conflict.
+   * @param {Reminder | null} remote - The current stored reminder, or null if it was deleted.
+   */
+  constructor(message, remote) {
+    super(message);
+    this.name = 'ReminderConflictError';
+    this.code = 'reminder/conflict';
+    this.remote = remote;
+  }
+}
+
 // Helper function to validate non-empty string arguments
 const validateNonEmptyString = (value, argName) => {
   if (typeof value !== 'string' || value.trim() === '') {
@@ -36,89 +134,539 @@ const validateNonEmptyString = (value, argName) => {
   }
 };
 
+// Firestore limits `in` and `array-contains-any` filters to 30 values
+const MAX_FILTER_VALUES = 30;
+
+// Firestore limits a batched write to 500 operations
+const MAX_BATCH_SIZE = 500;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/** Maximum number of tags on a single reminder. */
+export const MAX_TAGS_PER_REMINDER = 20;
+
+/** Maximum length of a reminder's notes. */
+export const MAX_REMINDER_NOTES_LENGTH = 2000;
+
+/** Maximum length of a reminder's text (also enforced by `firestore.rules`). */
+export const MAX_REMINDER_TEXT_LENGTH = 500;
+
+// Helper function to validate Date arguments
+const validateDate = (value, argName) => {
+  if (!(value instanceof Date) || isNaN(value.getTime())) {
+    throw new TypeError(`${argName} must be a valid Date object.`);
+  }
+};
+
+// Helper function to validate IANA time zone arguments
+const validateTimeZone = (value, argName) => {
+  if (!isValidTimeZone(value)) {
+    throw new TypeError(`${argName} must be a valid IANA time zone (e.g., 'Europe/Berlin').`);
+  }
+};
+
+// Helper function to validate boolean arguments
+const validateBoolean = (value, argName) => {
+  if (typeof value !== 'boolean') {
+    throw new TypeError(`${argName} must be a boolean.`);
+  }
+};
+
+// All-day reminders are stored at the start of their day in the reminder's time zone
+const normalizeReminderDate = (date, allDay, timeZone) => (allDay ? startOfDayInTimeZone(date, timeZone) : date);
+
 /**
- * Adds a new reminder document to the Firestore database for a specific user.
+ * Validates a cost. Costs are non-negative amounts in major units; null clears them.
+ * @param {number | null} cost - The cost.
+ * @param {string} argName - Name of the argument, for error messages.
+ * @returns {number | null}
+ */
+const serializeCost = (cost, argName) => {
+  if (cost !== null && (typeof cost !== 'number' || !Number.isFinite(cost) || cost < 0)) {
+    throw new TypeError(`${argName} must be a non-negative number or null.`);
+  }
+  return cost;
+};
+
+/**
+ * Validates a currency code; null means the user's budget currency.
+ * @param {string | null} currency - The ISO 4217 code.
+ * @param {string} argName - Name of the argument, for error messages.
+ * @returns {string | null}
+ */
+const serializeCurrency = (currency, argName) => {
+  if (currency !== null && !isValidCurrency(currency)) {
+    throw new TypeError(`${argName} must be an ISO 4217 currency code (e.g., 'USD') or null.`);
+  }
+  return currency;
+};
+
+// Helper function to validate the reminder text: non-empty and at most MAX_REMINDER_TEXT_LENGTH characters
+const validateReminderText = (value, argName) => {
+  validateNonEmptyString(value, argName);
+  if (value.length > MAX_REMINDER_TEXT_LENGTH) {
+    throw new TypeError(`${argName} must be at most ${MAX_REMINDER_TEXT_LENGTH} characters.`);
+  }
+};
+
+/**
+ * Validates notes; blank notes are stored as null.
+ * @param {string | null} notes - The notes.
+ * @param {string} argName - Name of the argument, for error messages.
+ * @returns {string | null} The trimmed notes, or null.
+ */
+const serializeNotes = (notes, argName) => {
+  if (notes !== null && typeof notes !== 'string') {
+    throw new TypeError(`${argName} must be a string or null.`);
+  }
+  const trimmed = notes?.trim() || null;
+  if (trimmed && trimmed.length > MAX_REMINDER_NOTES_LENGTH) {
+    throw new TypeError(`${argName} must be at most ${MAX_REMINDER_NOTES_LENGTH} characters.`);
+  }
+  return trimmed;
+};
+
+/**
+ * Validates a recipient ID; null means the reminder is not for anyone in particular.
+ * @param {string | null} recipientId - The recipient ID to check.
+ * @param {string} argName - Used in the error message.
+ * @returns {string | null}
+ */
+const serializeRecipientId = (recipientId, argName) => {
+  if (recipientId !== null) {
+    validateNonEmptyString(recipientId, argName);
+  }
+  return recipientId;
+};
+
+/**
+ * Validates a list of tag IDs and returns it without duplicates.
+ * @param {Array<string>} tags - The tag IDs.
+ * @param {string} argName - Name of the argument, for error messages.
+ * @returns {Array<string>}
+ */
+const serializeTags = (tags, argName) => {
+  if (!Array.isArray(tags)) {
+    throw new TypeError(`${argName} must be an array of tag IDs.`);
+  }
+  tags.forEach((tag) => validateNonEmptyString(tag, `${argName}[]`));
+  const uniqueTags = [...new Set(tags)];
+  if (uniqueTags.length > MAX_TAGS_PER_REMINDER) {
+    throw new TypeError(`A reminder can have at most ${MAX_TAGS_PER_REMINDER} tags.`);
+  }
+  return uniqueTags;
+};
+
+/**
+ * Validates a recurrence rule and returns its normalized storage representation.
+ * Returns null for non-recurring reminders.
+ * @param {RecurrenceRule | null | undefined} rule - The rule to serialize.
+ * @returns {RecurrenceRule | null}
+ * @throws {TypeError} If the rule is malformed.
+ */
+const serializeRecurrence = (rule) => normalizeRecurrenceRule(rule);
+
+/**
+ * Validates `getReminders`/`subscribeToReminders` options and converts them to a repository query.
+ * @param {ReminderQueryOptions} options - The options to validate.
+ * @returns {ReminderQuery}
+ * @throws {TypeError} If any option is invalid.
+ */
+const toRepositoryQuery = ({ from, to, limit, cursor, tags, status, recipientId, direction = 'asc', trashed = false } = {}) => {
+  if (!['asc', 'desc'].includes(direction)) {
+    throw new TypeError("options.direction must be 'asc' or 'desc'.");
+  }
+  if (typeof trashed !== 'boolean') {
+    throw new TypeError('options.trashed must be a boolean.');
+  }
+  const query = { direction, deleted: trashed };
+  if (from !== undefined) {
+    validateDate(from, 'options.from');
+    query.from = from;
+  }
+  if (to !== undefined) {
+    validateDate(to, 'options.to');
+    query.to = to;
+  }
+  if (limit !== undefined) {
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new TypeError('options.limit must be a positive integer.');
+    }
+    query.limit = limit;
+  }
+  if (cursor != null) {
+    validateNonEmptyString(cursor, 'options.cursor');
+    query.cursor = cursor;
+  }
+  if (tags !== undefined) {
+    if (!Array.isArray(tags) || tags.length === 0 || tags.length > MAX_FILTER_VALUES) {
+      throw new TypeError(`options.tags must be an array of 1 to ${MAX_FILTER_VALUES} tags.`);
+    }
+    tags.forEach((tag) => validateNonEmptyString(tag, 'options.tags[]'));
+    query.tags = tags;
+  }
+  if (status !== undefined) {
+    const statuses = Array.isArray(status) ? status : [status];
+    if (statuses.length === 0 || statuses.length > MAX_FILTER_VALUES) {
+      throw new TypeError(`options.status must be a status or an array of 1 to ${MAX_FILTER_VALUES} statuses.`);
+    }
+    statuses.forEach((value) => {
+      if (!REMINDER_STATUSES.includes(value)) {
+        throw new TypeError(`options.status must be one of ${REMINDER_STATUSES.join(', ')}.`);
+      }
+    });
+    query.status = statuses;
+  }
+  if (recipientId !== undefined) {
+    validateNonEmptyString(recipientId, 'options.recipientId');
+    query.recipientId = recipientId;
+  }
+  return query;
+};
+
+// Picks the public Reminder fields from a record in the current schema
+const toReminder = (upgraded) => ({
+  id: upgraded.id,
+  text: upgraded.text,
+  date: upgraded.date,
+  allDay: upgraded.allDay,
+  timeZone: upgraded.timeZone,
+  recurrence: upgraded.recurrence,
+  exceptions: upgraded.exceptions,
+  seriesId: upgraded.seriesId,
+  version: upgraded.version,
+  createdAt: upgraded.createdAt,
+  updatedAt: upgraded.updatedAt,
+  deletedAt: upgraded.deletedAt,
+  status: upgraded.status,
+  completedAt: upgraded.completedAt,
+  completionNote: upgraded.completionNote,
+  completions: upgraded.completions,
+  tags: upgraded.tags,
+  estimatedCost: upgraded.estimatedCost,
+  actualCost: upgraded.actualCost,
+  currency: upgraded.currency,
+  ideaId: upgraded.ideaId,
+  recipientId: upgraded.recipientId,
+  recipientKeyDate: upgraded.recipientKeyDate,
+  notes: upgraded.notes,
+  alarms: upgraded.alarms,
+});
+
+/**
+ * Maps a stored reminder record to a Reminder, or null if it cannot be read.
+ * Records from older schema versions are upgraded in memory first (see `reminderSchema.js`).
+ * @param {ReminderRecord | null} record - The record from the repository.
+ * @returns {Reminder | null}
+ */
+const mapReminderRecord = (record) => {
+  const upgraded = record ? upgradeReminderRecord(record).record : null;
+  return upgraded ? toReminder(upgraded) : null;
+};
+
+/**
+ * Returns the fields a write must also set to bring a stored record up to the current schema,
+ * so partially updated legacy documents never end up half-migrated.
+ * @param {ReminderRecord} record - The stored record.
+ * @returns {object} The upgrade changes (empty if the record is current or unrepairable).
+ */
+const upgradeChangesFor = (record) => upgradeReminderRecord(record).changes;
+
+/**
+ * Applies the conflict policy for a write based on `expectedVersion`.
+ *
+ * - Same version as the edit was based on: no conflict.
+ * - Different version: the more recent edit wins (last-writer-wins on `updatedAt`, the client
+ *   time of the edit rather than the time it reached the server). If the stored reminder was
+ *   edited after `editedAt`, a ReminderConflictError is thrown; otherwise the write proceeds.
+ * - Deleted reminder: always a conflict.
+ *
+ * @param {ReminderRecord | null} currentRecord - The stored record.
+ * @param {string} reminderId - The reminder being written.
+ * @param {number | undefined} expectedVersion - The version the edit was based on; undefined skips the check.
+ * @param {Date} editedAt - When the local edit was made.
+ * @returns {Reminder} The current reminder.
+ * @throws {ReminderConflictError} If the write loses under the policy.
+ */
+const checkForConflict = (currentRecord, reminderId, expectedVersion, editedAt) => {
+  const current = mapReminderRecord(currentRecord);
+  if (!current) {
+    throw new ReminderConflictError(`Reminder ${reminderId} no longer exists. It may have been deleted on another device.`, null);
+  }
+  if (expectedVersion === undefined || current.version === expectedVersion) {
+    return current;
+  }
+  if (current.updatedAt && current.updatedAt > editedAt) {
+    throw new ReminderConflictError(
+      `Reminder ${reminderId} was changed on another device after this edit was made.`,
+      current
+    );
+  }
+  return current;
+};
+
+/**
+ * Maps repository records to Reminder objects, skipping (and logging) documents that cannot be
+ * repaired. `migrateReminders` (see `reminderMigration.js`) reports them to the user.
+ * @param {Array<ReminderRecord>} records - The records to map.
+ * @param {string} userId - Used for logging only.
+ * @returns {Array<Reminder>}
+ */
+const mapReminderRecords = (records, userId) => {
+  const reminders = [];
+  records.forEach((record) => {
+    const { record: upgraded, errors } = upgradeReminderRecord(record);
+    if (upgraded) {
+      reminders.push(toReminder(upgraded));
+    } else {
+      // Log a warning if a document has unexpected structure
+      console.warn(`Reminder document ${record.id} for user ${userId} cannot be read: ${errors.join('; ')}.`);
+    }
+  });
+  return reminders;
+};
+
+/**
+ * Validates the details of a new reminder and builds its document (the rules of `addReminder`).
+ * @param {object} reminderData - The reminder details, as for `addReminder`.
+ * @param {Date} createdAt - The creation time.
+ * @returns {object} The document to store.
+ * @throws {TypeError} If `reminderData` or its properties are invalid.
+ */
+const buildReminderDocument = (reminderData, createdAt) => {
+  if (!reminderData || typeof reminderData !== 'object') {
+    throw new TypeError('reminderData must be an object.');
+  }
+  validateReminderText(reminderData.text, 'reminderData.text');
+  validateDate(reminderData.date, 'reminderData.date');
+  const allDay = reminderData.allDay ?? false;
+  const timeZone = reminderData.timeZone ?? getDeviceTimeZone();
+  validateBoolean(allDay, 'reminderData.allDay');
+  validateTimeZone(timeZone, 'reminderData.timeZone');
+
+  if (reminderData.seriesId != null) {
+    validateNonEmptyString(reminderData.seriesId, 'reminderData.seriesId');
+  }
+  if (reminderData.ideaId != null) {
+    validateNonEmptyString(reminderData.ideaId, 'reminderData.ideaId');
+  }
+  const recipientId = serializeRecipientId(reminderData.recipientId ?? null, 'reminderData.recipientId');
+  const recipientKeyDate = reminderData.recipientKeyDate ?? null;
+  if (recipientKeyDate !== null && (!recipientId || !RECIPIENT_KEY_DATES.includes(recipientKeyDate))) {
+    throw new TypeError(
+      `reminderData.recipientKeyDate must be one of ${RECIPIENT_KEY_DATES.join(', ')} (with a recipientId) or null.`
+    );
+  }
+
+  // Dates are stored as JS Dates; the Firestore adapter converts them to Timestamps.
+  // userId is not stored in the document itself since the path provides scoping.
+  return createReminderDocument(
+    {
+      text: reminderData.text,
+      date: normalizeReminderDate(reminderData.date, allDay, timeZone),
+      allDay,
+      timeZone,
+      recurrence: serializeRecurrence(reminderData.recurrence),
+      tags: serializeTags(reminderData.tags ?? [], 'reminderData.tags'),
+      estimatedCost: serializeCost(reminderData.estimatedCost ?? null, 'reminderData.estimatedCost'),
+      actualCost: serializeCost(reminderData.actualCost ?? null, 'reminderData.actualCost'),
+      currency: serializeCurrency(reminderData.currency ?? null, 'reminderData.currency'),
+      seriesId: reminderData.seriesId ?? null,
+      ideaId: reminderData.ideaId ?? null,
+      recipientId,
+      recipientKeyDate,
+      notes: serializeNotes(reminderData.notes ?? null, 'reminderData.notes'),
+      alarms: normalizeAlarms(reminderData.alarms ?? [], 'reminderData.alarms'),
+    },
+    createdAt
+  );
+};
+
+/**
+ * Adds a new reminder for a specific user in the configured storage backend.
  *
  * @param {string} userId - The ID of the user for whom to add the reminder. Must be a non-empty string.
- * @param {{ text: string, date: Date }} reminderData - An object containing the reminder details.
- *   - `text`: The reminder content (must be a non-empty string).
+ * @param {{ text: string, date: Date, allDay?: boolean, timeZone?: string, recurrence?: RecurrenceRule | null, tags?: Array<string>, estimatedCost?: number | null, actualCost?: number | null, currency?: string | null, seriesId?: string, ideaId?: string | null, recipientId?: string | null, recipientKeyDate?: string | null, notes?: string | null, alarms?: Array<number> }} reminderData - An object containing the reminder details.
+ *   - `text`: The reminder content (a non-empty string of at most `MAX_REMINDER_TEXT_LENGTH` characters).
  *   - `date`: The target date/time for the reminder (must be a valid JavaScript Date object).
- * @returns {Promise<FirestoreDocumentReference>} A promise that resolves with the DocumentReference of the newly created reminder.
+ *     For recurring reminders this is the first occurrence.
+ *   - `allDay`: Optional, default false. All-day dates are moved to the start of their day in `timeZone`.
+ *   - `timeZone`: Optional IANA time zone the date was entered in (defaults to the device's zone).
+ *   - `recurrence`: Optional recurrence rule (see `utils/recurrence.js`).
+ *   - `tags`: Optional tag IDs (at most `MAX_TAGS_PER_REMINDER`).
+ *   - `estimatedCost`, `actualCost`: Optional non-negative costs; `currency`: their ISO 4217 code.
+ *   - `seriesId`: Optional ID of the series this reminder was split from.
+ *   - `ideaId`: Optional ID of the gift idea the reminder is scheduled from.
+ *   - `recipientId`: Optional ID of the person the reminder is for.
+ *   - `recipientKeyDate`: Optional key date of that recipient the reminder is generated from (one of
+ *     `RECIPIENT_KEY_DATES`; requires `recipientId`).
+ *   - `notes`: Optional free-form details (at most `MAX_REMINDER_NOTES_LENGTH` characters).
+ *   - `alarms`: Optional lead times in minutes before each occurrence (at most `MAX_ALARMS_PER_REMINDER`,
+ *     see `utils/alarms.js`).
+ * @param {{ id?: string, updatedAt?: Date }} [options] - Optional write options.
+ *   - `id`: Client-generated ID (see `repositoryUtils.generateId`); makes retries idempotent.
+ *   - `updatedAt`: When the reminder was created, if earlier than now (e.g., queued offline).
+ * @returns {Promise<{ id: string }>} A promise that resolves with the ID of the newly created reminder.
  * @throws {TypeError} If `userId` is not a non-empty string, or if `reminderData` or its properties (`text`, `date`) are invalid.
- * @throws {FirestoreError} Propagates Firestore errors during the add operation.
+ * @throws {Error} Propagates storage errors during the add operation.
  */
-export const addReminder = async (userId, reminderData) => {
+export const addReminder = async (userId, reminderData, { id, updatedAt = new Date() } = {}) => {
   try {
     validateNonEmptyString(userId, 'userId');
+    const reminderPayload = buildReminderDocument(reminderData, updatedAt);
 
-    if (!reminderData || typeof reminderData !== 'object') {
-      throw new TypeError('reminderData must be an object.');
+    return await getReminderRepository().create(userId, reminderPayload, { id });
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in addReminder:", error.message);
     }
-    validateNonEmptyString(reminderData.text, 'reminderData.text');
-    if (!(reminderData.date instanceof Date) || isNaN(reminderData.date.getTime())) {
-      throw new TypeError('reminderData.date must be a valid Date object.');
+    // Rethrow to allow upstream handling (e.g., in UI)
+    throw error;
+  }
+};
+
+/**
+ * Checks new reminder details against the rules of `addReminder` without saving anything,
+ * e.g. to validate rows before a bulk import.
+ *
+ * @param {object} reminderData - The reminder details, as for `addReminder`.
+ * @returns {string | null} Why the reminder would be rejected, or null if it is valid.
+ */
+export const validateReminderData = (reminderData) => {
+  try {
+    buildReminderDocument(reminderData, new Date());
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+/**
+ * Adds many reminders at once (e.g., from a CSV import), with batched writes.
+ * Each reminder is validated like in `addReminder`; invalid ones are reported and skipped
+ * rather than failing the import. A failed batch stops the import with the error; the
+ * reminders of earlier batches stay imported.
+ *
+ * @param {string} userId - The ID of the user. Must be a non-empty string.
+ * @param {Array<object>} reminders - The reminder details, each as for `addReminder`.
+ * @param {{ updatedAt?: Date, onProgress?: (written: number, total: number) => void }} [options] - Import options.
+ *   - `updatedAt`: The creation time of the reminders (defaults to now).
+ *   - `onProgress`: Called after every committed batch with the number of reminders written so far.
+ * @returns {Promise<{ ids: Array<string>, failed: Array<{ index: number, message: string }> }>} The IDs of
+ *   the new reminders, and the positions in `reminders` that were rejected with the reason.
+ * @throws {TypeError} If `userId` is not a non-empty string or `reminders` is not an array.
+ * @throws {Error} Propagates storage errors.
+ */
+export const importReminders = async (userId, reminders, { updatedAt = new Date(), onProgress } = {}) => {
+  try {
+    validateNonEmptyString(userId, 'userId');
+    if (!Array.isArray(reminders)) {
+      throw new TypeError('reminders must be an array.');
     }
 
-    // Convert JavaScript Date to Firestore Timestamp
-    const reminderPayload = {
-      text: reminderData.text,
-      date: Timestamp.fromDate(reminderData.date),
-      // Avoid storing userId in the document itself if path provides scoping
-      // Add createdAt timestamp if needed: createdAt: Timestamp.now()
-    };
+    const operations = [];
+    const failed = [];
+    reminders.forEach((reminderData, index) => {
+      try {
+        operations.push({ type: 'create', data: buildReminderDocument(reminderData, updatedAt) });
+      } catch (error) {
+        failed.push({ index, message: error.message });
+      }
+    });
 
-    const remindersColRef = collection(db, 'users', userId, 'reminders');
-    const docRef = await addDoc(remindersColRef, reminderPayload);
-    return docRef;
+    const repository = getReminderRepository();
+    const ids = [];
+    for (let index = 0; index < operations.length; index += MAX_BATCH_SIZE) {
+      ids.push(...(await repository.commit(userId, operations.slice(index, index + MAX_BATCH_SIZE))));
+      onProgress?.(ids.length, operations.length);
+    }
+    return { ids, failed };
   } catch (error) {
     // Log validation errors specifically, but let others propagate
     if (error instanceof TypeError) {
-      console.error("Validation Error in addReminder:", error.message);
+      console.error("Validation Error in importReminders:", error.message);
     }
-    // Rethrow to allow upstream handling (e.g., in UI)
+    // Rethrow to allow upstream handling
     throw error;
   }
 };
 
 /**
- * Retrieves all reminders for a specific user from Firestore, ordered by date ascending.
+ * Retrieves a user's reminders, optionally filtered by date range, tags and status, one page at a time.
+ * Pages are ordered by date (ascending unless `direction` is 'desc') and continue from `cursor`.
+ *
+ * Date ranges apply to a reminder's whole series: `from` keeps reminders that still have an
+ * occurrence on or after it, `to` keeps reminders that finished before it. Use
+ * `getReminderOccurrences` to expand series into individual dates. For example, the dashboard
+ * loads `{ from: startOfToday }` for upcoming reminders and pages through
+ * `{ to: startOfToday, direction: 'desc', limit: 20, cursor }` for past ones.
  *
  * @param {string} userId - The ID of the user whose reminders to fetch. Must be a non-empty string.
- * @returns {Promise<Array<Reminder>>} A promise that resolves with an array of reminder objects.
- *   Each object includes `id`, `text`, and `date` (as a JavaScript Date). Returns an empty array if no reminders are found.
- * @throws {TypeError} If `userId` is not a non-empty string.
- * @throws {FirestoreError} Propagates Firestore errors during the query execution.
+ * @param {ReminderQueryOptions} [options] - Filters and pagination. Without options every reminder is returned.
+ * @returns {Promise<ReminderPage>} A promise that resolves with the page of reminder objects and the next cursor.
+ *   Each reminder includes `id`, `text`, `date` (as a JavaScript Date), `recurrence`, `exceptions` and `seriesId`.
+ * @throws {TypeError} If `userId` is not a non-empty string or an option is invalid.
+ * @throws {Error} Propagates storage errors during the query execution (e.g., a missing Firestore index).
  */
-export const getReminders = async (userId) => {
+export const getReminders = async (userId, options = {}) => {
   try {
     validateNonEmptyString(userId, 'userId');
+    const query = toRepositoryQuery(options);
 
-    const remindersColRef = collection(db, 'users', userId, 'reminders');
-    const q = query(remindersColRef, orderBy('date', 'asc')); // Order by date ascending
+    const { records, nextCursor } = await getReminderRepository().query(userId, query);
+    return { reminders: mapReminderRecords(records, userId), nextCursor };
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in getReminders:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
 
-    const querySnapshot = await getDocs(q);
+/**
+ * Subscribes to real-time updates of a user's reminders, ordered by date ascending by default.
+ * The callback fires once with the current data and again whenever any reminder changes,
+ * including changes made from another device or tab and local (not yet acknowledged) writes.
+ * Built on Firestore snapshot listeners, or on the local adapters' change notifications in local mode.
+ *
+ * @param {string} userId - The ID of the user whose reminders to watch. Must be a non-empty string.
+ * @param {Omit<ReminderQueryOptions, 'cursor'> & { onError?: (error: FirestoreError) => void }} options - Subscription options.
+ *   - `onError`: Called if the listener fails (e.g., permission denied). The listener stops after an error.
+ *   - `from`, `to`, `tags`, `status`, `recipientId`, `limit`, `direction`: Restrict the watched reminders, as for `getReminders`.
+ * @param {(reminders: Array<Reminder>, metadata: { fromCache: boolean, hasPendingWrites: boolean }) => void} callback -
+ *   Receives the mapped list of matching reminders and the snapshot metadata on every change.
+ * @returns {() => void} A function that stops the listener.
+ * @throws {TypeError} If `userId` is not a non-empty string, an option is invalid or `callback` is not a function.
+ */
+export const subscribeToReminders = (userId, options, callback) => {
+  try {
+    validateNonEmptyString(userId, 'userId');
+    if (typeof callback !== 'function') {
+      throw new TypeError('callback must be a function.');
+    }
+    const { onError, ...queryOptions } = options || {};
+    const query = toRepositoryQuery({ ...queryOptions, cursor: null }); // Listeners always start at the top
 
-    const reminders = [];
-    querySnapshot.forEach((docSnap) => {
-      const data = docSnap.data();
-      // Validate data structure slightly - ensure date exists and is a Timestamp
-      if (data.text && data.date && data.date instanceof Timestamp) {
-        reminders.push({
-          id: docSnap.id,
-          text: data.text,
-          date: data.date.toDate(), // Convert Firestore Timestamp back to JS Date
-        });
-      } else {
-        // Log a warning if a document has unexpected structure
-        console.warn(`Reminder document ${docSnap.id} for user ${userId} has invalid structure or missing fields.`);
+    return getReminderRepository().subscribe(
+      userId,
+      query,
+      (records, metadata) => {
+        callback(mapReminderRecords(records, userId), metadata);
+      },
+      (error) => {
+        console.error(`Reminder subscription for user ${userId} failed:`, error);
+        if (typeof onError === 'function') {
+          onError(error);
+        }
       }
-    });
-
-    return reminders;
+    );
   } catch (error) {
     // Log validation errors specifically, but let others propagate
     if (error instanceof TypeError) {
-      console.error("Validation Error in getReminders:", error.message);
+      console.error("Validation Error in subscribeToReminders:", error.message);
     }
     // Rethrow to allow upstream handling
     throw error;
@@ -126,20 +674,35 @@ export const getReminders = async (userId) => {
 };
 
 /**
- * Updates an existing reminder document in Firestore for a specific user.
+ * Updates an existing reminder for a specific user.
  * Only the fields provided in `updatedData` will be updated.
  *
  * @param {string} userId - The ID of the user who owns the reminder. Must be a non-empty string.
  * @param {string} reminderId - The ID of the reminder document to update. Must be a non-empty string.
- * @param {{ text?: string, date?: Date }} updatedData - An object containing the fields to update.
- *   Must contain at least one valid key (`text` or `date`).
- *   - `text`: Optional new reminder content (if provided, must be a non-empty string).
+ * @param {{ text?: string, date?: Date, allDay?: boolean, timeZone?: string, recurrence?: RecurrenceRule | null, tags?: Array<string>, estimatedCost?: number | null, actualCost?: number | null, currency?: string | null, recipientId?: string | null, notes?: string | null, alarms?: Array<number> }} updatedData - An object containing the fields to update.
+ *   Must contain at least one valid key (`text`, `date`, `allDay`, `timeZone`, `recurrence`, `tags`, `estimatedCost`,
+ *   `actualCost`, `currency`, `recipientId`, `notes` or `alarms`).
+ *   - `text`: Optional new reminder content (if provided, a non-empty string of at most `MAX_REMINDER_TEXT_LENGTH` characters).
  *   - `date`: Optional new target date/time (if provided, must be a valid JavaScript Date object).
+ *   - `allDay`: Optional new all-day flag.
+ *   - `timeZone`: Optional new IANA time zone. The stored instant is kept, so pass `date` as well
+ *     when the wall-clock time should stay the same.
+ *   - `recurrence`: Optional new recurrence rule, or null to make the reminder one-off.
+ *   - `tags`: Optional new list of tag IDs (replaces the current tags).
+ *   - `estimatedCost`, `actualCost`, `currency`: Optional new cost details, or null to clear them.
+ *   - `recipientId`: Optional new recipient, or null for none. Moving a reminder generated from a key date
+ *     to another recipient makes it a regular reminder (`recipientKeyDate` is cleared).
+ *   - `notes`: Optional new notes, or null to clear them.
+ *   - `alarms`: Optional new lead times (replaces the current alarms; an empty array removes them).
+ * @param {{ expectedVersion?: number, updatedAt?: Date }} [options] - Concurrency options.
+ *   - `expectedVersion`: The `version` the edit was based on. Enables the conflict policy (see `checkForConflict`).
+ *   - `updatedAt`: When the edit was made (defaults to now); later edits win conflicts.
  * @returns {Promise<void>} A promise that resolves when the update is complete.
  * @throws {TypeError} If `userId`, `reminderId`, or `updatedData` are invalid, or if `updatedData` is empty or contains invalid property values.
- * @throws {FirestoreError} Propagates Firestore errors (e.g., document not found, permission denied).
+ * @throws {ReminderConflictError} If the reminder was deleted, or changed more recently elsewhere.
+ * @throws {Error} Propagates storage errors (e.g., permission denied, or 'unavailable' while offline with Firestore).
  */
-export const updateReminder = async (userId, reminderId, updatedData) => {
+export const updateReminder = async (userId, reminderId, updatedData, { expectedVersion, updatedAt = new Date() } = {}) => {
   try {
     validateNonEmptyString(userId, 'userId');
     validateNonEmptyString(reminderId, 'reminderId');
@@ -152,9 +715,7 @@ export const updateReminder = async (userId, reminderId, updatedData) => {
 
     // Validate and prepare 'text' field if present
     if (updatedData.hasOwnProperty('text')) {
-      if (typeof updatedData.text !== 'string' || updatedData.text.trim() === '') {
-        throw new TypeError('updatedData.text, if provided, must be a non-empty string.');
-      }
+      validateReminderText(updatedData.text, 'updatedData.text');
       dataToUpdate.text = updatedData.text;
     }
 
@@ -163,18 +724,81 @@ export const updateReminder = async (userId, reminderId, updatedData) => {
       if (!(updatedData.date instanceof Date) || isNaN(updatedData.date.getTime())) {
         throw new TypeError('updatedData.date, if provided, must be a valid Date object.');
       }
-      // Convert valid JS Date to Firestore Timestamp for update
-      dataToUpdate.date = Timestamp.fromDate(updatedData.date);
+      dataToUpdate.date = updatedData.date;
+    }
+
+    // Validate and prepare 'allDay' and 'timeZone' fields if present
+    if (updatedData.hasOwnProperty('allDay')) {
+      validateBoolean(updatedData.allDay, 'updatedData.allDay');
+      dataToUpdate.allDay = updatedData.allDay;
+    }
+    if (updatedData.hasOwnProperty('timeZone')) {
+      validateTimeZone(updatedData.timeZone, 'updatedData.timeZone');
+      dataToUpdate.timeZone = updatedData.timeZone;
+    }
+
+    // Validate and prepare 'recurrence' field if present (null clears it)
+    if (updatedData.hasOwnProperty('recurrence')) {
+      dataToUpdate.recurrence = serializeRecurrence(updatedData.recurrence);
+    }
+
+    // Validate and prepare 'tags' field if present
+    if (updatedData.hasOwnProperty('tags')) {
+      dataToUpdate.tags = serializeTags(updatedData.tags, 'updatedData.tags');
+    }
+
+    // Validate and prepare cost fields if present (null clears them)
+    ['estimatedCost', 'actualCost'].forEach((field) => {
+      if (updatedData.hasOwnProperty(field)) {
+        dataToUpdate[field] = serializeCost(updatedData[field], `updatedData.${field}`);
+      }
+    });
+    if (updatedData.hasOwnProperty('currency')) {
+      dataToUpdate.currency = serializeCurrency(updatedData.currency, 'updatedData.currency');
+    }
+
+    // Validate and prepare 'recipientId' field if present (null clears it)
+    if (updatedData.hasOwnProperty('recipientId')) {
+      dataToUpdate.recipientId = serializeRecipientId(updatedData.recipientId, 'updatedData.recipientId');
+    }
+
+    // Validate and prepare 'notes' field if present (null clears it)
+    if (updatedData.hasOwnProperty('notes')) {
+      dataToUpdate.notes = serializeNotes(updatedData.notes, 'updatedData.notes');
+    }
+
+    // Validate and prepare 'alarms' field if present
+    if (updatedData.hasOwnProperty('alarms')) {
+      dataToUpdate.alarms = normalizeAlarms(updatedData.alarms, 'updatedData.alarms');
     }
 
     // Check if, after validation, there's actually anything to update
     if (Object.keys(dataToUpdate).length === 0) {
-        throw new TypeError('updatedData object did not contain any valid fields to update (text or date).');
+        throw new TypeError('updatedData object did not contain any valid fields to update (text, date, allDay, timeZone, recurrence, tags, costs, recipientId, notes or alarms).');
     }
 
 
-    const reminderDocRef = doc(db, 'users', userId, 'reminders', reminderId);
-    await updateDoc(reminderDocRef, dataToUpdate);
+    // Read-check-write atomically so the version only ever moves forward
+    await getReminderRepository().transact(userId, reminderId, (currentRecord) => {
+      const current = checkForConflict(currentRecord, reminderId, expectedVersion, updatedAt);
+      const allDay = dataToUpdate.allDay ?? current.allDay;
+      const timeZone = dataToUpdate.timeZone ?? current.timeZone;
+      const date = normalizeReminderDate(dataToUpdate.date ?? current.date, allDay, timeZone);
+      const endDate = computeEndDate(
+        date,
+        dataToUpdate.hasOwnProperty('recurrence') ? dataToUpdate.recurrence : current.recurrence,
+        timeZone
+      );
+      const changes = { ...upgradeChangesFor(currentRecord), ...dataToUpdate, endDate, version: current.version + 1, updatedAt };
+      if (dataToUpdate.hasOwnProperty('recipientId') && dataToUpdate.recipientId !== current.recipientId) {
+        changes.recipientKeyDate = null;
+      }
+      // Switching to all-day (or to another zone) can move the stored start of the day
+      if (dataToUpdate.date || date.getTime() !== current.date.getTime()) {
+        changes.date = date;
+      }
+      return { type: 'update', changes };
+    });
 
   } catch (error) {
     // Log validation errors specifically, but let others propagate
@@ -187,21 +811,38 @@ export const updateReminder = async (userId, reminderId, updatedData) => {
 };
 
 /**
- * Deletes a specific reminder document from Firestore for a given user.
+ * Moves a reminder to the trash by setting its `deletedAt` timestamp. Trashed reminders are
+ * excluded from `getReminders`/`subscribeToReminders` (unless `trashed: true` is passed) and can
+ * be brought back with `restoreReminder` until they are purged.
  *
  * @param {string} userId - The ID of the user who owns the reminder. Must be a non-empty string.
- * @param {string} reminderId - The ID of the reminder document to delete. Must be a non-empty string.
- * @returns {Promise<void>} A promise that resolves when the deletion is complete.
+ * @param {string} reminderId - The ID of the reminder document to trash. Must be a non-empty string.
+ * @param {{ expectedVersion?: number, deletedAt?: Date }} [options] - Concurrency options.
+ *   - `expectedVersion`: The `version` the user saw when deleting. If the reminder has since been
+ *     edited elsewhere after `deletedAt`, the delete is rejected so that edit is not lost.
+ *   - `deletedAt`: When the delete was requested (defaults to now).
+ * @returns {Promise<void>} A promise that resolves when the reminder is in the trash. Deleting a reminder
+ *   that no longer exists or is already trashed is a no-op.
  * @throws {TypeError} If `userId` or `reminderId` are not non-empty strings.
- * @throws {FirestoreError} Propagates Firestore errors during the delete operation.
+ * @throws {ReminderConflictError} If the reminder was changed more recently elsewhere.
+ * @throws {Error} Propagates storage errors during the update.
  */
-export const deleteReminder = async (userId, reminderId) => {
+export const deleteReminder = async (userId, reminderId, { expectedVersion, deletedAt = new Date() } = {}) => {
   try {
     validateNonEmptyString(userId, 'userId');
     validateNonEmptyString(reminderId, 'reminderId');
+    validateDate(deletedAt, 'deletedAt');
 
-    const reminderDocRef = doc(db, 'users', userId, 'reminders', reminderId);
-    await deleteDoc(reminderDocRef);
+    await getReminderRepository().transact(userId, reminderId, (currentRecord) => {
+      if (!currentRecord || currentRecord.deletedAt instanceof Date) {
+        return { type: 'none' }; // Already deleted elsewhere
+      }
+      const current = checkForConflict(currentRecord, reminderId, expectedVersion, deletedAt);
+      return {
+        type: 'update',
+        changes: { ...upgradeChangesFor(currentRecord), deletedAt, version: current.version + 1, updatedAt: deletedAt },
+      };
+    });
 
   } catch (error) {
     // Log validation errors specifically, but let others propagate
@@ -211,4 +852,657 @@ export const deleteReminder = async (userId, reminderId) => {
     // Rethrow to allow upstream handling
     throw error;
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Restores a reminder from the trash.
+ *
+ * @param {string} userId - The ID of the user who owns the reminder. Must be a non-empty string.
+ * @param {string} reminderId - The ID of the trashed reminder. Must be a non-empty string.
+ * @param {{ updatedAt?: Date }} [options] - `updatedAt`: When the restore was requested (defaults to now).
+ * @returns {Promise<void>} A promise that resolves when the reminder is active again. Restoring a
+ *   reminder that is not in the trash is a no-op.
+ * @throws {TypeError} If `userId` or `reminderId` are not non-empty strings.
+ * @throws {ReminderConflictError} If the reminder has already been purged.
+ * @throws {Error} Propagates storage errors during the update.
+ */
+export const restoreReminder = async (userId, reminderId, { updatedAt = new Date() } = {}) => {
+  try {
+    validateNonEmptyString(userId, 'userId');
+    validateNonEmptyString(reminderId, 'reminderId');
+
+    await getReminderRepository().transact(userId, reminderId, (currentRecord) => {
+      const current = checkForConflict(currentRecord, reminderId, undefined, updatedAt);
+      if (!current.deletedAt) {
+        return { type: 'none' };
+      }
+      return {
+        type: 'update',
+        changes: { ...upgradeChangesFor(currentRecord), deletedAt: null, version: current.version + 1, updatedAt },
+      };
+    });
+
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in restoreReminder:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
+
+/**
+ * Permanently deletes a reminder from the trash. This cannot be undone.
+ *
+ * @param {string} userId - The ID of the user who owns the reminder. Must be a non-empty string.
+ * @param {string} reminderId - The ID of the trashed reminder. Must be a non-empty string.
+ * @returns {Promise<void>} A promise that resolves when the reminder is gone. Deleting a reminder that
+ *   no longer exists is a no-op.
+ * @throws {TypeError} If `userId` or `reminderId` are not non-empty strings.
+ * @throws {Error} If the reminder is not in the trash, or on storage errors.
+ */
+export const permanentlyDeleteReminder = async (userId, reminderId) => {
+  try {
+    validateNonEmptyString(userId, 'userId');
+    validateNonEmptyString(reminderId, 'reminderId');
+
+    await getReminderRepository().transact(userId, reminderId, (currentRecord) => {
+      if (!currentRecord) {
+        return { type: 'none' };
+      }
+      if (!(currentRecord.deletedAt instanceof Date)) {
+        throw new Error(`Reminder ${reminderId} is not in the trash. Move it to the trash before deleting it permanently.`);
+      }
+      return { type: 'delete' };
+    });
+
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in permanentlyDeleteReminder:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
+
+/**
+ * Permanently deletes every reminder that has been in the trash for longer than the retention period.
+ * Deletes are committed in batches.
+ *
+ * @param {string} userId - The ID of the user whose trash to purge. Must be a non-empty string.
+ * @param {{ retentionDays?: number, now?: Date }} [options] - Purge options.
+ *   - `retentionDays`: Days a reminder stays in the trash (defaults to `VITE_TRASH_RETENTION_DAYS`).
+ *   - `now`: The reference time (defaults to now).
+ * @returns {Promise<number>} The number of reminders purged.
+ * @throws {TypeError} If `userId` or the options are invalid.
+ * @throws {Error} Propagates storage errors during the query or deletes.
+ */
+export const purgeExpiredReminders = async (userId, { retentionDays = TRASH_RETENTION_DAYS, now = new Date() } = {}) => {
+  try {
+    validateNonEmptyString(userId, 'userId');
+    validateDate(now, 'now');
+    if (typeof retentionDays !== 'number' || !(retentionDays >= 0)) {
+      throw new TypeError('retentionDays must be a non-negative number.');
+    }
+
+    const repository = getReminderRepository();
+    const cutoff = new Date(now.getTime() - retentionDays * MS_PER_DAY);
+    const { records } = await repository.query(userId, { deleted: true });
+    const expiredIds = records
+      .filter((record) => record.deletedAt instanceof Date && record.deletedAt < cutoff)
+      .map((record) => record.id);
+
+    for (let index = 0; index < expiredIds.length; index += MAX_BATCH_SIZE) {
+      const operations = expiredIds.slice(index, index + MAX_BATCH_SIZE).map((id) => ({ type: 'delete', id }));
+      await repository.commit(userId, operations);
+    }
+    return expiredIds.length;
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in purgeExpiredReminders:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
+
+/**
+ * Removes a tag from every reminder filed under it, including trashed ones. Called when the
+ * tag itself is deleted (see `tagService.deleteTag`). Writes are committed in batches.
+ *
+ * @param {string} userId - The ID of the user who owns the reminders. Must be a non-empty string.
+ * @param {string} tagId - The tag to remove. Must be a non-empty string.
+ * @param {{ updatedAt?: Date }} [options] - `updatedAt`: the edit time recorded on the reminders (defaults to now).
+ * @returns {Promise<number>} The number of reminders that were updated.
+ * @throws {TypeError} If `userId` or `tagId` are invalid.
+ * @throws {Error} Propagates storage errors during reads or writes.
+ */
+export const removeTagFromReminders = async (userId, tagId, { updatedAt = new Date() } = {}) => {
+  try {
+    validateNonEmptyString(userId, 'userId');
+    validateNonEmptyString(tagId, 'tagId');
+
+    const repository = getReminderRepository();
+    const { records } = await repository.query(userId, { tags: [tagId] });
+    const operations = records.map((record) => {
+      const upgraded = upgradeReminderRecord(record).record;
+      return {
+        type: 'update',
+        id: record.id,
+        changes: {
+          ...upgradeChangesFor(record),
+          tags: record.tags.filter((tag) => tag !== tagId),
+          version: (upgraded?.version ?? 1) + 1,
+          updatedAt,
+        },
+      };
+    });
+
+    for (let index = 0; index < operations.length; index += MAX_BATCH_SIZE) {
+      await repository.commit(userId, operations.slice(index, index + MAX_BATCH_SIZE));
+    }
+    return operations.length;
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in removeTagFromReminders:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
+
+/**
+ * Clears the link to a gift idea from every reminder scheduled from it, including trashed ones.
+ * Called when the idea itself is deleted (see `ideaService.deleteIdea`). Writes are committed in batches.
+ *
+ * @param {string} userId - The ID of the user who owns the reminders. Must be a non-empty string.
+ * @param {string} ideaId - The deleted idea. Must be a non-empty string.
+ * @param {{ updatedAt?: Date }} [options] - `updatedAt`: the edit time recorded on the reminders (defaults to now).
+ * @returns {Promise<number>} The number of reminders that were updated.
+ * @throws {TypeError} If `userId` or `ideaId` are invalid.
+ * @throws {Error} Propagates storage errors.
+ */
+export const unlinkIdeaFromReminders = async (userId, ideaId, { updatedAt = new Date() } = {}) => {
+  try {
+    validateNonEmptyString(userId, 'userId');
+    validateNonEmptyString(ideaId, 'ideaId');
+
+    // Few reminders come from ideas, so this is not worth a query index
+    const repository = getReminderRepository();
+    const records = (await repository.list(userId)).filter((record) => record.ideaId === ideaId);
+    const operations = records.map((record) => {
+      const upgraded = upgradeReminderRecord(record).record;
+      return {
+        type: 'update',
+        id: record.id,
+        changes: {
+          ...upgradeChangesFor(record),
+          ideaId: null,
+          version: (upgraded?.version ?? 1) + 1,
+          updatedAt,
+        },
+      };
+    });
+
+    for (let index = 0; index < operations.length; index += MAX_BATCH_SIZE) {
+      await repository.commit(userId, operations.slice(index, index + MAX_BATCH_SIZE));
+    }
+    return operations.length;
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in unlinkIdeaFromReminders:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
+
+/**
+ * Retrieves every reminder for a recipient, including trashed ones, ordered by date.
+ * Used to keep the reminders generated from the recipient's key dates in sync
+ * (see `recipientService.syncRecipientReminders`).
+ *
+ * @param {string} userId - The ID of the user who owns the reminders. Must be a non-empty string.
+ * @param {string} recipientId - The recipient. Must be a non-empty string.
+ * @returns {Promise<Array<Reminder>>} A promise that resolves with the reminders.
+ * @throws {TypeError} If `userId` or `recipientId` are invalid.
+ * @throws {Error} Propagates storage errors.
+ */
+export const getRecipientReminders = async (userId, recipientId) => {
+  try {
+    validateNonEmptyString(userId, 'userId');
+    validateNonEmptyString(recipientId, 'recipientId');
+
+    const { records } = await getReminderRepository().query(userId, { recipientId });
+    return mapReminderRecords(records, userId);
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in getRecipientReminders:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
+
+/**
+ * Detaches a recipient from their reminders, including trashed ones. Called when the recipient
+ * is deleted (see `recipientService.deleteRecipient`). Reminders generated from the recipient's
+ * key dates are moved to the trash (so they can still be restored); all others are kept without
+ * a recipient. Writes are committed in batches.
+ *
+ * @param {string} userId - The ID of the user who owns the reminders. Must be a non-empty string.
+ * @param {string} recipientId - The deleted recipient. Must be a non-empty string.
+ * @param {{ updatedAt?: Date }} [options] - `updatedAt`: the edit (and trash) time recorded on the reminders (defaults to now).
+ * @returns {Promise<number>} The number of reminders that were updated.
+ * @throws {TypeError} If `userId` or `recipientId` are invalid.
+ * @throws {Error} Propagates storage errors.
+ */
+export const removeRecipientFromReminders = async (userId, recipientId, { updatedAt = new Date() } = {}) => {
+  try {
+    validateNonEmptyString(userId, 'userId');
+    validateNonEmptyString(recipientId, 'recipientId');
+
+    const repository = getReminderRepository();
+    const { records } = await repository.query(userId, { recipientId });
+    const operations = records.map((record) => {
+      const upgraded = upgradeReminderRecord(record).record;
+      const isGenerated = !!upgraded?.recipientKeyDate && !(upgraded.deletedAt instanceof Date);
+      return {
+        type: 'update',
+        id: record.id,
+        changes: {
+          ...upgradeChangesFor(record),
+          recipientId: null,
+          recipientKeyDate: null,
+          ...(isGenerated ? { deletedAt: updatedAt } : {}),
+          version: (upgraded?.version ?? 1) + 1,
+          updatedAt,
+        },
+      };
+    });
+
+    for (let index = 0; index < operations.length; index += MAX_BATCH_SIZE) {
+      await repository.commit(userId, operations.slice(index, index + MAX_BATCH_SIZE));
+    }
+    return operations.length;
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in removeRecipientFromReminders:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
+
+/**
+ * Records the outcome of a reminder: marks it completed or skipped (with an optional note),
+ * or back to pending.
+ *
+ * One-off reminders store the outcome in `status`, `completedAt` and `completionNote`.
+ * For recurring reminders the outcome applies to one occurrence (`occurrenceDate`) and is kept
+ * in the series' `completions` log; setting 'pending' removes that occurrence's entry.
+ *
+ * @param {string} userId - The ID of the user who owns the reminder. Must be a non-empty string.
+ * @param {string} reminderId - The ID of the reminder. Must be a non-empty string.
+ * @param {'pending' | 'completed' | 'skipped'} status - The new status.
+ * @param {{ note?: string | null, actualCost?: number | null, occurrenceDate?: Date, expectedVersion?: number, updatedAt?: Date }} [options] - Details.
+ *   - `note`: Optional note about what happened (ignored for 'pending').
+ *   - `actualCost`: Optional amount spent (in the reminder's currency). Stored as the reminder's `actualCost`,
+ *     or on the occurrence's completion entry for recurring reminders. Left unchanged on one-off reminders if omitted.
+ *   - `occurrenceDate`: Required for recurring reminders: the occurrence the outcome is for.
+ *   - `expectedVersion`, `updatedAt`: Concurrency options, as for `updateReminder`. `updatedAt` is also the completion time.
+ * @returns {Promise<void>} A promise that resolves when the status is saved.
+ * @throws {TypeError} If arguments are invalid, or `occurrenceDate` is missing for a recurring reminder.
+ * @throws {ReminderConflictError} If the reminder was deleted, or changed more recently elsewhere.
+ * @throws {Error} Propagates storage errors during the update.
+ */
+export const setReminderStatus = async (
+  userId,
+  reminderId,
+  status,
+  { note = null, actualCost, occurrenceDate, expectedVersion, updatedAt = new Date() } = {}
+) => {
+  try {
+    validateNonEmptyString(userId, 'userId');
+    validateNonEmptyString(reminderId, 'reminderId');
+    if (!REMINDER_STATUSES.includes(status)) {
+      throw new TypeError(`status must be one of ${REMINDER_STATUSES.join(', ')}.`);
+    }
+    if (note !== null && typeof note !== 'string') {
+      throw new TypeError('note, if provided, must be a string.');
+    }
+    if (occurrenceDate !== undefined) {
+      validateDate(occurrenceDate, 'occurrenceDate');
+    }
+    const trimmedNote = status === 'pending' || !note || note.trim() === '' ? null : note.trim();
+    const cost = actualCost === undefined ? undefined : serializeCost(actualCost, 'actualCost');
+
+    await getReminderRepository().transact(userId, reminderId, (currentRecord) => {
+      const current = checkForConflict(currentRecord, reminderId, expectedVersion, updatedAt);
+      const changes = { ...upgradeChangesFor(currentRecord), version: current.version + 1, updatedAt };
+
+      if (current.recurrence) {
+        if (!occurrenceDate) {
+          throw new TypeError('occurrenceDate is required to set the status of a recurring reminder.');
+        }
+        const occurrenceKey = toDateKey(occurrenceDate, current.timeZone);
+        const otherEntries = current.completions.filter((entry) => entry.occurrenceKey !== occurrenceKey);
+        changes.completions =
+          status === 'pending'
+            ? otherEntries
+            : [...otherEntries, { occurrenceKey, status, at: updatedAt, note: trimmedNote, cost: cost ?? null }].sort((a, b) =>
+                a.occurrenceKey.localeCompare(b.occurrenceKey)
+              );
+      } else {
+        changes.status = status;
+        changes.completedAt = status === 'pending' ? null : updatedAt;
+        changes.completionNote = trimmedNote;
+        if (cost !== undefined) {
+          changes.actualCost = cost;
+        }
+      }
+      return { type: 'update', changes };
+    });
+
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in setReminderStatus:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
+
+/**
+ * Retrieves all occurrences of a user's reminders that fall inside a date window.
+ * Recurring reminders are expanded into one entry per occurrence; one-off reminders
+ * are included when their date is inside the window.
+ *
+ * @param {string} userId - The ID of the user whose reminders to expand. Must be a non-empty string.
+ * @param {Date} rangeStart - Inclusive window start.
+ * @param {Date} rangeEnd - Inclusive window end.
+ * @returns {Promise<Array<ReminderOccurrence>>} Occurrences sorted by `occurrenceDate` ascending.
+ * @throws {TypeError} If `userId` is invalid or the window is not a valid pair of Dates.
+ * @throws {Error} Propagates storage errors during the query execution.
+ */
+export const getReminderOccurrences = async (userId, rangeStart, rangeEnd) => {
+  try {
+    validateNonEmptyString(userId, 'userId');
+    validateDate(rangeStart, 'rangeStart');
+    validateDate(rangeEnd, 'rangeEnd');
+    if (rangeEnd < rangeStart) {
+      throw new TypeError('rangeEnd must not be before rangeStart.');
+    }
+
+    // Reminders that finished before the window can't contain any of its occurrences
+    const { reminders } = await getReminders(userId, { from: rangeStart });
+
+    const occurrences = reminders.flatMap((reminder) =>
+      expandOccurrences(reminder.date, reminder.recurrence, rangeStart, rangeEnd, {
+        exceptions: reminder.exceptions,
+        timeZone: reminder.timeZone,
+      }).map((occurrenceDate) => ({ ...reminder, occurrenceDate }))
+    );
+
+    return occurrences.sort((a, b) => a.occurrenceDate - b.occurrenceDate);
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in getReminderOccurrences:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
+
+/**
+ * Edits one occurrence of a recurring reminder.
+ *
+ * - `'single'`: The occurrence is added to the series' `exceptions` and a one-off reminder
+ *   with the updated data is created in its place (linked via `seriesId`).
+ * - `'following'`: The original series is ended just before the occurrence and a new series
+ *   starting at the updated date is created with the updated data (linked via `seriesId`).
+ *   A `count` limit is split between the two series.
+ * - `'all'`: The whole series is updated. A changed `date` shifts the series start by the same
+ *   amount the occurrence moved.
+ *
+ * Writes for `'single'` and `'following'` are committed atomically in one repository transaction
+ * that also checks the series' version, so an edit made elsewhere in between is not overwritten.
+ *
+ * @param {string} userId - The ID of the user who owns the reminder. Must be a non-empty string.
+ * @param {string} reminderId - The ID of the recurring reminder. Must be a non-empty string.
+ * @param {Date} occurrenceDate - The original date of the occurrence being edited.
+ * @param {{ text?: string, date?: Date, allDay?: boolean, timeZone?: string, recurrence?: RecurrenceRule | null, tags?: Array<string>, estimatedCost?: number | null, actualCost?: number | null, currency?: string | null, recipientId?: string | null, notes?: string | null, alarms?: Array<number> }} updatedData - The new values.
+ *   Missing fields keep the values of the series (and the occurrence date). `actualCost` only applies to
+ *   the one-off reminder created for a `'single'` edit. Reminders split off a series generated from a
+ *   recipient's key date keep the recipient but are not regenerated from the key date.
+ * @param {'single' | 'following' | 'all'} scope - Which occurrences the edit applies to.
+ * @param {{ expectedVersion?: number, updatedAt?: Date }} [options] - Concurrency options, as for `updateReminder`.
+ * @returns {Promise<void>} A promise that resolves when all writes are complete.
+ * @throws {TypeError} If arguments are invalid.
+ * @throws {ReminderConflictError} If the series was deleted, or changed more recently elsewhere.
+ * @throws {Error} Propagates storage errors during reads or writes.
+ */
+export const updateReminderOccurrence = async (
+  userId,
+  reminderId,
+  occurrenceDate,
+  updatedData,
+  scope,
+  { expectedVersion, updatedAt = new Date() } = {}
+) => {
+  try {
+    validateNonEmptyString(userId, 'userId');
+    validateNonEmptyString(reminderId, 'reminderId');
+    validateDate(occurrenceDate, 'occurrenceDate');
+    if (!updatedData || typeof updatedData !== 'object') {
+      throw new TypeError('updatedData must be an object.');
+    }
+    if (!EDIT_SCOPES.includes(scope)) {
+      throw new TypeError(`scope must be one of ${EDIT_SCOPES.join(', ')}.`);
+    }
+
+    const repository = getReminderRepository();
+
+    /**
+     * Works out the writes for the edit from the stored series: `dataToUpdate` for a plain update
+     * of the series, or the `operations` that split it. Runs again on the record read inside the
+     * transaction, so the split is always based on the current series.
+     * @param {ReminderRecord | null} seriesRecord - The stored series.
+     * @returns {{ dataToUpdate: object } | { operations: Array<RepositoryOperation> }}
+     */
+    const planEdit = (seriesRecord) => {
+      const series = checkForConflict(seriesRecord, reminderId, expectedVersion, updatedAt);
+
+      const newText = updatedData.text ?? series.text;
+      const newAllDay = updatedData.allDay ?? series.allDay;
+      const newTimeZone = updatedData.timeZone ?? series.timeZone;
+      validateReminderText(newText, 'updatedData.text');
+      validateDate(updatedData.date ?? occurrenceDate, 'updatedData.date');
+      validateBoolean(newAllDay, 'updatedData.allDay');
+      validateTimeZone(newTimeZone, 'updatedData.timeZone');
+      const newDate = normalizeReminderDate(updatedData.date ?? occurrenceDate, newAllDay, newTimeZone);
+      const newTags = updatedData.tags !== undefined ? serializeTags(updatedData.tags, 'updatedData.tags') : series.tags;
+      const newEstimatedCost =
+        updatedData.estimatedCost !== undefined
+          ? serializeCost(updatedData.estimatedCost, 'updatedData.estimatedCost')
+          : series.estimatedCost;
+      const newCurrency =
+        updatedData.currency !== undefined ? serializeCurrency(updatedData.currency, 'updatedData.currency') : series.currency;
+      const newActualCost =
+        updatedData.actualCost !== undefined ? serializeCost(updatedData.actualCost, 'updatedData.actualCost') : null;
+      const newRecipientId =
+        updatedData.recipientId !== undefined
+          ? serializeRecipientId(updatedData.recipientId, 'updatedData.recipientId')
+          : series.recipientId;
+      const newNotes = updatedData.notes !== undefined ? serializeNotes(updatedData.notes, 'updatedData.notes') : series.notes;
+      const newAlarms =
+        updatedData.alarms !== undefined ? normalizeAlarms(updatedData.alarms, 'updatedData.alarms') : series.alarms;
+
+      // Non-recurring reminders and the first occurrence of a series behave like a plain update
+      const isFirstOccurrence = occurrenceDate.getTime() === series.date.getTime();
+      if (!series.recurrence || scope === 'all' || (scope === 'following' && isFirstOccurrence)) {
+        const dataToUpdate = {
+          text: newText,
+          date: new Date(series.date.getTime() + (newDate.getTime() - occurrenceDate.getTime())),
+        };
+        if (updatedData.hasOwnProperty('recurrence')) {
+          dataToUpdate.recurrence = updatedData.recurrence;
+        }
+        if (updatedData.allDay !== undefined) {
+          dataToUpdate.allDay = newAllDay;
+        }
+        if (updatedData.timeZone !== undefined) {
+          dataToUpdate.timeZone = newTimeZone;
+        }
+        if (updatedData.tags !== undefined) {
+          dataToUpdate.tags = newTags;
+        }
+        if (updatedData.estimatedCost !== undefined) {
+          dataToUpdate.estimatedCost = newEstimatedCost;
+        }
+        if (updatedData.actualCost !== undefined) {
+          dataToUpdate.actualCost = newActualCost;
+        }
+        if (updatedData.currency !== undefined) {
+          dataToUpdate.currency = newCurrency;
+        }
+        if (updatedData.recipientId !== undefined) {
+          dataToUpdate.recipientId = newRecipientId;
+        }
+        if (updatedData.notes !== undefined) {
+          dataToUpdate.notes = newNotes;
+        }
+        if (updatedData.alarms !== undefined) {
+          dataToUpdate.alarms = newAlarms;
+        }
+        return { dataToUpdate };
+      }
+
+      const operations = [];
+      // Occurrence keys are dates in the series' own time zone
+      const occurrenceKey = toDateKey(occurrenceDate, series.timeZone);
+
+      if (scope === 'single') {
+        operations.push(
+          {
+            type: 'update',
+            id: reminderId,
+            changes: {
+              ...upgradeChangesFor(seriesRecord),
+              exceptions: [...new Set([...series.exceptions, occurrenceKey])],
+              version: series.version + 1,
+              updatedAt,
+            },
+          },
+          {
+            type: 'create',
+            data: createReminderDocument(
+              {
+                text: newText,
+                date: newDate,
+                allDay: newAllDay,
+                timeZone: newTimeZone,
+                tags: newTags,
+                estimatedCost: newEstimatedCost,
+                actualCost: newActualCost,
+                currency: newCurrency,
+                recipientId: newRecipientId,
+                notes: newNotes,
+                alarms: newAlarms,
+                seriesId: reminderId,
+              },
+              updatedAt
+            ),
+          }
+        );
+      } else {
+        // 'following': end the original series the moment before this occurrence. The submitted
+        // rule is a copy (from the form or the offline queue), so the split compares it by value.
+        const { endedRule: normalizedEndedRule, followingRule: normalizedFollowingRule } = splitRecurrence(
+          series.date,
+          series.recurrence,
+          occurrenceDate,
+          updatedData.hasOwnProperty('recurrence') ? updatedData.recurrence : series.recurrence,
+          { timeZone: series.timeZone }
+        );
+
+        operations.push(
+          {
+            type: 'update',
+            id: reminderId,
+            changes: {
+              ...upgradeChangesFor(seriesRecord),
+              recurrence: normalizedEndedRule,
+              endDate: computeEndDate(series.date, normalizedEndedRule, series.timeZone),
+              exceptions: series.exceptions.filter((key) => key < occurrenceKey),
+              completions: series.completions.filter((entry) => entry.occurrenceKey < occurrenceKey),
+              version: series.version + 1,
+              updatedAt,
+            },
+          },
+          {
+            type: 'create',
+            data: createReminderDocument(
+              {
+                text: newText,
+                date: newDate,
+                allDay: newAllDay,
+                timeZone: newTimeZone,
+                recurrence: normalizedFollowingRule,
+                exceptions: series.exceptions.filter((key) => key >= occurrenceKey),
+                completions: series.completions.filter((entry) => entry.occurrenceKey >= occurrenceKey),
+                tags: newTags,
+                estimatedCost: newEstimatedCost,
+                currency: newCurrency,
+                recipientId: newRecipientId,
+                notes: newNotes,
+                alarms: newAlarms,
+                seriesId: reminderId,
+              },
+              updatedAt
+            ),
+          }
+        );
+      }
+
+      return { operations };
+    };
+
+    const initialPlan = planEdit(await repository.get(userId, reminderId));
+    if (initialPlan.dataToUpdate) {
+      // updateReminder checks the version again in its own transaction
+      await updateReminder(userId, reminderId, initialPlan.dataToUpdate, { expectedVersion, updatedAt });
+      return;
+    }
+
+    // The version check and the split are one transaction, so an edit made on another device in
+    // the meantime is never overwritten
+    await repository.transact(userId, reminderId, (currentRecord) => {
+      const plan = planEdit(currentRecord);
+      if (plan.dataToUpdate) {
+        // The series stopped repeating or moved to this occurrence since it was read
+        throw new ReminderConflictError(
+          `Reminder ${reminderId} was changed on another device after this edit was made.`,
+          mapReminderRecord(currentRecord)
+        );
+      }
+      return { type: 'commit', operations: plan.operations };
+    });
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in updateReminderOccurrence:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
@@ -0,0 +1,46 @@
+/**
+ * @typedef {import("./index.js").CollectionRepository} CollectionRepository
+ * @typedef {import("./index.js").UserDocumentRepository} UserDocumentRepository
+ */
+
+// The user document is the only record of its collection
+const USER_DOCUMENT_ID = 'user';
+
+/**
+ * Creates a user document repository on top of a collection repository, for the local and
+ * memory backends: the document is stored as the single record of a per-user collection.
+ *
+ * @param {CollectionRepository} collectionRepository - A repository for a collection reserved for the user document.
+ * @returns {UserDocumentRepository} The repository.
+ */
+export const createCollectionUserDocumentRepository = (collectionRepository) => {
+  // Records carry the user's ID like Firestore's `users/{userId}` snapshot does
+  const toUserRecord = (userId, record) => (record ? { ...record, id: userId } : null);
+
+  return {
+    async get(userId) {
+      return toUserRecord(userId, await collectionRepository.get(userId, USER_DOCUMENT_ID));
+    },
+
+    async merge(userId, changes) {
+      const stored = await collectionRepository.get(userId, USER_DOCUMENT_ID);
+      if (stored) {
+        await collectionRepository.update(userId, USER_DOCUMENT_ID, changes);
+      } else {
+        await collectionRepository.create(userId, changes, { id: USER_DOCUMENT_ID });
+      }
+    },
+
+    async remove(userId) {
+      await collectionRepository.remove(userId, USER_DOCUMENT_ID);
+    },
+
+    subscribe(userId, onChange, onError) {
+      return collectionRepository.subscribe(
+        userId,
+        (records) => onChange(toUserRecord(userId, records.find((record) => record.id === USER_DOCUMENT_ID))),
+        onError
+      );
+    },
+  };
+};
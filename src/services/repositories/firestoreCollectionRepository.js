@@ -0,0 +1,96 @@
+import {
+  collection,
+  addDoc,
+  getDoc,
+  getDocs,
+  setDoc,
+  onSnapshot,
+  doc,
+  updateDoc,
+  deleteDoc,
+  writeBatch,
+} from 'firebase/firestore';
+import { sortById } from './repositoryUtils.js';
+import { toFirestoreValue, toRecord } from './firestoreValues.js';
+
+/**
+ * @typedef {import("firebase/firestore").Firestore} Firestore
+ * @typedef {import("./index.js").CollectionRepository} CollectionRepository
+ */
+
+/**
+ * Creates a repository for one of a user's small document collections, backed by Cloud Firestore.
+ * Documents are stored at `users/{userId}/{collectionName}/{documentId}`.
+ *
+ * @param {Firestore} db - The initialized Firestore instance.
+ * @param {string} collectionName - The subcollection name (e.g., 'tags').
+ * @returns {CollectionRepository} The repository.
+ */
+export const createFirestoreCollectionRepository = (db, collectionName) => {
+  if (!db) {
+    throw new Error('Firestore is not initialized. Check the VITE_FIREBASE_* configuration.');
+  }
+
+  const userCollection = (userId) => collection(db, 'users', userId, collectionName);
+  const userDoc = (userId, id) => doc(db, 'users', userId, collectionName, id);
+
+  return {
+    async list(userId) {
+      const querySnapshot = await getDocs(userCollection(userId));
+      return sortById(querySnapshot.docs.map(toRecord));
+    },
+
+    async get(userId, id) {
+      const docSnap = await getDoc(userDoc(userId, id));
+      return docSnap.exists() ? toRecord(docSnap) : null;
+    },
+
+    async create(userId, data, { id } = {}) {
+      if (id) {
+        await setDoc(userDoc(userId, id), toFirestoreValue(data));
+        return { id };
+      }
+      const docRef = await addDoc(userCollection(userId), toFirestoreValue(data));
+      return { id: docRef.id };
+    },
+
+    async update(userId, id, changes) {
+      await updateDoc(userDoc(userId, id), toFirestoreValue(changes, true));
+    },
+
+    async remove(userId, id) {
+      await deleteDoc(userDoc(userId, id));
+    },
+
+    async commit(userId, operations) {
+      const batch = writeBatch(db);
+      const ids = operations.map((operation) => {
+        switch (operation.type) {
+          case 'create': {
+            const docRef = operation.id ? userDoc(userId, operation.id) : doc(userCollection(userId));
+            batch.set(docRef, toFirestoreValue(operation.data));
+            return docRef.id;
+          }
+          case 'update':
+            batch.update(userDoc(userId, operation.id), toFirestoreValue(operation.changes, true));
+            return operation.id;
+          case 'delete':
+            batch.delete(userDoc(userId, operation.id));
+            return operation.id;
+          default:
+            throw new TypeError(`Unknown repository operation type: ${operation.type}`);
+        }
+      });
+      await batch.commit();
+      return ids;
+    },
+
+    subscribe(userId, onChange, onError) {
+      return onSnapshot(
+        userCollection(userId),
+        (querySnapshot) => onChange(sortById(querySnapshot.docs.map(toRecord))),
+        onError
+      );
+    },
+  };
+};
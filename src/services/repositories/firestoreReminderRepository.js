@@ -0,0 +1,188 @@
+import {
+  collection,
+  addDoc,
+  getDoc,
+  getDocs,
+  setDoc,
+  runTransaction,
+  onSnapshot,
+  doc,
+  updateDoc,
+  deleteDoc,
+  query,
+  where,
+  orderBy,
+  limit,
+  startAfter,
+  documentId,
+  Timestamp,
+  writeBatch,
+} from 'firebase/firestore';
+import { encodeCursor, decodeCursor, sortByDate } from './repositoryUtils.js';
+import { toFirestoreValue, toRecord } from './firestoreValues.js';
+
+/**
+ * @typedef {import("firebase/firestore").Firestore} Firestore
+ * @typedef {import("./index.js").ReminderRepository} ReminderRepository
+ * @typedef {import("./index.js").ReminderQuery} ReminderQuery
+ */
+
+/**
+ * Creates a reminder repository backed by Cloud Firestore.
+ * Reminders are stored at `users/{userId}/reminders/{reminderId}`.
+ *
+ * @param {Firestore} db - The initialized Firestore instance.
+ * @returns {ReminderRepository} The repository.
+ */
+export const createFirestoreReminderRepository = (db) => {
+  if (!db) {
+    throw new Error('Firestore is not initialized. Check the VITE_FIREBASE_* configuration.');
+  }
+
+  const remindersCollection = (userId) => collection(db, 'users', userId, 'reminders');
+  const reminderDoc = (userId, id) => doc(db, 'users', userId, 'reminders', id);
+
+  /**
+   * Adds operations to a write batch or transaction (both have `set`, `update` and `delete`).
+   * @returns {Array<string>} The affected IDs, in operation order.
+   */
+  const addOperations = (writer, userId, operations) =>
+    operations.map((operation) => {
+      switch (operation.type) {
+        case 'create': {
+          const docRef = operation.id ? reminderDoc(userId, operation.id) : doc(remindersCollection(userId));
+          writer.set(docRef, toFirestoreValue(operation.data));
+          return docRef.id;
+        }
+        case 'update':
+          writer.update(reminderDoc(userId, operation.id), toFirestoreValue(operation.changes, true));
+          return operation.id;
+        case 'delete':
+          writer.delete(reminderDoc(userId, operation.id));
+          return operation.id;
+        default:
+          throw new TypeError(`Unknown repository operation type: ${operation.type}`);
+      }
+    });
+
+  /**
+   * Builds a Firestore query for a `ReminderQuery`. Ordering by document ID after `date` gives
+   * cursors a unique position. The composite indexes these queries need are declared in
+   * `firestore.indexes.json`.
+   * @param {string} userId - The owner of the reminders.
+   * @param {ReminderQuery} criteria - Filters, ordering and pagination.
+   * @param {number | null} pageSize - Documents to fetch, or null for no limit.
+   */
+  const buildQuery = (userId, { from, to, tags, status, recipientId, deleted, cursor, direction = 'asc' }, pageSize) => {
+    const constraints = [];
+    if (deleted === true) {
+      constraints.push(where('deletedAt', '!=', null));
+    } else if (deleted === false) {
+      constraints.push(where('deletedAt', '==', null));
+    }
+    if (from) {
+      constraints.push(where('endDate', '>=', Timestamp.fromDate(from)));
+    }
+    if (to) {
+      constraints.push(where('endDate', '<', Timestamp.fromDate(to)));
+    }
+    if (tags) {
+      constraints.push(where('tags', 'array-contains-any', tags));
+    }
+    if (status) {
+      constraints.push(where('status', 'in', status));
+    }
+    if (recipientId) {
+      constraints.push(where('recipientId', '==', recipientId));
+    }
+    constraints.push(orderBy('date', direction), orderBy(documentId(), direction));
+    if (cursor) {
+      const position = decodeCursor(cursor);
+      constraints.push(startAfter(Timestamp.fromMillis(position.time), position.id));
+    }
+    if (pageSize != null) {
+      constraints.push(limit(pageSize));
+    }
+    return query(remindersCollection(userId), ...constraints);
+  };
+
+  return {
+    async list(userId) {
+      // Read the collection unordered: `orderBy('date')` would drop documents without a date,
+      // and listing must include them so migrations can report them
+      const querySnapshot = await getDocs(remindersCollection(userId));
+      return sortByDate(querySnapshot.docs.map(toRecord));
+    },
+
+    async query(userId, criteria = {}) {
+      const pageSize = criteria.limit ?? null;
+      // Fetch one extra document to learn whether another page exists
+      const querySnapshot = await getDocs(buildQuery(userId, criteria, pageSize == null ? null : pageSize + 1));
+      const records = querySnapshot.docs.map(toRecord);
+      if (pageSize == null || records.length <= pageSize) {
+        return { records, nextCursor: null };
+      }
+      const page = records.slice(0, pageSize);
+      return { records: page, nextCursor: encodeCursor(page[page.length - 1]) };
+    },
+
+    async get(userId, id) {
+      const docSnap = await getDoc(reminderDoc(userId, id));
+      return docSnap.exists() ? toRecord(docSnap) : null;
+    },
+
+    async create(userId, data, { id } = {}) {
+      if (id) {
+        // Client-generated IDs make retried creates idempotent
+        await setDoc(reminderDoc(userId, id), toFirestoreValue(data));
+        return { id };
+      }
+      const docRef = await addDoc(remindersCollection(userId), toFirestoreValue(data));
+      return { id: docRef.id };
+    },
+
+    async update(userId, id, changes) {
+      await updateDoc(reminderDoc(userId, id), toFirestoreValue(changes, true));
+    },
+
+    async remove(userId, id) {
+      await deleteDoc(reminderDoc(userId, id));
+    },
+
+    async commit(userId, operations) {
+      const batch = writeBatch(db);
+      const ids = addOperations(batch, userId, operations);
+      await batch.commit();
+      return ids;
+    },
+
+    async transact(userId, id, resolve) {
+      const docRef = reminderDoc(userId, id);
+      // Transactions need the server; they fail fast with 'unavailable' when offline
+      await runTransaction(db, async (transaction) => {
+        const docSnap = await transaction.get(docRef);
+        const operation = resolve(docSnap.exists() ? toRecord(docSnap) : null);
+        if (operation.type === 'update') {
+          transaction.update(docRef, toFirestoreValue(operation.changes, true));
+        } else if (operation.type === 'delete') {
+          transaction.delete(docRef);
+        } else if (operation.type === 'commit') {
+          addOperations(transaction, userId, operation.operations);
+        }
+      });
+    },
+
+    subscribe(userId, criteria, onChange, onError) {
+      return onSnapshot(
+        buildQuery(userId, { ...criteria, cursor: null }, criteria?.limit ?? null),
+        (querySnapshot) => {
+          onChange(querySnapshot.docs.map(toRecord), {
+            fromCache: querySnapshot.metadata.fromCache,
+            hasPendingWrites: querySnapshot.metadata.hasPendingWrites,
+          });
+        },
+        onError
+      );
+    },
+  };
+};
@@ -0,0 +1,44 @@
+import { doc, getDoc, setDoc, deleteDoc, onSnapshot } from 'firebase/firestore';
+import { toFirestoreValue, toRecord } from './firestoreValues.js';
+
+/**
+ * @typedef {import("firebase/firestore").Firestore} Firestore
+ * @typedef {import("./index.js").UserDocumentRepository} UserDocumentRepository
+ */
+
+/**
+ * Creates a repository for the user document itself (`users/{userId}`), backed by Cloud Firestore.
+ *
+ * @param {Firestore} db - The initialized Firestore instance.
+ * @returns {UserDocumentRepository} The repository.
+ */
+export const createFirestoreUserDocumentRepository = (db) => {
+  if (!db) {
+    throw new Error('Firestore is not initialized. Check the VITE_FIREBASE_* configuration.');
+  }
+
+  const userDoc = (userId) => doc(db, 'users', userId);
+
+  return {
+    async get(userId) {
+      const docSnap = await getDoc(userDoc(userId));
+      return docSnap.exists() ? toRecord(docSnap) : null;
+    },
+
+    async merge(userId, changes) {
+      await setDoc(userDoc(userId), toFirestoreValue(changes), { merge: true });
+    },
+
+    async remove(userId) {
+      await deleteDoc(userDoc(userId));
+    },
+
+    subscribe(userId, onChange, onError) {
+      return onSnapshot(
+        userDoc(userId),
+        (docSnap) => onChange(docSnap.exists() ? toRecord(docSnap) : null),
+        onError
+      );
+    },
+  };
+};
@@ -0,0 +1,53 @@
+import { Timestamp, deleteField } from 'firebase/firestore';
+
+/**
+ * Value conversions shared by the Firestore repositories. Records outside this layer use
+ * JS Dates; Firestore stores Timestamps.
+ */
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * Recursively converts JS Dates to Firestore Timestamps for writing.
+ * `undefined` values become `deleteField()` sentinels when `forUpdate` is true.
+ */
+export const toFirestoreValue = (value, forUpdate = false) => {
+  if (value instanceof Date) {
+    return Timestamp.fromDate(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => toFirestoreValue(item));
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([, fieldValue]) => forUpdate || fieldValue !== undefined)
+        .map(([key, fieldValue]) => [
+          key,
+          forUpdate && fieldValue === undefined ? deleteField() : toFirestoreValue(fieldValue),
+        ])
+    );
+  }
+  return value;
+};
+
+/**
+ * Recursively converts Firestore Timestamps to JS Dates after reading.
+ * Values of any other type (including malformed ones) are passed through for the service to validate.
+ */
+export const fromFirestoreValue = (value) => {
+  if (value instanceof Timestamp) {
+    return value.toDate();
+  }
+  if (Array.isArray(value)) {
+    return value.map(fromFirestoreValue);
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, fieldValue]) => [key, fromFirestoreValue(fieldValue)]));
+  }
+  return value;
+};
+
+// Maps a document snapshot to a repository record (`id` plus data with JS Dates)
+export const toRecord = (docSnap) => ({ ...fromFirestoreValue(docSnap.data()), id: docSnap.id });
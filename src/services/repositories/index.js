@@ -0,0 +1,234 @@
+import { db } from '../../config/firebase.js';
+import { STORAGE_BACKEND } from '../../config/storage.js';
+import { createFirestoreReminderRepository } from './firestoreReminderRepository.js';
+import { createLocalReminderRepository } from './localReminderRepository.js';
+import { createMemoryReminderRepository } from './memoryReminderRepository.js';
+import { createFirestoreCollectionRepository } from './firestoreCollectionRepository.js';
+import { createLocalCollectionRepository } from './localCollectionRepository.js';
+import { createMemoryCollectionRepository } from './memoryCollectionRepository.js';
+import { createFirestoreUserDocumentRepository } from './firestoreUserDocumentRepository.js';
+import { createCollectionUserDocumentRepository } from './collectionUserDocumentRepository.js';
+
+/**
+ * A stored reminder record: the document ID plus its raw fields, with dates as JS Dates.
+ * Validation and mapping to `Reminder` objects is the reminder service's job.
+ * @typedef {{ id: string } & Record<string, any>} ReminderRecord
+ */
+
+/**
+ * A single write inside `commit`.
+ * @typedef {{ type: 'create', data: object, id?: string }
+ *   | { type: 'update', id: string, changes: object }
+ *   | { type: 'delete', id: string }} RepositoryOperation
+ */
+
+/**
+ * Filters, ordering and pagination for `query` and `subscribe`. All fields are optional.
+ * Range filters apply to the denormalized `endDate` field (a reminder's last occurrence),
+ * so `from` selects reminders that are still active and `to` selects finished ones;
+ * records without an `endDate` never match a range filter.
+ * @typedef {object} ReminderQuery
+ * @property {Date} [from] - Only records with `endDate >= from`.
+ * @property {Date} [to] - Only records with `endDate < to`.
+ * @property {Array<string>} [tags] - Only records whose `tags` contain at least one of these (max 30).
+ * @property {Array<string>} [status] - Only records whose `status` is one of these (max 30).
+ * @property {string} [recipientId] - Only records for this recipient.
+ * @property {boolean} [deleted] - true: only trashed records (`deletedAt` set); false: only records whose
+ *   `deletedAt` is null. Omit to ignore the trash state.
+ * @property {number} [limit] - Maximum number of records to return.
+ * @property {string | null} [cursor] - Resume after this position (a `nextCursor` from a previous page).
+ * @property {'asc' | 'desc'} [direction='asc'] - Order by `date` (then ID) ascending or descending.
+ */
+
+/**
+ * Storage interface behind the reminder service. All adapters scope data per user and
+ * return records ordered by `date` ascending unless a query says otherwise. In `update`
+ * changes, a value of `undefined` removes the field.
+ *
+ * @typedef {object} ReminderRepository
+ * @property {(userId: string) => Promise<Array<ReminderRecord>>} list - All of a user's reminders, including
+ *   trashed and malformed ones (records without a valid `date` sort last).
+ * @property {(userId: string, query: ReminderQuery) => Promise<{ records: Array<ReminderRecord>, nextCursor: string | null }>} query -
+ *   One page of a user's reminders. `nextCursor` is null on the last page.
+ * @property {(userId: string, id: string) => Promise<ReminderRecord | null>} get - One reminder, or null.
+ * @property {(userId: string, data: object, options?: { id?: string }) => Promise<{ id: string }>} create -
+ *   Stores a new reminder. A client-generated `id` makes the create idempotent (overwrites on retry).
+ * @property {(userId: string, id: string, changes: object) => Promise<void>} update - Partially updates a reminder.
+ * @property {(userId: string, id: string) => Promise<void>} remove - Deletes a reminder.
+ * @property {(userId: string, operations: Array<RepositoryOperation>) => Promise<Array<string>>} commit -
+ *   Applies several writes atomically and resolves with the affected IDs.
+ * @property {(userId: string, id: string, resolve: (current: ReminderRecord | null) => ({ type: 'update', changes: object } | { type: 'delete' } | { type: 'none' } | { type: 'commit', operations: Array<RepositoryOperation> })) => Promise<void>} transact -
+ *   Reads a reminder and applies the write returned by `resolve` atomically. `'commit'` applies several
+ *   operations (on any of the user's reminders) in the same transaction. `resolve` may throw to abort
+ *   (e.g. on a version conflict); it can be called more than once if the transaction is retried.
+ * @property {(userId: string, query: ReminderQuery, onChange: (records: Array<ReminderRecord>, metadata: { fromCache: boolean, hasPendingWrites: boolean }) => void, onError?: (error: Error) => void) => () => void} subscribe -
+ *   Calls `onChange` with the records matching `query` (its `cursor` is ignored) now and after every change;
+ *   returns an unsubscribe function.
+ */
+
+/**
+ * Storage interface for a user's small document collections that live next to the reminders
+ * (e.g., `users/{userId}/tags`). Collections are read in full, so there is no query support.
+ * Records are returned ordered by ID; `create`, `update`, `remove` and `commit` behave as in
+ * `ReminderRepository`.
+ *
+ * @typedef {object} CollectionRepository
+ * @property {(userId: string) => Promise<Array<ReminderRecord>>} list - All documents of the collection.
+ * @property {(userId: string, id: string) => Promise<ReminderRecord | null>} get - One document, or null.
+ * @property {(userId: string, data: object, options?: { id?: string }) => Promise<{ id: string }>} create - Stores a new document.
+ * @property {(userId: string, id: string, changes: object) => Promise<void>} update - Partially updates a document.
+ * @property {(userId: string, id: string) => Promise<void>} remove - Deletes a document.
+ * @property {(userId: string, operations: Array<RepositoryOperation>) => Promise<Array<string>>} commit -
+ *   Applies several writes atomically and resolves with the affected IDs.
+ * @property {(userId: string, onChange: (records: Array<ReminderRecord>) => void, onError?: (error: Error) => void) => () => void} subscribe -
+ *   Calls `onChange` with all documents now and after every change; returns an unsubscribe function.
+ */
+
+/**
+ * Storage interface for the user document itself (`users/{userId}`), e.g. the user's preferences.
+ * The record's `id` is the user ID.
+ *
+ * @typedef {object} UserDocumentRepository
+ * @property {(userId: string) => Promise<ReminderRecord | null>} get - The document, or null if it doesn't exist.
+ * @property {(userId: string, changes: object) => Promise<void>} merge - Sets the given fields, creating the document if needed.
+ * @property {(userId: string) => Promise<void>} remove - Deletes the document (not its subcollections).
+ * @property {(userId: string, onChange: (record: ReminderRecord | null) => void, onError?: (error: Error) => void) => () => void} subscribe -
+ *   Calls `onChange` with the document now and after every change; returns an unsubscribe function.
+ */
+
+/** @type {ReminderRepository | null} */
+let activeRepository = null;
+
+/** @type {Map<string, CollectionRepository>} */
+const collectionRepositories = new Map();
+
+/** @type {UserDocumentRepository | null} */
+let activeUserDocumentRepository = null;
+
+// Collection the local and memory backends keep the user document in
+const USER_DOCUMENT_COLLECTION = 'userDocument';
+
+/**
+ * Creates the repository for a storage backend.
+ * @param {'firestore' | 'local' | 'memory'} backend - The backend name (see `config/storage.js`).
+ * @returns {ReminderRepository}
+ */
+export const createReminderRepository = (backend) => {
+  switch (backend) {
+    case 'firestore':
+      return createFirestoreReminderRepository(db);
+    case 'local':
+      return createLocalReminderRepository();
+    case 'memory':
+      return createMemoryReminderRepository();
+    default:
+      throw new TypeError(`Unknown storage backend: ${backend}`);
+  }
+};
+
+/**
+ * Returns the repository for the configured storage backend, creating it on first use.
+ * @returns {ReminderRepository}
+ */
+export const getReminderRepository = () => {
+  if (!activeRepository) {
+    activeRepository = createReminderRepository(STORAGE_BACKEND);
+  }
+  return activeRepository;
+};
+
+/**
+ * Replaces the active repository, e.g. with `createMemoryReminderRepository()` in tests.
+ * Passing null restores the configured backend on next use.
+ * @param {ReminderRepository | null} repository - The repository to use.
+ */
+export const setReminderRepository = (repository) => {
+  activeRepository = repository;
+};
+
+/**
+ * Creates the repository for one of a user's document collections on a storage backend.
+ * @param {'firestore' | 'local' | 'memory'} backend - The backend name (see `config/storage.js`).
+ * @param {string} collectionName - The collection name (e.g., 'tags').
+ * @returns {CollectionRepository}
+ */
+export const createCollectionRepository = (backend, collectionName) => {
+  switch (backend) {
+    case 'firestore':
+      return createFirestoreCollectionRepository(db, collectionName);
+    case 'local':
+      return createLocalCollectionRepository(collectionName);
+    case 'memory':
+      return createMemoryCollectionRepository(collectionName);
+    default:
+      throw new TypeError(`Unknown storage backend: ${backend}`);
+  }
+};
+
+/**
+ * Returns the repository of a user document collection on the configured storage backend,
+ * creating it on first use.
+ * @param {string} collectionName - The collection name (e.g., 'tags').
+ * @returns {CollectionRepository}
+ */
+export const getCollectionRepository = (collectionName) => {
+  if (!collectionRepositories.has(collectionName)) {
+    collectionRepositories.set(collectionName, createCollectionRepository(STORAGE_BACKEND, collectionName));
+  }
+  return collectionRepositories.get(collectionName);
+};
+
+/**
+ * Replaces the repository of a collection, e.g. with `createMemoryCollectionRepository(name)` in tests.
+ * Passing null restores the configured backend on next use.
+ * @param {string} collectionName - The collection name.
+ * @param {CollectionRepository | null} repository - The repository to use.
+ */
+export const setCollectionRepository = (collectionName, repository) => {
+  if (repository) {
+    collectionRepositories.set(collectionName, repository);
+  } else {
+    collectionRepositories.delete(collectionName);
+  }
+};
+
+/**
+ * Creates the repository for the user document on a storage backend.
+ * @param {'firestore' | 'local' | 'memory'} backend - The backend name (see `config/storage.js`).
+ * @returns {UserDocumentRepository}
+ */
+export const createUserDocumentRepository = (backend) => {
+  switch (backend) {
+    case 'firestore':
+      return createFirestoreUserDocumentRepository(db);
+    case 'local':
+      return createCollectionUserDocumentRepository(createLocalCollectionRepository(USER_DOCUMENT_COLLECTION));
+    case 'memory':
+      return createCollectionUserDocumentRepository(createMemoryCollectionRepository(USER_DOCUMENT_COLLECTION));
+    default:
+      throw new TypeError(`Unknown storage backend: ${backend}`);
+  }
+};
+
+/**
+ * Returns the repository for the user document on the configured storage backend, creating it on first use.
+ * @returns {UserDocumentRepository}
+ */
+export const getUserDocumentRepository = () => {
+  if (!activeUserDocumentRepository) {
+    activeUserDocumentRepository = createUserDocumentRepository(STORAGE_BACKEND);
+  }
+  return activeUserDocumentRepository;
+};
+
+/**
+ * Replaces the user document repository, e.g. in tests. Passing null restores the configured backend on next use.
+ * @param {UserDocumentRepository | null} repository - The repository to use.
+ */
+export const setUserDocumentRepository = (repository) => {
+  activeUserDocumentRepository = repository;
+};
+
+export { createFirestoreReminderRepository, createLocalReminderRepository, createMemoryReminderRepository };
+export { createFirestoreCollectionRepository, createLocalCollectionRepository, createMemoryCollectionRepository };
+export { createFirestoreUserDocumentRepository, createCollectionUserDocumentRepository };
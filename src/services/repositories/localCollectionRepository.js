@@ -0,0 +1,149 @@
+import { sortById, applyChanges, createListenerRegistry, generateId } from './repositoryUtils.js';
+import {
+  openDatabase,
+  promisifyRequest,
+  transactionDone,
+  DOCUMENTS_STORE,
+  DOCUMENTS_COLLECTION_INDEX,
+} from './localDatabase.js';
+
+/**
+ * @typedef {import("./index.js").CollectionRepository} CollectionRepository
+ */
+
+const CHANNEL_NAME = 'sweet-surprise-reminders:collection-changes';
+
+// Strips the storage-only `userId` and `collection` keys from a stored record
+const toRecord = ({ userId, collection, ...record }) => record;
+
+/**
+ * Creates a repository for one of a user's small document collections, backed by IndexedDB
+ * in the current browser. Like the local reminder repository, changes are broadcast to other tabs.
+ *
+ * @param {string} collectionName - The collection name (e.g., 'tags').
+ * @returns {CollectionRepository} The repository.
+ */
+export const createLocalCollectionRepository = (collectionName) => {
+  const listeners = createListenerRegistry();
+  const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+  // Re-emit to local listeners when another tab changes this collection
+  channel?.addEventListener('message', (event) => {
+    if (event.data?.collection === collectionName && event.data.userId) {
+      listeners.notify(event.data.userId);
+    }
+  });
+
+  const notifyChange = (userId) => {
+    listeners.notify(userId);
+    channel?.postMessage({ userId, collection: collectionName });
+  };
+
+  const list = async (userId) => {
+    const database = await openDatabase();
+    const transaction = database.transaction(DOCUMENTS_STORE, 'readonly');
+    const records = await promisifyRequest(
+      transaction.objectStore(DOCUMENTS_STORE).index(DOCUMENTS_COLLECTION_INDEX).getAll([userId, collectionName])
+    );
+    return sortById(records.map(toRecord));
+  };
+
+  /**
+   * Runs a list of operations in a single readwrite transaction (all or nothing).
+   * @returns {Promise<Array<string>>} The affected IDs, in operation order.
+   */
+  const runOperations = async (userId, operations) => {
+    const database = await openDatabase();
+    const transaction = database.transaction(DOCUMENTS_STORE, 'readwrite');
+    const store = transaction.objectStore(DOCUMENTS_STORE);
+    const done = transactionDone(transaction);
+
+    const ids = [];
+    try {
+      for (const operation of operations) {
+        switch (operation.type) {
+          case 'create': {
+            const id = operation.id || generateId();
+            await promisifyRequest(store.put({ ...operation.data, id, userId, collection: collectionName }));
+            ids.push(id);
+            break;
+          }
+          case 'update': {
+            const existing = await promisifyRequest(store.get([userId, collectionName, operation.id]));
+            if (!existing) {
+              throw new Error(`No ${collectionName} document with ID ${operation.id} exists.`);
+            }
+            await promisifyRequest(store.put(applyChanges(existing, operation.changes)));
+            ids.push(operation.id);
+            break;
+          }
+          case 'delete':
+            await promisifyRequest(store.delete([userId, collectionName, operation.id]));
+            ids.push(operation.id);
+            break;
+          default:
+            throw new TypeError(`Unknown repository operation type: ${operation.type}`);
+        }
+      }
+    } catch (error) {
+      transaction.abort();
+      await done.catch(() => {}); // The abort rejection is replaced by the original error
+      throw error;
+    }
+
+    await done;
+    notifyChange(userId);
+    return ids;
+  };
+
+  return {
+    list,
+
+    async get(userId, id) {
+      const database = await openDatabase();
+      const transaction = database.transaction(DOCUMENTS_STORE, 'readonly');
+      const record = await promisifyRequest(transaction.objectStore(DOCUMENTS_STORE).get([userId, collectionName, id]));
+      return record ? toRecord(record) : null;
+    },
+
+    async create(userId, data, { id } = {}) {
+      const [createdId] = await runOperations(userId, [{ type: 'create', data, id }]);
+      return { id: createdId };
+    },
+
+    async update(userId, id, changes) {
+      await runOperations(userId, [{ type: 'update', id, changes }]);
+    },
+
+    async remove(userId, id) {
+      await runOperations(userId, [{ type: 'delete', id }]);
+    },
+
+    commit(userId, operations) {
+      return runOperations(userId, operations);
+    },
+
+    subscribe(userId, onChange, onError) {
+      let active = true;
+      const emit = () => {
+        list(userId)
+          .then((records) => {
+            if (active) {
+              onChange(records);
+            }
+          })
+          .catch((error) => {
+            if (active) {
+              onError?.(error);
+            }
+          });
+      };
+      const removeListener = listeners.add(userId, emit);
+      emit();
+      return () => {
+        active = false;
+        removeListener();
+      };
+    },
+  };
+};
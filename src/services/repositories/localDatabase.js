@@ -0,0 +1,72 @@
+/**
+ * The IndexedDB database behind the local storage backend, shared by the local reminder
+ * and collection repositories.
+ *
+ * Object stores:
+ * - `reminders`: keyed by `[userId, id]`, indexed by `userId`.
+ * - `documents`: the small per-user collections (tags, ...), keyed by `[userId, collection, id]`
+ *   and indexed by `[userId, collection]`. Added in database version 2.
+ */
+
+const DB_NAME = 'sweet-surprise-reminders';
+const DB_VERSION = 2;
+
+export const REMINDERS_STORE = 'reminders';
+export const REMINDERS_USER_INDEX = 'byUser';
+export const DOCUMENTS_STORE = 'documents';
+export const DOCUMENTS_COLLECTION_INDEX = 'byUserCollection';
+
+/**
+ * Wraps an IDBRequest in a promise.
+ * @param {IDBRequest} request - The request to wrap.
+ * @returns {Promise<any>} Resolves with the request result.
+ */
+export const promisifyRequest = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * Returns a promise that settles when a transaction completes, or rejects when it fails or aborts.
+ * @param {IDBTransaction} transaction - The transaction to watch.
+ * @returns {Promise<void>}
+ */
+export const transactionDone = (transaction) =>
+  new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Local transaction aborted.'));
+  });
+
+let databasePromise = null;
+
+/**
+ * Opens (and on first use, creates or upgrades) the database. The connection is shared;
+ * a failed open is retried on the next call.
+ * @returns {Promise<IDBDatabase>}
+ */
+export const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available in this browser. Local mode cannot store reminders.'));
+  }
+  if (!databasePromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const database = request.result;
+      if (!database.objectStoreNames.contains(REMINDERS_STORE)) {
+        const store = database.createObjectStore(REMINDERS_STORE, { keyPath: ['userId', 'id'] });
+        store.createIndex(REMINDERS_USER_INDEX, 'userId', { unique: false });
+      }
+      if (!database.objectStoreNames.contains(DOCUMENTS_STORE)) {
+        const store = database.createObjectStore(DOCUMENTS_STORE, { keyPath: ['userId', 'collection', 'id'] });
+        store.createIndex(DOCUMENTS_COLLECTION_INDEX, ['userId', 'collection'], { unique: false });
+      }
+    };
+    databasePromise = promisifyRequest(request).catch((error) => {
+      databasePromise = null; // Allow a retry on the next call
+      throw error;
+    });
+  }
+  return databasePromise;
+};
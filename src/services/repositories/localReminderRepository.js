@@ -0,0 +1,188 @@
+import { sortByDate, applyChanges, applyQuery, createListenerRegistry, generateId } from './repositoryUtils.js';
+import {
+  openDatabase,
+  promisifyRequest,
+  transactionDone,
+  REMINDERS_STORE,
+  REMINDERS_USER_INDEX,
+} from './localDatabase.js';
+
+/**
+ * @typedef {import("./index.js").ReminderRepository} ReminderRepository
+ */
+
+const CHANNEL_NAME = 'sweet-surprise-reminders:changes';
+
+// Strips the storage-only `userId` key from a stored record
+const toRecord = ({ userId, ...record }) => record;
+
+/**
+ * Creates a reminder repository backed by IndexedDB in the current browser.
+ * Data never leaves the device. Changes are broadcast to other tabs of the same origin
+ * (via BroadcastChannel) so `subscribe` behaves like a Firestore snapshot listener.
+ *
+ * @returns {ReminderRepository} The repository.
+ */
+export const createLocalReminderRepository = () => {
+  const listeners = createListenerRegistry();
+  const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+  // Re-emit to local listeners when another tab changes a user's reminders
+  channel?.addEventListener('message', (event) => {
+    if (event.data?.userId) {
+      listeners.notify(event.data.userId);
+    }
+  });
+
+  const notifyChange = (userId) => {
+    listeners.notify(userId);
+    channel?.postMessage({ userId });
+  };
+
+  const list = async (userId) => {
+    const database = await openDatabase();
+    const transaction = database.transaction(REMINDERS_STORE, 'readonly');
+    const records = await promisifyRequest(transaction.objectStore(REMINDERS_STORE).index(REMINDERS_USER_INDEX).getAll(userId));
+    return sortByDate(records.map(toRecord));
+  };
+
+  /**
+   * Writes a list of operations to the store of an open readwrite transaction.
+   * @returns {Promise<Array<string>>} The affected IDs, in operation order.
+   */
+  const putOperations = async (store, userId, operations) => {
+    const ids = [];
+    for (const operation of operations) {
+      switch (operation.type) {
+        case 'create': {
+          const id = operation.id || generateId();
+          await promisifyRequest(store.put({ ...operation.data, id, userId }));
+          ids.push(id);
+          break;
+        }
+        case 'update': {
+          const existing = await promisifyRequest(store.get([userId, operation.id]));
+          if (!existing) {
+            throw new Error(`No reminder with ID ${operation.id} exists.`);
+          }
+          await promisifyRequest(store.put(applyChanges(existing, operation.changes)));
+          ids.push(operation.id);
+          break;
+        }
+        case 'delete':
+          await promisifyRequest(store.delete([userId, operation.id]));
+          ids.push(operation.id);
+          break;
+        default:
+          throw new TypeError(`Unknown repository operation type: ${operation.type}`);
+      }
+    }
+    return ids;
+  };
+
+  /**
+   * Runs a list of operations in a single readwrite transaction (all or nothing).
+   * @returns {Promise<Array<string>>} The affected IDs, in operation order.
+   */
+  const runOperations = async (userId, operations) => {
+    const database = await openDatabase();
+    const transaction = database.transaction(REMINDERS_STORE, 'readwrite');
+    const store = transaction.objectStore(REMINDERS_STORE);
+    const done = transactionDone(transaction);
+
+    let ids;
+    try {
+      ids = await putOperations(store, userId, operations);
+    } catch (error) {
+      transaction.abort();
+      await done.catch(() => {}); // The abort rejection is replaced by the original error
+      throw error;
+    }
+
+    await done;
+    notifyChange(userId);
+    return ids;
+  };
+
+  return {
+    list,
+
+    // The store is indexed by user only, so filtering happens after loading the user's records
+    async query(userId, query) {
+      return applyQuery(await list(userId), query);
+    },
+
+    async get(userId, id) {
+      const database = await openDatabase();
+      const transaction = database.transaction(REMINDERS_STORE, 'readonly');
+      const record = await promisifyRequest(transaction.objectStore(REMINDERS_STORE).get([userId, id]));
+      return record ? toRecord(record) : null;
+    },
+
+    async create(userId, data, { id } = {}) {
+      const [createdId] = await runOperations(userId, [{ type: 'create', data, id }]);
+      return { id: createdId };
+    },
+
+    async update(userId, id, changes) {
+      await runOperations(userId, [{ type: 'update', id, changes }]);
+    },
+
+    async remove(userId, id) {
+      await runOperations(userId, [{ type: 'delete', id }]);
+    },
+
+    commit(userId, operations) {
+      return runOperations(userId, operations);
+    },
+
+    async transact(userId, id, resolve) {
+      const database = await openDatabase();
+      const transaction = database.transaction(REMINDERS_STORE, 'readwrite');
+      const store = transaction.objectStore(REMINDERS_STORE);
+      const done = transactionDone(transaction);
+
+      try {
+        const existing = await promisifyRequest(store.get([userId, id]));
+        const operation = resolve(existing ? toRecord(existing) : null);
+        if (operation.type === 'update') {
+          await promisifyRequest(store.put(applyChanges(existing, operation.changes)));
+        } else if (operation.type === 'delete') {
+          await promisifyRequest(store.delete([userId, id]));
+        } else if (operation.type === 'commit') {
+          await putOperations(store, userId, operation.operations);
+        }
+      } catch (error) {
+        transaction.abort();
+        await done.catch(() => {}); // The abort rejection is replaced by the original error
+        throw error;
+      }
+
+      await done;
+      notifyChange(userId);
+    },
+
+    subscribe(userId, query, onChange, onError) {
+      let active = true;
+      const emit = () => {
+        list(userId)
+          .then((records) => {
+            if (active) {
+              onChange(applyQuery(records, { ...query, cursor: null }).records, { fromCache: false, hasPendingWrites: false });
+            }
+          })
+          .catch((error) => {
+            if (active) {
+              onError?.(error);
+            }
+          });
+      };
+      const removeListener = listeners.add(userId, emit);
+      emit();
+      return () => {
+        active = false;
+        removeListener();
+      };
+    },
+  };
+};
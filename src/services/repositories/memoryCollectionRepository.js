@@ -0,0 +1,115 @@
+import { sortById, applyChanges, createListenerRegistry } from './repositoryUtils.js';
+
+/**
+ * @typedef {import("./index.js").CollectionRepository} CollectionRepository
+ */
+
+/**
+ * Creates a non-persistent, deterministic in-memory repository for one of a user's small
+ * document collections. IDs are sequential (`<collection>-1`, `<collection>-2`, ...) and
+ * listeners are notified synchronously.
+ *
+ * @param {string} collectionName - The collection name (e.g., 'tags'), used as the ID prefix.
+ * @param {{ initialData?: Record<string, Array<object>> }} [options] - Optional seed data keyed by user ID.
+ *   Each record must include an `id`.
+ * @returns {CollectionRepository} The repository.
+ */
+export const createMemoryCollectionRepository = (collectionName, { initialData = {} } = {}) => {
+  /** @type {Map<string, Map<string, object>>} */
+  const store = new Map();
+  const listeners = createListenerRegistry();
+  let nextId = 1;
+
+  const userRecords = (userId) => {
+    if (!store.has(userId)) {
+      store.set(userId, new Map());
+    }
+    return store.get(userId);
+  };
+
+  // Records are copied on the way in and out so callers can't mutate the store
+  const clone = (record) => structuredClone(record);
+
+  Object.entries(initialData).forEach(([userId, records]) => {
+    records.forEach((record) => userRecords(userId).set(record.id, clone(record)));
+  });
+
+  const snapshot = (userId) => sortById([...userRecords(userId).values()].map(clone));
+
+  const applyOperation = (userId, operation) => {
+    const records = userRecords(userId);
+    switch (operation.type) {
+      case 'create': {
+        const id = operation.id || `${collectionName}-${nextId++}`;
+        records.set(id, clone({ ...operation.data, id }));
+        return id;
+      }
+      case 'update': {
+        const existing = records.get(operation.id);
+        if (!existing) {
+          throw new Error(`No ${collectionName} document with ID ${operation.id} exists.`);
+        }
+        records.set(operation.id, applyChanges(existing, clone(operation.changes)));
+        return operation.id;
+      }
+      case 'delete':
+        records.delete(operation.id);
+        return operation.id;
+      default:
+        throw new TypeError(`Unknown repository operation type: ${operation.type}`);
+    }
+  };
+
+  return {
+    async list(userId) {
+      return snapshot(userId);
+    },
+
+    async get(userId, id) {
+      const record = userRecords(userId).get(id);
+      return record ? clone(record) : null;
+    },
+
+    async create(userId, data, { id } = {}) {
+      const createdId = applyOperation(userId, { type: 'create', data, id });
+      listeners.notify(userId);
+      return { id: createdId };
+    },
+
+    async update(userId, id, changes) {
+      applyOperation(userId, { type: 'update', id, changes });
+      listeners.notify(userId);
+    },
+
+    async remove(userId, id) {
+      applyOperation(userId, { type: 'delete', id });
+      listeners.notify(userId);
+    },
+
+    async commit(userId, operations) {
+      // Validate every update target first so a failing batch leaves the store untouched
+      const records = userRecords(userId);
+      operations.forEach((operation) => {
+        if (operation.type === 'update' && !records.has(operation.id)) {
+          throw new Error(`No ${collectionName} document with ID ${operation.id} exists.`);
+        }
+      });
+      const ids = operations.map((operation) => applyOperation(userId, operation));
+      listeners.notify(userId);
+      return ids;
+    },
+
+    subscribe(userId, onChange, onError) {
+      const emit = () => {
+        try {
+          onChange(snapshot(userId));
+        } catch (error) {
+          onError?.(error);
+        }
+      };
+      const unsubscribe = listeners.add(userId, emit);
+      emit();
+      return unsubscribe;
+    },
+  };
+};
@@ -0,0 +1,134 @@
+import { sortByDate, applyChanges, applyQuery, createListenerRegistry } from './repositoryUtils.js';
+
+/**
+ * @typedef {import("./index.js").ReminderRepository} ReminderRepository
+ */
+
+/**
+ * Creates a non-persistent, deterministic in-memory reminder repository.
+ * IDs are sequential (`reminder-1`, `reminder-2`, ...) and listeners are notified synchronously,
+ * which makes the adapter suitable for tests and throwaway demos.
+ *
+ * @param {{ initialData?: Record<string, Array<object>> }} [options] - Optional seed data keyed by user ID.
+ *   Each record must include an `id`.
+ * @returns {ReminderRepository} The repository.
+ */
+export const createMemoryReminderRepository = ({ initialData = {} } = {}) => {
+  /** @type {Map<string, Map<string, object>>} */
+  const store = new Map();
+  const listeners = createListenerRegistry();
+  let nextId = 1;
+
+  const userRecords = (userId) => {
+    if (!store.has(userId)) {
+      store.set(userId, new Map());
+    }
+    return store.get(userId);
+  };
+
+  // Records are copied on the way in and out so callers can't mutate the store
+  const clone = (record) => structuredClone(record);
+
+  Object.entries(initialData).forEach(([userId, records]) => {
+    records.forEach((record) => userRecords(userId).set(record.id, clone(record)));
+  });
+
+  const snapshot = (userId) => sortByDate([...userRecords(userId).values()].map(clone));
+
+  const applyOperation = (userId, operation) => {
+    const records = userRecords(userId);
+    switch (operation.type) {
+      case 'create': {
+        const id = operation.id || `reminder-${nextId++}`;
+        records.set(id, clone({ ...operation.data, id }));
+        return id;
+      }
+      case 'update': {
+        const existing = records.get(operation.id);
+        if (!existing) {
+          throw new Error(`No reminder with ID ${operation.id} exists.`);
+        }
+        records.set(operation.id, applyChanges(existing, clone(operation.changes)));
+        return operation.id;
+      }
+      case 'delete':
+        records.delete(operation.id);
+        return operation.id;
+      default:
+        throw new TypeError(`Unknown repository operation type: ${operation.type}`);
+    }
+  };
+
+  // Validates every update target first so a failing batch leaves the store untouched
+  const applyOperations = (userId, operations) => {
+    const records = userRecords(userId);
+    operations.forEach((operation) => {
+      if (operation.type === 'update' && !records.has(operation.id)) {
+        throw new Error(`No reminder with ID ${operation.id} exists.`);
+      }
+    });
+    return operations.map((operation) => applyOperation(userId, operation));
+  };
+
+  return {
+    async list(userId) {
+      return snapshot(userId);
+    },
+
+    async query(userId, query) {
+      return applyQuery(snapshot(userId), query);
+    },
+
+    async get(userId, id) {
+      const record = userRecords(userId).get(id);
+      return record ? clone(record) : null;
+    },
+
+    async create(userId, data, { id } = {}) {
+      const createdId = applyOperation(userId, { type: 'create', data, id });
+      listeners.notify(userId);
+      return { id: createdId };
+    },
+
+    async update(userId, id, changes) {
+      applyOperation(userId, { type: 'update', id, changes });
+      listeners.notify(userId);
+    },
+
+    async remove(userId, id) {
+      applyOperation(userId, { type: 'delete', id });
+      listeners.notify(userId);
+    },
+
+    async commit(userId, operations) {
+      const ids = applyOperations(userId, operations);
+      listeners.notify(userId);
+      return ids;
+    },
+
+    async transact(userId, id, resolve) {
+      const existing = userRecords(userId).get(id);
+      const operation = resolve(existing ? clone(existing) : null);
+      if (operation.type === 'commit') {
+        applyOperations(userId, operation.operations);
+        listeners.notify(userId);
+      } else if (operation.type !== 'none') {
+        applyOperation(userId, { ...operation, id });
+        listeners.notify(userId);
+      }
+    },
+
+    subscribe(userId, query, onChange, onError) {
+      const emit = () => {
+        try {
+          onChange(applyQuery(snapshot(userId), { ...query, cursor: null }).records, { fromCache: false, hasPendingWrites: false });
+        } catch (error) {
+          onError?.(error);
+        }
+      };
+      const unsubscribe = listeners.add(userId, emit);
+      emit();
+      return unsubscribe;
+    },
+  };
+};
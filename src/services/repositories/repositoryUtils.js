@@ -0,0 +1,184 @@
+/**
+ * Shared helpers for the reminder and collection repositories. Sorting, change application and query
+ * evaluation are used by the browser-side (local and memory) adapters; the cursor format
+ * is shared by all adapters.
+ */
+
+/**
+ * Sorts records by their `date` field ascending, matching the Firestore `orderBy('date', 'asc')` query.
+ * Records without a valid Date sort last; ties are broken by ID for a stable, deterministic order.
+ * @param {Array<object>} records - The records to sort (not mutated).
+ * @returns {Array<object>} A new, sorted array.
+ */
+export const sortByDate = (records) =>
+  [...records].sort((a, b) => {
+    const aTime = a.date instanceof Date ? a.date.getTime() : Infinity;
+    const bTime = b.date instanceof Date ? b.date.getTime() : Infinity;
+    if (aTime !== bTime) {
+      return aTime - bTime;
+    }
+    return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+  });
+
+/**
+ * Sorts records by ID, the order Firestore returns a collection in when no ordering is given.
+ * @param {Array<object>} records - The records to sort (not mutated).
+ * @returns {Array<object>} A new, sorted array.
+ */
+export const sortById = (records) => [...records].sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+
+/**
+ * Applies a partial update to a record. Keys whose value is `undefined` are removed,
+ * mirroring how the Firestore adapter treats `deleteField()`.
+ * @param {object} record - The current record.
+ * @param {object} changes - The fields to set.
+ * @returns {object} The updated record (a new object).
+ */
+export const applyChanges = (record, changes) => {
+  const updated = { ...record };
+  Object.entries(changes).forEach(([key, value]) => {
+    if (value === undefined) {
+      delete updated[key];
+    } else {
+      updated[key] = value;
+    }
+  });
+  return updated;
+};
+
+/**
+ * Generates a Firestore-like random document ID (20 alphanumeric characters).
+ * Used for client-side IDs so that retried creates are idempotent.
+ * @returns {string}
+ */
+export const generateId = () => {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  const bytes = new Uint8Array(20);
+  if (typeof crypto !== 'undefined' && typeof crypto.getRandomValues === 'function') {
+    crypto.getRandomValues(bytes);
+  } else {
+    bytes.forEach((_, index) => {
+      bytes[index] = Math.floor(Math.random() * 256);
+    });
+  }
+  return Array.from(bytes, (byte) => alphabet[byte % alphabet.length]).join('');
+};
+
+/**
+ * Creates a per-user registry of change listeners used to implement `subscribe`.
+ * @returns {{ add: (userId: string, listener: Function) => () => void, notify: (userId: string) => void, has: (userId: string) => boolean }}
+ */
+export const createListenerRegistry = () => {
+  /** @type {Map<string, Set<Function>>} */
+  const listeners = new Map();
+
+  return {
+    add(userId, listener) {
+      if (!listeners.has(userId)) {
+        listeners.set(userId, new Set());
+      }
+      listeners.get(userId).add(listener);
+      return () => {
+        listeners.get(userId)?.delete(listener);
+      };
+    },
+    notify(userId) {
+      listeners.get(userId)?.forEach((listener) => listener());
+    },
+    has(userId) {
+      return (listeners.get(userId)?.size ?? 0) > 0;
+    },
+  };
+};
+
+/**
+ * Encodes the position of a record in the `date`/ID ordering as an opaque pagination cursor.
+ * @param {{ id: string, date: Date }} record - The last record of a page.
+ * @returns {string}
+ */
+export const encodeCursor = (record) => `${record.date.getTime()}:${record.id}`;
+
+/**
+ * Decodes a cursor produced by `encodeCursor`.
+ * @param {string} cursor - The cursor.
+ * @returns {{ time: number, id: string }}
+ * @throws {TypeError} If the cursor is malformed.
+ */
+export const decodeCursor = (cursor) => {
+  const separator = typeof cursor === 'string' ? cursor.indexOf(':') : -1;
+  const time = separator > 0 ? Number(cursor.slice(0, separator)) : NaN;
+  if (!Number.isFinite(time) || separator === cursor.length - 1) {
+    throw new TypeError(`Invalid reminder cursor: ${cursor}`);
+  }
+  return { time, id: cursor.slice(separator + 1) };
+};
+
+// Compares a record with a decoded cursor position in ascending `date`/ID order
+const compareToCursor = (record, position) => {
+  const time = record.date instanceof Date ? record.date.getTime() : Infinity;
+  if (time !== position.time) {
+    return time - position.time;
+  }
+  return record.id < position.id ? -1 : record.id > position.id ? 1 : 0;
+};
+
+/**
+ * Checks a record against the filters of a query (see `ReminderQuery` in `index.js`).
+ * Like Firestore, range filters never match records without an `endDate`, and `deleted: false`
+ * only matches records whose `deletedAt` is explicitly null.
+ * @param {object} record - The record to test.
+ * @param {import("./index.js").ReminderQuery} query - The query.
+ * @returns {boolean}
+ */
+const matchesQuery = (record, { from, to, tags, status, recipientId, deleted }) => {
+  if (deleted === true && !(record.deletedAt instanceof Date)) {
+    return false;
+  }
+  if (deleted === false && record.deletedAt !== null) {
+    return false;
+  }
+  const hasEndDate = record.endDate instanceof Date;
+  if (from && !(hasEndDate && record.endDate >= from)) {
+    return false;
+  }
+  if (to && !(hasEndDate && record.endDate < to)) {
+    return false;
+  }
+  if (tags && !(Array.isArray(record.tags) && record.tags.some((tag) => tags.includes(tag)))) {
+    return false;
+  }
+  if (status && !status.includes(record.status)) {
+    return false;
+  }
+  if (recipientId && record.recipientId !== recipientId) {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Evaluates a query against a user's records in memory, mirroring the Firestore adapter:
+ * filter, order by `date` then ID, resume after `cursor` and cut the page at `limit`.
+ * @param {Array<object>} records - All of the user's records.
+ * @param {import("./index.js").ReminderQuery} [query] - The query.
+ * @returns {{ records: Array<object>, nextCursor: string | null }} The page and the cursor of the next one.
+ */
+export const applyQuery = (records, query = {}) => {
+  const { limit, cursor, direction = 'asc' } = query;
+  const sign = direction === 'desc' ? -1 : 1;
+
+  let matched = sortByDate(records.filter((record) => matchesQuery(record, query)));
+  if (direction === 'desc') {
+    matched.reverse();
+  }
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    matched = matched.filter((record) => sign * compareToCursor(record, position) > 0);
+  }
+
+  if (limit == null || matched.length <= limit) {
+    return { records: matched, nextCursor: null };
+  }
+  const page = matched.slice(0, limit);
+  return { records: page, nextCursor: encodeCursor(page[page.length - 1]) };
+};
@@ -0,0 +1,186 @@
+import { getCollectionRepository } from './repositories/index.js'; // Storage backend selected by config
+import { isValidTimeZone, isValidCurrency } from '../utils/helpers.js';
+import { normalizeAlarms, sanitizeAlarms } from '../utils/alarms.js';
+
+/**
+ * Per-user settings, stored as a single document at `users/{userId}/settings/general`.
+ */
+
+/**
+ * The current user's settings.
+ * @typedef {object} UserSettings
+ * @property {string | null} defaultTimeZone - IANA time zone preselected for new reminders, or null to use the device's zone.
+ * @property {string} currency - ISO 4217 code of the budget, also used for reminders without their own currency.
+ * @property {number | null} monthlyBudget - Spending limit per calendar month, or null for none.
+ * @property {number | null} yearlyBudget - Spending limit per calendar year, or null for none.
+ * @property {Array<number>} defaultAlarms - Lead times (minutes before, see `utils/alarms.js`) preselected for new reminders.
+ * @property {boolean} weeklyDigest - Whether the user receives the weekly email digest (sent by `functions/`).
+ * @property {Date | null} updatedAt - When the settings were last saved.
+ */
+
+const SETTINGS_COLLECTION = 'settings';
+const SETTINGS_DOCUMENT_ID = 'general';
+
+/** Settings used until the user saves their own. */
+export const DEFAULT_USER_SETTINGS = Object.freeze({
+  defaultTimeZone: null,
+  currency: 'USD',
+  monthlyBudget: null,
+  yearlyBudget: null,
+  defaultAlarms: Object.freeze([]),
+  weeklyDigest: false,
+  updatedAt: null,
+});
+
+// Helper function to validate non-empty string arguments
+const validateNonEmptyString = (value, argName) => {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new TypeError(`${argName} must be a non-empty string.`);
+  }
+};
+
+const isValidBudget = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+/**
+ * Maps the stored settings document to UserSettings, falling back to the defaults for missing or invalid values.
+ * @param {object | null} record - The stored record, or null if the user has no settings yet.
+ * @returns {UserSettings}
+ */
+const mapSettingsRecord = (record) => ({
+  defaultTimeZone: isValidTimeZone(record?.defaultTimeZone) ? record.defaultTimeZone : null,
+  currency: isValidCurrency(record?.currency) ? record.currency : DEFAULT_USER_SETTINGS.currency,
+  monthlyBudget: isValidBudget(record?.monthlyBudget) ? record.monthlyBudget : null,
+  yearlyBudget: isValidBudget(record?.yearlyBudget) ? record.yearlyBudget : null,
+  defaultAlarms: sanitizeAlarms(record?.defaultAlarms),
+  weeklyDigest: record?.weeklyDigest === true,
+  updatedAt: record?.updatedAt instanceof Date ? record.updatedAt : null,
+});
+
+/**
+ * Retrieves a user's settings.
+ *
+ * @param {string} userId - The ID of the user. Must be a non-empty string.
+ * @returns {Promise<UserSettings>} A promise that resolves with the settings (defaults if none are saved).
+ * @throws {TypeError} If `userId` is not a non-empty string.
+ * @throws {Error} Propagates storage errors.
+ */
+export const getUserSettings = async (userId) => {
+  try {
+    validateNonEmptyString(userId, 'userId');
+    return mapSettingsRecord(await getCollectionRepository(SETTINGS_COLLECTION).get(userId, SETTINGS_DOCUMENT_ID));
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in getUserSettings:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
+
+/**
+ * Subscribes to real-time updates of a user's settings.
+ *
+ * @param {string} userId - The ID of the user. Must be a non-empty string.
+ * @param {(settings: UserSettings) => void} callback - Receives the settings on every change.
+ * @param {(error: Error) => void} [onError] - Called if the listener fails.
+ * @returns {() => void} A function that stops the listener.
+ * @throws {TypeError} If `userId` is not a non-empty string or `callback` is not a function.
+ */
+export const subscribeToUserSettings = (userId, callback, onError) => {
+  try {
+    validateNonEmptyString(userId, 'userId');
+    if (typeof callback !== 'function') {
+      throw new TypeError('callback must be a function.');
+    }
+    return getCollectionRepository(SETTINGS_COLLECTION).subscribe(
+      userId,
+      (records) => callback(mapSettingsRecord(records.find((record) => record.id === SETTINGS_DOCUMENT_ID) ?? null)),
+      (error) => {
+        console.error(`Error listening to settings for user ${userId}:`, error);
+        onError?.(error);
+      }
+    );
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in subscribeToUserSettings:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
+
+/**
+ * Saves changes to a user's settings, creating the settings document if needed.
+ *
+ * @param {string} userId - The ID of the user. Must be a non-empty string.
+ * @param {{ defaultTimeZone?: string | null, currency?: string, monthlyBudget?: number | null, yearlyBudget?: number | null, defaultAlarms?: Array<number>, weeklyDigest?: boolean }} changes -
+ *   The settings to change.
+ *   - `defaultTimeZone`: An IANA time zone, or null to follow the device's zone.
+ *   - `currency`: An ISO 4217 currency code.
+ *   - `monthlyBudget`, `yearlyBudget`: Positive limits, or null to remove them.
+ *   - `defaultAlarms`: Lead times for new reminders (an empty array for none).
+ *   - `weeklyDigest`: Whether to receive the weekly email digest.
+ * @returns {Promise<void>} A promise that resolves when the settings are saved.
+ * @throws {TypeError} If arguments are invalid or `changes` is empty.
+ * @throws {Error} Propagates storage errors.
+ */
+export const updateUserSettings = async (userId, changes) => {
+  try {
+    validateNonEmptyString(userId, 'userId');
+    if (!changes || typeof changes !== 'object') {
+      throw new TypeError('changes must be an object.');
+    }
+
+    const dataToUpdate = {};
+    if (changes.defaultTimeZone !== undefined) {
+      if (changes.defaultTimeZone !== null && !isValidTimeZone(changes.defaultTimeZone)) {
+        throw new TypeError("changes.defaultTimeZone must be a valid IANA time zone (e.g., 'Europe/Berlin') or null.");
+      }
+      dataToUpdate.defaultTimeZone = changes.defaultTimeZone;
+    }
+    if (changes.currency !== undefined) {
+      if (!isValidCurrency(changes.currency)) {
+        throw new TypeError("changes.currency must be an ISO 4217 currency code (e.g., 'USD').");
+      }
+      dataToUpdate.currency = changes.currency;
+    }
+    ['monthlyBudget', 'yearlyBudget'].forEach((field) => {
+      if (changes[field] !== undefined) {
+        if (changes[field] !== null && !isValidBudget(changes[field])) {
+          throw new TypeError(`changes.${field} must be a positive number or null.`);
+        }
+        dataToUpdate[field] = changes[field];
+      }
+    });
+    if (changes.defaultAlarms !== undefined) {
+      dataToUpdate.defaultAlarms = normalizeAlarms(changes.defaultAlarms, 'changes.defaultAlarms');
+    }
+    if (changes.weeklyDigest !== undefined) {
+      if (typeof changes.weeklyDigest !== 'boolean') {
+        throw new TypeError('changes.weeklyDigest must be a boolean.');
+      }
+      dataToUpdate.weeklyDigest = changes.weeklyDigest;
+    }
+    if (Object.keys(dataToUpdate).length === 0) {
+      throw new TypeError('changes must contain a setting to update (defaultTimeZone, currency, monthlyBudget, yearlyBudget, defaultAlarms or weeklyDigest).');
+    }
+
+    const repository = getCollectionRepository(SETTINGS_COLLECTION);
+    const stored = await repository.get(userId, SETTINGS_DOCUMENT_ID);
+    const data = { ...dataToUpdate, updatedAt: new Date() };
+    if (stored) {
+      await repository.update(userId, SETTINGS_DOCUMENT_ID, data);
+    } else {
+      await repository.create(userId, { ...DEFAULT_USER_SETTINGS, ...data }, { id: SETTINGS_DOCUMENT_ID });
+    }
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in updateUserSettings:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
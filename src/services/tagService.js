@@ -0,0 +1,241 @@
+import { getCollectionRepository } from './repositories/index.js'; // Storage backend selected by config
+import { removeTagFromReminders } from './reminderService.js';
+import { removeTagFromIdeas } from './ideaService.js';
+
+/**
+ * User-defined tags (e.g., "flowers", "date night") that reminders can be filed under.
+ * Tags are stored at `users/{userId}/tags/{tagId}`; reminders reference them by ID in their
+ * `tags` array, which the dashboard filters on.
+ */
+
+/**
+ * Represents a tag returned from the service.
+ * @typedef {object} Tag
+ * @property {string} id - The unique identifier of the tag document.
+ * @property {string} name - The display name (unique per user, ignoring case).
+ * @property {string} color - One of `TAG_COLORS` (a Chakra UI color scheme).
+ * @property {Date | null} createdAt - When the tag was created.
+ * @property {Date | null} updatedAt - When the tag was last renamed or recolored.
+ */
+
+/** Colors a tag can have; each is a Chakra UI color scheme. */
+export const TAG_COLORS = ['pink', 'red', 'orange', 'yellow', 'green', 'teal', 'blue', 'cyan', 'purple', 'gray'];
+
+/** Maximum length of a tag name. */
+export const MAX_TAG_NAME_LENGTH = 30;
+
+const TAGS_COLLECTION = 'tags';
+
+// Helper function to validate non-empty string arguments
+const validateNonEmptyString = (value, argName) => {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new TypeError(`${argName} must be a non-empty string.`);
+  }
+};
+
+// Validates a tag name and returns it trimmed
+const normalizeTagName = (name) => {
+  validateNonEmptyString(name, 'name');
+  const trimmed = name.trim();
+  if (trimmed.length > MAX_TAG_NAME_LENGTH) {
+    throw new TypeError(`Tag names can be at most ${MAX_TAG_NAME_LENGTH} characters long.`);
+  }
+  return trimmed;
+};
+
+const validateColor = (color) => {
+  if (!TAG_COLORS.includes(color)) {
+    throw new TypeError(`color must be one of ${TAG_COLORS.join(', ')}.`);
+  }
+};
+
+/**
+ * Maps stored tag records to Tag objects sorted by name, skipping malformed documents.
+ * @param {Array<object>} records - The records from the repository.
+ * @returns {Array<Tag>}
+ */
+const mapTagRecords = (records) =>
+  records
+    .filter((record) => typeof record.name === 'string' && record.name.trim() !== '')
+    .map((record) => ({
+      id: record.id,
+      name: record.name,
+      color: TAG_COLORS.includes(record.color) ? record.color : 'gray',
+      createdAt: record.createdAt instanceof Date ? record.createdAt : null,
+      updatedAt: record.updatedAt instanceof Date ? record.updatedAt : null,
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+
+/**
+ * Throws if another of the user's tags already has this name (ignoring case).
+ * @param {string} userId - The owner of the tags.
+ * @param {string} name - The normalized name.
+ * @param {string} [exceptId] - The tag being renamed.
+ */
+const ensureUniqueName = async (userId, name, exceptId) => {
+  const tags = mapTagRecords(await getCollectionRepository(TAGS_COLLECTION).list(userId));
+  const lowerName = name.toLowerCase();
+  if (tags.some((tag) => tag.id !== exceptId && tag.name.toLowerCase() === lowerName)) {
+    throw new Error(`A tag named "${name}" already exists.`);
+  }
+};
+
+/**
+ * Retrieves all of a user's tags, sorted by name.
+ *
+ * @param {string} userId - The ID of the user whose tags to fetch. Must be a non-empty string.
+ * @returns {Promise<Array<Tag>>} A promise that resolves with the tags.
+ * @throws {TypeError} If `userId` is not a non-empty string.
+ * @throws {Error} Propagates storage errors.
+ */
+export const getTags = async (userId) => {
+  try {
+    validateNonEmptyString(userId, 'userId');
+    return mapTagRecords(await getCollectionRepository(TAGS_COLLECTION).list(userId));
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in getTags:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
+
+/**
+ * Subscribes to real-time updates of a user's tags.
+ *
+ * @param {string} userId - The ID of the user whose tags to watch. Must be a non-empty string.
+ * @param {(tags: Array<Tag>) => void} callback - Receives the tags, sorted by name, on every change.
+ * @param {(error: Error) => void} [onError] - Called if the listener fails.
+ * @returns {() => void} A function that stops the listener.
+ * @throws {TypeError} If `userId` is not a non-empty string or `callback` is not a function.
+ */
+export const subscribeToTags = (userId, callback, onError) => {
+  try {
+    validateNonEmptyString(userId, 'userId');
+    if (typeof callback !== 'function') {
+      throw new TypeError('callback must be a function.');
+    }
+    return getCollectionRepository(TAGS_COLLECTION).subscribe(
+      userId,
+      (records) => callback(mapTagRecords(records)),
+      (error) => {
+        console.error(`Error listening to tags for user ${userId}:`, error);
+        onError?.(error);
+      }
+    );
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in subscribeToTags:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
+
+/**
+ * Creates a tag.
+ *
+ * @param {string} userId - The ID of the user creating the tag. Must be a non-empty string.
+ * @param {{ name: string, color?: string }} tagData - The tag name (trimmed, at most
+ *   `MAX_TAG_NAME_LENGTH` characters, unique ignoring case) and color (one of `TAG_COLORS`, default 'pink').
+ * @returns {Promise<{ id: string }>} A promise that resolves with the ID of the new tag.
+ * @throws {TypeError} If `userId` or `tagData` are invalid.
+ * @throws {Error} If a tag with the same name exists, or on storage errors.
+ */
+export const createTag = async (userId, { name, color = 'pink' } = {}) => {
+  try {
+    validateNonEmptyString(userId, 'userId');
+    const normalizedName = normalizeTagName(name);
+    validateColor(color);
+    await ensureUniqueName(userId, normalizedName);
+
+    const now = new Date();
+    return await getCollectionRepository(TAGS_COLLECTION).create(userId, {
+      name: normalizedName,
+      color,
+      createdAt: now,
+      updatedAt: now,
+    });
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in createTag:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
+
+/**
+ * Renames and/or recolors a tag. Reminders reference tags by ID, so they pick up the change.
+ *
+ * @param {string} userId - The ID of the user who owns the tag. Must be a non-empty string.
+ * @param {string} tagId - The ID of the tag. Must be a non-empty string.
+ * @param {{ name?: string, color?: string }} changes - The new name and/or color (same rules as `createTag`).
+ * @returns {Promise<void>} A promise that resolves when the tag is saved.
+ * @throws {TypeError} If arguments are invalid or `changes` is empty.
+ * @throws {Error} If another tag has the new name, or on storage errors (e.g., the tag does not exist).
+ */
+export const updateTag = async (userId, tagId, changes) => {
+  try {
+    validateNonEmptyString(userId, 'userId');
+    validateNonEmptyString(tagId, 'tagId');
+    if (!changes || typeof changes !== 'object') {
+      throw new TypeError('changes must be an object.');
+    }
+
+    const dataToUpdate = {};
+    if (changes.name !== undefined) {
+      dataToUpdate.name = normalizeTagName(changes.name);
+      await ensureUniqueName(userId, dataToUpdate.name, tagId);
+    }
+    if (changes.color !== undefined) {
+      validateColor(changes.color);
+      dataToUpdate.color = changes.color;
+    }
+    if (Object.keys(dataToUpdate).length === 0) {
+      throw new TypeError('changes must contain a name or color.');
+    }
+
+    await getCollectionRepository(TAGS_COLLECTION).update(userId, tagId, { ...dataToUpdate, updatedAt: new Date() });
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in updateTag:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
+
+/**
+ * Deletes a tag and removes it from every reminder and idea filed under it. Those are updated
+ * first, so an interrupted delete leaves the tag in place and can simply be retried.
+ *
+ * @param {string} userId - The ID of the user who owns the tag. Must be a non-empty string.
+ * @param {string} tagId - The ID of the tag. Must be a non-empty string.
+ * @returns {Promise<number>} The number of reminders the tag was removed from.
+ * @throws {TypeError} If arguments are invalid.
+ * @throws {Error} Propagates storage errors.
+ */
+export const deleteTag = async (userId, tagId) => {
+  try {
+    validateNonEmptyString(userId, 'userId');
+    validateNonEmptyString(tagId, 'tagId');
+
+    const updatedCount = await removeTagFromReminders(userId, tagId);
+    await removeTagFromIdeas(userId, tagId);
+    await getCollectionRepository(TAGS_COLLECTION).remove(userId, tagId);
+    return updatedCount;
+  } catch (error) {
+    // Log validation errors specifically, but let others propagate
+    if (error instanceof TypeError) {
+      console.error("Validation Error in deleteTag:", error.message);
+    }
+    // Rethrow to allow upstream handling
+    throw error;
+  }
+};
@@ -0,0 +1,163 @@
+import { zonedTimeToDate } from './helpers.js';
+import { toDateKey } from './recurrence.js';
+
+/**
+ * Lead-time alarms: when the user wants to hear about a reminder ahead of its date (e.g., "3 days
+ * before" to order a gift in time). A reminder stores its alarms as offsets in minutes before each
+ * occurrence. All-day reminders have no time, so their offsets count back from
+ * `ALL_DAY_ALARM_TIME` on the day: 0 is "the morning of", 1440 "the day before at 09:00".
+ * A reminder without alarms is announced at its time (all-day reminders at `ALL_DAY_ALARM_TIME`).
+ */
+
+/** Local time that the alarms of all-day reminders count back from. */
+export const ALL_DAY_ALARM_TIME = '09:00';
+
+/** Maximum number of alarms per reminder. */
+export const MAX_ALARMS_PER_REMINDER = 5;
+
+/** The longest lead time, in minutes (8 weeks). */
+export const MAX_ALARM_MINUTES = 8 * 7 * 24 * 60;
+
+/** Offsets offered by the reminder form, for timed and all-day reminders. */
+export const ALARM_PRESETS = {
+  timed: [0, 15, 60, 24 * 60, 3 * 24 * 60, 7 * 24 * 60],
+  allDay: [0, 24 * 60, 2 * 24 * 60, 3 * 24 * 60, 7 * 24 * 60],
+};
+
+/** Units for custom lead times, in minutes. */
+export const ALARM_UNITS = [
+  { value: 'minutes', label: 'minutes', minutes: 1 },
+  { value: 'hours', label: 'hours', minutes: 60 },
+  { value: 'days', label: 'days', minutes: 24 * 60 },
+  { value: 'weeks', label: 'weeks', minutes: 7 * 24 * 60 },
+];
+
+const MINUTES_PER_DAY = 24 * 60;
+const [ALL_DAY_ALARM_HOUR, ALL_DAY_ALARM_MINUTE] = ALL_DAY_ALARM_TIME.split(':').map(Number);
+
+const isValidAlarm = (minutes) => Number.isInteger(minutes) && minutes >= 0 && minutes <= MAX_ALARM_MINUTES;
+
+/**
+ * Validates a list of alarm offsets.
+ *
+ * @param {Array<number>} alarms - Offsets in minutes before the occurrence.
+ * @param {string} argName - Name used in error messages.
+ * @returns {Array<number>} The offsets without duplicates, shortest lead time first.
+ * @throws {TypeError} If the list or an offset is invalid, or there are too many alarms.
+ */
+export const normalizeAlarms = (alarms, argName) => {
+  if (!Array.isArray(alarms)) {
+    throw new TypeError(`${argName} must be an array of minutes.`);
+  }
+  if (!alarms.every(isValidAlarm)) {
+    throw new TypeError(`${argName} must contain whole minutes between 0 and ${MAX_ALARM_MINUTES}.`);
+  }
+  const unique = [...new Set(alarms)].sort((a, b) => a - b);
+  if (unique.length > MAX_ALARMS_PER_REMINDER) {
+    throw new TypeError(`${argName} can contain at most ${MAX_ALARMS_PER_REMINDER} alarms.`);
+  }
+  return unique;
+};
+
+/**
+ * Keeps the valid offsets of a stored alarm list (used when repairing stored reminders).
+ * @param {unknown} alarms - The stored value.
+ * @returns {Array<number>}
+ */
+export const sanitizeAlarms = (alarms) =>
+  Array.isArray(alarms)
+    ? [...new Set(alarms.filter(isValidAlarm))].sort((a, b) => a - b).slice(0, MAX_ALARMS_PER_REMINDER)
+    : [];
+
+/**
+ * Splits the offset of an all-day alarm into the day it fires on (days before the occurrence)
+ * and the local time, e.g. 1440 → { daysBefore: 1, time: '09:00' }, 600 → { daysBefore: 1, time: '23:00' }.
+ * @param {number} minutes - The offset.
+ * @returns {{ daysBefore: number, time: string }}
+ */
+const getAllDayAlarmParts = (minutes) => {
+  const wallMinutes = ALL_DAY_ALARM_HOUR * 60 + ALL_DAY_ALARM_MINUTE - minutes;
+  const daysBefore = -Math.floor(wallMinutes / MINUTES_PER_DAY);
+  const minuteOfDay = wallMinutes + daysBefore * MINUTES_PER_DAY;
+  const pad = (value) => String(value).padStart(2, '0');
+  return { daysBefore, time: `${pad(Math.floor(minuteOfDay / 60))}:${pad(minuteOfDay % 60)}` };
+};
+
+/**
+ * When an alarm fires for an occurrence.
+ *
+ * @param {Date} occurrenceDate - The occurrence (the start of its day for all-day reminders).
+ * @param {number} minutes - The alarm offset.
+ * @param {{ allDay?: boolean, timeZone?: string }} [options] - The reminder's all-day flag and zone.
+ * @returns {Date}
+ */
+export const getAlarmTime = (occurrenceDate, minutes, { allDay = false, timeZone } = {}) => {
+  if (!allDay || !timeZone) {
+    return new Date(occurrenceDate.getTime() - minutes * 60 * 1000);
+  }
+  const { daysBefore, time } = getAllDayAlarmParts(minutes);
+  const [year, month, day] = toDateKey(occurrenceDate, timeZone).split('-').map(Number);
+  const alarmDay = new Date(Date.UTC(year, month - 1, day - daysBefore));
+  return zonedTimeToDate(alarmDay.toISOString().slice(0, 10), time, timeZone) ?? occurrenceDate;
+};
+
+/**
+ * Converts an alarm offset to minutes before the start of the occurrence, as calendar apps count
+ * them (all-day events start at midnight); negative values are after the start.
+ * @param {number} minutes - The alarm offset.
+ * @param {boolean} allDay - Whether the alarm belongs to an all-day reminder.
+ * @returns {number}
+ */
+export const toMinutesBeforeStart = (minutes, allDay) =>
+  allDay ? minutes - (ALL_DAY_ALARM_HOUR * 60 + ALL_DAY_ALARM_MINUTE) : minutes;
+
+/**
+ * The inverse of `toMinutesBeforeStart`.
+ * @param {number} minutesBeforeStart - Minutes before the start of the occurrence (negative: after it).
+ * @param {boolean} allDay - Whether the alarm belongs to an all-day reminder.
+ * @returns {number} The alarm offset; invalid (negative) if the alarm is after `ALL_DAY_ALARM_TIME` or the start.
+ */
+export const fromMinutesBeforeStart = (minutesBeforeStart, allDay) =>
+  allDay ? minutesBeforeStart + ALL_DAY_ALARM_HOUR * 60 + ALL_DAY_ALARM_MINUTE : minutesBeforeStart;
+
+/**
+ * The times a reminder occurrence should be announced: one per alarm, or the occurrence itself
+ * (`ALL_DAY_ALARM_TIME` on the day for all-day reminders) if the reminder has no alarms.
+ *
+ * @param {{ allDay?: boolean, timeZone?: string, alarms?: Array<number> }} reminder - The reminder.
+ * @param {Date} occurrenceDate - The occurrence.
+ * @returns {Array<{ minutes: number, at: Date }>} The alarms with their times, latest first.
+ */
+export const getAlarmTimes = (reminder, occurrenceDate) => {
+  const alarms = reminder.alarms?.length ? reminder.alarms : [0];
+  return alarms.map((minutes) => ({
+    minutes,
+    at: getAlarmTime(occurrenceDate, minutes, { allDay: reminder.allDay, timeZone: reminder.timeZone }),
+  }));
+};
+
+// e.g. 4320 → '3 days', 90 → '90 minutes'
+const formatDuration = (minutes) => {
+  const unit = [...ALARM_UNITS].reverse().find((candidate) => minutes % candidate.minutes === 0);
+  const amount = minutes / unit.minutes;
+  return `${amount} ${amount === 1 ? unit.label.slice(0, -1) : unit.label}`;
+};
+
+/**
+ * Describes an alarm, e.g. 'At the time', '3 days before' or, for all-day reminders,
+ * 'Morning of (09:00)' and '2 days before at 09:00'.
+ *
+ * @param {number} minutes - The alarm offset.
+ * @param {boolean} [allDay] - Whether the alarm belongs to an all-day reminder.
+ * @returns {string}
+ */
+export const describeAlarm = (minutes, allDay = false) => {
+  if (!allDay) {
+    return minutes === 0 ? 'At the time' : `${formatDuration(minutes)} before`;
+  }
+  const { daysBefore, time } = getAllDayAlarmParts(minutes);
+  if (daysBefore === 0) {
+    return minutes === 0 ? `Morning of (${time})` : `On the day at ${time}`;
+  }
+  return `${daysBefore === 1 ? 'The day' : `${daysBefore} days`} before at ${time}`;
+};
@@ -0,0 +1,189 @@
+import { expandOccurrences, toDateKey } from './recurrence.js';
+
+/**
+ * Budget utilities: planned vs actual spend per month, computed on the client from reminders.
+ *
+ * - Planned: the `estimatedCost` of every occurrence in the month (skipped occurrences excluded).
+ * - Spent: the `actualCost` of one-off reminders and the `cost` recorded on completed occurrences of series.
+ *
+ * Months are taken in each reminder's own time zone, matching the date the user entered. Costs in
+ * another currency than the budget's are not converted; they are left out and counted separately.
+ */
+
+/**
+ * @typedef {import("../services/reminderService.js").Reminder} Reminder
+ */
+
+/**
+ * Planned and spent amounts for one calendar month.
+ * @typedef {object} MonthlyBudgetLine
+ * @property {string} month - The month as 'YYYY-MM'.
+ * @property {number} planned - Sum of estimated costs.
+ * @property {number} spent - Sum of recorded actual costs.
+ */
+
+/**
+ * @typedef {object} BudgetSummary
+ * @property {number} year - The summarized calendar year.
+ * @property {string} currency - The budget currency all amounts are in.
+ * @property {Array<MonthlyBudgetLine>} months - One line per month, January first.
+ * @property {number} planned - Total planned for the year.
+ * @property {number} spent - Total spent in the year.
+ * @property {number} otherCurrencyCount - Reminders with costs in another currency, which are not included.
+ */
+
+/**
+ * A budget limit that planned or actual spending exceeds.
+ * @typedef {object} BudgetOverrun
+ * @property {'month' | 'year'} period - Which limit is exceeded.
+ * @property {string} key - The month ('YYYY-MM') or year ('YYYY').
+ * @property {number} amount - The larger of planned and spent.
+ * @property {number} limit - The budget limit.
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Sums are rounded to cents to hide floating-point noise
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const isCost = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Summarizes planned and actual spending of reminders for a calendar year.
+ *
+ * @param {Array<Reminder>} reminders - The reminders to include (trashed reminders should be left out).
+ * @param {{ year: number, currency: string }} options - The year and the budget currency. Reminders
+ *   without a currency are assumed to be in the budget currency.
+ * @returns {BudgetSummary}
+ */
+export const summarizeBudget = (reminders, { year, currency }) => {
+  const yearPrefix = `${year}-`;
+  const months = Array.from({ length: 12 }, (_, index) => ({
+    month: `${year}-${String(index + 1).padStart(2, '0')}`,
+    planned: 0,
+    spent: 0,
+  }));
+  const addTo = (dateKey, field, amount) => {
+    if (dateKey.startsWith(yearPrefix)) {
+      months[Number(dateKey.slice(5, 7)) - 1][field] += amount;
+    }
+  };
+
+  // Padded by a day on both sides so occurrences in zones far from UTC are found
+  const rangeStart = new Date(Date.UTC(year, 0, 1) - MS_PER_DAY);
+  const rangeEnd = new Date(Date.UTC(year + 1, 0, 1) + MS_PER_DAY);
+
+  let otherCurrencyCount = 0;
+  reminders.forEach((reminder) => {
+    const hasCost =
+      isCost(reminder.estimatedCost) ||
+      isCost(reminder.actualCost) ||
+      (reminder.completions || []).some((entry) => isCost(entry.cost));
+    if (!hasCost) {
+      return;
+    }
+    if ((reminder.currency ?? currency) !== currency) {
+      otherCurrencyCount += 1;
+      return;
+    }
+
+    const completions = reminder.completions || [];
+    if (isCost(reminder.estimatedCost)) {
+      let occurrences = [];
+      try {
+        occurrences = expandOccurrences(reminder.date, reminder.recurrence, rangeStart, rangeEnd, {
+          exceptions: reminder.exceptions || [],
+          timeZone: reminder.timeZone,
+        });
+      } catch (error) {
+        console.warn(`summarizeBudget: cannot expand reminder ${reminder.id}.`, error.message);
+      }
+      const skippedKeys = new Set(
+        completions.filter((entry) => entry.status === 'skipped').map((entry) => entry.occurrenceKey)
+      );
+      occurrences.forEach((occurrence) => {
+        const dateKey = toDateKey(occurrence, reminder.timeZone);
+        const isSkipped = reminder.recurrence ? skippedKeys.has(dateKey) : reminder.status === 'skipped';
+        if (!isSkipped) {
+          addTo(dateKey, 'planned', reminder.estimatedCost);
+        }
+      });
+    }
+
+    if (reminder.recurrence) {
+      completions.forEach((entry) => {
+        if (isCost(entry.cost)) {
+          addTo(entry.occurrenceKey, 'spent', entry.cost);
+        }
+      });
+    } else if (isCost(reminder.actualCost) && reminder.date instanceof Date) {
+      addTo(toDateKey(reminder.date, reminder.timeZone), 'spent', reminder.actualCost);
+    }
+  });
+
+  const roundedMonths = months.map((line) => ({
+    ...line,
+    planned: roundAmount(line.planned),
+    spent: roundAmount(line.spent),
+  }));
+  return {
+    year,
+    currency,
+    months: roundedMonths,
+    planned: roundAmount(roundedMonths.reduce((sum, line) => sum + line.planned, 0)),
+    spent: roundAmount(roundedMonths.reduce((sum, line) => sum + line.spent, 0)),
+    otherCurrencyCount,
+  };
+};
+
+/**
+ * Lists the months (and the year) of a summary whose planned or actual spending exceeds the budget.
+ *
+ * @param {BudgetSummary} summary - The budget summary.
+ * @param {{ monthlyBudget: number | null, yearlyBudget: number | null }} limits - The user's budget limits.
+ * @returns {Array<BudgetOverrun>} The exceeded limits, months first.
+ */
+export const findBudgetOverruns = (summary, { monthlyBudget, yearlyBudget }) => {
+  const overruns = [];
+  if (monthlyBudget != null) {
+    summary.months.forEach((line) => {
+      const amount = Math.max(line.planned, line.spent);
+      if (amount > monthlyBudget) {
+        overruns.push({ period: 'month', key: line.month, amount, limit: monthlyBudget });
+      }
+    });
+  }
+  if (yearlyBudget != null) {
+    const amount = Math.max(summary.planned, summary.spent);
+    if (amount > yearlyBudget) {
+      overruns.push({ period: 'year', key: String(summary.year), amount, limit: yearlyBudget });
+    }
+  }
+  return overruns;
+};
+
+/**
+ * Works out which budget limits saving a reminder would exceed or push further over: the year of
+ * the reminder is summarized without and with it (replacing the stored version when editing),
+ * and every overrun whose amount grows is returned.
+ *
+ * @param {Array<Reminder>} reminders - The user's current reminders.
+ * @param {Reminder} draft - The reminder as it would be saved. Its `id` (if any) replaces the stored reminder.
+ * @param {{ currency: string, monthlyBudget: number | null, yearlyBudget: number | null }} budget - The budget settings.
+ * @returns {Array<BudgetOverrun>} The overruns caused or worsened by the draft.
+ */
+export const getBudgetOverrunsForDraft = (reminders, draft, { currency, monthlyBudget, yearlyBudget }) => {
+  if ((monthlyBudget == null && yearlyBudget == null) || !(draft.date instanceof Date) || isNaN(draft.date.getTime())) {
+    return [];
+  }
+  const year = Number(toDateKey(draft.date, draft.timeZone).slice(0, 4));
+  const others = reminders.filter((reminder) => !draft.id || reminder.id !== draft.id);
+  const limits = { monthlyBudget, yearlyBudget };
+
+  const before = findBudgetOverruns(summarizeBudget(reminders, { year, currency }), limits);
+  const after = findBudgetOverruns(summarizeBudget([...others, draft], { year, currency }), limits);
+  return after.filter((overrun) => {
+    const previous = before.find((entry) => entry.period === overrun.period && entry.key === overrun.key);
+    return !previous || overrun.amount > previous.amount;
+  });
+};
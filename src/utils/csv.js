@@ -0,0 +1,170 @@
+/**
+ * Reading spreadsheet exports (CSV) for the bulk import: RFC 4180 parsing with the delimiter
+ * detected from the header line, and conversion of the date and time notations spreadsheets
+ * commonly use to the 'YYYY-MM-DD' and 'HH:mm' values the reminder form works with.
+ */
+
+/** Date notations a CSV date column can be read in. */
+export const CSV_DATE_FORMATS = ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY', 'DD.MM.YYYY'];
+
+// Delimiters tried on the header line; the most frequent one wins
+const DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Picks the delimiter of a CSV file from its first line (quoted parts are ignored).
+ * @param {string} content - The file content.
+ * @returns {string}
+ */
+const detectDelimiter = (content) => {
+  const firstLine = content.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  let best = ',';
+  let bestCount = 0;
+  DELIMITERS.forEach((delimiter) => {
+    const count = firstLine.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+  return best;
+};
+
+/**
+ * Parses CSV content into rows of cells. Quoted cells may contain delimiters, line breaks and
+ * doubled quotes (""). Comma, semicolon and tab delimiters are detected automatically; a
+ * byte order mark and empty lines are skipped.
+ *
+ * @param {string} content - The file content.
+ * @returns {Array<Array<string>>} The rows, the header row first.
+ */
+export const parseCsv = (content) => {
+  const text = content.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(text);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0].trim() !== '') {
+      rows.push(row);
+    }
+    row = [];
+    cell = '';
+  };
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (inQuotes) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') {
+        index += 1;
+      }
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    endRow();
+  }
+  return rows;
+};
+
+/**
+ * Converts a date cell to a 'YYYY-MM-DD' key. Day and month may have one digit; ISO values with
+ * a time part (e.g. '2031-03-05T10:00') are read as their date.
+ *
+ * @param {string} value - The cell value.
+ * @param {string} format - One of `CSV_DATE_FORMATS`.
+ * @returns {string | null} The date key, or null if the value does not match the format or is not a real date.
+ */
+export const normalizeCsvDate = (value, format) => {
+  const trimmed = value.trim();
+  let match;
+  let year;
+  let month;
+  let day;
+  if (format === 'YYYY-MM-DD') {
+    match = trimmed.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ].*)?$/);
+    [, year, month, day] = match || [];
+  } else {
+    const separator = format === 'DD.MM.YYYY' ? '\\.' : '/';
+    match = trimmed.match(new RegExp(`^(\\d{1,2})${separator}(\\d{1,2})${separator}(\\d{4})$`));
+    if (match) {
+      year = match[3];
+      [month, day] = format === 'MM/DD/YYYY' ? [match[1], match[2]] : [match[2], match[1]];
+    }
+  }
+  if (!match) {
+    return null;
+  }
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) {
+    return null; // e.g. February 30
+  }
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Converts a time cell ('9:30', '09:30:00', '9:30 PM', '9pm') to 'HH:mm'.
+ *
+ * @param {string} value - The cell value.
+ * @returns {string | null} The time, or null if the value is not a time.
+ */
+export const normalizeCsvTime = (value) => {
+  const match = value
+    .trim()
+    .toLowerCase()
+    .match(/^(\d{1,2})(?::(\d{2}))?(?::\d{2})?\s*([ap]\.?m\.?)?$/);
+  if (!match || (match[2] === undefined && !match[3])) {
+    return null;
+  }
+  let hour = Number(match[1]);
+  const minute = Number(match[2] ?? 0);
+  if (match[3]) {
+    if (hour < 1 || hour > 12) {
+      return null;
+    }
+    hour = (hour % 12) + (match[3].startsWith('p') ? 12 : 0);
+  }
+  if (hour > 23 || minute > 59) {
+    return null;
+  }
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+};
+
+/**
+ * Splits a cell holding several values (e.g. tags) on commas, semicolons or vertical bars.
+ *
+ * @param {string} value - The cell value.
+ * @returns {Array<string>} The trimmed, non-empty values without duplicates (ignoring case).
+ */
+export const splitCsvList = (value) => {
+  const seen = new Set();
+  return value
+    .split(/[,;|]/)
+    .map((item) => item.trim())
+    .filter((item) => {
+      const key = item.toLowerCase();
+      if (item === '' || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+};
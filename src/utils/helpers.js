@@ -10,9 +10,10 @@
  *
  * @param {Date | Timestamp | null | undefined} dateInput - The date value to format. Can be a JS Date,
  *   an object with a `toDate` method (like Firestore Timestamp), null, or undefined.
+ * @param {string} [timeZone] - Optional IANA time zone to read the date in. Defaults to the device's zone.
  * @returns {string} The formatted date string ('YYYY-MM-DD') or an empty string ('') if the input is invalid.
  */
-export function formatDateForDisplay(dateInput) {
+export function formatDateForDisplay(dateInput, timeZone) {
   // 1. Handle null or undefined input
   if (dateInput == null) {
     return '';
@@ -54,10 +55,13 @@ export function formatDateForDisplay(dateInput) {
 
   // 6. Format the valid Date object to 'YYYY-MM-DD'
   try {
-    const year = dateObject.getFullYear();
-    // getMonth() is 0-indexed (0-11), so add 1
-    const month = (dateObject.getMonth() + 1).toString().padStart(2, '0');
-    const day = dateObject.getDate().toString().padStart(2, '0');
+    // Read the calendar date in the requested zone, or in local time
+    const parts = timeZone
+      ? getZonedDateParts(dateObject, timeZone)
+      : { year: dateObject.getFullYear(), month: dateObject.getMonth() + 1, day: dateObject.getDate() };
+    const year = parts.year;
+    const month = parts.month.toString().padStart(2, '0');
+    const day = parts.day.toString().padStart(2, '0');
 
     return `${year}-${month}-${day}`;
   } catch (formatError) {
@@ -65,4 +69,394 @@ export function formatDateForDisplay(dateInput) {
       console.error('formatDateForDisplay: Unexpected error during date formatting:', formatError);
       return '';
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Date formats users can choose for displaying dates (see `services/preferencesService.js`).
+ * `formatDateForDisplay` keeps producing 'YYYY-MM-DD', which is also the value format of date inputs.
+ */
+export const DATE_FORMATS = Object.freeze(['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD.MM.YYYY', 'D MMM YYYY']);
+
+const SHORT_MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Formats a date input like `formatDateForDisplay`, but in one of the `DATE_FORMATS`.
+ *
+ * @param {Date | Timestamp | null | undefined} dateInput - The date value to format.
+ * @param {string} [dateFormat='YYYY-MM-DD'] - One of `DATE_FORMATS`; unknown formats fall back to 'YYYY-MM-DD'.
+ * @param {string} [timeZone] - Optional IANA time zone to read the date in. Defaults to the device's zone.
+ * @returns {string} The formatted date, or an empty string ('') if the input is invalid.
+ */
+export function formatDateForUser(dateInput, dateFormat = 'YYYY-MM-DD', timeZone) {
+  const isoDate = formatDateForDisplay(dateInput, timeZone);
+  if (!isoDate) {
+    return '';
+  }
+  const [year, month, day] = isoDate.split('-');
+  switch (dateFormat) {
+    case 'DD/MM/YYYY':
+      return `${day}/${month}/${year}`;
+    case 'MM/DD/YYYY':
+      return `${month}/${day}/${year}`;
+    case 'DD.MM.YYYY':
+      return `${day}.${month}.${year}`;
+    case 'D MMM YYYY':
+      return `${Number(day)} ${SHORT_MONTH_NAMES[Number(month) - 1]} ${year}`;
+    default:
+      return isoDate;
+  }
+}
+
+/**
+ * Parses a 'YYYY-MM-DD' string (as produced by `<input type="date">`) into a JavaScript Date
+ * at local midnight. Returns null if the string is not a valid calendar date.
+ *
+ * @param {string} dateString - The date string to parse.
+ * @returns {Date | null} The parsed Date, or null if the input is invalid.
+ */
+export function parseDateString(dateString) {
+  if (typeof dateString !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dateString)) {
+    return null;
+  }
+  const [year, month, day] = dateString.split('-').map(Number);
+  // Month is 0-indexed in the Date constructor
+  const dateObject = new Date(year, month - 1, day);
+
+  // Reject overflowing values such as '2025-02-30', which Date would roll into March
+  if (
+    isNaN(dateObject.getTime()) ||
+    dateObject.getFullYear() !== year ||
+    dateObject.getMonth() !== month - 1 ||
+    dateObject.getDate() !== day
+  ) {
+    return null;
+  }
+  return dateObject;
+}
+
+/**
+ * Time zone helpers. Reminders store an instant (`date`) plus the IANA time zone their
+ * wall-clock date and time were entered in, so they read the same from any device.
+ * Conversions use the Intl API only.
+ */
+
+// Intl formatters are expensive to create, so one is cached per time zone
+const zonedFormatters = new Map();
+
+const getZonedFormatter = (timeZone) => {
+  if (!zonedFormatters.has(timeZone)) {
+    zonedFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+      })
+    );
+  }
+  return zonedFormatters.get(timeZone);
+};
+
+/**
+ * Returns the time zone of this device (e.g., 'Europe/Berlin'), or 'UTC' if it cannot be determined.
+ * @returns {string}
+ */
+export function getDeviceTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch (error) {
+    return 'UTC';
+  }
+}
+
+/**
+ * Checks whether a string is an IANA time zone name known to this browser.
+ * @param {unknown} timeZone - The value to check.
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone.trim() === '') {
+    return false;
+  }
+  try {
+    getZonedFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Lists the IANA time zones this browser supports, for time zone pickers. Falls back to the
+ * device zone and UTC in browsers without `Intl.supportedValuesOf`.
+ * @returns {Array<string>}
+ */
+export function getSupportedTimeZones() {
+  const deviceTimeZone = getDeviceTimeZone();
+  let timeZones = [];
+  try {
+    timeZones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+  } catch (error) {
+    timeZones = [];
+  }
+  return [...new Set([...timeZones, deviceTimeZone, 'UTC'])].sort();
+}
+
+/**
+ * Returns the wall-clock date and time of an instant in a time zone.
+ * @param {Date} date - The instant.
+ * @param {string} timeZone - An IANA time zone.
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number }}
+ *   `month` is 1-12.
+ */
+export function getZonedDateParts(date, timeZone) {
+  const parts = {};
+  getZonedFormatter(timeZone)
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      if (type !== 'literal') {
+        parts[type] = Number(value);
+      }
+    });
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+}
+
+// Offset of a time zone from UTC at an instant, in milliseconds (positive east of Greenwich)
+const getTimeZoneOffset = (time, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedDateParts(new Date(time), timeZone);
+  const wallTime = Date.UTC(year, month - 1, day, hour, minute, second);
+  return wallTime - (time - (((time % 1000) + 1000) % 1000));
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Converts a wall-clock date and time in a time zone to an instant. Times skipped by a
+ * daylight-saving change resolve to the equivalent time after the change (02:30 becomes 03:30);
+ * times that occur twice when the clocks go back resolve to the first of them.
+ * @param {{ year: number, month: number, day: number, hour?: number, minute?: number, second?: number, millisecond?: number }} wallClock -
+ *   The wall-clock time (`month` is 1-12).
+ * @param {string} timeZone - An IANA time zone.
+ * @returns {Date}
+ */
+const wallClockToDate = ({ year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 }, timeZone) => {
+  const wallTime = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+  // Offsets a day apart are on either side of any daylight-saving change near the wall time
+  const offsetBefore = getTimeZoneOffset(wallTime - MS_PER_DAY, timeZone);
+  const offsetAfter = getTimeZoneOffset(wallTime + MS_PER_DAY, timeZone);
+  const withOffsetBefore = wallTime - offsetBefore;
+  if (getTimeZoneOffset(withOffsetBefore, timeZone) === offsetBefore) {
+    return new Date(withOffsetBefore);
+  }
+  const withOffsetAfter = wallTime - offsetAfter;
+  if (getTimeZoneOffset(withOffsetAfter, timeZone) === offsetAfter) {
+    return new Date(withOffsetAfter);
+  }
+  // Skipped: read with the offset from before the change, the time lands after it
+  return new Date(withOffsetBefore);
+};
+
+/**
+ * Converts a 'YYYY-MM-DD' date and optional 'HH:mm' time entered in a time zone to a Date.
+ * Without a time, the start of that day in the zone is returned (used for all-day reminders).
+ *
+ * @param {string} dateString - The date as 'YYYY-MM-DD'.
+ * @param {string | null | undefined} timeString - The time as 'HH:mm', or empty for the start of the day.
+ * @param {string} timeZone - An IANA time zone.
+ * @returns {Date | null} The instant, or null if the date, time or zone is invalid.
+ */
+export function zonedTimeToDate(dateString, timeString, timeZone) {
+  if (!parseDateString(dateString) || !isValidTimeZone(timeZone)) {
+    return null;
+  }
+  let hour = 0;
+  let minute = 0;
+  if (timeString) {
+    const match = /^(\d{2}):(\d{2})$/.exec(timeString);
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+      return null;
+    }
+    hour = Number(match[1]);
+    minute = Number(match[2]);
+  }
+  const [year, month, day] = dateString.split('-').map(Number);
+  return wallClockToDate({ year, month, day, hour, minute }, timeZone);
+}
+
+/**
+ * Returns the start of the day an instant falls on in a time zone.
+ * @param {Date} date - The instant.
+ * @param {string} timeZone - An IANA time zone.
+ * @returns {Date}
+ */
+export function startOfDayInTimeZone(date, timeZone) {
+  const { year, month, day } = getZonedDateParts(date, timeZone);
+  return wallClockToDate({ year, month, day }, timeZone);
+}
+
+/**
+ * Formats the wall-clock time of a date as 'HH:mm', in a time zone if one is given
+ * (otherwise in the device's zone). Returns an empty string for invalid input.
+ *
+ * @param {Date | Timestamp | null | undefined} dateInput - The date value to format.
+ * @param {string} [timeZone] - An IANA time zone.
+ * @returns {string} The formatted time or an empty string.
+ */
+export function formatTimeForDisplay(dateInput, timeZone) {
+  const dateObject = dateInput && typeof dateInput.toDate === 'function' ? dateInput.toDate() : dateInput;
+  if (!(dateObject instanceof Date) || isNaN(dateObject.getTime())) {
+    return '';
+  }
+  const { hour, minute } = timeZone
+    ? getZonedDateParts(dateObject, timeZone)
+    : { hour: dateObject.getHours(), minute: dateObject.getMinutes() };
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * Converts an instant to a "floating" Date whose device-local fields (getFullYear, getHours, ...)
+ * equal the wall clock in `timeZone`. Calendar arithmetic written against local time (such as
+ * recurrence expansion) can then run in any zone; `fromFloatingDate` converts results back.
+ * @param {Date} date - The instant.
+ * @param {string} timeZone - An IANA time zone.
+ * @returns {Date}
+ */
+export function toFloatingDate(date, timeZone) {
+  const { year, month, day, hour, minute, second } = getZonedDateParts(date, timeZone);
+  return new Date(year, month - 1, day, hour, minute, second, date.getMilliseconds());
+}
+
+/**
+ * Inverse of `toFloatingDate`: reads the device-local fields of a floating Date as a wall clock in `timeZone`.
+ * @param {Date} floatingDate - The floating Date.
+ * @param {string} timeZone - An IANA time zone.
+ * @returns {Date}
+ */
+export function fromFloatingDate(floatingDate, timeZone) {
+  return wallClockToDate(
+    {
+      year: floatingDate.getFullYear(),
+      month: floatingDate.getMonth() + 1,
+      day: floatingDate.getDate(),
+      hour: floatingDate.getHours(),
+      minute: floatingDate.getMinutes(),
+      second: floatingDate.getSeconds(),
+      millisecond: floatingDate.getMilliseconds(),
+    },
+    timeZone
+  );
+}
+
+/**
+ * Currency helpers for the cost and budget fields. Amounts are plain numbers in major units
+ * (12.5 means 12.50) next to an ISO 4217 currency code.
+ */
+
+// Offered when the browser can't list its supported currencies
+const FALLBACK_CURRENCIES = ['AUD', 'BRL', 'CAD', 'CHF', 'CNY', 'EUR', 'GBP', 'INR', 'JPY', 'MXN', 'SEK', 'USD'];
+
+/**
+ * Checks whether a value is a three-letter ISO 4217 currency code that Intl can format.
+ * @param {unknown} currency - The value to check.
+ * @returns {boolean}
+ */
+export function isValidCurrency(currency) {
+  if (typeof currency !== 'string' || !/^[A-Z]{3}$/.test(currency)) {
+    return false;
+  }
+  try {
+    new Intl.NumberFormat(undefined, { style: 'currency', currency });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Lists ISO 4217 currency codes for currency pickers.
+ * @returns {Array<string>}
+ */
+export function getSupportedCurrencies() {
+  try {
+    if (typeof Intl.supportedValuesOf === 'function') {
+      return Intl.supportedValuesOf('currency');
+    }
+  } catch (error) {
+    // Fall through to the short list
+  }
+  return FALLBACK_CURRENCIES;
+}
+
+/**
+ * Formats an amount as currency in the user's locale, e.g. `formatCurrency(12.5, 'USD')` → '$12.50'.
+ * Returns an empty string for missing amounts and falls back to '12.50 XYZ' for unknown currencies.
+ *
+ * @param {number | null | undefined} amount - The amount in major units.
+ * @param {string} currency - The ISO 4217 currency code.
+ * @returns {string} The formatted amount or an empty string.
+ */
+export function formatCurrency(amount, currency) {
+  if (typeof amount !== 'number' || !Number.isFinite(amount)) {
+    return '';
+  }
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+  } catch (error) {
+    return `${amount.toFixed(2)} ${currency}`;
+  }
+}
+
+/**
+ * Offers text content to the user as a file download (browser only).
+ * @param {string} fileName - The suggested file name, e.g. 'reminders.ics'.
+ * @param {string} content - The file content.
+ * @param {string} mimeType - The content's MIME type, e.g. 'text/calendar'.
+ */
+export function downloadTextFile(fileName, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke after the click has been handled, or some browsers cancel the download
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Returns `path` if it is safe to navigate to after signing in: an in-app path such as
+ * '/ideas?tag=x'. Anything else (absolute URLs, protocol-relative '//host' paths, the
+ * sign-in pages themselves) returns `fallback`, so a crafted link cannot send users elsewhere.
+ * Paths with control characters are refused too: URL parsing drops tabs and line breaks, which
+ * turns e.g. '/\t/host' into '//host'.
+ *
+ * @param {unknown} path - The requested path, e.g. from router state or a `next` query parameter.
+ * @param {string} [fallback='/'] - The path to use instead.
+ * @returns {string}
+ */
+export function getSafeReturnPath(path, fallback = '/') {
+  if (typeof path !== 'string' || !path.startsWith('/') || path.startsWith('//') || path.startsWith('/\\')) {
+    return fallback;
+  }
+  if ([...path].some((char) => char < ' ' || char === '\u007f')) {
+    return fallback;
+  }
+  // Route matching ignores case, so '/Login' is the sign-in page as well
+  if (/^\/(login|signup|reset-password)(\/|\?|#|$)/i.test(path)) {
+    return fallback;
+  }
+  return path;
+}
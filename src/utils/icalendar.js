@@ -0,0 +1,554 @@
+import { RECURRENCE_FREQUENCIES, normalizeRecurrenceRule, toDateKey } from './recurrence.js';
+import { getZonedDateParts, isValidTimeZone, parseDateString, zonedTimeToDate } from './helpers.js';
+import { toMinutesBeforeStart, fromMinutesBeforeStart, sanitizeAlarms } from './alarms.js';
+
+/**
+ * iCalendar (RFC 5545) export and import of reminders.
+ *
+ * Each reminder becomes a VEVENT: all-day reminders use DATE values, timed reminders a local
+ * time with the reminder's IANA zone as TZID (as most calendar apps write them), and recurring
+ * reminders an RRULE plus EXDATEs for skipped occurrences. The reminder's lead-time alarms are
+ * written as VALARMs and read back on import.
+ *
+ * Imported VEVENTs become reminder drafts for `addReminder`. Parts the reminder model cannot
+ * represent (e.g., repeat rules with several monthly days) are dropped with a warning, and
+ * events that cannot be imported at all carry an error instead of a draft.
+ */
+
+/**
+ * @typedef {import("../services/reminderService.js").Reminder} Reminder
+ */
+
+/**
+ * A reminder read from an .ics file.
+ * @typedef {object} ImportedEvent
+ * @property {string | null} uid - The event's UID.
+ * @property {{ text: string, date: Date, allDay: boolean, timeZone: string, recurrence: object | null, tags: Array<string>, notes: string | null, alarms: Array<number> } | null} draft -
+ *   The reminder to add (see `addReminder`), or null if the event cannot be imported.
+ * @property {Array<string>} categories - The event's CATEGORIES, matched to tags by name.
+ * @property {Array<number>} alarms - Alarm triggers in minutes before the start (negative: after it).
+ * @property {Array<string>} warnings - Parts of the event that were left out.
+ * @property {string | null} error - Why the event cannot be imported.
+ */
+
+/** MIME type of .ics files. */
+export const ICALENDAR_MIME_TYPE = 'text/calendar';
+
+// Identifies this app in PRODID and in the UIDs of exported reminders
+const PRODUCT_ID = '-//Sweet Surprises//Reminders//EN';
+const UID_DOMAIN = 'sweet-surprise-reminders';
+
+// RFC 5545 limits content lines to 75 octets, excluding the line break
+const MAX_LINE_OCTETS = 75;
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const textEncoder = new TextEncoder();
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// --- Content lines ---
+
+const escapeText = (value) =>
+  value.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+// Splits a line into chunks of at most 75 octets without breaking characters apart
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let currentOctets = 0;
+  for (const char of line) {
+    const octets = textEncoder.encode(char).length;
+    // Continuation lines start with a space, which counts towards their length
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (currentOctets + octets > limit) {
+      chunks.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+};
+
+// Joins folded lines back together
+const unfoldLines = (text) =>
+  text
+    .replace(/^\uFEFF/, '')
+    .split(/\r\n|\n|\r/)
+    .reduce((lines, line) => {
+      if ((line.startsWith(' ') || line.startsWith('\t')) && lines.length > 0) {
+        lines[lines.length - 1] += line.slice(1);
+      } else if (line !== '') {
+        lines.push(line);
+      }
+      return lines;
+    }, []);
+
+/**
+ * Parses a content line such as `DTSTART;TZID=Europe/Berlin:20310101T090000`.
+ * @param {string} line - The unfolded line.
+ * @returns {{ name: string, params: Record<string, string>, value: string } | null} Null if the line is malformed.
+ */
+const parseContentLine = (line) => {
+  let index = 0;
+  const readUntil = (stops) => {
+    let result = '';
+    let quoted = false;
+    while (index < line.length && (quoted || !stops.includes(line[index]))) {
+      if (line[index] === '"') {
+        quoted = !quoted;
+      } else {
+        result += line[index];
+      }
+      index += 1;
+    }
+    return result;
+  };
+
+  const name = readUntil([';', ':']).toUpperCase();
+  const params = {};
+  while (line[index] === ';') {
+    index += 1;
+    const paramName = readUntil(['=', ';', ':']).toUpperCase();
+    if (line[index] === '=') {
+      index += 1;
+      params[paramName] = readUntil([';', ':']);
+    }
+  }
+  if (line[index] !== ':' || name === '') {
+    return null;
+  }
+  return { name, params, value: line.slice(index + 1) };
+};
+
+// --- Dates ---
+
+// 'YYYYMMDD' for a 'YYYY-MM-DD' key
+const toDateValue = (dateKey) => dateKey.replace(/-/g, '');
+
+// 'YYYYMMDDTHHMMSSZ' in UTC
+const toUtcDateTimeValue = (date) =>
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T` +
+  `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+// 'YYYYMMDDTHHMMSS' as the wall clock in a zone
+const toLocalDateTimeValue = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedDateParts(date, timeZone);
+  return `${year}${pad(month)}${pad(day)}T${pad(hour)}${pad(minute)}${pad(second)}`;
+};
+
+// The last moment of a 'YYYY-MM-DD' day in a zone
+const getEndOfDay = (dateKey, timeZone) => {
+  const nextDay = parseDateString(dateKey);
+  nextDay.setDate(nextDay.getDate() + 1);
+  return new Date(zonedTimeToDate(toDateKey(nextDay), null, timeZone).getTime() - 1);
+};
+
+// Wall-clock time of a date in a zone as 'HHMMSS', used to build EXDATEs
+const toTimeOfDayValue = (date, timeZone) => toLocalDateTimeValue(date, timeZone).slice(9);
+
+/**
+ * Reads a DATE or DATE-TIME value.
+ * @param {string} value - e.g. '20310101', '20310101T090000' or '20310101T080000Z'.
+ * @param {string} timeZone - The zone of floating and date values.
+ * @returns {{ date: Date, isDate: boolean } | null} Null if the value is malformed.
+ */
+const parseDateValue = (value, timeZone) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const dateKey = `${year}-${month}-${day}`;
+  if (!parseDateString(dateKey)) {
+    return null;
+  }
+  if (hour === undefined) {
+    return { date: zonedTimeToDate(dateKey, null, timeZone), isDate: true };
+  }
+  if (utc) {
+    return { date: new Date(Date.UTC(+year, +month - 1, +day, +hour, +minute, +second)), isDate: false };
+  }
+  const date = zonedTimeToDate(dateKey, `${hour}:${minute}`, timeZone);
+  return date ? { date: new Date(date.getTime() + Number(second) * 1000), isDate: false } : null;
+};
+
+// --- Recurrence rules ---
+
+/**
+ * Writes a reminder's recurrence rule as an RRULE value.
+ * @param {Reminder} reminder - A recurring reminder.
+ * @returns {string}
+ */
+const toRRuleValue = (reminder) => {
+  const { freq, interval, byDay, nthWeekday, until, count } = normalizeRecurrenceRule(reminder.recurrence);
+  const parts = [`FREQ=${freq}`];
+  if (interval > 1) {
+    parts.push(`INTERVAL=${interval}`);
+  }
+  if (byDay) {
+    parts.push(`BYDAY=${byDay.map((weekday) => WEEKDAY_CODES[weekday]).join(',')}`);
+  }
+  if (nthWeekday) {
+    if (freq === 'YEARLY') {
+      parts.push(`BYMONTH=${getZonedDateParts(reminder.date, reminder.timeZone).month}`);
+    }
+    parts.push(`BYDAY=${nthWeekday.nth}${WEEKDAY_CODES[nthWeekday.weekday]}`);
+  }
+  if (until) {
+    // UNTIL must have the same value type as DTSTART
+    parts.push(
+      `UNTIL=${reminder.allDay ? toDateValue(toDateKey(until, reminder.timeZone)) : toUtcDateTimeValue(until)}`
+    );
+  }
+  if (count) {
+    parts.push(`COUNT=${count}`);
+  }
+  return parts.join(';');
+};
+
+/**
+ * Reads an RRULE value into a recurrence rule for `addReminder`.
+ * @param {string} value - The RRULE value.
+ * @param {{ start: Date, timeZone: string }} event - The event's start, for rules that restate it
+ *   (e.g., BYMONTH of a yearly event).
+ * @returns {object | null} The rule, or null if the reminder model cannot represent it.
+ */
+const parseRRuleValue = (value, { start, timeZone }) => {
+  const parts = Object.fromEntries(
+    value.split(';').map((part) => {
+      const [key, ...rest] = part.split('=');
+      return [key.trim().toUpperCase(), rest.join('=').trim()];
+    })
+  );
+  const startParts = getZonedDateParts(start, timeZone);
+  const supportedKeys = ['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTH', 'BYMONTHDAY', 'BYSETPOS', 'UNTIL', 'COUNT', 'WKST'];
+  if (Object.keys(parts).some((key) => !supportedKeys.includes(key))) {
+    return null;
+  }
+
+  let freq = parts.FREQ;
+  if (!RECURRENCE_FREQUENCIES.includes(freq)) {
+    return null;
+  }
+  const byDays = parts.BYDAY
+    ? parts.BYDAY.split(',').map((entry) => /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(entry.trim()))
+    : [];
+  if (byDays.some((entry) => entry === null)) {
+    return null;
+  }
+  // Restating the start's month or day of month is harmless; other values are not supported
+  if (parts.BYMONTH && (freq !== 'YEARLY' || Number(parts.BYMONTH) !== startParts.month)) {
+    return null;
+  }
+  if (parts.BYMONTHDAY && (byDays.length > 0 || Number(parts.BYMONTHDAY) !== startParts.day)) {
+    return null;
+  }
+
+  const rule = { freq, interval: parts.INTERVAL ? Number(parts.INTERVAL) : 1, byDay: null, nthWeekday: null };
+  if (byDays.length > 0) {
+    const weekdays = byDays.map((entry) => WEEKDAY_CODES.indexOf(entry[2]));
+    const ordinals = byDays.map((entry) => (entry[1] ? Number(entry[1]) : null));
+    const setPosition = parts.BYSETPOS ? Number(parts.BYSETPOS) : null;
+    if (freq === 'DAILY' && rule.interval === 1 && ordinals.every((ordinal) => ordinal === null)) {
+      // e.g. every weekday: the same as a weekly rule on those days
+      freq = 'WEEKLY';
+      rule.freq = freq;
+    }
+    if (freq === 'WEEKLY' && ordinals.every((ordinal) => ordinal === null) && setPosition === null) {
+      rule.byDay = weekdays;
+    } else if ((freq === 'MONTHLY' || (freq === 'YEARLY' && parts.BYMONTH)) && byDays.length === 1) {
+      const nth = ordinals[0] ?? setPosition;
+      if (![1, 2, 3, 4, -1].includes(nth) || (ordinals[0] !== null && setPosition !== null)) {
+        return null;
+      }
+      rule.nthWeekday = { nth, weekday: weekdays[0] };
+    } else {
+      return null;
+    }
+  } else if (parts.BYSETPOS) {
+    return null;
+  }
+
+  if (parts.UNTIL) {
+    const until = parseDateValue(parts.UNTIL, timeZone);
+    if (!until) {
+      return null;
+    }
+    // A date-only UNTIL includes that whole day
+    rule.until = until.isDate ? getEndOfDay(toDateKey(until.date, timeZone), timeZone) : until.date;
+  }
+  if (parts.COUNT) {
+    rule.count = Number(parts.COUNT);
+  }
+  try {
+    return normalizeRecurrenceRule(rule);
+  } catch (error) {
+    return null;
+  }
+};
+
+// --- Alarms ---
+
+/**
+ * Reads a VALARM trigger relative to the start, e.g. '-PT15M', '-P1D' or 'PT9H'.
+ * @param {string} value - The TRIGGER value.
+ * @returns {number | null} Minutes before the start (negative: after it), or null for other triggers.
+ */
+const parseTriggerValue = (value) => {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match || value.trim() === 'P' || value.trim().endsWith('T')) {
+    return null;
+  }
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const total = Number(weeks) * 10080 + Number(days) * 1440 + Number(hours) * 60 + Number(minutes) + Number(seconds) / 60;
+  return sign === '-' || total === 0 ? Math.round(total) : -Math.round(total);
+};
+
+// Minutes as an iCalendar duration, e.g. 'P1DT2H30M'
+const toDurationValue = (minutes) => {
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const rest = minutes % 60;
+  const time = `${hours ? `${hours}H` : ''}${rest ? `${rest}M` : ''}`;
+  const duration = `${days ? `${days}D` : ''}${time ? `T${time}` : ''}`;
+  return duration ? `P${duration}` : 'PT0M';
+};
+
+// --- Export ---
+
+/**
+ * Serializes reminders as an iCalendar document.
+ *
+ * @param {Array<Reminder>} reminders - The reminders to export. Their alarms are written as display alarms.
+ * @param {{ tagsById?: Map<string, { name: string }>, now?: Date }} [options] - Export options.
+ *   - `tagsById`: The user's tags, used to write tag names as CATEGORIES.
+ *   - `now`: The DTSTAMP of the events (defaults to now).
+ * @returns {string} The .ics file content, with CRLF line breaks.
+ */
+export const serializeRemindersToICalendar = (reminders, { tagsById, now = new Date() } = {}) => {
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODUCT_ID}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+  const stamp = toUtcDateTimeValue(now);
+
+  reminders.forEach((reminder) => {
+    const { timeZone } = reminder;
+    lines.push('BEGIN:VEVENT', `UID:${reminder.id}@${UID_DOMAIN}`, `DTSTAMP:${stamp}`);
+    if (reminder.allDay) {
+      const dateKey = toDateKey(reminder.date, timeZone);
+      const nextDay = parseDateString(dateKey);
+      nextDay.setDate(nextDay.getDate() + 1);
+      lines.push(
+        `DTSTART;VALUE=DATE:${toDateValue(dateKey)}`,
+        `DTEND;VALUE=DATE:${toDateValue(toDateKey(nextDay))}`
+      );
+    } else {
+      lines.push(`DTSTART;TZID=${timeZone}:${toLocalDateTimeValue(reminder.date, timeZone)}`);
+    }
+    lines.push(`SUMMARY:${escapeText(reminder.text)}`);
+    if (reminder.notes) {
+      lines.push(`DESCRIPTION:${escapeText(reminder.notes)}`);
+    }
+
+    const categories = (reminder.tags || []).map((tagId) => tagsById?.get(tagId)?.name).filter(Boolean);
+    if (categories.length > 0) {
+      lines.push(`CATEGORIES:${categories.map(escapeText).join(',')}`);
+    }
+    if (reminder.recurrence) {
+      lines.push(`RRULE:${toRRuleValue(reminder)}`);
+      const exceptions = reminder.exceptions || [];
+      if (exceptions.length > 0) {
+        lines.push(
+          reminder.allDay
+            ? `EXDATE;VALUE=DATE:${exceptions.map(toDateValue).join(',')}`
+            : `EXDATE;TZID=${timeZone}:${exceptions
+                .map((key) => `${toDateValue(key)}T${toTimeOfDayValue(reminder.date, timeZone)}`)
+                .join(',')}`
+        );
+      }
+    }
+    (reminder.alarms || []).forEach((minutes) => {
+      const minutesBeforeStart = toMinutesBeforeStart(minutes, reminder.allDay);
+      lines.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeText(reminder.text)}`,
+        minutesBeforeStart >= 0
+          ? `TRIGGER:-${toDurationValue(minutesBeforeStart)}`
+          : `TRIGGER:${toDurationValue(-minutesBeforeStart)}`,
+        'END:VALARM'
+      );
+    });
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+// --- Import ---
+
+/**
+ * Converts the properties of a VEVENT to an ImportedEvent.
+ * @param {Array<{ name: string, params: Record<string, string>, value: string }>} properties - The event's properties.
+ * @param {Array<number>} alarms - Triggers of the event's alarms, in minutes before the start.
+ * @param {string} defaultTimeZone - Zone for floating times and dates.
+ * @returns {ImportedEvent}
+ */
+const toImportedEvent = (properties, alarms, defaultTimeZone) => {
+  const property = (name) => properties.find((entry) => entry.name === name);
+  const event = {
+    uid: property('UID')?.value.trim() || null,
+    draft: null,
+    categories: properties
+      .filter((entry) => entry.name === 'CATEGORIES')
+      .flatMap((entry) => entry.value.split(/(?<!\\),/).map((name) => unescapeText(name).trim()))
+      .filter(Boolean),
+    alarms,
+    warnings: [],
+    error: null,
+  };
+
+  const text = unescapeText(property('SUMMARY')?.value ?? '').trim();
+  const start = property('DTSTART');
+  if (property('RECURRENCE-ID')) {
+    event.error = 'Changed occurrence of a repeating event';
+    return event;
+  }
+  if (property('STATUS')?.value.toUpperCase() === 'CANCELLED') {
+    event.error = 'Cancelled event';
+    return event;
+  }
+  if (!text) {
+    event.error = 'The event has no title';
+    return event;
+  }
+  if (!start) {
+    event.error = 'The event has no start date';
+    return event;
+  }
+
+  let timeZone = defaultTimeZone;
+  if (start.params.TZID) {
+    if (isValidTimeZone(start.params.TZID)) {
+      timeZone = start.params.TZID;
+    } else {
+      event.warnings.push(`Unknown time zone "${start.params.TZID}", read as ${defaultTimeZone}`);
+    }
+  }
+  const parsedStart = parseDateValue(start.value, timeZone);
+  if (!parsedStart) {
+    event.error = `Unreadable start date "${start.value}"`;
+    return event;
+  }
+  const allDay = parsedStart.isDate || start.params.VALUE === 'DATE';
+
+  let recurrence = null;
+  const rrule = property('RRULE');
+  if (rrule) {
+    recurrence = parseRRuleValue(rrule.value, { start: parsedStart.date, timeZone });
+    if (!recurrence) {
+      event.warnings.push('Its repeat rule is not supported, so it is imported as a one-off reminder');
+    }
+  }
+  if (recurrence && properties.some((entry) => entry.name === 'EXDATE' || entry.name === 'RDATE')) {
+    event.warnings.push('Skipped or extra dates of the series are not imported');
+  }
+  const offsets = [...new Set(alarms.map((minutesBeforeStart) => fromMinutesBeforeStart(minutesBeforeStart, allDay)))];
+  const reminderAlarms = sanitizeAlarms(offsets);
+  if (reminderAlarms.length < offsets.length) {
+    event.warnings.push('Some alarms are not imported (after the start, too early or too many)');
+  }
+
+  const notes = unescapeText(property('DESCRIPTION')?.value ?? '').trim() || null;
+  event.draft = { text, date: parsedStart.date, allDay, timeZone, recurrence, tags: [], notes, alarms: reminderAlarms };
+  return event;
+};
+
+/**
+ * Reads the VEVENTs of an iCalendar document.
+ *
+ * @param {string} content - The .ics file content.
+ * @param {{ defaultTimeZone: string }} options - `defaultTimeZone`: the zone of dates and floating
+ *   times (times without a zone), usually the user's default zone.
+ * @returns {Array<ImportedEvent>} The events in file order.
+ * @throws {TypeError} If the content is not an iCalendar document.
+ */
+export const parseICalendarEvents = (content, { defaultTimeZone }) => {
+  if (typeof content !== 'string') {
+    throw new TypeError('content must be a string.');
+  }
+  const lines = unfoldLines(content);
+  if (lines[0]?.toUpperCase() !== 'BEGIN:VCALENDAR') {
+    throw new TypeError('This is not an iCalendar (.ics) file.');
+  }
+
+  const events = [];
+  const stack = []; // Names of the open components
+  let properties = null;
+  let alarms = null;
+  let trigger = null;
+  lines.forEach((line) => {
+    const parsed = parseContentLine(line);
+    if (!parsed) {
+      return; // Malformed lines are skipped, as calendar apps do
+    }
+    const { name, params, value } = parsed;
+    if (name === 'BEGIN') {
+      stack.push(value.toUpperCase());
+      if (value.toUpperCase() === 'VEVENT') {
+        properties = [];
+        alarms = [];
+      } else if (value.toUpperCase() === 'VALARM') {
+        trigger = null;
+      }
+    } else if (name === 'END') {
+      const component = stack.pop();
+      if (component === 'VEVENT' && properties) {
+        events.push(toImportedEvent(properties, alarms, defaultTimeZone));
+        properties = null;
+      } else if (component === 'VALARM' && alarms && trigger !== null) {
+        alarms.push(trigger);
+      }
+    } else if (stack[stack.length - 1] === 'VEVENT' && properties) {
+      properties.push({ name, params, value });
+    } else if (stack[stack.length - 1] === 'VALARM' && name === 'TRIGGER' && params.VALUE !== 'DATE-TIME') {
+      trigger = params.RELATED === 'END' ? null : parseTriggerValue(value);
+    }
+  });
+  return events;
+};
+
+/**
+ * Returns the reminder an imported event duplicates: the reminder it was exported from (by UID),
+ * or a reminder with the same text on the same day (all-day) or at the same time.
+ *
+ * @param {ImportedEvent} event - The imported event (with a draft).
+ * @param {Array<Reminder>} reminders - The user's existing reminders.
+ * @returns {Reminder | null}
+ */
+export const findDuplicateReminder = (event, reminders) => {
+  const { draft } = event;
+  if (!draft) {
+    return null;
+  }
+  const exportedId = event.uid?.endsWith(`@${UID_DOMAIN}`) ? event.uid.slice(0, -UID_DOMAIN.length - 1) : null;
+  const text = draft.text.toLowerCase();
+  const draftDay = toDateKey(draft.date, draft.timeZone);
+  return (
+    reminders.find((reminder) => reminder.id === exportedId) ??
+    reminders.find(
+      (reminder) =>
+        reminder.text.trim().toLowerCase() === text &&
+        reminder.allDay === draft.allDay &&
+        (draft.allDay
+          ? toDateKey(reminder.date, reminder.timeZone) === draftDay
+          : reminder.date.getTime() === draft.date.getTime())
+    ) ??
+    null
+  );
+};
@@ -0,0 +1,479 @@
+import { getZonedDateParts, toFloatingDate, fromFloatingDate } from './helpers.js';
+
+/**
+ * Recurrence rule utilities.
+ *
+ * Rules are plain, RRULE-inspired objects so they can be stored directly on a
+ * Firestore document and expanded on the client:
+ *
+ *   { freq: 'YEARLY', interval: 1, byDay: null, nthWeekday: null, until: null, count: null }
+ *
+ * - `freq`: One of 'DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'.
+ * - `interval`: Positive integer, e.g. 2 with 'WEEKLY' means every other week.
+ * - `byDay`: (WEEKLY only) Array of weekday numbers (0 = Sunday ... 6 = Saturday).
+ *   Defaults to the weekday of the series start.
+ * - `nthWeekday`: (MONTHLY/YEARLY) `{ nth, weekday }` where `nth` is 1-4 or -1 (last),
+ *   e.g. `{ nth: 2, weekday: 0 }` is "the second Sunday". When omitted, the day of
+ *   month of the series start is used (months without that day are skipped, as in RRULE).
+ * - `until`: Optional inclusive end Date.
+ * - `count`: Optional maximum number of occurrences (exceptions still count towards it).
+ *
+ * Rules describe wall-clock dates ("every Monday at 09:00"). Pass the reminder's IANA
+ * `timeZone` to the expansion functions and series are walked in that zone, so occurrences keep
+ * their local time across daylight-saving changes and on devices in other zones. Without a
+ * zone, the device's local time is used.
+ */
+
+/** Supported recurrence frequencies. */
+export const RECURRENCE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+/** Weekday labels indexed by `Date#getDay()`. */
+export const WEEKDAY_LABELS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const ORDINAL_LABELS = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', [-1]: 'last' };
+const FREQUENCY_UNITS = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' };
+
+// Upper bound on generated periods, protects against runaway loops on bad data.
+const MAX_PERIODS = 10000;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const isValidDate = (value) => value instanceof Date && !isNaN(value.getTime());
+
+/**
+ * Formats a Date as a 'YYYY-MM-DD' key, the format used for occurrence exceptions.
+ * @param {Date} date - The date to format.
+ * @param {string} [timeZone] - The IANA time zone to read the date in; the device's zone if omitted.
+ * @returns {string} The date key.
+ */
+export const toDateKey = (date, timeZone) => {
+  const { year, month, day } = timeZone
+    ? getZonedDateParts(date, timeZone)
+    : { year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate() };
+  return `${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`;
+};
+
+/**
+ * Converters between instants and "floating" wall-clock dates in a time zone (identity without
+ * a zone), plus a copy of a normalized rule with `until` converted.
+ */
+const wallClock = (timeZone) => {
+  const toWall = timeZone ? (date) => toFloatingDate(date, timeZone) : (date) => date;
+  const fromWall = timeZone ? (date) => fromFloatingDate(date, timeZone) : (date) => date;
+  const toWallRule = (normalizedRule) =>
+    normalizedRule && normalizedRule.until ? { ...normalizedRule, until: toWall(normalizedRule.until) } : normalizedRule;
+  return { toWall, fromWall, toWallRule };
+};
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+/**
+ * Returns the day of month of the nth weekday in the given month, or null if it does not exist.
+ * @param {number} year - Full year.
+ * @param {number} month - 0-indexed month.
+ * @param {number} nth - 1-4, or -1 for the last matching weekday.
+ * @param {number} weekday - 0 (Sunday) to 6 (Saturday).
+ * @returns {number | null} The day of month or null.
+ */
+const nthWeekdayOfMonth = (year, month, nth, weekday) => {
+  const lastDay = daysInMonth(year, month);
+  if (nth === -1) {
+    const lastWeekday = new Date(year, month, lastDay).getDay();
+    return lastDay - ((lastWeekday - weekday + 7) % 7);
+  }
+  const firstWeekday = new Date(year, month, 1).getDay();
+  const day = 1 + ((weekday - firstWeekday + 7) % 7) + (nth - 1) * 7;
+  return day <= lastDay ? day : null;
+};
+
+/**
+ * Describes which weekday-of-month a date falls on, e.g. the 2nd Sunday.
+ * `isLast` is true when no later occurrence of that weekday exists in the month.
+ * @param {Date} date - The date to inspect.
+ * @returns {{ nth: number, weekday: number, isLast: boolean }}
+ */
+export const getNthWeekdayOfDate = (date) => {
+  const day = date.getDate();
+  return {
+    nth: Math.ceil(day / 7),
+    weekday: date.getDay(),
+    isLast: day + 7 > daysInMonth(date.getFullYear(), date.getMonth()),
+  };
+};
+
+/**
+ * Validates a recurrence rule and returns a normalized copy with every key present.
+ * `null`/`undefined` input means "does not repeat" and is returned as `null`.
+ *
+ * @param {object | null | undefined} rule - The rule to normalize.
+ * @returns {object | null} The normalized rule, or null.
+ * @throws {TypeError} If the rule is malformed.
+ */
+export const normalizeRecurrenceRule = (rule) => {
+  if (rule == null) {
+    return null;
+  }
+  if (typeof rule !== 'object') {
+    throw new TypeError('recurrence must be an object or null.');
+  }
+
+  const freq = typeof rule.freq === 'string' ? rule.freq.toUpperCase() : rule.freq;
+  if (!RECURRENCE_FREQUENCIES.includes(freq)) {
+    throw new TypeError(`recurrence.freq must be one of ${RECURRENCE_FREQUENCIES.join(', ')}.`);
+  }
+
+  const interval = rule.interval == null ? 1 : Number(rule.interval);
+  if (!Number.isInteger(interval) || interval < 1) {
+    throw new TypeError('recurrence.interval must be a positive integer.');
+  }
+
+  let byDay = null;
+  if (rule.byDay != null && freq === 'WEEKLY') {
+    if (!Array.isArray(rule.byDay) || rule.byDay.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) {
+      throw new TypeError('recurrence.byDay must be an array of weekday numbers (0-6).');
+    }
+    byDay = rule.byDay.length > 0 ? [...new Set(rule.byDay)].sort((a, b) => a - b) : null;
+  }
+
+  let nthWeekday = null;
+  if (rule.nthWeekday != null && (freq === 'MONTHLY' || freq === 'YEARLY')) {
+    const { nth, weekday } = rule.nthWeekday;
+    if (![1, 2, 3, 4, -1].includes(nth) || !Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+      throw new TypeError('recurrence.nthWeekday must be { nth: 1-4 or -1, weekday: 0-6 }.');
+    }
+    nthWeekday = { nth, weekday };
+  }
+
+  let until = null;
+  if (rule.until != null) {
+    until = typeof rule.until.toDate === 'function' ? rule.until.toDate() : rule.until;
+    if (!isValidDate(until)) {
+      throw new TypeError('recurrence.until, if provided, must be a valid Date.');
+    }
+  }
+
+  let count = null;
+  if (rule.count != null) {
+    count = Number(rule.count);
+    if (!Number.isInteger(count) || count < 1) {
+      throw new TypeError('recurrence.count, if provided, must be a positive integer.');
+    }
+  }
+
+  return { freq, interval, byDay, nthWeekday, until, count };
+};
+
+/**
+ * Builds the candidate occurrence dates for the k-th period of a series.
+ * Candidates may precede the series start (weekly rules) and are filtered by the caller.
+ */
+const candidatesForPeriod = (start, rule, k) => {
+  const hours = start.getHours();
+  const minutes = start.getMinutes();
+  const step = k * rule.interval;
+
+  switch (rule.freq) {
+    case 'DAILY':
+      return [new Date(start.getFullYear(), start.getMonth(), start.getDate() + step, hours, minutes)];
+    case 'WEEKLY': {
+      const weekStartDay = start.getDate() - start.getDay() + step * 7;
+      const weekdays = rule.byDay || [start.getDay()];
+      return weekdays.map(
+        (weekday) => new Date(start.getFullYear(), start.getMonth(), weekStartDay + weekday, hours, minutes)
+      );
+    }
+    case 'MONTHLY':
+    case 'YEARLY': {
+      const monthOffset = rule.freq === 'MONTHLY' ? step : step * 12;
+      const anchor = new Date(start.getFullYear(), start.getMonth() + monthOffset, 1);
+      const year = anchor.getFullYear();
+      const month = anchor.getMonth();
+      const day = rule.nthWeekday
+        ? nthWeekdayOfMonth(year, month, rule.nthWeekday.nth, rule.nthWeekday.weekday)
+        : start.getDate() <= daysInMonth(year, month)
+          ? start.getDate()
+          : null;
+      return day == null ? [] : [new Date(year, month, day, hours, minutes)];
+    }
+    default:
+      return [];
+  }
+};
+
+/**
+ * Walks a series in chronological order, calling `visit` for every occurrence
+ * (exceptions included) until `visit` returns false or the series ends.
+ * Rules without `count` fast-forward DAILY/WEEKLY series close to `skipTo`.
+ */
+const walkSeries = (start, rule, visit, skipTo = null) => {
+  let firstPeriod = 0;
+  if (skipTo && rule.count == null && (rule.freq === 'DAILY' || rule.freq === 'WEEKLY')) {
+    const periodDays = (rule.freq === 'DAILY' ? 1 : 7) * rule.interval;
+    firstPeriod = Math.max(0, Math.floor((skipTo.getTime() - start.getTime()) / (periodDays * MS_PER_DAY)) - 1);
+  }
+
+  let emitted = 0;
+  for (let k = firstPeriod; k < firstPeriod + MAX_PERIODS; k += 1) {
+    const candidates = candidatesForPeriod(start, rule, k);
+    for (const candidate of candidates) {
+      if (candidate < start) {
+        continue;
+      }
+      if (rule.until && candidate > rule.until) {
+        return;
+      }
+      if (rule.count != null && emitted >= rule.count) {
+        return;
+      }
+      emitted += 1;
+      if (visit(candidate) === false) {
+        return;
+      }
+    }
+  }
+};
+
+/**
+ * Expands a recurring series into the occurrence dates that fall inside a window.
+ *
+ * @param {Date} startDate - The first occurrence of the series.
+ * @param {object | null} rule - The recurrence rule, or null for a one-off reminder.
+ * @param {Date} rangeStart - Inclusive window start.
+ * @param {Date} rangeEnd - Inclusive window end.
+ * @param {{ exceptions?: Array<string>, timeZone?: string }} [options] - `exceptions` holds 'YYYY-MM-DD'
+ *   keys of skipped occurrences; `timeZone` is the zone the series is defined in.
+ * @returns {Array<Date>} Occurrence dates in ascending order.
+ * @throws {TypeError} If dates or the rule are invalid.
+ */
+export const expandOccurrences = (startDate, rule, rangeStart, rangeEnd, { exceptions = [], timeZone } = {}) => {
+  if (!isValidDate(startDate) || !isValidDate(rangeStart) || !isValidDate(rangeEnd)) {
+    throw new TypeError('expandOccurrences requires valid Date objects.');
+  }
+  const normalizedRule = normalizeRecurrenceRule(rule);
+  const skipped = new Set(exceptions);
+
+  if (!normalizedRule) {
+    return startDate >= rangeStart && startDate <= rangeEnd && !skipped.has(toDateKey(startDate, timeZone))
+      ? [startDate]
+      : [];
+  }
+  if (timeZone) {
+    const { toWall, fromWall, toWallRule } = wallClock(timeZone);
+    return expandOccurrences(toWall(startDate), toWallRule(normalizedRule), toWall(rangeStart), toWall(rangeEnd), {
+      exceptions,
+    }).map(fromWall);
+  }
+
+  const occurrences = [];
+  walkSeries(
+    startDate,
+    normalizedRule,
+    (occurrence) => {
+      if (occurrence > rangeEnd) {
+        return false;
+      }
+      if (occurrence >= rangeStart && !skipped.has(toDateKey(occurrence))) {
+        occurrences.push(occurrence);
+      }
+      return true;
+    },
+    rangeStart
+  );
+  return occurrences;
+};
+
+/**
+ * Finds the first occurrence at or after `after` that is not an exception.
+ *
+ * @param {Date} startDate - The first occurrence of the series.
+ * @param {object | null} rule - The recurrence rule, or null for a one-off reminder.
+ * @param {Date} [after=new Date()] - Lower bound (inclusive).
+ * @param {{ exceptions?: Array<string>, timeZone?: string }} [options] - Skipped occurrence keys
+ *   ('YYYY-MM-DD') and the zone the series is defined in.
+ * @returns {Date | null} The next occurrence, or null if the series has ended.
+ */
+export const getNextOccurrence = (startDate, rule, after = new Date(), { exceptions = [], timeZone } = {}) => {
+  if (!isValidDate(startDate) || !isValidDate(after)) {
+    return null;
+  }
+  const normalizedRule = normalizeRecurrenceRule(rule);
+  const skipped = new Set(exceptions);
+
+  if (!normalizedRule) {
+    return startDate >= after && !skipped.has(toDateKey(startDate, timeZone)) ? startDate : null;
+  }
+  if (timeZone) {
+    const { toWall, fromWall, toWallRule } = wallClock(timeZone);
+    const next = getNextOccurrence(toWall(startDate), toWallRule(normalizedRule), toWall(after), { exceptions });
+    return next && fromWall(next);
+  }
+
+  let next = null;
+  walkSeries(
+    startDate,
+    normalizedRule,
+    (occurrence) => {
+      if (occurrence >= after && !skipped.has(toDateKey(occurrence))) {
+        next = occurrence;
+        return false;
+      }
+      return true;
+    },
+    after
+  );
+  return next;
+};
+
+/**
+ * Counts the occurrences of a series (exceptions included) strictly before a date.
+ * Used when splitting a counted series into two.
+ *
+ * @param {Date} startDate - The first occurrence of the series.
+ * @param {object} rule - The recurrence rule.
+ * @param {Date} before - Exclusive upper bound.
+ * @param {{ timeZone?: string }} [options] - The zone the series is defined in.
+ * @returns {number} Number of occurrences before `before`.
+ */
+export const countOccurrencesBefore = (startDate, rule, before, { timeZone } = {}) => {
+  const normalizedRule = normalizeRecurrenceRule(rule);
+  if (!normalizedRule) {
+    return startDate < before ? 1 : 0;
+  }
+  if (timeZone) {
+    const { toWall, toWallRule } = wallClock(timeZone);
+    return countOccurrencesBefore(toWall(startDate), toWallRule(normalizedRule), toWall(before));
+  }
+  let total = 0;
+  walkSeries(startDate, normalizedRule, (occurrence) => {
+    if (occurrence >= before) {
+      return false;
+    }
+    total += 1;
+    return true;
+  });
+  return total;
+};
+
+/**
+ * Whether two rules describe the same recurrence, compared by value after normalization
+ * (e.g. a rule and its copy that went through the offline mutation queue).
+ *
+ * @param {object | null | undefined} a - A recurrence rule.
+ * @param {object | null | undefined} b - Another recurrence rule.
+ * @returns {boolean} True if both rules are equal (or both do not repeat).
+ * @throws {TypeError} If either rule is malformed.
+ */
+export const isSameRecurrenceRule = (a, b) => {
+  const ruleA = normalizeRecurrenceRule(a);
+  const ruleB = normalizeRecurrenceRule(b);
+  if (!ruleA || !ruleB) {
+    return ruleA === ruleB;
+  }
+  return (
+    ruleA.freq === ruleB.freq &&
+    ruleA.interval === ruleB.interval &&
+    (ruleA.byDay ?? []).join(',') === (ruleB.byDay ?? []).join(',') &&
+    ruleA.nthWeekday?.nth === ruleB.nthWeekday?.nth &&
+    ruleA.nthWeekday?.weekday === ruleB.nthWeekday?.weekday &&
+    (ruleA.until?.getTime() ?? null) === (ruleB.until?.getTime() ?? null) &&
+    ruleA.count === ruleB.count
+  );
+};
+
+/**
+ * Splits a series at one of its occurrences ("this and following" edits): the original rule is
+ * ended just before `splitDate`, and the following part gets `followingRule`. If the following
+ * rule is the unchanged original and the series is counted, the new series only gets the
+ * occurrences that are left, so both parts together keep the original count.
+ *
+ * @param {Date} startDate - The first occurrence of the series.
+ * @param {object} rule - The series' recurrence rule.
+ * @param {Date} splitDate - The occurrence that starts the following part.
+ * @param {object | null} followingRule - The rule for the following part, as submitted.
+ * @param {{ timeZone?: string }} [options] - The zone the series is defined in.
+ * @returns {{ endedRule: object, followingRule: object | null }} Normalized rules for both parts.
+ * @throws {TypeError} If a rule is malformed.
+ */
+export const splitRecurrence = (startDate, rule, splitDate, followingRule, { timeZone } = {}) => {
+  const normalizedRule = normalizeRecurrenceRule(rule);
+  const previousCount = countOccurrencesBefore(startDate, normalizedRule, splitDate, { timeZone });
+  const endedRule =
+    normalizedRule.count != null
+      ? { ...normalizedRule, count: previousCount, until: null }
+      : { ...normalizedRule, until: new Date(splitDate.getTime() - 1) };
+
+  let nextRule = normalizeRecurrenceRule(followingRule);
+  if (nextRule && normalizedRule.count != null && isSameRecurrenceRule(nextRule, normalizedRule)) {
+    nextRule = { ...nextRule, count: normalizedRule.count - previousCount };
+  }
+  return { endedRule: normalizeRecurrenceRule(endedRule), followingRule: nextRule };
+};
+
+/**
+ * Finds the last occurrence of a series (exceptions included).
+ *
+ * @param {Date} startDate - The first occurrence of the series.
+ * @param {object | null} rule - The recurrence rule, or null for a one-off reminder.
+ * @param {{ timeZone?: string }} [options] - The zone the series is defined in.
+ * @returns {Date | null} The last occurrence, or null if the series never ends (no `until` or `count`).
+ */
+export const getLastOccurrence = (startDate, rule, { timeZone } = {}) => {
+  const normalizedRule = normalizeRecurrenceRule(rule);
+  if (!normalizedRule) {
+    return startDate;
+  }
+  if (normalizedRule.until == null && normalizedRule.count == null) {
+    return null;
+  }
+  if (timeZone) {
+    const { toWall, fromWall, toWallRule } = wallClock(timeZone);
+    return fromWall(getLastOccurrence(toWall(startDate), toWallRule(normalizedRule)));
+  }
+  let last = startDate;
+  walkSeries(
+    startDate,
+    normalizedRule,
+    (occurrence) => {
+      last = occurrence;
+      return true;
+    },
+    normalizedRule.count == null ? normalizedRule.until : null
+  );
+  return last;
+};
+
+/**
+ * Produces a short human-readable description of a rule, e.g. "Every 2 weeks on Monday, Friday".
+ *
+ * @param {object | null} rule - The recurrence rule.
+ * @param {{ timeZone?: string }} [options] - The zone the series is defined in, used for the `until` date.
+ * @returns {string} The description, or an empty string for non-recurring reminders.
+ */
+export const describeRecurrence = (rule, { timeZone } = {}) => {
+  let normalizedRule;
+  try {
+    normalizedRule = normalizeRecurrenceRule(rule);
+  } catch (error) {
+    console.warn('describeRecurrence: invalid rule.', error.message);
+    return '';
+  }
+  if (!normalizedRule) {
+    return '';
+  }
+
+  const { freq, interval, byDay, nthWeekday, until, count } = normalizedRule;
+  const unit = FREQUENCY_UNITS[freq];
+  let description = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+
+  if (byDay) {
+    description += ` on ${byDay.map((d) => WEEKDAY_LABELS[d]).join(', ')}`;
+  }
+  if (nthWeekday) {
+    description += ` on the ${ORDINAL_LABELS[nthWeekday.nth]} ${WEEKDAY_LABELS[nthWeekday.weekday]}`;
+  }
+  if (count != null) {
+    description += `, ${count} time${count === 1 ? '' : 's'}`;
+  } else if (until) {
+    description += `, until ${toDateKey(until, timeZone)}`;
+  }
+  return description;
+};
@@ -0,0 +1,94 @@
+/**
+ * Sorting and grouping of the dashboard's upcoming reminders, following the user's preferences
+ * (`upcomingSort`, `upcomingGrouping` and `weekStartsOn`, see `services/preferencesService.js`).
+ *
+ * Reminders are placed by the date the user will see next: `nextOccurrence` for series, `date`
+ * otherwise. Days, weeks and months are taken in the device's time zone, like the dashboard's
+ * "Upcoming" and "Past" split.
+ */
+
+/**
+ * @typedef {import("../services/reminderService.js").Reminder & { nextOccurrence?: Date | null }} DisplayedReminder
+ */
+
+/**
+ * A run of reminders that fall in the same day, week or month.
+ * @typedef {object} ReminderGroup
+ * @property {string} key - Stable key of the group, from its size and start.
+ * @property {string} label - Heading shown above the group, e.g. 'March 2031' or 'Week of 03/03/2031'.
+ * @property {Array<DisplayedReminder>} reminders - The group's reminders, in the order they were given.
+ */
+
+const getDisplayedDate = (reminder) => reminder.nextOccurrence || reminder.date;
+
+const byDate = (a, b) => getDisplayedDate(a) - getDisplayedDate(b);
+
+// Sort orders; ties are broken by date
+const COMPARATORS = {
+  date: byDate,
+  text: (a, b) => (a.text || '').localeCompare(b.text || '', undefined, { sensitivity: 'base' }) || byDate(a, b),
+  // Highest estimate first, reminders without one last
+  estimatedCost: (a, b) => (b.estimatedCost ?? -Infinity) - (a.estimatedCost ?? -Infinity) || byDate(a, b),
+};
+
+/**
+ * Returns the reminders sorted by one of the `UPCOMING_SORTS`.
+ * @param {Array<DisplayedReminder>} reminders - The reminders; not modified.
+ * @param {'date' | 'text' | 'estimatedCost'} [sort='date'] - The sort order. Unknown values sort by date.
+ * @returns {Array<DisplayedReminder>} A sorted copy.
+ */
+export const sortReminders = (reminders, sort = 'date') => [...reminders].sort(COMPARATORS[sort] ?? byDate);
+
+/**
+ * Returns the local midnight starting the group `date` falls in.
+ * @param {Date} date - The reminder's displayed date.
+ * @param {'day' | 'week' | 'month'} grouping - The group size.
+ * @param {number} weekStartsOn - First day of the week, 0 (Sunday) to 6 (Saturday).
+ * @returns {Date}
+ */
+const getGroupStart = (date, grouping, weekStartsOn) => {
+  if (grouping === 'month') {
+    return new Date(date.getFullYear(), date.getMonth(), 1);
+  }
+  const daysIntoWeek = grouping === 'week' ? (date.getDay() - weekStartsOn + 7) % 7 : 0;
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() - daysIntoWeek);
+};
+
+/**
+ * Groups reminders by day, week or month. Groups are in chronological order; within a group the
+ * reminders keep the order they were given in (e.g. from `sortReminders`).
+ *
+ * @param {Array<DisplayedReminder>} reminders - The reminders to group.
+ * @param {'none' | 'day' | 'week' | 'month'} grouping - How to group them. 'none' returns a single group.
+ * @param {object} options
+ * @param {number} [options.weekStartsOn=1] - First day of the week for 'week' groups, 0 (Sunday) to 6 (Saturday).
+ * @param {(date: Date) => string} options.formatDate - Formats the group's date for the 'day' and 'week' labels.
+ * @returns {Array<ReminderGroup>} The groups; empty if there are no reminders.
+ */
+export const groupReminders = (reminders, grouping, { weekStartsOn = 1, formatDate }) => {
+  if (reminders.length === 0) {
+    return [];
+  }
+  if (!['day', 'week', 'month'].includes(grouping)) {
+    return [{ key: 'all', label: '', reminders }];
+  }
+
+  /** @type {Map<number, ReminderGroup>} */
+  const groups = new Map();
+  reminders.forEach((reminder) => {
+    const start = getGroupStart(getDisplayedDate(reminder), grouping, weekStartsOn);
+    const time = start.getTime();
+    if (!groups.has(time)) {
+      let label;
+      if (grouping === 'month') {
+        label = start.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+      } else {
+        label = grouping === 'week' ? `Week of ${formatDate(start)}` : formatDate(start);
+      }
+      groups.set(time, { key: `${grouping}-${time}`, label, reminders: [] });
+    }
+    groups.get(time).reminders.push(reminder);
+  });
+
+  return [...groups.entries()].sort(([a], [b]) => a - b).map(([, group]) => group);
+};
@@ -0,0 +1,243 @@
+import { readFileSync } from 'node:fs';
+import { after, before, beforeEach, describe, test } from 'node:test';
+import {
+  initializeTestEnvironment,
+  assertSucceeds,
+  assertFails,
+} from '@firebase/rules-unit-testing';
+import { doc, getDoc, getDocs, setDoc, updateDoc, deleteDoc, collection, query, where } from 'firebase/firestore';
+import { createReminderDocument } from '../../src/services/reminderSchema.js';
+import { MAX_ALARMS_PER_REMINDER } from '../../src/utils/alarms.js';
+
+/**
+ * Tests of `firestore.rules` against the Firestore emulator. Run with `npm run test:rules`,
+ * which starts the emulator (`firebase emulators:exec`) and points the SDK at it.
+ */
+
+const PROJECT_ID = 'demo-sweet-surprises';
+
+// Limits of `reminderService.js`, which cannot be imported outside Vite (it loads the Firebase config)
+const MAX_REMINDER_TEXT_LENGTH = 500;
+const MAX_REMINDER_NOTES_LENGTH = 2000;
+const MAX_TAGS_PER_REMINDER = 20;
+
+/** @type {import("@firebase/rules-unit-testing").RulesTestEnvironment} */
+let testEnv;
+
+// A reminder exactly as the app writes it
+const validReminder = (overrides = {}) => ({
+  ...createReminderDocument(
+    { text: 'Buy flowers', date: new Date('2031-03-10T10:00:00Z'), timeZone: 'Europe/Berlin' },
+    new Date('2031-03-01T10:00:00Z')
+  ),
+  ...overrides,
+});
+
+// Signed in with a verified email address, as the app requires (see `RequireAuth`)
+const firestoreAs = (userId, token = { email: `${userId}@example.com`, email_verified: true }) =>
+  userId ? testEnv.authenticatedContext(userId, token).firestore() : testEnv.unauthenticatedContext().firestore();
+
+const reminderRef = (db, userId, reminderId = 'r1') => doc(db, 'users', userId, 'reminders', reminderId);
+
+// Stores a document without the rules, e.g. to set up an existing reminder
+const seed = (path, data) =>
+  testEnv.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), path), data));
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    firestore: { rules: readFileSync(new URL('../../firestore.rules', import.meta.url), 'utf8') },
+  });
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+});
+
+after(async () => {
+  await testEnv?.cleanup();
+});
+
+describe('reminder access', () => {
+  test('the owner can create, read, query and delete their reminders', async () => {
+    const db = firestoreAs('alice');
+    await assertSucceeds(setDoc(reminderRef(db, 'alice'), validReminder()));
+    await assertSucceeds(getDoc(reminderRef(db, 'alice')));
+    await assertSucceeds(getDocs(query(collection(db, 'users', 'alice', 'reminders'), where('deletedAt', '==', null))));
+    await assertSucceeds(deleteDoc(reminderRef(db, 'alice')));
+  });
+
+  test('other users cannot read or write the reminders', async () => {
+    await seed('users/alice/reminders/r1', validReminder());
+    const db = firestoreAs('bob');
+    await assertFails(getDoc(reminderRef(db, 'alice')));
+    await assertFails(getDocs(collection(db, 'users', 'alice', 'reminders')));
+    await assertFails(setDoc(reminderRef(db, 'alice', 'r2'), validReminder()));
+    await assertFails(updateDoc(reminderRef(db, 'alice'), { text: 'Changed' }));
+    await assertFails(deleteDoc(reminderRef(db, 'alice')));
+  });
+
+  test('users who have not verified their email address cannot read or write reminders', async () => {
+    await seed('users/alice/reminders/r1', validReminder());
+    const db = firestoreAs('alice', { email: 'alice@example.com', email_verified: false });
+    await assertFails(getDoc(reminderRef(db, 'alice')));
+    await assertFails(getDocs(collection(db, 'users/alice/reminders')));
+    await assertFails(setDoc(reminderRef(db, 'alice', 'r2'), validReminder()));
+    await assertFails(getDoc(doc(db, 'users/alice')));
+  });
+
+  test('the emulator demo account needs a verified email address like any other', async () => {
+    await seed('users/demo/reminders/r1', validReminder());
+    const db = firestoreAs('demo', { email: 'demo@sweet-surprises.test', email_verified: false });
+    await assertFails(setDoc(reminderRef(db, 'demo', 'r2'), validReminder()));
+    await assertFails(getDoc(reminderRef(db, 'demo')));
+  });
+
+  test('signed-out visitors cannot read or write reminders', async () => {
+    await seed('users/alice/reminders/r1', validReminder());
+    const db = firestoreAs(null);
+    await assertFails(getDoc(reminderRef(db, 'alice')));
+    await assertFails(setDoc(reminderRef(db, 'alice', 'r2'), validReminder()));
+  });
+});
+
+describe('reminder validation', () => {
+  const rejectedReminders = {
+    'missing text': (() => {
+      const { text, ...rest } = validReminder();
+      return rest;
+    })(),
+    'empty text': validReminder({ text: '' }),
+    'blank text': validReminder({ text: '   ' }),
+    'text that is not a string': validReminder({ text: 42 }),
+    'text that is too long': validReminder({ text: 'x'.repeat(MAX_REMINDER_TEXT_LENGTH + 1) }),
+    'missing date': (() => {
+      const { date, ...rest } = validReminder();
+      return rest;
+    })(),
+    'a date string instead of a Timestamp': validReminder({ date: '2031-03-10T10:00:00Z' }),
+    'an unknown status': validReminder({ status: 'archived' }),
+    'too many tags': validReminder({ tags: Array.from({ length: MAX_TAGS_PER_REMINDER + 1 }, (_, i) => `t${i}`) }),
+    'notes that are too long': validReminder({ notes: 'x'.repeat(MAX_REMINDER_NOTES_LENGTH + 1) }),
+    'a negative cost': validReminder({ estimatedCost: -5 }),
+    'a lowercase currency': validReminder({ currency: 'usd' }),
+    'too many alarms': validReminder({ alarms: Array.from({ length: MAX_ALARMS_PER_REMINDER + 1 }, (_, i) => i * 60) }),
+    'an unknown recipient key date': validReminder({ recipientId: 'p1', recipientKeyDate: 'nameDay' }),
+    'a version below 1': validReminder({ version: 0 }),
+    'an unknown field': validReminder({ userId: 'alice' }),
+  };
+
+  Object.entries(rejectedReminders).forEach(([description, data]) => {
+    test(`a reminder with ${description} is rejected`, async () => {
+      await assertFails(setDoc(reminderRef(firestoreAs('alice'), 'alice'), data));
+    });
+  });
+
+  test('reminders with all optional fields set are accepted', async () => {
+    const data = validReminder({
+      allDay: true,
+      recurrence: { freq: 'YEARLY', interval: 1, byDay: null, nthWeekday: null, until: null, count: null },
+      tags: ['t1'],
+      estimatedCost: 25.5,
+      actualCost: 0,
+      currency: 'EUR',
+      ideaId: 'i1',
+      recipientId: 'p1',
+      recipientKeyDate: 'birthday',
+      notes: 'x'.repeat(MAX_REMINDER_NOTES_LENGTH),
+      alarms: [0, 1440],
+      text: 'x'.repeat(MAX_REMINDER_TEXT_LENGTH),
+    });
+    await assertSucceeds(setDoc(reminderRef(firestoreAs('alice'), 'alice'), data));
+  });
+
+  test('valid updates are accepted and invalid ones rejected', async () => {
+    await seed('users/alice/reminders/r1', validReminder());
+    const ref = reminderRef(firestoreAs('alice'), 'alice');
+    await assertSucceeds(updateDoc(ref, { text: 'Buy tulips', version: 2, updatedAt: new Date() }));
+    await assertSucceeds(updateDoc(ref, { deletedAt: new Date() }));
+    await assertFails(updateDoc(ref, { text: '' }));
+    await assertFails(updateDoc(ref, { date: 'tomorrow' }));
+    await assertFails(updateDoc(ref, { shared: true }));
+  });
+
+  test('documents written by older versions of the app can still be updated', async () => {
+    // Schema 1 documents only had text and date; a legacy extra field must not block migrations
+    await seed('users/alice/reminders/r1', { text: 'Old reminder', date: new Date('2020-01-01T00:00:00Z'), legacy: true });
+    const ref = reminderRef(firestoreAs('alice'), 'alice');
+    await assertSucceeds(getDoc(ref));
+    await assertSucceeds(updateDoc(ref, { allDay: false, timeZone: 'UTC', deletedAt: null, schemaVersion: 10 }));
+  });
+});
+
+describe('other user data', () => {
+  test('the owner can use their tags, ideas, recipients and settings', async () => {
+    const db = firestoreAs('alice');
+    await assertSucceeds(setDoc(doc(db, 'users/alice/tags/t1'), { name: 'Family', color: 'pink' }));
+    await assertSucceeds(setDoc(doc(db, 'users/alice/ideas/i1'), { title: 'Scarf' }));
+    await assertSucceeds(setDoc(doc(db, 'users/alice/recipients/p1'), { name: 'Sam' }));
+    await assertSucceeds(setDoc(doc(db, 'users/alice/settings/general'), { currency: 'EUR' }));
+    await assertSucceeds(getDoc(doc(db, 'users/alice/settings/general')));
+  });
+
+  test('other users cannot read or write them', async () => {
+    await seed('users/alice/tags/t1', { name: 'Family', color: 'pink' });
+    const db = firestoreAs('bob');
+    await assertFails(getDoc(doc(db, 'users/alice/tags/t1')));
+    await assertFails(setDoc(doc(db, 'users/alice/settings/general'), { currency: 'EUR' }));
+  });
+
+  test('unknown collections and top-level data are denied', async () => {
+    const db = firestoreAs('alice');
+    await assertFails(setDoc(doc(db, 'users/alice/secrets/s1'), { value: 1 }));
+    await assertFails(setDoc(doc(db, 'reminders/r1'), validReminder()));
+    await assertFails(getDoc(doc(db, 'users/bob')));
+  });
+});
+
+describe('user preferences', () => {
+  // Preferences exactly as `preferencesService.updatePreferences` writes them
+  const validPreferences = (overrides = {}) => ({
+    dateFormat: 'DD.MM.YYYY',
+    weekStartsOn: 1,
+    defaultReminderTime: '18:30',
+    defaultAllDay: false,
+    toastDuration: 'long',
+    upcomingSort: 'date',
+    upcomingGrouping: 'week',
+    updatedAt: new Date('2031-03-01T10:00:00Z'),
+    ...overrides,
+  });
+
+  test('the owner can create, merge and read their preferences', async () => {
+    const ref = doc(firestoreAs('alice'), 'users/alice');
+    await assertSucceeds(setDoc(ref, { preferences: validPreferences() }, { merge: true }));
+    await assertSucceeds(setDoc(ref, { preferences: validPreferences({ toastDuration: 'short' }) }, { merge: true }));
+    await assertSucceeds(getDoc(ref));
+  });
+
+  test('other users cannot read or write them', async () => {
+    await seed('users/alice', { preferences: validPreferences() });
+    const ref = doc(firestoreAs('bob'), 'users/alice');
+    await assertFails(getDoc(ref));
+    await assertFails(setDoc(ref, { preferences: validPreferences() }, { merge: true }));
+  });
+
+  test('invalid preferences are rejected', async () => {
+    const ref = doc(firestoreAs('alice'), 'users/alice');
+    await assertFails(setDoc(ref, { preferences: validPreferences({ dateFormat: 'YY/M/D' }) }));
+    await assertFails(setDoc(ref, { preferences: validPreferences({ weekStartsOn: 7 }) }));
+    await assertFails(setDoc(ref, { preferences: validPreferences({ defaultReminderTime: '25:00' }) }));
+    await assertFails(setDoc(ref, { preferences: validPreferences({ upcomingGrouping: 'year' }) }));
+    await assertFails(setDoc(ref, { preferences: validPreferences({ theme: 'dark' }) }));
+    await assertFails(setDoc(ref, { preferences: 'compact' }));
+  });
+
+  test('other fields of the user document cannot be written', async () => {
+    await seed('users/alice', { preferences: validPreferences(), plan: 'free' });
+    const ref = doc(firestoreAs('alice'), 'users/alice');
+    await assertFails(setDoc(ref, { plan: 'premium' }, { merge: true }));
+    await assertFails(setDoc(doc(firestoreAs('bob'), 'users/bob'), { preferences: validPreferences(), plan: 'premium' }));
+    await assertSucceeds(updateDoc(ref, { 'preferences.upcomingSort': 'text' }));
+  });
+});
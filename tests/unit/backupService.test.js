@@ -0,0 +1,162 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  BACKUP_USER_DOCUMENT,
+  createBackup,
+  parseBackup,
+  diffBackup,
+  restoreBackup,
+} from '../../src/services/backupService.js';
+import { addReminder, deleteReminder, getReminders, updateReminder } from '../../src/services/reminderService.js';
+import { createTag, getTags } from '../../src/services/tagService.js';
+import { DEFAULT_PREFERENCES, getPreferences, updatePreferences } from '../../src/services/preferencesService.js';
+import { getUserDocumentRepository } from '../../src/services/repositories/index.js';
+
+/**
+ * Tests of backup files: reading and validating them, and restoring them into an account, on the
+ * in-memory storage backend.
+ */
+
+const reminderData = (text) => ({ text, date: new Date('2031-05-10T10:00:00Z'), timeZone: 'Europe/Berlin' });
+
+// The content of a backup file with the given collections
+const backupFile = (collections, overrides = {}) =>
+  JSON.stringify({ format: BACKUP_FORMAT, version: BACKUP_VERSION, exportedAt: '2031-01-01T00:00:00.000Z', collections, ...overrides });
+
+const encodedReminder = (id, text = 'Flowers') => ({ id, text, date: { $date: '2031-05-10T10:00:00.000Z' } });
+
+describe('parseBackup', () => {
+  test('decodes dates and upgrades reminders to the current schema', () => {
+    const backup = parseBackup(backupFile({ reminders: [encodedReminder('r1')] }));
+    assert.equal(backup.version, BACKUP_VERSION);
+    assert.equal(backup.exportedAt.toISOString(), '2031-01-01T00:00:00.000Z');
+    const [reminder] = backup.collections.reminders;
+    assert.equal(reminder.id, 'r1');
+    assert.equal(reminder.date.toISOString(), '2031-05-10T10:00:00.000Z');
+    assert.equal(reminder.deletedAt, null);
+    assert.ok(reminder.endDate instanceof Date);
+    assert.deepEqual(backup.collections.tags, []);
+    assert.deepEqual(backup.warnings, []);
+  });
+
+  test('ignores unknown collections with a warning', () => {
+    const backup = parseBackup(backupFile({ reminders: [], playlists: [{ id: 'p1' }] }));
+    assert.deepEqual(backup.warnings, ['Unknown collection "playlists" is ignored']);
+    assert.equal('playlists' in backup.collections, false);
+  });
+
+  test('rejects files that are not backups of this app or come from a newer version', () => {
+    assert.throws(() => parseBackup('{"format":'), { name: 'TypeError', message: 'This is not a backup file (it is not valid JSON).' });
+    assert.throws(() => parseBackup(backupFile({}, { format: 'other-app' })), /not a Sweet Surprises backup file/);
+    assert.throws(() => parseBackup(backupFile({}, { version: BACKUP_VERSION + 1 })), /newer version of the app/);
+    assert.throws(() => parseBackup(backupFile({}, { exportedAt: 'yesterday' })), /invalid export date/);
+    assert.throws(() => parseBackup(backupFile(null)), /contains no data/);
+  });
+
+  test('rejects invalid records, naming the first one', () => {
+    const cases = [
+      [{ reminders: {} }, '"reminders" in the backup file is not a list.'],
+      [{ reminders: [{ text: 'Flowers' }] }, 'The reminders record 1 has no ID.'],
+      [{ reminders: [encodedReminder('r1'), encodedReminder('r1')] }, 'The ID "r1" appears more than once in reminders.'],
+      [{ tags: [{ id: 't1', name: ' ' }] }, 'The tags record 1 ("t1") has no name.'],
+      [{ reminders: [{ ...encodedReminder('r1'), date: { $date: 'soon' } }] }, 'The reminders record 1 ("r1") is invalid: Invalid date "soon".'],
+      [{ reminders: [{ ...encodedReminder('r1'), date: 'soon' }] }, 'The reminders record 1 ("r1") is invalid: missing or invalid date'],
+    ];
+    cases.forEach(([collections, message]) => {
+      assert.throws(() => parseBackup(backupFile(collections)), { name: 'TypeError', message });
+    });
+  });
+});
+
+describe('restoreBackup', () => {
+  test('restores a backup into another account', async () => {
+    const { id: reminderId } = await addReminder('backup-source', reminderData('Anniversary'));
+    await deleteReminder('backup-source', reminderId); // Trashed reminders are backed up too
+    await addReminder('backup-source', reminderData('Flowers'));
+    await createTag('backup-source', { name: 'Gifts' });
+
+    const content = JSON.stringify(await createBackup('backup-source'));
+    const backup = parseBackup(content);
+    const diff = await diffBackup('backup-target', backup);
+    assert.equal(diff.reminders.new.length, 2);
+    assert.equal(diff.tags.new.length, 1);
+
+    const progress = [];
+    const result = await restoreBackup('backup-target', backup, { onProgress: (written, total) => progress.push([written, total]) });
+    assert.deepEqual(result, { written: 3, skipped: 0 });
+    assert.deepEqual(progress.at(-1), [3, 3]);
+    assert.deepEqual((await getReminders('backup-target')).reminders.map((reminder) => reminder.text), ['Flowers']);
+    assert.deepEqual((await getReminders('backup-target', { trashed: true })).reminders.map((reminder) => reminder.id), [reminderId]);
+    assert.deepEqual((await getTags('backup-target')).map((tag) => tag.name), ['Gifts']);
+
+    // Restoring again writes nothing
+    assert.deepEqual(await restoreBackup('backup-target', parseBackup(content)), { written: 0, skipped: 3 });
+  });
+
+  test('replaces changed records and keeps records that are not in the file', async () => {
+    const userId = 'backup-merge';
+    const { id: unchangedId } = await addReminder(userId, reminderData('Flowers'));
+    const { id: changedId } = await addReminder(userId, reminderData('Dinner'));
+    const backup = parseBackup(JSON.stringify(await createBackup(userId)));
+    await updateReminder(userId, changedId, { text: 'Dinner at eight' });
+    await addReminder(userId, reminderData('Made after the backup'));
+
+    const diff = await diffBackup(userId, backup);
+    assert.deepEqual(diff.reminders, { new: [], changed: [changedId], identical: [unchangedId] });
+    assert.deepEqual(await restoreBackup(userId, backup), { written: 1, skipped: 1 });
+    const texts = (await getReminders(userId)).reminders.map((reminder) => reminder.text).sort();
+    assert.deepEqual(texts, ['Dinner', 'Flowers', 'Made after the backup']);
+  });
+});
+
+describe('preferences', () => {
+  // The user document record of a backup file with the given preferences and other fields
+  const userRecord = (preferences, fields = {}) => ({ [BACKUP_USER_DOCUMENT]: [{ id: 'user', preferences, ...fields }] });
+
+  test('are backed up and restored with the other data', async () => {
+    await updatePreferences('prefs-source', { dateFormat: 'DD.MM.YYYY', weekStartsOn: 0 });
+    const backup = parseBackup(JSON.stringify(await createBackup('prefs-source')));
+    assert.deepEqual((await diffBackup('prefs-target', backup))[BACKUP_USER_DOCUMENT].new, ['user']);
+
+    await restoreBackup('prefs-target', backup);
+    const preferences = await getPreferences('prefs-target');
+    assert.equal(preferences.dateFormat, 'DD.MM.YYYY');
+    assert.equal(preferences.weekStartsOn, 0);
+    assert.equal(preferences.toastDuration, DEFAULT_PREFERENCES.toastDuration);
+  });
+
+  test('are completed with the defaults, without fields this version does not know', () => {
+    const backup = parseBackup(backupFile(userRecord({ toastDuration: 'long', fontSize: 'huge' })));
+    assert.deepEqual(backup.collections[BACKUP_USER_DOCUMENT], [
+      { id: 'user', preferences: { ...DEFAULT_PREFERENCES, toastDuration: 'long' } },
+    ]);
+  });
+
+  test('only the preferences of the user document are restored', async () => {
+    const userId = 'prefs-only';
+    const backup = parseBackup(backupFile(userRecord({ upcomingSort: 'text' }, { displayName: 'Mallory', plan: 'premium' })));
+    await restoreBackup(userId, backup);
+    const stored = await getUserDocumentRepository().get(userId);
+    assert.deepEqual(Object.keys(stored).sort(), ['id', 'preferences']);
+    assert.equal(stored.preferences.upcomingSort, 'text');
+  });
+
+  test('invalid preferences reject the whole file, so nothing is restored', () => {
+    const cases = [
+      [{ weekStartsOn: 7 }, 'preferences.weekStartsOn must be an integer from 0 (Sunday) to 6 (Saturday).'],
+      [{ defaultReminderTime: '9am' }, "preferences.defaultReminderTime must be a time as 'HH:mm'."],
+      ['dark', 'preferences must be an object.'],
+    ];
+    cases.forEach(([preferences, reason]) => {
+      // The valid reminders before the user document are not restored either: parsing fails as a whole
+      const content = backupFile({ reminders: [encodedReminder('r1')], ...userRecord(preferences) });
+      assert.throws(() => parseBackup(content), {
+        name: 'TypeError',
+        message: `The ${BACKUP_USER_DOCUMENT} record 1 ("user") is invalid: ${reason}`,
+      });
+    });
+    assert.throws(() => parseBackup(backupFile({ [BACKUP_USER_DOCUMENT]: [{ id: 'admin', preferences: {} }] })), /may only hold/);
+  });
+});
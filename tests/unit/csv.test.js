@@ -0,0 +1,118 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { parseCsv, normalizeCsvDate, normalizeCsvTime, splitCsvList } from '../../src/utils/csv.js';
+import { importReminders, validateReminderData, getReminders } from '../../src/services/reminderService.js';
+
+/**
+ * Tests of the CSV import: reading spreadsheet exports and importing their reminders, on the
+ * in-memory storage backend.
+ */
+
+const reminderData = (text) => ({ text, date: new Date('2031-05-10T10:00:00Z'), timeZone: 'Europe/Berlin' });
+
+describe('parseCsv', () => {
+  test('reads quoted cells with delimiters, line breaks and doubled quotes', () => {
+    const rows = parseCsv('\uFEFFtext,date\r\n"Dinner, then a walk",2031-03-10\r\n\r\n"Say ""thank you""\nto Ann",2031-03-11\n');
+    assert.deepEqual(rows, [
+      ['text', 'date'],
+      ['Dinner, then a walk', '2031-03-10'],
+      ['Say "thank you"\nto Ann', '2031-03-11'],
+    ]);
+  });
+
+  test('detects semicolon and tab delimiters from the header line', () => {
+    assert.deepEqual(parseCsv('text;date;tags\nFlowers;10.05.2031;Gifts, Love'), [
+      ['text', 'date', 'tags'],
+      ['Flowers', '10.05.2031', 'Gifts, Love'],
+    ]);
+    assert.deepEqual(parseCsv('text\tdate\nFlowers\t2031-05-10'), [
+      ['text', 'date'],
+      ['Flowers', '2031-05-10'],
+    ]);
+  });
+
+  test('keeps empty cells and reads a file without a final line break', () => {
+    assert.deepEqual(parseCsv('text,date,time\nFlowers,,\nDinner,2031-05-10,19:30'), [
+      ['text', 'date', 'time'],
+      ['Flowers', '', ''],
+      ['Dinner', '2031-05-10', '19:30'],
+    ]);
+  });
+});
+
+describe('normalizeCsvDate', () => {
+  test('reads each supported notation', () => {
+    assert.equal(normalizeCsvDate('2031-3-5', 'YYYY-MM-DD'), '2031-03-05');
+    assert.equal(normalizeCsvDate('2031-03-05T10:00', 'YYYY-MM-DD'), '2031-03-05');
+    assert.equal(normalizeCsvDate(' 3/5/2031 ', 'MM/DD/YYYY'), '2031-03-05');
+    assert.equal(normalizeCsvDate('5/3/2031', 'DD/MM/YYYY'), '2031-03-05');
+    assert.equal(normalizeCsvDate('05.03.2031', 'DD.MM.YYYY'), '2031-03-05');
+  });
+
+  test('rejects other notations and dates that do not exist', () => {
+    assert.equal(normalizeCsvDate('05.03.2031', 'DD/MM/YYYY'), null);
+    assert.equal(normalizeCsvDate('13/25/2031', 'MM/DD/YYYY'), null);
+    assert.equal(normalizeCsvDate('2031-02-30', 'YYYY-MM-DD'), null);
+    assert.equal(normalizeCsvDate('29.02.2031', 'DD.MM.YYYY'), null);
+    assert.equal(normalizeCsvDate('next Friday', 'YYYY-MM-DD'), null);
+  });
+});
+
+describe('normalizeCsvTime', () => {
+  test('reads 24-hour and 12-hour times', () => {
+    assert.equal(normalizeCsvTime('9:30'), '09:30');
+    assert.equal(normalizeCsvTime('09:30:00'), '09:30');
+    assert.equal(normalizeCsvTime('9:30 PM'), '21:30');
+    assert.equal(normalizeCsvTime('9pm'), '21:00');
+    assert.equal(normalizeCsvTime('12 a.m.'), '00:00');
+    assert.equal(normalizeCsvTime('12:15pm'), '12:15');
+  });
+
+  test('rejects values that are not times', () => {
+    assert.equal(normalizeCsvTime('9'), null); // A bare number could be anything
+    assert.equal(normalizeCsvTime('24:00'), null);
+    assert.equal(normalizeCsvTime('13:00 pm'), null);
+    assert.equal(normalizeCsvTime('9:60'), null);
+    assert.equal(normalizeCsvTime('noon'), null);
+  });
+});
+
+describe('splitCsvList', () => {
+  test('splits on commas, semicolons and bars, without empty values or duplicates', () => {
+    assert.deepEqual(splitCsvList(' Gifts, Love;; gifts | Anniversary '), ['Gifts', 'Love', 'Anniversary']);
+    assert.deepEqual(splitCsvList(''), []);
+  });
+});
+
+describe('importReminders', () => {
+  test('imports the valid reminders and reports the others by position', async () => {
+    const userId = 'csv-import';
+    const progress = [];
+    const result = await importReminders(
+      userId,
+      [reminderData('Flowers'), reminderData(' '), { ...reminderData('Dinner'), timeZone: 'Mars/Olympus_Mons' }, reminderData('Cake')],
+      { onProgress: (written, total) => progress.push([written, total]) }
+    );
+    assert.equal(result.ids.length, 2);
+    assert.deepEqual(result.failed.map((failure) => failure.index), [1, 2]);
+    assert.match(result.failed[1].message, /timeZone/);
+    assert.deepEqual(progress, [[2, 2]]);
+    const texts = (await getReminders(userId)).reminders.map((reminder) => reminder.text).sort();
+    assert.deepEqual(texts, ['Cake', 'Flowers']);
+  });
+
+  test('reports the same reasons as validateReminderData', async () => {
+    const invalid = { ...reminderData('Flowers'), date: new Date('soon') };
+    const { ids, failed } = await importReminders('csv-import-invalid', [invalid]);
+    assert.deepEqual(ids, []);
+    assert.deepEqual(failed, [{ index: 0, message: validateReminderData(invalid) }]);
+    assert.equal(validateReminderData(reminderData('Flowers')), null);
+  });
+
+  test('rejects anything but a list of reminders', async () => {
+    await assert.rejects(importReminders('csv-import-invalid', reminderData('Flowers')), {
+      name: 'TypeError',
+      message: 'reminders must be an array.',
+    });
+  });
+});
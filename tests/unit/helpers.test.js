@@ -0,0 +1,110 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import {
+  zonedTimeToDate,
+  startOfDayInTimeZone,
+  toFloatingDate,
+  fromFloatingDate,
+  getZonedDateParts,
+  getSafeReturnPath,
+} from '../../src/utils/helpers.js';
+
+/**
+ * Tests of the date and time zone helpers, and of the check of return paths after signing in.
+ */
+
+// The wall clock of an instant in a time zone, as 'YYYY-MM-DD HH:mm'
+const wallClock = (date, timeZone) => {
+  const { year, month, day, hour, minute } = getZonedDateParts(date, timeZone);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${year}-${pad(month)}-${pad(day)} ${pad(hour)}:${pad(minute)}`;
+};
+
+describe('zonedTimeToDate', () => {
+  test('applies the offset in effect on the date', () => {
+    assert.equal(zonedTimeToDate('2031-01-15', '10:00', 'Europe/Berlin').toISOString(), '2031-01-15T09:00:00.000Z');
+    assert.equal(zonedTimeToDate('2031-07-15', '10:00', 'Europe/Berlin').toISOString(), '2031-07-15T08:00:00.000Z');
+    assert.equal(zonedTimeToDate('2031-07-15', '10:00', 'America/New_York').toISOString(), '2031-07-15T14:00:00.000Z');
+  });
+
+  test('moves times skipped when the clocks go forward to after the change', () => {
+    // East and west of Greenwich: 02:30 does not exist on these days and becomes 03:30
+    const berlin = zonedTimeToDate('2031-03-30', '02:30', 'Europe/Berlin');
+    assert.equal(berlin.toISOString(), '2031-03-30T01:30:00.000Z');
+    assert.equal(wallClock(berlin, 'Europe/Berlin'), '2031-03-30 03:30');
+    const newYork = zonedTimeToDate('2031-03-09', '02:30', 'America/New_York');
+    assert.equal(newYork.toISOString(), '2031-03-09T07:30:00.000Z');
+    assert.equal(wallClock(newYork, 'America/New_York'), '2031-03-09 03:30');
+  });
+
+  test('picks the first of two times repeated when the clocks go back', () => {
+    assert.equal(zonedTimeToDate('2031-10-26', '02:30', 'Europe/Berlin').toISOString(), '2031-10-26T00:30:00.000Z');
+    assert.equal(zonedTimeToDate('2031-11-02', '01:30', 'America/New_York').toISOString(), '2031-11-02T05:30:00.000Z');
+  });
+
+  test('keeps times next to a change on the right side of it', () => {
+    assert.equal(wallClock(zonedTimeToDate('2031-03-30', '01:59', 'Europe/Berlin'), 'Europe/Berlin'), '2031-03-30 01:59');
+    assert.equal(wallClock(zonedTimeToDate('2031-03-30', '12:00', 'Europe/Berlin'), 'Europe/Berlin'), '2031-03-30 12:00');
+    assert.equal(wallClock(zonedTimeToDate('2031-10-26', '03:00', 'Europe/Berlin'), 'Europe/Berlin'), '2031-10-26 03:00');
+  });
+
+  test('rejects invalid input', () => {
+    assert.equal(zonedTimeToDate('2031-02-30', '10:00', 'Europe/Berlin'), null);
+    assert.equal(zonedTimeToDate('2031-01-15', '24:00', 'Europe/Berlin'), null);
+    assert.equal(zonedTimeToDate('2031-01-15', '10:00', 'Mars/Olympus_Mons'), null);
+  });
+});
+
+describe('startOfDayInTimeZone', () => {
+  test('is the first moment of the day, even where midnight is skipped', () => {
+    assert.equal(startOfDayInTimeZone(new Date('2031-03-30T12:00:00Z'), 'Europe/Berlin').toISOString(), '2031-03-29T23:00:00.000Z');
+    // Chile moves its clocks forward at midnight: the day starts at 01:00
+    const santiago = startOfDayInTimeZone(new Date('2031-09-07T12:00:00Z'), 'America/Santiago');
+    assert.equal(wallClock(santiago, 'America/Santiago'), '2031-09-07 01:00');
+  });
+});
+
+describe('toFloatingDate and fromFloatingDate', () => {
+  test('round-trip instants around daylight-saving changes', () => {
+    // Not the second 02:30 on 26 October: its wall clock also names the first one
+    ['2031-03-30T00:59:00Z', '2031-03-30T01:00:00Z', '2031-10-26T00:30:00Z', '2031-10-26T02:00:00Z'].forEach((iso) => {
+      const date = new Date(iso);
+      const floating = toFloatingDate(date, 'Europe/Berlin');
+      assert.equal(fromFloatingDate(floating, 'Europe/Berlin').toISOString(), date.toISOString(), iso);
+    });
+  });
+});
+
+describe('getSafeReturnPath', () => {
+  test('keeps in-app paths with their query and hash', () => {
+    ['/', '/ideas?tag=gifts', '/settings#security', '/login-help', '/%2F%2Fexample.com'].forEach((path) => {
+      assert.equal(getSafeReturnPath(path), path);
+    });
+  });
+
+  test('falls back for anything that could leave the app', () => {
+    const paths = [
+      'https://example.com/',
+      'javascript:alert(1)',
+      '//example.com',
+      '/\\example.com',
+      '/\t/example.com', // Parsed as '//example.com'
+      '/\n\\example.com',
+      'ideas',
+      '',
+      null,
+      { pathname: '/ideas' },
+    ];
+    paths.forEach((path) => {
+      assert.equal(getSafeReturnPath(path), '/', JSON.stringify(path));
+      // What the email links are built from
+      assert.equal(new URL(getSafeReturnPath(path), 'https://app.example').origin, 'https://app.example');
+    });
+  });
+
+  test('falls back for the sign-in pages, so signing in does not lead back to them', () => {
+    ['/login', '/Login?next=%2Fideas', '/login/email-link', '/signup', '/reset-password#top'].forEach((path) => {
+      assert.equal(getSafeReturnPath(path, '/ideas'), '/ideas', path);
+    });
+  });
+});
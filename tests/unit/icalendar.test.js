@@ -0,0 +1,155 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { parseICalendarEvents, serializeRemindersToICalendar, findDuplicateReminder } from '../../src/utils/icalendar.js';
+
+/**
+ * Tests of the iCalendar import (and the export it has to read back).
+ */
+
+const DEFAULT_TIME_ZONE = 'America/New_York';
+
+// An .ics document with the given VEVENT lines, CRLF-separated as RFC 5545 requires
+const calendar = (...events) =>
+  [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Test//EN',
+    ...events.flatMap((lines) => ['BEGIN:VEVENT', ...lines, 'END:VEVENT']),
+    'END:VCALENDAR',
+    '',
+  ].join('\r\n');
+
+const parse = (content) => parseICalendarEvents(content, { defaultTimeZone: DEFAULT_TIME_ZONE });
+
+describe('parseICalendarEvents', () => {
+  test('reads a timed, repeating event with alarms', () => {
+    const [event] = parse(
+      calendar([
+        'UID:dinner@example.com',
+        'DTSTART;TZID=Europe/Berlin:20310310T193000',
+        'SUMMARY:Dinner\\, then a w',
+        ' alk', // Folded line
+        'DESCRIPTION:Book a table\\nBring flowers',
+        'CATEGORIES:Date night,Food',
+        'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=6',
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        'TRIGGER:-PT30M',
+        'END:VALARM',
+      ])
+    );
+    assert.equal(event.error, null);
+    assert.deepEqual(event.warnings, []);
+    assert.equal(event.uid, 'dinner@example.com');
+    assert.deepEqual(event.categories, ['Date night', 'Food']);
+    assert.deepEqual(event.draft, {
+      text: 'Dinner, then a walk',
+      date: new Date('2031-03-10T18:30:00Z'),
+      allDay: false,
+      timeZone: 'Europe/Berlin',
+      recurrence: { freq: 'WEEKLY', interval: 1, byDay: [1, 3], nthWeekday: null, until: null, count: 6 },
+      tags: [],
+      notes: 'Book a table\nBring flowers',
+      alarms: [30],
+    });
+  });
+
+  test('reads dates as all-day reminders in the default time zone', () => {
+    const [event] = parse(calendar(['UID:valentine', 'DTSTART;VALUE=DATE:20310214', 'SUMMARY:Valentine', 'RRULE:FREQ=YEARLY']));
+    assert.equal(event.draft.allDay, true);
+    assert.equal(event.draft.timeZone, DEFAULT_TIME_ZONE);
+    assert.equal(event.draft.date.toISOString(), '2031-02-14T05:00:00.000Z');
+    assert.equal(event.draft.recurrence.freq, 'YEARLY');
+  });
+
+  test('imports what it can and warns about the rest', () => {
+    const [twiceMonthly, skipped, unknownZone] = parse(
+      calendar(
+        ['DTSTART:20310601T080000Z', 'SUMMARY:Twice a month', 'RRULE:FREQ=MONTHLY;BYMONTHDAY=1,15'],
+        ['DTSTART;VALUE=DATE:20310214', 'SUMMARY:Valentine', 'RRULE:FREQ=YEARLY', 'EXDATE;VALUE=DATE:20320214'],
+        ['DTSTART;TZID=Mars/Olympus_Mons:20310601T080000', 'SUMMARY:Landing']
+      )
+    );
+    assert.equal(twiceMonthly.draft.recurrence, null);
+    assert.deepEqual(twiceMonthly.warnings, ['Its repeat rule is not supported, so it is imported as a one-off reminder']);
+    assert.deepEqual(skipped.warnings, ['Skipped or extra dates of the series are not imported']);
+    assert.equal(unknownZone.draft.timeZone, DEFAULT_TIME_ZONE);
+    assert.equal(unknownZone.draft.date.toISOString(), '2031-06-01T12:00:00.000Z');
+    assert.deepEqual(unknownZone.warnings, [`Unknown time zone "Mars/Olympus_Mons", read as ${DEFAULT_TIME_ZONE}`]);
+  });
+
+  test('gives events that cannot be imported an error instead of a draft', () => {
+    const events = parse(
+      calendar(
+        ['DTSTART:20310601T080000Z', 'SUMMARY:Picnic', 'STATUS:CANCELLED'],
+        ['DTSTART:20310601T080000Z'],
+        ['SUMMARY:Picnic'],
+        ['DTSTART:20310601T080000Z', 'SUMMARY:Picnic', 'RECURRENCE-ID:20310601T080000Z'],
+        ['DTSTART:tomorrow', 'SUMMARY:Picnic']
+      )
+    );
+    assert.deepEqual(
+      events.map((event) => [event.draft, event.error]),
+      [
+        [null, 'Cancelled event'],
+        [null, 'The event has no title'],
+        [null, 'The event has no start date'],
+        [null, 'Changed occurrence of a repeating event'],
+        [null, 'Unreadable start date "tomorrow"'],
+      ]
+    );
+  });
+
+  test('rejects content that is not an iCalendar document', () => {
+    assert.throws(() => parse('text,date\r\nFlowers,2031-02-14'), TypeError);
+  });
+});
+
+describe('round trip', () => {
+  const reminders = [
+    {
+      id: 'r1',
+      text: 'Anniversary; book the restaurant',
+      date: new Date('2031-06-20T17:00:00Z'),
+      allDay: false,
+      timeZone: 'Europe/Berlin',
+      recurrence: { freq: 'YEARLY', interval: 1, byDay: null, nthWeekday: null, until: null, count: null },
+      exceptions: [],
+      tags: ['t1'],
+      notes: 'Window table',
+      alarms: [60],
+    },
+    {
+      id: 'r2',
+      text: 'Birthday',
+      date: new Date('2031-09-02T04:00:00Z'),
+      allDay: true,
+      timeZone: DEFAULT_TIME_ZONE,
+      recurrence: null,
+      exceptions: [],
+      tags: [],
+      notes: null,
+      alarms: [],
+    },
+  ];
+  const tagsById = new Map([['t1', { id: 't1', name: 'Dates' }]]);
+
+  test('exported reminders import unchanged and are recognized as duplicates', () => {
+    const events = parse(serializeRemindersToICalendar(reminders, { tagsById, now: new Date('2031-01-01T00:00:00Z') }));
+    assert.equal(events.length, 2);
+    events.forEach((event, index) => {
+      const { text, date, allDay, timeZone, recurrence, notes, alarms } = reminders[index];
+      assert.deepEqual(event.warnings, []);
+      assert.deepEqual(event.draft, { text, date, allDay, timeZone, recurrence, tags: [], notes, alarms });
+      assert.equal(findDuplicateReminder(event, reminders), reminders[index]);
+    });
+    assert.deepEqual(events[0].categories, ['Dates']);
+  });
+
+  test('events from other calendars match reminders with the same text and time', () => {
+    const [event] = parse(calendar(['UID:other@example.com', 'DTSTART;VALUE=DATE:20310902', 'SUMMARY:birthday ']));
+    assert.equal(findDuplicateReminder(event, reminders), reminders[1]);
+    const [later] = parse(calendar(['UID:other@example.com', 'DTSTART;VALUE=DATE:20310903', 'SUMMARY:Birthday']));
+    assert.equal(findDuplicateReminder(later, reminders), null);
+  });
+});
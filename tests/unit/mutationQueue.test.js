@@ -0,0 +1,122 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import {
+  addReminder,
+  updateReminder,
+  deleteReminder,
+  permanentlyDeleteReminder,
+  getReminders,
+} from '../../src/services/reminderService.js';
+import { enqueueMutation, subscribeToQueue } from '../../src/services/mutationQueue.js';
+
+/**
+ * Tests of the offline mutation queue, replayed against the in-memory storage backend.
+ */
+
+const reminderData = (text) => ({ text, date: new Date('2031-05-10T10:00:00Z') });
+
+// Resolves with the queue state once every queued mutation has been replayed
+const waitForQueue = (userId) =>
+  new Promise((resolve) => {
+    let unsubscribe = null;
+    let settled = false;
+    const listener = (state) => {
+      if (!settled && state.pending.length === 0 && !state.isSyncing) {
+        settled = true;
+        setTimeout(() => {
+          unsubscribe();
+          resolve(state);
+        });
+      }
+    };
+    unsubscribe = subscribeToQueue(userId, listener);
+  });
+
+const storedTexts = async (userId) => (await getReminders(userId)).reminders.map((reminder) => reminder.text).sort();
+
+describe('enqueueMutation', () => {
+  test('folds an update into a queued add of the same reminder', async () => {
+    const userId = 'fold-add';
+    const { id: blockingId } = await addReminder(userId, reminderData('Blocking'));
+    // The first entry is sent at once; the ones behind it wait in the queue
+    enqueueMutation(userId, { kind: 'update', reminderId: blockingId, data: { text: 'Blocking (edited)' }, expectedVersion: 1 });
+    const add = enqueueMutation(userId, { kind: 'add', data: reminderData('Flowers') });
+    enqueueMutation(userId, { kind: 'update', reminderId: add.reminderId, data: { text: 'Roses' }, expectedVersion: 1 });
+
+    let queued = null;
+    subscribeToQueue(userId, (state) => {
+      queued ??= state.pending;
+    })();
+    assert.deepEqual(
+      queued.map((mutation) => [mutation.kind, mutation.data.text]),
+      [
+        ['update', 'Blocking (edited)'],
+        ['add', 'Roses'],
+      ]
+    );
+
+    const { issues } = await waitForQueue(userId);
+    assert.deepEqual(issues, []);
+    assert.deepEqual(await storedTexts(userId), ['Blocking (edited)', 'Roses']);
+  });
+
+  test('a restore cancels a queued delete of the same reminder', async () => {
+    const userId = 'fold-delete';
+    const { id: blockingId } = await addReminder(userId, reminderData('Blocking'));
+    const { id } = await addReminder(userId, reminderData('Dinner'));
+    enqueueMutation(userId, { kind: 'update', reminderId: blockingId, data: { text: 'Blocking (edited)' }, expectedVersion: 1 });
+    enqueueMutation(userId, { kind: 'delete', reminderId: id, expectedVersion: 1 });
+    enqueueMutation(userId, { kind: 'restore', reminderId: id });
+
+    const { issues } = await waitForQueue(userId);
+    assert.deepEqual(issues, []);
+    const dinner = (await getReminders(userId)).reminders.find((reminder) => reminder.id === id);
+    assert.equal(dinner.deletedAt, null);
+    assert.equal(dinner.version, 1); // Neither the delete nor the restore was written
+  });
+});
+
+describe('conflicts', () => {
+  test('an edit based on an old version loses to a later edit from another device', async () => {
+    const userId = 'conflict-newer';
+    const { id } = await addReminder(userId, reminderData('Anniversary'));
+    await updateReminder(userId, id, { text: 'Anniversary dinner' }, {
+      expectedVersion: 1,
+      updatedAt: new Date(Date.now() + 60 * 60 * 1000),
+    });
+    const stale = enqueueMutation(userId, { kind: 'update', reminderId: id, data: { text: 'Anniversary trip' }, expectedVersion: 1 });
+
+    const { issues } = await waitForQueue(userId);
+    assert.equal(issues.length, 1);
+    assert.equal(issues[0].type, 'conflict');
+    assert.equal(issues[0].mutation.id, stale.id);
+    assert.deepEqual(await storedTexts(userId), ['Anniversary dinner']);
+  });
+
+  test('an edit based on an old version wins over an earlier edit (last writer wins)', async () => {
+    const userId = 'conflict-older';
+    const { id } = await addReminder(userId, reminderData('Birthday'));
+    await updateReminder(userId, id, { text: 'Birthday party' }, {
+      expectedVersion: 1,
+      updatedAt: new Date(Date.now() - 60 * 60 * 1000),
+    });
+    enqueueMutation(userId, { kind: 'update', reminderId: id, data: { text: 'Birthday cake' }, expectedVersion: 1 });
+
+    const { issues } = await waitForQueue(userId);
+    assert.deepEqual(issues, []);
+    const [birthday] = (await getReminders(userId)).reminders;
+    assert.equal(birthday.text, 'Birthday cake');
+    assert.equal(birthday.version, 3);
+  });
+
+  test('an edit of a reminder deleted for good elsewhere is reported as a conflict', async () => {
+    const userId = 'conflict-deleted';
+    const { id } = await addReminder(userId, reminderData('Picnic'));
+    await deleteReminder(userId, id);
+    await permanentlyDeleteReminder(userId, id);
+    enqueueMutation(userId, { kind: 'update', reminderId: id, data: { text: 'Picnic in the park' }, expectedVersion: 1 });
+
+    const { issues } = await waitForQueue(userId);
+    assert.deepEqual(issues.map((issue) => issue.type), ['conflict']);
+  });
+});
@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { splitRecurrence, isSameRecurrenceRule, expandOccurrences } from '../../src/utils/recurrence.js';
+
+/**
+ * Tests of the recurrence utilities that don't need the browser or Firebase. Run with `npm test`.
+ */
+
+const TIME_ZONE = 'Europe/Berlin';
+// Every Monday at 10:00 in Berlin, ten times: 3 March to 5 May 2031
+const start = new Date('2031-03-03T09:00:00Z');
+const countedRule = { freq: 'WEEKLY', interval: 1, byDay: [1], nthWeekday: null, until: null, count: 10 };
+const fourthOccurrence = new Date('2031-03-24T09:00:00Z');
+
+// The rule as it reaches the service: rebuilt by the form and passed through the mutation queue
+const submittedCopy = (rule) => JSON.parse(JSON.stringify(rule));
+
+describe('splitRecurrence', () => {
+  test('an unchanged counted rule keeps the total number of occurrences', () => {
+    const { endedRule, followingRule } = splitRecurrence(start, countedRule, fourthOccurrence, submittedCopy(countedRule), {
+      timeZone: TIME_ZONE,
+    });
+    assert.equal(endedRule.count, 3);
+    assert.equal(followingRule.count, 7);
+
+    const range = [start, new Date('2032-01-01T00:00:00Z')];
+    const before = expandOccurrences(start, endedRule, ...range, { timeZone: TIME_ZONE });
+    const after = expandOccurrences(fourthOccurrence, followingRule, ...range, { timeZone: TIME_ZONE });
+    assert.equal(before.length + after.length, 10);
+    assert.equal(before.at(-1).toISOString(), '2031-03-17T09:00:00.000Z');
+    assert.equal(after.at(-1).toISOString(), '2031-05-05T08:00:00.000Z');
+  });
+
+  test('a changed rule keeps the count the user entered', () => {
+    const changedRule = { ...countedRule, interval: 2 };
+    const { endedRule, followingRule } = splitRecurrence(start, countedRule, fourthOccurrence, changedRule, {
+      timeZone: TIME_ZONE,
+    });
+    assert.equal(endedRule.count, 3);
+    assert.equal(followingRule.count, 10);
+    assert.equal(followingRule.interval, 2);
+  });
+
+  test('a rule with an end date ends the original series just before the split', () => {
+    const until = new Date('2031-06-30T00:00:00Z');
+    const rule = { ...countedRule, count: null, until };
+    const { endedRule, followingRule } = splitRecurrence(start, rule, fourthOccurrence, rule, { timeZone: TIME_ZONE });
+    assert.equal(endedRule.until.getTime(), fourthOccurrence.getTime() - 1);
+    assert.equal(followingRule.until.getTime(), until.getTime());
+  });
+
+  test('the following part may stop repeating', () => {
+    const { followingRule } = splitRecurrence(start, countedRule, fourthOccurrence, null, { timeZone: TIME_ZONE });
+    assert.equal(followingRule, null);
+  });
+});
+
+describe('isSameRecurrenceRule', () => {
+  test('compares rules by value', () => {
+    assert.equal(isSameRecurrenceRule(countedRule, submittedCopy(countedRule)), true);
+    assert.equal(isSameRecurrenceRule({ freq: 'weekly', byDay: [3, 1] }, { freq: 'WEEKLY', interval: 1, byDay: [1, 3] }), true);
+    assert.equal(isSameRecurrenceRule(countedRule, { ...countedRule, count: 9 }), false);
+    assert.equal(isSameRecurrenceRule(countedRule, null), false);
+    assert.equal(isSameRecurrenceRule(null, undefined), true);
+  });
+});
@@ -0,0 +1,128 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { CURRENT_SCHEMA_VERSION, OPEN_ENDED_END_DATE, upgradeReminderRecord } from '../../src/services/reminderSchema.js';
+import { migrateReminders, migrateRemindersIfNeeded } from '../../src/services/reminderMigration.js';
+import { getReminders } from '../../src/services/reminderService.js';
+import { getReminderRepository } from '../../src/services/repositories/index.js';
+
+/**
+ * Tests of the reminder schema upgrade and the migration runner, on the in-memory storage backend.
+ */
+
+// A reminder as the first version of the app stored it: text and date only
+const legacyRecord = (text, date = '2031-05-10T10:00:00Z') => ({ text, date: new Date(date) });
+
+// Stores records the way an older app version left them, without the service's upgrade
+const storeLegacyRecords = (userId, records) =>
+  getReminderRepository().commit(userId, records.map(({ id, ...data }) => ({ type: 'create', id, data })));
+
+describe('upgradeReminderRecord', () => {
+  test('brings a legacy record up to the current schema', () => {
+    const { record, changes, errors } = upgradeReminderRecord({ id: 'r1', ...legacyRecord('Flowers'), timeZone: 'Europe/Berlin' });
+    assert.deepEqual(errors, []);
+    assert.equal(record.schemaVersion, CURRENT_SCHEMA_VERSION);
+    assert.equal(record.deletedAt, null);
+    assert.equal(record.status, 'pending');
+    assert.equal(record.version, 1);
+    assert.equal(record.endDate.toISOString(), '2031-05-10T10:00:00.000Z');
+    assert.equal(record.allDay, false);
+    assert.equal('id' in changes, false);
+    assert.equal(changes.schemaVersion, CURRENT_SCHEMA_VERSION);
+  });
+
+  test('repairs malformed values and reports them', () => {
+    const { record, repairs } = upgradeReminderRecord({
+      id: 'r1',
+      text: 42,
+      date: '2031-05-10T00:00:00+02:00',
+      timeZone: 'Europe/Berlin',
+      recurrence: { freq: 'FORTNIGHTLY' },
+      tags: ['gift', '', 'gift'],
+    });
+    assert.equal(record.text, '42');
+    assert.equal(record.date.toISOString(), '2031-05-09T22:00:00.000Z');
+    assert.equal(record.allDay, true); // Midnight in its time zone: entered without a time
+    assert.equal(record.recurrence, null);
+    assert.deepEqual(record.tags, ['gift']);
+    assert.ok(repairs.includes('text converted to a string'));
+    assert.ok(repairs.includes('date converted to a timestamp'));
+    assert.ok(repairs.some((repair) => repair.startsWith('invalid recurrence rule removed')));
+  });
+
+  test('gives open-ended series the open end date, so range queries always match them', () => {
+    const { record } = upgradeReminderRecord({
+      id: 'r1',
+      ...legacyRecord('Anniversary'),
+      timeZone: 'Europe/Berlin',
+      recurrence: { freq: 'YEARLY' },
+    });
+    assert.equal(record.endDate.getTime(), OPEN_ENDED_END_DATE.getTime());
+  });
+
+  test('a current record needs no changes', () => {
+    const { record } = upgradeReminderRecord({ id: 'r1', ...legacyRecord('Flowers'), timeZone: 'Europe/Berlin' });
+    const { changes, repairs } = upgradeReminderRecord(record);
+    assert.deepEqual(changes, {});
+    assert.deepEqual(repairs, []);
+  });
+
+  test('records without text or date, or from a newer schema, cannot be upgraded', () => {
+    assert.deepEqual(upgradeReminderRecord({ id: 'r1', text: ' ', date: 'soon' }).errors, [
+      'missing text',
+      'missing or invalid date',
+    ]);
+    const newer = upgradeReminderRecord({ id: 'r1', ...legacyRecord('Flowers'), schemaVersion: CURRENT_SCHEMA_VERSION + 1 });
+    assert.equal(newer.record, null);
+    assert.equal(newer.errors.length, 1);
+  });
+});
+
+describe('migrateReminders', () => {
+  test('rewrites legacy documents so the filtered queries find them', async () => {
+    const userId = 'migrate';
+    await storeLegacyRecords(userId, [
+      { id: 'past', ...legacyRecord('Past', '2020-02-01T10:00:00Z') },
+      { id: 'upcoming', ...legacyRecord('Upcoming', '2031-02-01T10:00:00Z') },
+      { id: 'broken', text: '' },
+    ]);
+    const startOfToday = new Date('2026-01-01T00:00:00Z');
+    // The query adapters skip documents without `endDate` and `deletedAt`, as Firestore does
+    assert.deepEqual((await getReminders(userId, { from: startOfToday })).reminders, []);
+
+    const progress = [];
+    const report = await migrateReminders(userId, { batchSize: 1, onProgress: (done, total) => progress.push([done, total]) });
+    assert.equal(report.total, 3);
+    assert.deepEqual(report.upgraded.sort(), ['past', 'upcoming']);
+    assert.deepEqual(report.failed, [{ id: 'broken', errors: ['missing text', 'missing or invalid date'] }]);
+    assert.deepEqual(progress, [[1, 2], [2, 2]]);
+
+    const upcoming = (await getReminders(userId, { from: startOfToday })).reminders.map((reminder) => reminder.id);
+    const past = (await getReminders(userId, { to: startOfToday })).reminders.map((reminder) => reminder.id);
+    assert.deepEqual(upcoming, ['upcoming']);
+    assert.deepEqual(past, ['past']);
+
+    const again = await migrateReminders(userId);
+    assert.deepEqual(again.upgraded, []);
+    assert.equal(again.unchanged, 2);
+  });
+
+  test('rejects invalid batch sizes', async () => {
+    await assert.rejects(migrateReminders('migrate-batch', { batchSize: 0 }), TypeError);
+  });
+});
+
+describe('migrateRemindersIfNeeded', () => {
+  test('runs once per schema version after a clean migration', async () => {
+    const userId = 'migrate-once';
+    await storeLegacyRecords(userId, [{ id: 'r1', ...legacyRecord('Flowers') }]);
+    assert.deepEqual((await migrateRemindersIfNeeded(userId)).upgraded, ['r1']);
+    assert.equal(await migrateRemindersIfNeeded(userId), null);
+  });
+
+  test('keeps running while documents fail, so they are reported again', async () => {
+    const userId = 'migrate-failing';
+    await storeLegacyRecords(userId, [{ id: 'broken', text: 'No date' }]);
+    assert.equal((await migrateRemindersIfNeeded(userId)).failed.length, 1);
+    assert.equal((await migrateRemindersIfNeeded(userId)).failed.length, 1);
+  });
+});
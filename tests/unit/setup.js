@@ -0,0 +1,19 @@
+import { register } from 'node:module';
+
+/**
+ * Preloaded by `npm test` (`node --import`), so the services run under plain Node as they would
+ * in the browser with `VITE_STORAGE_BACKEND=memory`: `import.meta.env` is filled in for the app's
+ * modules (see `viteEnvLoader.js`) and localStorage is an in-memory stand-in.
+ */
+
+register('./viteEnvLoader.js', import.meta.url);
+
+if (!globalThis.localStorage) {
+  const items = new Map();
+  globalThis.localStorage = {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+    clear: () => items.clear(),
+  };
+}
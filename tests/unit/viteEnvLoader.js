@@ -0,0 +1,24 @@
+/**
+ * Module loader hook (registered by `setup.js`) that replaces `import.meta.env`, which Vite
+ * provides in the app, with the environment of the unit tests.
+ */
+
+const SOURCE_URL = new URL('../../src/', import.meta.url).href;
+
+const TEST_ENV = {
+  MODE: 'test',
+  DEV: false,
+  PROD: false,
+  VITE_STORAGE_BACKEND: 'memory',
+};
+
+export async function load(url, context, nextLoad) {
+  const result = await nextLoad(url, context);
+  if (!url.startsWith(SOURCE_URL) || result.format !== 'module') {
+    return result;
+  }
+  const source = String(result.source);
+  return source.includes('import.meta.env')
+    ? { ...result, source: source.replaceAll('import.meta.env', `(${JSON.stringify(TEST_ENV)})`) }
+    : result;
+}